@@ -1,5 +1,14 @@
 // Separate Babel config is required for Jest to use imports.
 module.exports = {
-    presets: ["@babel/preset-env"],
-    plugins: ["@babel/plugin-syntax-dynamic-import"]
+    presets: ["@babel/preset-env", "@babel/preset-typescript"],
+    plugins: ["@babel/plugin-syntax-dynamic-import"],
+    env: {
+        // Jest runs the TypeScript sources directly in the current Node.
+        test: {
+            presets: [
+                ["@babel/preset-env", { targets: { node: "current" } }],
+                "@babel/preset-typescript"
+            ]
+        }
+    }
 };
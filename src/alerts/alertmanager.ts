@@ -0,0 +1,283 @@
+import { EventChannel } from "../socket/eventhandler.js";
+import { TypedEmitter } from "../utils/emitter.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import * as Types from "../types.js";
+
+const DEFAULT_ALERT_MANAGER_OPTIONS: Types.AlertManagerOptions = {
+    deviceIds: null,
+    dateRanges: null,
+    clearedHistorySize: 100
+};
+
+// Parse a timestamp string from cloud, null if it isn't one.
+function parseTimestamp(value: string | null | undefined): number | null {
+    if (!value) return null;
+    const timestamp = Date.parse(value);
+    return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+function cloneAlert(alert: Types.ManagedAlert): Types.ManagedAlert {
+    return { ...alert, data: JSON.parse(JSON.stringify(alert.data)) };
+}
+
+/**
+ * Tracks the lifecycle of the alerts on the channel's site.
+ *
+ * Alerts are loaded from the initial alert state and kept up to date with the
+ * alert diff stream. An alert is "new" until cloud reports that it has been
+ * reacted to, and "cleared" when it's removed. Every transition is emitted as
+ * an event, and the time from raising the alert to reacting to it is tracked
+ * as time-to-react.
+ *
+ * After the connection is re-established the initial state is loaded again,
+ * alerts that disappeared meanwhile are cleared.
+ *
+ * @export
+ * @class AlertManager
+ */
+export class AlertManager {
+	public _channel: EventChannel;
+	public _options: Types.AlertManagerOptions;
+	public _logger: Types.ConsoleLogger;
+	public _alerts: Map<number, Types.ManagedAlert>;
+	public _cleared: Types.ManagedAlert[];
+	public _clearedCount: number;
+	public _timesToReact: number[];
+	public _registrations: string[];
+	public _emitter: TypedEmitter<Types.AlertManagerEvents>;
+
+    /**
+     * Creates an instance of AlertManager.
+     *
+     * @param {EventChannel} channel Channel to register the streams with.
+     * @param {Types.AlertManagerOptions} [options] Device filter, date
+     * ranges for the initial state and number of cleared alerts to keep.
+     * @memberof AlertManager
+     */
+    constructor(channel: EventChannel, options: Partial<Types.AlertManagerOptions> | null = null) {
+        if (!channel || !(channel instanceof EventChannel)) {
+            throw new ArgumentException("channel");
+        }
+
+        this._channel = channel;
+        this._options = {
+            ...DEFAULT_ALERT_MANAGER_OPTIONS,
+            ...options
+        };
+        this._logger = channel._logger;
+
+        // Active alerts by alarm ID.
+        this._alerts = new Map();
+
+        // Latest cleared alerts, oldest first.
+        this._cleared = [];
+        this._clearedCount = 0;
+        this._timesToReact = [];
+
+        this._registrations = [];
+        this._emitter = new TypedEmitter(this._logger);
+    }
+
+    /**
+     * Register to the alert streams. Resolves when the initial state has
+     * been loaded.
+     *
+     * @memberof AlertManager
+     */
+    async start(): Promise<void> {
+        if (this._registrations.length) return;
+
+        const { deviceIds, dateRanges } = this._options;
+        try {
+            this._registrations.push(
+                await this._channel.registerInitialAlertState((err, payload) => {
+                    if (err) {
+                        this._logger.error(`Error in alert state: ${err}`);
+                        return;
+                    }
+                    this._onAlertState(payload);
+                }, deviceIds, dateRanges),
+                await this._channel.registerAlertDiffStream((err, payload) => {
+                    if (err) {
+                        this._logger.error(`Error in alert stream: ${err}`);
+                        return;
+                    }
+                    this._onAlertDiff(payload);
+                }, deviceIds)
+            );
+        } catch (e) {
+            await this.stop();
+            throw e;
+        }
+    }
+
+    /**
+     * Unregister from the alert streams. Tracked alerts are kept.
+     *
+     * @memberof AlertManager
+     */
+    async stop(): Promise<void> {
+        const registrations = this._registrations;
+        this._registrations = [];
+        for (const uuid of registrations) {
+            await this._channel.unregister(uuid);
+        }
+    }
+
+    /**
+     * Acknowledge alerts.
+     *
+     * @param {number[]} alarmIds IDs of the alerts.
+     * @memberof AlertManager
+     */
+    async acknowledge(alarmIds: number[]): Promise<void> {
+        await this._channel.acknowledgeAlerts(alarmIds);
+    }
+
+    /**
+     * React to an alert. The alert moves to "reacted" state when cloud
+     * reports the reaction.
+     *
+     * @param {number} alarmId ID of the alert.
+     * @param {string} [comment] Comment to save with the reaction.
+     * @memberof AlertManager
+     */
+    async react(alarmId: number, comment: string | null = null): Promise<void> {
+        await this._channel.reactToAlert(alarmId, comment);
+    }
+
+    /**
+     * Add a listener for alerts becoming new, reacted or cleared.
+     *
+     * @param {Types.AlertLifecycleState} event
+     * @param {(event: Types.AlertLifecycleEvent) => void} listener
+     * @returns {string} UUID to remove the listener with.
+     * @memberof AlertManager
+     */
+    on(event: Types.AlertLifecycleState, listener: (event: Types.AlertLifecycleEvent) => void): string {
+        return this._emitter.on(event, listener);
+    }
+
+    /**
+     * Remove a listener added with on.
+     *
+     * @param {string} uuid
+     * @memberof AlertManager
+     */
+    off(uuid: string): boolean {
+        return this._emitter.off(uuid);
+    }
+
+    getAlert(alarmId: number): Types.ManagedAlert | null {
+        const alert = this._alerts.get(alarmId) ||
+            this._cleared.find((a) => a.alarmId === alarmId);
+        return alert ? cloneAlert(alert) : null;
+    }
+
+    /**
+     * Get the active alerts, optionally only the ones in the given state.
+     *
+     * @param {Types.AlertLifecycleState} [state]
+     * @memberof AlertManager
+     */
+    getAlerts(state: Types.AlertLifecycleState | null = null): Types.ManagedAlert[] {
+        if (state === "cleared") return this._cleared.map(cloneAlert);
+        return Array.from(this._alerts.values())
+            .filter((a) => state === null || a.state === state)
+            .map(cloneAlert);
+    }
+
+    /**
+     * Get alert counts and time-to-react statistics, in milliseconds, of the
+     * alerts reacted to since the manager was started.
+     *
+     * @memberof AlertManager
+     */
+    getMetrics(): Types.AlertMetrics {
+        const active = Array.from(this._alerts.values());
+        const times = this._timesToReact;
+        return {
+            active: active.length,
+            unreacted: active.filter((a) => a.state === "new").length,
+            reacted: active.filter((a) => a.state === "reacted").length,
+            cleared: this._clearedCount,
+            averageTimeToReact: times.length
+                ? times.reduce((sum, t) => sum + t, 0) / times.length
+                : null,
+            maxTimeToReact: times.length ? Math.max(...times) : null
+        };
+    }
+
+    _onAlertState(payload: Types.AlertInitialStateResponse): void {
+        const alarmIds = new Set(Object.keys(payload).map((id) => +id));
+        for (const alarmId of Array.from(this._alerts.keys())) {
+            if (!alarmIds.has(alarmId)) this._clear(alarmId);
+        }
+        for (const alert of Object.values(payload)) {
+            if (alert) this._update(alert);
+        }
+    }
+
+    _onAlertDiff(payload: Types.AlertDiffResponse): void {
+        for (const alert of Object.values(payload.alerts || {})) {
+            if (alert) this._update(alert);
+        }
+        for (const alarmId of payload.removedAlerts || []) {
+            this._clear(+alarmId);
+        }
+    }
+
+    _update(data: Types.InitialAlertState): void {
+        const now = Date.now();
+        let alert = this._alerts.get(data.alarmId);
+
+        if (!alert) {
+            alert = {
+                alarmId: data.alarmId,
+                deviceId: data.deviceId,
+                alarmType: data.alarmType,
+                state: "new",
+                raisedAt: parseTimestamp(data.timestamp),
+                firstSeenAt: now,
+                reactedAt: null,
+                clearedAt: null,
+                timeToReact: null,
+                data: { ...data }
+            };
+            this._alerts.set(data.alarmId, alert);
+            this._emit("new", alert);
+        } else {
+            alert.data = { ...alert.data, ...data };
+        }
+
+        if (alert.state === "new" && data.reacted != null) {
+            alert.state = "reacted";
+            // Reaction time from cloud if available, otherwise when it was seen.
+            alert.reactedAt = parseTimestamp(data.reacted) ?? now;
+            alert.timeToReact = alert.reactedAt - (alert.raisedAt ?? alert.firstSeenAt);
+            this._timesToReact.push(alert.timeToReact);
+            this._emit("reacted", alert);
+        }
+    }
+
+    _clear(alarmId: number): void {
+        const alert = this._alerts.get(alarmId);
+        if (!alert) return;
+
+        this._alerts.delete(alarmId);
+        alert.state = "cleared";
+        alert.clearedAt = Date.now();
+        this._clearedCount++;
+
+        this._cleared.push(alert);
+        while (this._cleared.length > this._options.clearedHistorySize) {
+            this._cleared.shift();
+        }
+
+        this._emit("cleared", alert);
+    }
+
+    _emit(type: Types.AlertLifecycleState, alert: Types.ManagedAlert): void {
+        this._emitter.emit(type, { type, alert: cloneAlert(alert) });
+    }
+}
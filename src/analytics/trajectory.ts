@@ -0,0 +1,443 @@
+import { EventChannel } from "../socket/eventhandler.js";
+import { combineLoggers, consoleLogger } from "../utils/logging.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import * as Types from "../types.js";
+
+const DEFAULT_TRAJECTORY_OPTIONS: Types.TrajectoryOptions = {
+    retention: 24 * 60 * 60 * 1000,
+    maxGap: 60 * 1000,
+    idleSpeed: 200,
+    loggers: [consoleLogger]
+};
+
+const DEFAULT_HEATMAP_OPTIONS: Types.HeatmapOptions = {
+    cellSize: 1000,
+    bounds: null,
+    deviceIds: null
+};
+
+// Time a sample was valid within a window, and the movement to the next
+// sample during it.
+type Interval = {
+    sample: Types.TrajectorySample,
+    from: number,
+    to: number,
+    state: Types.ActivityState,
+    distance: number
+};
+
+/**
+ * Accumulates tag trajectories from the location and tag diff streams and
+ * computes analytics for any time window: distance travelled, time moving
+ * and idle, time spent per area and floor, and occupancy heatmaps.
+ *
+ * Every sample is valid until the tag's next sample, at most `maxGap`
+ * milliseconds. Movement between samples on the same floor is moving when
+ * faster than `idleSpeed`, otherwise idle, and only moving counts towards
+ * the distance so that jitter of a stationary tag isn't travelled. The
+ * latest sample is idle until the gap has passed. Results are plain objects
+ * that can be serialized as JSON.
+ *
+ * @export
+ * @class TrajectoryAnalytics
+ */
+export class TrajectoryAnalytics {
+	public _options: Types.TrajectoryOptions;
+	public _logger: Types.ConsoleLogger;
+	public _samples: Map<number, Types.TrajectorySample[]>;
+	public _latestTimestamp: number;
+	public _sweptAt: number;
+	public _channel: EventChannel | null;
+	public _registrations: string[];
+
+    /**
+     * Creates an instance of TrajectoryAnalytics.
+     *
+     * @param {Types.TrajectoryOptions} [options] Options that override defaults.
+     * @memberof TrajectoryAnalytics
+     */
+    constructor(options: Partial<Types.TrajectoryOptions> | null = null) {
+        this._options = {
+            ...DEFAULT_TRAJECTORY_OPTIONS,
+            ...options
+        };
+        if (!(this._options.retention > 0)) throw new ArgumentException("retention");
+        if (!(this._options.maxGap > 0)) throw new ArgumentException("maxGap");
+        if (!(this._options.idleSpeed >= 0)) throw new ArgumentException("idleSpeed");
+
+        this._logger = combineLoggers(this._options.loggers);
+
+        // Samples ordered by time, mapped by tag's device ID.
+        this._samples = new Map();
+
+        // Latest sample of any tag, retention is counted from it. Every tag
+        // is pruned when it has advanced by maxGap since the last sweep.
+        this._latestTimestamp = -Infinity;
+        this._sweptAt = -Infinity;
+
+        this._channel = null;
+        this._registrations = [];
+    }
+
+    /**
+     * Register to the channel's location and tag diff streams.
+     *
+     * @param {EventChannel} channel Connected channel.
+     * @param {number[]} [deviceIds] Tags to track, null for all.
+     * @memberof TrajectoryAnalytics
+     */
+    async attach(channel: EventChannel, deviceIds: number[] | null = null): Promise<void> {
+        if (!channel || !(channel instanceof EventChannel)) {
+            throw new ArgumentException("channel");
+        }
+        if (this._channel) throw Error("Trajectory analytics is already attached");
+
+        this._channel = channel;
+        try {
+            this._registrations.push(
+                await channel.registerLocationUpdate((err, payload) => {
+                    if (err) {
+                        this._logger.error(`Error in location stream: ${err}`);
+                        return;
+                    }
+                    this.processLocationUpdate(payload);
+                }, deviceIds)
+            );
+            this._registrations.push(
+                await channel.registerTagDiffStream((err, payload) => {
+                    if (err) {
+                        this._logger.error(`Error in tag diff stream: ${err}`);
+                        return;
+                    }
+                    this.processTagDiff(payload);
+                }, deviceIds)
+            );
+        } catch (e) {
+            await this.detach();
+            throw e;
+        }
+    }
+
+    /**
+     * Unregister from the channel. Trajectories are kept.
+     *
+     * @memberof TrajectoryAnalytics
+     */
+    async detach(): Promise<void> {
+        const channel = this._channel;
+        const registrations = this._registrations;
+        this._channel = null;
+        this._registrations = [];
+
+        if (!channel) return;
+        for (const uuid of registrations) {
+            await channel.unregister(uuid);
+        }
+    }
+
+    /**
+     * Add the positions of a location update. Called automatically when
+     * attached to a channel.
+     *
+     * @param {Types.LocationUpdateResponse} payload
+     * @memberof TrajectoryAnalytics
+     */
+    processLocationUpdate(payload: Types.LocationUpdateResponse): void {
+        for (const [deviceId, item] of Object.entries(payload || {})) {
+            if (!item) continue;
+            this._addSample(+deviceId, item);
+        }
+    }
+
+    /**
+     * Add the positions, areas, speeds and odometers of a tag diff. Removed
+     * tags keep their trajectories until retention. Called automatically when
+     * attached to a channel.
+     *
+     * @param {Types.TagDiffResponse} payload
+     * @memberof TrajectoryAnalytics
+     */
+    processTagDiff(payload: Types.TagDiffResponse): void {
+        for (const [deviceId, item] of Object.entries(payload?.tags || {})) {
+            if (!item) continue;
+            this._addSample(+deviceId, item);
+        }
+    }
+
+    /**
+     * Get the devices with samples.
+     *
+     * @returns {number[]}
+     * @memberof TrajectoryAnalytics
+     */
+    getDeviceIds(): number[] {
+        return Array.from(this._samples.keys());
+    }
+
+    /**
+     * Get the samples of a tag within the time window.
+     *
+     * @param {number} deviceId Tag's device ID.
+     * @param {Types.TimeWindow} [window] Start and stop, null for unbounded.
+     * @returns {Types.TrajectorySample[]}
+     * @memberof TrajectoryAnalytics
+     */
+    getTrajectory(deviceId: number, window: Partial<Types.TimeWindow> | null = null): Types.TrajectorySample[] {
+        const start = window?.start ?? -Infinity;
+        const stop = window?.stop ?? Infinity;
+        return (this._samples.get(deviceId) || [])
+            .filter((s) => s.timestamp >= start && s.timestamp <= stop)
+            .map((s) => ({ ...s, areas: [...s.areas] }));
+    }
+
+    /**
+     * Compute the analytics of a tag within the time window.
+     *
+     * @param {number} deviceId Tag's device ID.
+     * @param {Types.TimeWindow} [window] Start and stop, null for unbounded.
+     * @returns {Types.TagAnalytics | null} Null if the tag has no samples.
+     * @memberof TrajectoryAnalytics
+     */
+    getTagAnalytics(deviceId: number, window: Partial<Types.TimeWindow> | null = null): Types.TagAnalytics | null {
+        const samples = this._samples.get(deviceId);
+        if (!samples || !samples.length) return null;
+
+        const result: Types.TagAnalytics = {
+            deviceId,
+            start: window?.start ?? null,
+            stop: window?.stop ?? null,
+            sampleCount: 0,
+            distance: 0,
+            odometerDistance: null,
+            maxSpeed: null,
+            movingTime: 0,
+            idleTime: 0,
+            areas: {},
+            floors: {},
+            periods: []
+        };
+
+        for (const { sample, from, to, state, distance } of this._getIntervals(samples, window)) {
+            const duration = to - from;
+            result.distance += distance;
+            if (state === "moving") {
+                result.movingTime += duration;
+            } else {
+                result.idleTime += duration;
+            }
+            for (const areaId of sample.areas) {
+                result.areas[areaId] = (result.areas[areaId] || 0) + duration;
+            }
+            if (sample.floorId !== null) {
+                result.floors[sample.floorId] = (result.floors[sample.floorId] || 0) + duration;
+            }
+
+            const last = result.periods[result.periods.length - 1];
+            if (last && last.state === state && last.stop === from) {
+                last.stop = to;
+                last.distance += distance;
+            } else {
+                result.periods.push({ state, start: from, stop: to, distance });
+            }
+        }
+
+        // Odometer may reset, count only the increases.
+        let odometer: number | null = null;
+        const start = window?.start ?? -Infinity;
+        const stop = window?.stop ?? Infinity;
+        for (const sample of samples) {
+            if (sample.timestamp < start || sample.timestamp > stop) continue;
+            result.sampleCount++;
+            if (sample.speed !== null) result.maxSpeed = Math.max(result.maxSpeed ?? 0, sample.speed);
+            if (sample.odometer === null) continue;
+            if (odometer !== null) {
+                result.odometerDistance = (result.odometerDistance ?? 0) + Math.max(0, sample.odometer - odometer);
+            }
+            odometer = sample.odometer;
+        }
+
+        return result;
+    }
+
+    /**
+     * Compute the analytics of all tags within the time window.
+     *
+     * @param {Types.TimeWindow} [window] Start and stop, null for unbounded.
+     * @returns {Types.TagAnalytics[]}
+     * @memberof TrajectoryAnalytics
+     */
+    getAnalytics(window: Partial<Types.TimeWindow> | null = null): Types.TagAnalytics[] {
+        const results: Types.TagAnalytics[] = [];
+        for (const deviceId of this.getDeviceIds()) {
+            const result = this.getTagAnalytics(deviceId, window);
+            if (result && (result.sampleCount || result.movingTime || result.idleTime)) results.push(result);
+        }
+        return results;
+    }
+
+    /**
+     * Compute an occupancy heatmap of a floor: the time the tags spent in each
+     * cell of a grid. Time between samples is counted at the earlier sample.
+     *
+     * @param {number} floorId
+     * @param {Types.TimeWindow} [window] Start and stop, null for unbounded.
+     * @param {Types.HeatmapOptions} [options] Cell size, bounds and tags.
+     * @returns {Types.HeatmapGrid}
+     * @memberof TrajectoryAnalytics
+     */
+    getHeatmap(floorId: number, window: Partial<Types.TimeWindow> | null = null, options: Partial<Types.HeatmapOptions> | null = null): Types.HeatmapGrid {
+        const { cellSize, bounds, deviceIds }: Types.HeatmapOptions = {
+            ...DEFAULT_HEATMAP_OPTIONS,
+            ...options
+        };
+        if (!(cellSize > 0)) throw new ArgumentException("cellSize");
+
+        const intervals: Interval[] = [];
+        for (const deviceId of deviceIds || this.getDeviceIds()) {
+            for (const interval of this._getIntervals(this._samples.get(deviceId) || [], window)) {
+                if (interval.sample.floorId === floorId) intervals.push(interval);
+            }
+        }
+
+        // Bounding box in a loop, spreading the samples as arguments
+        // overflows the stack.
+        let box = bounds;
+        if (!box && intervals.length) {
+            box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+            for (const { sample: { x, y } } of intervals) {
+                if (x < box.minX) box.minX = x;
+                if (y < box.minY) box.minY = y;
+                if (x > box.maxX) box.maxX = x;
+                if (y > box.maxY) box.maxY = y;
+            }
+        }
+
+        const originX = box ? Math.floor(box.minX / cellSize) * cellSize : 0;
+        const originY = box ? Math.floor(box.minY / cellSize) * cellSize : 0;
+        const columns = box ? Math.floor((box.maxX - originX) / cellSize) + 1 : 0;
+        const rows = box ? Math.floor((box.maxY - originY) / cellSize) + 1 : 0;
+        const cells = new Array<number>(columns * rows).fill(0);
+
+        for (const { sample, from, to } of intervals) {
+            const column = Math.floor((sample.x - originX) / cellSize);
+            const row = Math.floor((sample.y - originY) / cellSize);
+            if (column < 0 || column >= columns || row < 0 || row >= rows) continue;
+            const index = row * columns + column;
+            cells[index] = (cells[index] as number) + to - from;
+        }
+
+        return {
+            floorId,
+            start: window?.start ?? null,
+            stop: window?.stop ?? null,
+            cellSize,
+            originX,
+            originY,
+            columns,
+            rows,
+            cells,
+            maxValue: cells.reduce((max, v) => Math.max(max, v), 0)
+        };
+    }
+
+    /**
+     * Remove a tag's trajectory.
+     *
+     * @param {number} deviceId Tag's device ID.
+     * @memberof TrajectoryAnalytics
+     */
+    removeDevice(deviceId: number): boolean {
+        return this._samples.delete(deviceId);
+    }
+
+    // Merge a location update or tag diff with the tag's last known state.
+    _addSample(deviceId: number, item: Partial<Types.LocationUpdateItem & Types.TagDiffItem>): void {
+        let samples = this._samples.get(deviceId);
+        if (!samples) {
+            samples = [];
+            this._samples.set(deviceId, samples);
+        }
+
+        const timestamp = Number.isFinite(item.timestamp) ? item.timestamp as number : Date.now();
+        // Insert in order, streams may be slightly out of order.
+        let index = samples.length;
+        while (index > 0 && (samples[index - 1] as Types.TrajectorySample).timestamp > timestamp) index--;
+
+        const previous = samples[index - 1];
+        const x = Number.isFinite(item.x) ? item.x as number : previous?.x;
+        const y = Number.isFinite(item.y) ? item.y as number : previous?.y;
+        if (x === undefined || y === undefined) return;
+
+        const sample: Types.TrajectorySample = {
+            timestamp,
+            x,
+            y,
+            floorId: item.floorId ?? previous?.floorId ?? null,
+            areas: Array.isArray(item.areas) ? [...item.areas] : [...previous?.areas || []],
+            speed: item.speed !== undefined ? item.speed : previous?.speed ?? null,
+            odometer: Number.isFinite(item.odometer) ? item.odometer as number : previous?.odometer ?? null
+        };
+
+        // Location update and tag diff of the same moment.
+        if (previous && previous.timestamp === timestamp) {
+            samples[index - 1] = sample;
+        } else {
+            samples.splice(index, 0, sample);
+        }
+
+        this._latestTimestamp = Math.max(this._latestTimestamp, timestamp);
+        const cutoff = this._latestTimestamp - this._options.retention;
+        if (this._latestTimestamp - this._sweptAt >= this._options.maxGap) {
+            this._sweptAt = this._latestTimestamp;
+            for (const [id, deviceSamples] of Array.from(this._samples.entries())) {
+                this._prune(id, deviceSamples, cutoff);
+            }
+        } else {
+            this._prune(deviceId, samples, cutoff);
+        }
+    }
+
+    // Remove the samples older than the cutoff, and the tag if none is left.
+    _prune(deviceId: number, samples: Types.TrajectorySample[], cutoff: number): void {
+        let expired = 0;
+        while (expired < samples.length && (samples[expired] as Types.TrajectorySample).timestamp < cutoff) expired++;
+        if (expired) samples.splice(0, expired);
+        if (!samples.length) this._samples.delete(deviceId);
+    }
+
+    _getIntervals(samples: Types.TrajectorySample[], window: Partial<Types.TimeWindow> | null): Interval[] {
+        const { maxGap, idleSpeed } = this._options;
+        const start = window?.start ?? -Infinity;
+        const stop = window?.stop ?? Infinity;
+        const now = Date.now();
+
+        const intervals: Interval[] = [];
+        samples.forEach((sample, i) => {
+            const next = samples[i + 1];
+            const connected = next !== undefined &&
+                next.timestamp - sample.timestamp <= maxGap &&
+                next.floorId === sample.floorId;
+
+            const end = connected
+                ? (next as Types.TrajectorySample).timestamp
+                : Math.min(sample.timestamp + maxGap, next ? next.timestamp : now);
+            const from = Math.max(sample.timestamp, start);
+            const to = Math.min(end, stop);
+            if (to <= from) return;
+
+            let distance = 0;
+            let state: Types.ActivityState = "idle";
+            if (connected) {
+                const n = next as Types.TrajectorySample;
+                const duration = n.timestamp - sample.timestamp;
+                const length = Math.sqrt((n.x - sample.x) ** 2 + (n.y - sample.y) ** 2);
+                if (length / duration * 1000 > idleSpeed) {
+                    state = "moving";
+                    distance = length * (to - from) / duration;
+                }
+            }
+            intervals.push({ sample, from, to, state, distance });
+        });
+        return intervals;
+    }
+}
@@ -0,0 +1,541 @@
+import { EventChannel } from "../socket/eventhandler.js";
+import { combineLoggers, consoleLogger } from "../utils/logging.js";
+import { TypedEmitter } from "../utils/emitter.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import * as Types from "../types.js";
+
+const DEFAULT_BEACON_HEALTH_OPTIONS: Types.BeaconHealthOptions = {
+    deviceIds: null,
+    checkInterval: 60000,
+    silenceTimeout: 10 * 60000,
+    rangingTimeout: 5 * 60000,
+    lowVoltage: 3.5,
+    predictionHorizon: 7 * 24 * 3600000,
+    voltageHistorySize: 100,
+    minTrendSamples: 3,
+    incidentHistorySize: 20,
+    loggers: [consoleLogger]
+};
+
+const ISSUES: Types.BeaconHealthIssue[] = ["offline", "stale", "notRanging", "lowBattery"];
+const STATUS_ORDER: Types.BeaconHealthStatus[] = ["down", "degraded", "healthy"];
+
+type VoltageSample = {
+    timestamp: number,
+    voltage: number
+};
+
+type BeaconRecord = {
+    health: Types.BeaconHealth,
+    // Time up to which online and offline time have been added.
+    accountedAt: number,
+    // Voltages since the beacon was last charging, oldest first.
+    samples: VoltageSample[]
+};
+
+// Last contact in milliseconds, accepting also timestamps in seconds.
+function toMilliseconds(timestamp: number | null): number | null {
+    if (timestamp == null || !Number.isFinite(timestamp)) return null;
+    return timestamp < 1e12 ? timestamp * 1000 : timestamp;
+}
+
+function cloneHealth(health: Types.BeaconHealth): Types.BeaconHealth {
+    return {
+        ...health,
+        issues: [...health.issues],
+        incidents: health.incidents.map((i) => ({ ...i }))
+    };
+}
+
+/**
+ * Monitors the health of the beacon infrastructure of a site.
+ *
+ * When attached to a channel, beacon states are followed from the initial
+ * beacon state and the beacon diff stream. Uptime and offline incidents are tracked per beacon, and the
+ * voltage trend while not charging is used to predict when the battery runs
+ * low. Last contacts are fetched with getAvailableBeacons on every check, and
+ * the TWR stream tells which beacons have taken part in ranging.
+ *
+ * A beacon is "down" when it's offline or hasn't been heard of in
+ * silenceTimeout, and "degraded" when it isn't ranging or its battery is or
+ * is predicted to be low. Changes are emitted as "change" events.
+ *
+ * @export
+ * @class BeaconHealthMonitor
+ */
+export class BeaconHealthMonitor {
+	public _channel: EventChannel | null;
+	public _options: Types.BeaconHealthOptions;
+	public _logger: Types.ConsoleLogger;
+	public _beacons: Map<number, BeaconRecord>;
+	public _registrations: string[];
+	public _checkInterval: ReturnType<typeof setInterval> | null;
+	public _emitter: TypedEmitter<Types.BeaconHealthEvents>;
+
+    /**
+     * Creates an instance of BeaconHealthMonitor.
+     *
+     * @param {Types.BeaconHealthOptions} [options] Options that override
+     * defaults.
+     * @memberof BeaconHealthMonitor
+     */
+    constructor(options: Partial<Types.BeaconHealthOptions> | null = null) {
+        this._options = {
+            ...DEFAULT_BEACON_HEALTH_OPTIONS,
+            ...options
+        };
+        const o = this._options;
+        if (!(o.checkInterval > 0)) throw new ArgumentException("checkInterval");
+        if (!(o.silenceTimeout > 0)) throw new ArgumentException("silenceTimeout");
+        if (o.rangingTimeout !== null && !(o.rangingTimeout > 0)) throw new ArgumentException("rangingTimeout");
+        if (!Number.isFinite(o.lowVoltage)) throw new ArgumentException("lowVoltage");
+        if (!(o.predictionHorizon >= 0)) throw new ArgumentException("predictionHorizon");
+        if (!(o.minTrendSamples >= 2)) throw new ArgumentException("minTrendSamples");
+        if (!(o.voltageHistorySize >= o.minTrendSamples)) throw new ArgumentException("voltageHistorySize");
+        if (!(o.incidentHistorySize >= 0)) throw new ArgumentException("incidentHistorySize");
+
+        this._logger = combineLoggers(o.loggers);
+
+        // Beacons by device ID.
+        this._beacons = new Map();
+
+        this._channel = null;
+        this._registrations = [];
+        this._checkInterval = null;
+        this._emitter = new TypedEmitter(this._logger);
+    }
+
+    /**
+     * Register to the channel's beacon streams, and the TWR stream unless
+     * rangingTimeout is null, and start the periodic checks. Resolves when
+     * the initial state and last contacts have been loaded.
+     *
+     * @param {EventChannel} channel Connected channel.
+     * @memberof BeaconHealthMonitor
+     */
+    async attach(channel: EventChannel): Promise<void> {
+        if (!channel || !(channel instanceof EventChannel)) {
+            throw new ArgumentException("channel");
+        }
+        if (this._channel) throw Error("Beacon health monitor is already attached");
+
+        const { deviceIds, rangingTimeout, checkInterval } = this._options;
+        this._channel = channel;
+        try {
+            this._registrations.push(
+                await channel.registerInitialBeaconState((err, payload) => {
+                    if (err) {
+                        this._logger.error(`Error in beacon state: ${err}`);
+                        return;
+                    }
+                    this._onBeaconState(payload);
+                }, deviceIds)
+            );
+            this._registrations.push(
+                await channel.registerBeaconDiffStream((err, payload) => {
+                    if (err) {
+                        this._logger.error(`Error in beacon stream: ${err}`);
+                        return;
+                    }
+                    this._onBeaconState(payload);
+                }, deviceIds)
+            );
+            if (rangingTimeout !== null) {
+                this._registrations.push(
+                    await channel.registerTwrStream((err, payload) => {
+                        if (err) {
+                            this._logger.error(`Error in TWR stream: ${err}`);
+                            return;
+                        }
+                        this.processRanging(payload);
+                    }, null, deviceIds)
+                );
+            }
+        } catch (e) {
+            await this.detach();
+            throw e;
+        }
+
+        await this._poll();
+        // Detached while polling.
+        if (this._channel !== channel) return;
+        this._checkInterval = setInterval(() => {
+            this._poll();
+        }, checkInterval);
+    }
+
+    /**
+     * Unregister from the channel and stop the checks. Tracked beacons are
+     * kept.
+     *
+     * @memberof BeaconHealthMonitor
+     */
+    async detach(): Promise<void> {
+        if (this._checkInterval != null) clearInterval(this._checkInterval);
+        this._checkInterval = null;
+
+        const channel = this._channel;
+        const registrations = this._registrations;
+        this._channel = null;
+        this._registrations = [];
+
+        if (!channel) return;
+        for (const uuid of registrations) {
+            await channel.unregister(uuid);
+        }
+    }
+
+    /**
+     * Add a listener for changes in the issues of the beacons.
+     *
+     * @param {"change"} event
+     * @param {(event: Types.BeaconHealthChangeEvent) => void} listener
+     * @returns {string} UUID to remove the listener with.
+     * @memberof BeaconHealthMonitor
+     */
+    on(event: keyof Types.BeaconHealthEvents, listener: (event: Types.BeaconHealthChangeEvent) => void): string {
+        return this._emitter.on(event, listener);
+    }
+
+    /**
+     * Remove a listener added with on.
+     *
+     * @param {string} uuid
+     * @memberof BeaconHealthMonitor
+     */
+    off(uuid: string): boolean {
+        return this._emitter.off(uuid);
+    }
+
+    /**
+     * Update the state of a beacon. Called automatically when attached.
+     *
+     * @param {number} deviceId
+     * @param {Types.BeaconDiff} state Changed fields of the state.
+     * @param {number} [timestamp] Time of the update, defaults to now.
+     * @memberof BeaconHealthMonitor
+     */
+    processState(deviceId: number, state: Types.BeaconDiff, timestamp: number = Date.now()): void {
+        const record = this._getRecord(deviceId, timestamp);
+        const health = record.health;
+        this._account(record, timestamp);
+
+        if (state.online !== undefined && state.online !== health.online) {
+            if (!state.online) {
+                this._openIncident(health, timestamp);
+            } else {
+                this._closeIncident(health, timestamp);
+            }
+            health.online = state.online;
+        }
+        if (state.online !== false) {
+            health.lastSeenAt = Math.max(health.lastSeenAt ?? timestamp, timestamp);
+        }
+
+        if (state.charging !== undefined) {
+            // Voltage rises while charging, start a new trend.
+            if (state.charging) record.samples = [];
+            health.charging = state.charging;
+        }
+
+        if (state.voltage != null && Number.isFinite(state.voltage)) {
+            health.voltage = state.voltage;
+            if (!health.charging) {
+                record.samples.push({ timestamp, voltage: state.voltage });
+                while (record.samples.length > this._options.voltageHistorySize) {
+                    record.samples.shift();
+                }
+            }
+        }
+        this._updateTrend(record);
+
+        this._evaluate(record, timestamp);
+    }
+
+    /**
+     * Mark the beacons of TWR measurements as ranging. Called automatically
+     * when attached.
+     *
+     * @param {Types.TwrDataResponse | Types.TwrDataResponse[]} measurements
+     * @param {number} [timestamp] Time of the measurements, defaults to now.
+     * @memberof BeaconHealthMonitor
+     */
+    processRanging(measurements: Types.TwrDataResponse | Types.TwrDataResponse[], timestamp: number = Date.now()): void {
+        const { deviceIds } = this._options;
+        for (const m of Array.isArray(measurements) ? measurements : [measurements]) {
+            if (!m || !Number.isFinite(m.bId)) continue;
+            if (deviceIds && !deviceIds.includes(m.bId)) continue;
+
+            const isNew = !this._beacons.has(m.bId);
+            const record = this._getRecord(m.bId, timestamp);
+            record.health.lastRangingAt = timestamp;
+            record.health.lastSeenAt = timestamp;
+
+            // Ranging only clears issues, skip evaluating healthy beacons.
+            if (isNew || record.health.issues.length) this._evaluate(record, timestamp);
+        }
+    }
+
+    /**
+     * Update the last contacts of the beacons. Called on every check when
+     * attached.
+     *
+     * @param {Types.AvailableBeaconItem[]} beacons Response of
+     * getAvailableBeacons.
+     * @param {number} [timestamp] Time of the response, defaults to now.
+     * @memberof BeaconHealthMonitor
+     */
+    processContacts(beacons: Types.AvailableBeaconItem[], timestamp: number = Date.now()): void {
+        const { deviceIds } = this._options;
+        for (const item of beacons) {
+            if (!item || (deviceIds && !deviceIds.includes(item.deviceId))) continue;
+
+            const record = this._getRecord(item.deviceId, timestamp);
+            const lastContact = toMilliseconds(item.lastContact);
+            if (lastContact !== null && lastContact > (record.health.lastSeenAt ?? -Infinity)) {
+                record.health.lastSeenAt = Math.min(lastContact, timestamp);
+            }
+            this._evaluate(record, timestamp);
+        }
+    }
+
+    /**
+     * Update the uptimes and the issues that depend on time, e.g. beacons
+     * that have stopped reporting. Called on every check when attached.
+     *
+     * @param {number} [timestamp] Time of the check, defaults to now.
+     * @memberof BeaconHealthMonitor
+     */
+    check(timestamp: number = Date.now()): void {
+        for (const record of this._beacons.values()) {
+            this._account(record, timestamp);
+            this._evaluate(record, timestamp);
+        }
+    }
+
+    /**
+     * Get the health of a beacon as of the latest update or check.
+     *
+     * @param {number} deviceId
+     * @memberof BeaconHealthMonitor
+     */
+    getBeacon(deviceId: number): Types.BeaconHealth | null {
+        const record = this._beacons.get(deviceId);
+        return record ? cloneHealth(record.health) : null;
+    }
+
+    /**
+     * Get the health of the beacons, optionally only the ones with the
+     * given status.
+     *
+     * @param {Types.BeaconHealthStatus} [status]
+     * @memberof BeaconHealthMonitor
+     */
+    getBeacons(status: Types.BeaconHealthStatus | null = null): Types.BeaconHealth[] {
+        return Array.from(this._beacons.values())
+            .map((r) => r.health)
+            .filter((h) => status === null || h.status === status)
+            .map(cloneHealth);
+    }
+
+    /**
+     * Get the health summary of the site.
+     *
+     * @memberof BeaconHealthMonitor
+     */
+    getSummary(): Types.BeaconHealthSummary {
+        const beacons = Array.from(this._beacons.values()).map((r) => r.health);
+        const uptimes = beacons
+            .map((h) => h.uptime)
+            .filter((u): u is number => u !== null);
+        const issues = { offline: 0, stale: 0, notRanging: 0, lowBattery: 0 };
+        for (const health of beacons) {
+            for (const issue of health.issues) issues[issue]++;
+        }
+
+        return {
+            account: this._channel ? this._channel._connection.account : null,
+            site: this._channel ? this._channel._connection.site : null,
+            timestamp: Date.now(),
+            beacons: beacons.length,
+            healthy: beacons.filter((h) => h.status === "healthy").length,
+            degraded: beacons.filter((h) => h.status === "degraded").length,
+            down: beacons.filter((h) => h.status === "down").length,
+            issues,
+            averageUptime: uptimes.length
+                ? uptimes.reduce((sum, u) => sum + u, 0) / uptimes.length
+                : null,
+            openIncidents: beacons.filter((h) => h.online === false).length,
+            unhealthy: beacons
+                .filter((h) => h.status !== "healthy")
+                .sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) ||
+                    a.deviceId - b.deviceId)
+                .map((h) => h.deviceId)
+        };
+    }
+
+    async _poll(): Promise<void> {
+        const channel = this._channel;
+        if (!channel) return;
+        try {
+            const beacons = await channel.getAvailableBeacons();
+            if (beacons) this.processContacts(beacons);
+        } catch (e) {
+            this._logger.error(`Error in getting available beacons: ${e}`);
+        }
+        this.check();
+    }
+
+    _onBeaconState(payload: Types.BeaconInitialStateResponse | Types.BeaconDiffResponse): void {
+        const now = Date.now();
+        for (const [deviceId, state] of Object.entries(payload)) {
+            if (state) this.processState(+deviceId, state, now);
+        }
+    }
+
+    _getRecord(deviceId: number, timestamp: number): BeaconRecord {
+        let record = this._beacons.get(deviceId);
+        if (!record) {
+            record = {
+                health: {
+                    deviceId,
+                    status: "healthy",
+                    issues: [],
+                    online: null,
+                    charging: null,
+                    voltage: null,
+                    lastSeenAt: null,
+                    lastRangingAt: null,
+                    trackedSince: timestamp,
+                    onlineTime: 0,
+                    offlineTime: 0,
+                    uptime: null,
+                    incidentCount: 0,
+                    incidents: [],
+                    voltageTrend: null,
+                    predictedLowBatteryAt: null
+                },
+                accountedAt: timestamp,
+                samples: []
+            };
+            this._beacons.set(deviceId, record);
+        }
+        return record;
+    }
+
+    // Add the time since the previous update to online or offline time.
+    _account(record: BeaconRecord, timestamp: number): void {
+        const health = record.health;
+        const elapsed = timestamp - record.accountedAt;
+        if (elapsed <= 0) return;
+
+        if (health.online === true) health.onlineTime += elapsed;
+        if (health.online === false) health.offlineTime += elapsed;
+        record.accountedAt = timestamp;
+
+        const total = health.onlineTime + health.offlineTime;
+        health.uptime = total > 0 ? health.onlineTime / total : null;
+    }
+
+    _openIncident(health: Types.BeaconHealth, timestamp: number): void {
+        health.incidentCount++;
+        health.incidents.push({ start: timestamp, end: null, duration: null });
+        while (health.incidents.length > this._options.incidentHistorySize) {
+            health.incidents.shift();
+        }
+    }
+
+    _closeIncident(health: Types.BeaconHealth, timestamp: number): void {
+        const incident = health.incidents[health.incidents.length - 1];
+        if (!incident || incident.end !== null) return;
+        incident.end = timestamp;
+        incident.duration = timestamp - incident.start;
+    }
+
+    // Least-squares fit of the voltage samples, extrapolated to lowVoltage.
+    _updateTrend(record: BeaconRecord): void {
+        const health = record.health;
+        const samples = record.samples;
+        health.voltageTrend = null;
+        health.predictedLowBatteryAt = null;
+
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        if (!first || !last || samples.length < this._options.minTrendSamples) return;
+        if (last.timestamp <= first.timestamp) return;
+
+        const n = samples.length;
+        let sumT = 0, sumV = 0, sumTT = 0, sumTV = 0;
+        for (const s of samples) {
+            const t = s.timestamp - first.timestamp;
+            sumT += t;
+            sumV += s.voltage;
+            sumTT += t * t;
+            sumTV += t * s.voltage;
+        }
+        const denominator = n * sumTT - sumT * sumT;
+        if (denominator === 0) return;
+
+        // Volts per millisecond.
+        const slope = (n * sumTV - sumT * sumV) / denominator;
+        const intercept = (sumV - slope * sumT) / n;
+        health.voltageTrend = slope * 3600000;
+
+        if (slope < 0) {
+            const t = last.timestamp - first.timestamp;
+            const fitted = intercept + slope * t;
+            health.predictedLowBatteryAt = Math.round(
+                last.timestamp + (this._options.lowVoltage - fitted) / slope
+            );
+        }
+    }
+
+    _getIssues(health: Types.BeaconHealth, timestamp: number): Types.BeaconHealthIssue[] {
+        const { silenceTimeout, rangingTimeout, lowVoltage, predictionHorizon } = this._options;
+        const issues: Types.BeaconHealthIssue[] = [];
+
+        if (health.online === false) {
+            issues.push("offline");
+        } else {
+            if (timestamp - (health.lastSeenAt ?? health.trackedSince) > silenceTimeout) {
+                issues.push("stale");
+            }
+            if (rangingTimeout !== null &&
+                timestamp - (health.lastRangingAt ?? health.trackedSince) > rangingTimeout) {
+                issues.push("notRanging");
+            }
+        }
+
+        if (health.voltage !== null && !health.charging && (
+            health.voltage <= lowVoltage ||
+            (health.predictedLowBatteryAt !== null && health.predictedLowBatteryAt - timestamp <= predictionHorizon)
+        )) {
+            issues.push("lowBattery");
+        }
+        return issues;
+    }
+
+    _evaluate(record: BeaconRecord, timestamp: number): void {
+        const health = record.health;
+        const issues = this._getIssues(health, timestamp);
+        const previous = health.issues;
+        const addedIssues = issues.filter((i) => !previous.includes(i));
+        const removedIssues = previous.filter((i) => !issues.includes(i));
+        if (!addedIssues.length && !removedIssues.length) return;
+
+        const previousStatus = health.status;
+        health.issues = ISSUES.filter((i) => issues.includes(i));
+        health.status = issues.includes("offline") || issues.includes("stale")
+            ? "down"
+            : issues.length ? "degraded" : "healthy";
+
+        this._emitter.emit("change", {
+            deviceId: health.deviceId,
+            previousStatus,
+            status: health.status,
+            addedIssues,
+            removedIssues,
+            beacon: cloneHealth(health)
+        });
+    }
+}
@@ -0,0 +1,96 @@
+import { UsageError } from "../utils/exceptions.js";
+import * as Types from "../types.js";
+
+/**
+ * Parse command line arguments into positionals and options. Options are
+ * given as `--name value`, `--name=value` or, for the boolean options,
+ * `--name`. Everything after `--` is positional.
+ *
+ * @param {string[]} argv Arguments without the node and script paths.
+ * @param {string[]} booleans Names of the options without a value.
+ * @returns {Types.ParsedArgs}
+ */
+export function parseArgs(argv: string[], booleans: string[] = []): Types.ParsedArgs {
+    const positionals: string[] = [];
+    const options: { [name: string]: string | boolean } = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i] as string;
+        if (arg === "--") {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+        if (arg === "-h") {
+            options["help"] = true;
+            continue;
+        }
+        if (!arg.startsWith("--")) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const separator = arg.indexOf("=");
+        const name = arg.slice(2, separator < 0 ? undefined : separator);
+        if (!name) throw new UsageError(`Invalid option ${arg}`);
+
+        if (separator >= 0) {
+            options[name] = arg.slice(separator + 1);
+        } else if (booleans.includes(name)) {
+            options[name] = true;
+        } else {
+            const value = argv[++i];
+            if (value === undefined) throw new UsageError(`Option --${name} requires a value`);
+            options[name] = value;
+        }
+    }
+
+    return { positionals, options };
+}
+
+/**
+ * Get a string option.
+ *
+ * @param {Types.ParsedArgs} args
+ * @param {string} name
+ * @returns {string | null} Null if not given.
+ */
+export function getString(args: Types.ParsedArgs, name: string): string | null {
+    const value = args.options[name];
+    if (value === undefined) return null;
+    if (typeof value !== "string") throw new UsageError(`Option --${name} requires a value`);
+    return value;
+}
+
+/**
+ * Get a numeric option.
+ *
+ * @param {Types.ParsedArgs} args
+ * @param {string} name
+ * @returns {number | null} Null if not given.
+ */
+export function getNumber(args: Types.ParsedArgs, name: string): number | null {
+    const value = getString(args, name);
+    if (value === null) return null;
+    const number = Number(value);
+    if (value.trim() === "" || !Number.isFinite(number)) {
+        throw new UsageError(`Option --${name} must be a number`);
+    }
+    return number;
+}
+
+/**
+ * Get a comma separated list of device IDs.
+ *
+ * @param {Types.ParsedArgs} args
+ * @param {string} name
+ * @returns {number[] | null} Null if not given.
+ */
+export function getIdList(args: Types.ParsedArgs, name: string): number[] | null {
+    const value = getString(args, name);
+    if (value === null) return null;
+    const ids = value.split(",").map((v) => v.trim()).filter((v) => v).map(Number);
+    if (!ids.length || ids.some((id) => !Number.isInteger(id))) {
+        throw new UsageError(`Option --${name} must be a comma separated list of IDs`);
+    }
+    return ids;
+}
@@ -0,0 +1,261 @@
+import { EventChannel } from "../socket/eventhandler.js";
+import { EVENT_TYPES, DEFAULT_OPTIONS } from "../constants/constants.js";
+import { UsageError } from "../utils/exceptions.js";
+import { parseArgs, getString, getNumber, getIdList } from "./args.js";
+import { resolveProfile } from "./config.js";
+import { formatOutput } from "./output.js";
+import * as Types from "../types.js";
+
+/**
+ * Exit codes of the ncc command.
+ */
+export const EXIT_CODES = {
+    OK: 0,
+    // Cloud rejected the request or it timed out.
+    REQUEST_FAILED: 1,
+    // Invalid command, arguments or configuration.
+    USAGE: 2,
+    // Authentication or connection failed.
+    CONNECTION_FAILED: 3
+};
+
+const BOOLEAN_OPTIONS = ["help", "verbose", "alert-sound"];
+
+const USAGE = `Usage: ncc <command> [arguments] [options]
+
+Commands:
+  tail <EVENT_TYPE>                 Print events as JSON lines
+      --devices <ids>               Only these devices, comma separated
+      --beacons <ids>               Only these beacons, TWR_DATA only
+      --count <n>                   Exit after n events
+      --duration <seconds>          Exit after the duration
+  getTagState                       Get the state of the tags
+      --devices <ids>
+  getSite                           Get the site information
+  getLayout                         Get the layout
+      --minor-id <id>
+  getWorkflows                      Get the workflows
+  renameTag <deviceId> <name>       Rename a tag
+  resetTagTripmeter <deviceId>      Reset the tag's tripmeter
+  sendTagBuzzer                     Play the tags' buzzer and LED
+      --devices <ids>               Tags to play, all if not given
+      --buzzer-seconds <n>  --led-seconds <n>  --led-color <color>  --alert-sound
+  sendMessageRaw <action> [json]    Send a request with a JSON payload
+
+Options:
+  --client-id <id>       --client-secret <secret>    Credentials
+  --account <id>         --site <id>                 Site to connect to
+  --auth-origin <url>    --api-origin <url>          Cloud addresses
+  --profile <name>       --config <path>             Profile of the configuration file
+  --output json|table    Output format of the requests, json by default
+  --verbose              Log the connection to stderr
+  --help                 Show this help
+
+The credentials and site can also be given with the NCC_CLIENT_ID,
+NCC_CLIENT_SECRET, NCC_ACCOUNT, NCC_SITE, NCC_AUTH_ORIGIN and NCC_API_ORIGIN
+environment variables or a profile of ~/.ncc/config.json:
+  {"profiles": {"default": {"clientId": 1, "clientSecret": "...", "account": 1, "site": 1}}}
+`;
+
+// One-shot requests by command name.
+const REQUESTS: { [command: string]: (channel: EventChannel, args: Types.ParsedArgs) => Promise<unknown> } = {
+    getTagState: (channel, args) => channel.getTagState(getIdList(args, "devices")),
+    getSite: async (channel) => (await channel.getSite())?.payload ?? null,
+    getLayout: (channel, args) => channel.getLayout(getNumber(args, "minor-id")),
+    getWorkflows: (channel) => channel.getWorkflows(),
+    renameTag: async (channel, args) => {
+        const [deviceId, name] = getPositionals(args, ["deviceId", "name"]);
+        await channel.renameTag(parseDeviceId(deviceId as string), name as string);
+        return null;
+    },
+    resetTagTripmeter: async (channel, args) => {
+        const [deviceId] = getPositionals(args, ["deviceId"]);
+        await channel.resetTagTripmeter(parseDeviceId(deviceId as string));
+        return null;
+    },
+    sendTagBuzzer: async (channel, args) => {
+        const ledColor = getString(args, "led-color");
+        if (ledColor !== null && !["green", "red", "yellow"].includes(ledColor)) {
+            throw new UsageError("Option --led-color must be green, red or yellow");
+        }
+        const response = await channel.sendTagBuzzer({
+            devices: getIdList(args, "devices"),
+            alertSound: args.options["alert-sound"] === true ? true : null,
+            buzzerSeconds: getNumber(args, "buzzer-seconds"),
+            ledSeconds: getNumber(args, "led-seconds"),
+            buzzerOnInterval: null,
+            buzzerOffInterval: null,
+            ledColor: ledColor as Types.TagBuzzerRequest["ledColor"],
+            ledBlinkFrequency: null,
+            playWithDelay: null
+        });
+        return response?.payload ?? null;
+    },
+    sendMessageRaw: async (channel, args) => {
+        const [action] = getPositionals(args, ["action"]);
+        const json = args.positionals[1] ?? "{}";
+        let payload: unknown;
+        try {
+            payload = JSON.parse(json);
+        } catch (e) {
+            throw new UsageError(`Invalid JSON payload ${json}`);
+        }
+        const response = await channel.sendMessageRaw(action as string, payload as Types.Request);
+        return response?.payload ?? null;
+    }
+};
+
+// Get the required positionals after the command.
+function getPositionals(args: Types.ParsedArgs, names: string[]): string[] {
+    const values = args.positionals.slice(0, names.length);
+    if (values.length < names.length) {
+        throw new UsageError(`Missing ${names.slice(values.length).join(", ")}`);
+    }
+    return values;
+}
+
+function parseDeviceId(value: string): number {
+    const deviceId = Number(value);
+    if (!Number.isInteger(deviceId)) throw new UsageError(`Invalid device ID ${value}`);
+    return deviceId;
+}
+
+// Error as a single line of text.
+function describeError(e: unknown): string {
+    if (e instanceof Error) return e.message;
+    return typeof e === "string" ? e : JSON.stringify(e);
+}
+
+// Logger that writes the connection log to stderr with --verbose.
+function createLogger(io: Types.CliIO): Types.ConsoleLogger {
+    const write = (level: string) => (msg: string) => io.stderr(`[${level}] ${msg}\n`);
+    return {
+        log: write("info"),
+        warn: write("warn"),
+        error: write("error"),
+        exception: (msg: string, e: string | null) => io.stderr(`[error] ${msg} ${e ?? ""}\n`),
+        debug: write("debug")
+    };
+}
+
+/**
+ * Print events of a stream as JSON lines until the count or duration is
+ * reached, the command is interrupted or the connection closes.
+ */
+async function tail(channel: EventChannel, args: Types.ParsedArgs, io: Types.CliIO, closed: Promise<void>): Promise<number> {
+    const [eventName] = getPositionals(args, ["EVENT_TYPE"]);
+    const eventType = (EVENT_TYPES as { [name: string]: string })[eventName as string];
+    if (!eventType) {
+        throw new UsageError(`Unknown event type ${eventName}, use one of ${Object.keys(EVENT_TYPES).join(", ")}`);
+    }
+
+    const deviceIds = getIdList(args, "devices");
+    const beaconIds = getIdList(args, "beacons");
+    const count = getNumber(args, "count");
+    const duration = getNumber(args, "duration");
+    if (beaconIds && eventType !== EVENT_TYPES.TWR_DATA) {
+        throw new UsageError("Option --beacons is only supported with TWR_DATA");
+    }
+    const filter: Types.MessageFilter | Types.TwrDataFilter = eventType === EVENT_TYPES.TWR_DATA
+        ? { deviceIds: null, tagDeviceIds: deviceIds, beaconDeviceIds: beaconIds }
+        : { deviceIds };
+
+    let received = 0;
+    let done: (code: number) => void = () => {};
+    const finished = new Promise<number>((resolve) => { done = resolve; });
+
+    // The connection isn't reopened, no more events will come.
+    let ended = false;
+    closed.then(() => {
+        if (ended) return;
+        io.stderr("Connection closed\n");
+        done(EXIT_CODES.CONNECTION_FAILED);
+    });
+
+    await channel.register(eventType, filter, (err, payload) => {
+        if (err) {
+            io.stderr(`${err}\n`);
+            done(EXIT_CODES.REQUEST_FAILED);
+            return;
+        }
+        if (count !== null && received >= count) return;
+        received++;
+        io.stdout(JSON.stringify({ timestamp: Date.now(), eventType: eventName, payload }) + "\n");
+        if (count !== null && received >= count) done(EXIT_CODES.OK);
+    });
+
+    const timer = duration !== null ? setTimeout(() => done(EXIT_CODES.OK), duration * 1000) : null;
+    const removeInterrupt = io.onInterrupt ? io.onInterrupt(() => done(EXIT_CODES.OK)) : null;
+    try {
+        return await finished;
+    } finally {
+        ended = true;
+        if (timer !== null) clearTimeout(timer);
+        if (removeInterrupt) removeInterrupt();
+    }
+}
+
+/**
+ * Run the ncc command.
+ *
+ * @param {string[]} argv Arguments without the node and script paths.
+ * @param {Types.CliIO} io Output streams, environment and file access.
+ * @returns {Promise<number>} Exit code, see EXIT_CODES.
+ */
+export async function run(argv: string[], io: Types.CliIO): Promise<number> {
+    let args: Types.ParsedArgs;
+    let profile: Types.CliProfile;
+    let command: string;
+    let format: "json" | "table";
+    try {
+        args = parseArgs(argv, BOOLEAN_OPTIONS);
+        if (args.options["help"] || !args.positionals.length) {
+            (args.options["help"] ? io.stdout : io.stderr)(USAGE);
+            return args.options["help"] ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+        }
+
+        command = args.positionals.shift() as string;
+        if (command !== "tail" && !REQUESTS[command]) {
+            throw new UsageError(`Unknown command ${command}`);
+        }
+        const output = getString(args, "output") ?? "json";
+        if (output !== "json" && output !== "table") {
+            throw new UsageError("Option --output must be json or table");
+        }
+        format = output;
+        profile = await resolveProfile(args, io);
+    } catch (e) {
+        io.stderr(`${describeError(e)}\n`);
+        return e instanceof UsageError ? EXIT_CODES.USAGE : EXIT_CODES.REQUEST_FAILED;
+    }
+
+    let onClose: () => void = () => {};
+    const closed = new Promise<void>((resolve) => { onClose = resolve; });
+    const channel = new EventChannel(profile.account, profile.site, {
+        ...DEFAULT_OPTIONS,
+        loggers: (args.options["verbose"] ? [createLogger(io)] : []) as Types.UserOptions["loggers"],
+        reopenBrokenConnection: false,
+        onClose: () => onClose()
+    }, profile.apiOrigin);
+
+    try {
+        try {
+            await channel.connect(profile.clientId, profile.clientSecret, profile.authOrigin);
+        } catch (e) {
+            io.stderr(`Failed to connect: ${describeError(e)}\n`);
+            return EXIT_CODES.CONNECTION_FAILED;
+        }
+
+        if (command === "tail") return await tail(channel, args, io, closed);
+
+        const request = REQUESTS[command] as (channel: EventChannel, args: Types.ParsedArgs) => Promise<unknown>;
+        const response = await request(channel, args);
+        io.stdout(formatOutput(response, format));
+        return EXIT_CODES.OK;
+    } catch (e) {
+        io.stderr(`${describeError(e)}\n`);
+        return e instanceof UsageError ? EXIT_CODES.USAGE : EXIT_CODES.REQUEST_FAILED;
+    } finally {
+        await channel.close().catch(() => {});
+    }
+}
@@ -0,0 +1,109 @@
+import { DEFAULT_AUTH_ORIGIN, DEFAULT_API_HTTP_ORIGIN } from "../constants/paths.js";
+import { UsageError } from "../utils/exceptions.js";
+import { getString } from "./args.js";
+import * as Types from "../types.js";
+
+// Profile fields and their environment variables.
+const ENV_VARIABLES: { [field: string]: string } = {
+    clientId: "NCC_CLIENT_ID",
+    clientSecret: "NCC_CLIENT_SECRET",
+    account: "NCC_ACCOUNT",
+    site: "NCC_SITE",
+    authOrigin: "NCC_AUTH_ORIGIN",
+    apiOrigin: "NCC_API_ORIGIN"
+};
+
+// Profile fields and their command line options.
+const OPTION_NAMES: { [field: string]: string } = {
+    clientId: "client-id",
+    clientSecret: "client-secret",
+    account: "account",
+    site: "site",
+    authOrigin: "auth-origin",
+    apiOrigin: "api-origin"
+};
+
+/**
+ * Get the default path of the configuration file, ~/.ncc/config.json.
+ *
+ * @param {Object<string, string>} env Environment variables.
+ * @returns {string | null} Null if the home directory is unknown.
+ */
+export function getDefaultConfigPath(env: { [name: string]: string | undefined }): string | null {
+    const home = env["HOME"] || env["USERPROFILE"];
+    return home ? `${home}/.ncc/config.json` : null;
+}
+
+/**
+ * Resolve the credentials and site from the command line options, the
+ * environment variables and a profile of the configuration file, in that
+ * order of precedence.
+ *
+ * The configuration file is JSON with the profiles by name:
+ * `{"profiles": {"default": {"clientId": 1, "clientSecret": "...", ...}}}`.
+ *
+ * @param {Types.ParsedArgs} args Parsed command line.
+ * @param {Types.CliIO} io Environment and file access.
+ * @returns {Promise<Types.CliProfile>}
+ */
+export async function resolveProfile(args: Types.ParsedArgs, io: Types.CliIO): Promise<Types.CliProfile> {
+    const profileName = getString(args, "profile") || io.env["NCC_PROFILE"] || "default";
+    const explicitPath = getString(args, "config") || io.env["NCC_CONFIG"] || null;
+    const path = explicitPath || getDefaultConfigPath(io.env);
+
+    let profile: { [field: string]: unknown } = {};
+    if (path && io.readFile) {
+        let text: string | null = null;
+        try {
+            text = await io.readFile(path);
+        } catch (e) {
+            // Default file is optional.
+            if (explicitPath) throw new UsageError(`Can't read configuration file ${path}`);
+        }
+        if (text !== null) {
+            let config: any;
+            try {
+                config = JSON.parse(text);
+            } catch (e) {
+                throw new UsageError(`Invalid configuration file ${path}`);
+            }
+            const found = config?.profiles?.[profileName];
+            if (found && typeof found === "object") {
+                profile = found;
+            } else if (getString(args, "profile") || io.env["NCC_PROFILE"]) {
+                throw new UsageError(`Profile ${profileName} not found in ${path}`);
+            }
+        }
+    }
+
+    const get = (field: string): string | null => {
+        const value = getString(args, OPTION_NAMES[field] as string) ??
+            io.env[ENV_VARIABLES[field] as string] ??
+            profile[field];
+        return value === undefined || value === null || value === "" ? null : `${value}`;
+    };
+    const getId = (field: string): number => {
+        const value = get(field);
+        if (value === null) {
+            throw new UsageError(`Missing ${field}, use --${OPTION_NAMES[field]}, ${ENV_VARIABLES[field]} or a profile`);
+        }
+        const id = Number(value);
+        if (!Number.isInteger(id)) throw new UsageError(`Invalid ${field} ${value}`);
+        return id;
+    };
+
+    const clientId = getId("clientId");
+    const clientSecret = get("clientSecret");
+    if (clientSecret === null) {
+        throw new UsageError(`Missing clientSecret, use --client-secret, ${ENV_VARIABLES["clientSecret"]} or a profile`);
+    }
+
+    return {
+        clientId,
+        clientSecret,
+        account: getId("account"),
+        site: getId("site"),
+        authOrigin: get("authOrigin") || DEFAULT_AUTH_ORIGIN,
+        apiOrigin: get("apiOrigin") || DEFAULT_API_HTTP_ORIGIN
+    };
+}
@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+import { promises as fs } from "fs";
+import { run } from "./cli.js";
+
+run(process.argv.slice(2), {
+    stdout: (text) => process.stdout.write(text),
+    stderr: (text) => process.stderr.write(text),
+    env: process.env,
+    onInterrupt: (handler) => {
+        process.once("SIGINT", handler);
+        return () => process.removeListener("SIGINT", handler);
+    },
+    readFile: (path) => fs.readFile(path, "utf8")
+}).then((code) => {
+    process.exitCode = code;
+});
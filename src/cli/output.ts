@@ -0,0 +1,63 @@
+// Cell text of a value, objects are shown as JSON.
+function toCell(value: unknown): string {
+    if (value === null || value === undefined) return "";
+    if (typeof value === "object") return JSON.stringify(value);
+    return `${value}`;
+}
+
+/**
+ * Format a list or a dictionary of objects as a text table with a column for
+ * each field. Dictionaries get a key column first. Other values are shown as
+ * a single value column.
+ *
+ * @param {any} data
+ * @returns {string}
+ */
+export function formatTable(data: any): string {
+    let rows: { [column: string]: unknown }[];
+    let columns: string[] = [];
+
+    if (Array.isArray(data)) {
+        rows = data.map((item) => (item && typeof item === "object" && !Array.isArray(item) ? item : { value: item }));
+    } else if (data && typeof data === "object") {
+        const values = Object.keys(data).map((key) => data[key]);
+        if (values.length && values.every((v) => v && typeof v === "object" && !Array.isArray(v))) {
+            // Dictionary of objects, e.g. tags by device ID.
+            rows = Object.keys(data).map((key) => ({ key, ...data[key] }));
+            columns.push("key");
+        } else {
+            rows = [data];
+        }
+    } else {
+        rows = [{ value: data }];
+    }
+
+    for (const row of rows) {
+        for (const column of Object.keys(row)) {
+            if (!columns.includes(column)) columns.push(column);
+        }
+    }
+    if (!columns.length) return "";
+
+    const cells = rows.map((row) => columns.map((column) => toCell(row[column])));
+    const widths = columns.map((column, i) => Math.max(column.length, ...cells.map((r) => (r[i] as string).length)));
+    const line = (values: string[]) => values.map((v, i) => v.padEnd(widths[i] as number)).join("  ").replace(/\s+$/, "");
+
+    return [
+        line(columns),
+        line(widths.map((w) => "-".repeat(w))),
+        ...cells.map(line)
+    ].join("\n") + "\n";
+}
+
+/**
+ * Format a response for output.
+ *
+ * @param {any} data
+ * @param {"json" | "table"} format
+ * @returns {string}
+ */
+export function formatOutput(data: any, format: "json" | "table"): string {
+    if (format === "table") return formatTable(data);
+    return JSON.stringify(data === undefined ? null : data, null, 2) + "\n";
+}
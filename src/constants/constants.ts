@@ -50,9 +50,18 @@ export const DEFAULT_OPTIONS : UserOptions = {
     tokenRefreshFailureRetryTimeout: 60000,
     registrationAttemptsUntilIgnored: 50,
     waitForFailedReRegistration: 1000,
-    getWsAddress: null
+    getWsAddress: null,
+    createWebSocket: null,
+    frameRecorder: null,
+    livenessTimeout: null,
+    statsInterval: 60000,
+    outbox: null
 };
 
+// Days of alerts fetched for the initial alert state when no date ranges
+// are given.
+export const ALERT_STATE_DEFAULT_DAYS = 10;
+
 export const SOCKET_HANDLER_MISSING_ERROR =
     "Cannot send message, no authenticated connection available";
 
@@ -96,4 +105,14 @@ export const UUID_LENGTH = 6;
  * registration of event fails between attempts.
  * @prop {Function} [getWsAddress] - Custom callback for fetching the correct
  * endpoint address to connect to.
+ * @prop {Function} [createWebSocket] - Custom factory for the WebSocket, e.g.
+ * replay transport. Takes the address and returns a WebSocket-like object.
+ * @prop {Object} [frameRecorder] - Recorder that receives every raw frame
+ * sent and received through the socket.
+ * @prop {number} [livenessTimeout] - Time in ms without any received message,
+ * not even a ping, after which the connection is considered stale and reopened
+ * @prop {number} [statsInterval] - Interval in ms of the stats event, 0 to
+ * disable
+ * @prop {Object} [outbox] - Queue commands issued while disconnected and send
+ * them after reconnecting, with the expiry, maximum size and store of the queue
  */
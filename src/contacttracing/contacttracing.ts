@@ -0,0 +1,486 @@
+import { EventChannel } from "../socket/eventhandler.js";
+import { combineLoggers, consoleLogger } from "../utils/logging.js";
+import { TypedEmitter } from "../utils/emitter.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import * as Types from "../types.js";
+
+const DEFAULT_CONTACT_TRACING_OPTIONS: Types.ContactTracingOptions = {
+    mergeGap: 60 * 1000,
+    // Closer than 2 meters for 15 minutes.
+    rules: [{ level: null, minDuration: 15 * 60 * 1000, maxDistance: 2000 }],
+    loggers: [consoleLogger]
+};
+
+const DEFAULT_EXPOSURE_QUERY: Types.ExposureQuery = {
+    maxHops: 1,
+    start: null,
+    stop: null
+};
+
+// Exposure of a session by a rule.
+type RuleMatch = {
+    rule: Types.ExposureRule,
+    exposedAt: number,
+    duration: number,
+    closestDistance: number | null
+};
+
+const getPairKey = (tag1: number, tag2: number) => `${tag1}:${tag2}`;
+
+/**
+ * Normalize a contact from history or live updates, null if it's invalid.
+ *
+ * @param {Types.ContactTracingUpdateItem} item
+ * @returns {Types.ContactRecord | null}
+ */
+export function toContactRecord(item: Types.ContactTracingUpdateItem): Types.ContactRecord | null {
+    if (!item || !Number.isFinite(item.tag1) || !Number.isFinite(item.tag2) || item.tag1 === item.tag2) {
+        return null;
+    }
+    if (!Number.isFinite(item.start)) return null;
+
+    // Stop of an ongoing contact may be missing, use the duration so far.
+    const stop = Number.isFinite(item.stop) && item.stop >= item.start
+        ? item.stop
+        : item.start + (Number.isFinite(item.duration) ? Math.max(0, item.duration) : 0);
+
+    return {
+        tag1: Math.min(item.tag1, item.tag2),
+        tag2: Math.max(item.tag1, item.tag2),
+        start: item.start,
+        stop,
+        distance: Number.isFinite(item.distance) ? item.distance : null,
+        beacon: item.beacon ?? null,
+        level: `${item.level ?? ""}`,
+        source: `${item.source ?? ""}`
+    };
+}
+
+/**
+ * Time covered by the intervals, overlaps counted once, and the time when
+ * the covered time reaches the threshold.
+ */
+function getCoverage(intervals: [number, number][], threshold: number): { duration: number, reachedAt: number | null } {
+    const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+    let duration = 0;
+    let reachedAt: number | null = null;
+    let end = -Infinity;
+
+    for (const [start, stop] of sorted) {
+        const from = Math.max(start, end);
+        if (stop < from) continue;
+        if (reachedAt === null && duration + (stop - from) >= threshold) {
+            reachedAt = from + (threshold - duration);
+        }
+        duration += stop - from;
+        end = stop;
+    }
+    return { duration, reachedAt };
+}
+
+/**
+ * Merges contact tracing history and live updates into contact sessions per
+ * tag pair and finds the tags exposed to an index tag.
+ *
+ * Contacts are deduplicated by the pair, start, level, source and beacon, so
+ * history overlapping the live stream and repeated updates of an ongoing
+ * contact are counted once. Contacts of a pair that overlap or are less than
+ * `mergeGap` apart form a session with the time in contact and the closest
+ * distance.
+ *
+ * A tag is exposed when the contacts matching an exposure rule, by level and
+ * distance, add up to the rule's minimum duration over all sessions of the
+ * pair in the time range, so short contacts repeated during the day count
+ * as well. Exposures are followed
+ * transitively: a tag exposed at some time exposes its contacts only after
+ * that time.
+ *
+ * @export
+ * @class ContactTracer
+ */
+export class ContactTracer {
+	public _options: Types.ContactTracingOptions;
+	public _logger: Types.ConsoleLogger;
+	public _emitter: TypedEmitter<Types.ContactTracingEvents>;
+	public _contacts: Map<string, Map<string, Types.ContactRecord>>;
+	public _pairsByDevice: Map<number, Set<string>>;
+	public _sessions: Map<string, Types.ContactSession[]>;
+	public _channel: EventChannel | null;
+	public _registration: string | null;
+
+    /**
+     * Creates an instance of ContactTracer.
+     *
+     * @param {Types.ContactTracingOptions} [options] Options that override defaults.
+     * @memberof ContactTracer
+     */
+    constructor(options: Partial<Types.ContactTracingOptions> | null = null) {
+        this._options = {
+            ...DEFAULT_CONTACT_TRACING_OPTIONS,
+            ...options
+        };
+        if (!(this._options.mergeGap >= 0)) throw new ArgumentException("mergeGap");
+        if (!Array.isArray(this._options.rules) ||
+            this._options.rules.some((r) => !r || !(r.minDuration >= 0))) {
+            throw new ArgumentException("rules");
+        }
+
+        this._logger = combineLoggers(this._options.loggers);
+
+        this._emitter = new TypedEmitter(this._logger);
+
+        // Contacts by their key, mapped by pair.
+        this._contacts = new Map();
+        this._pairsByDevice = new Map();
+
+        // Sessions of a pair, computed when needed.
+        this._sessions = new Map();
+
+        this._channel = null;
+        this._registration = null;
+    }
+
+    /**
+     * Add a listener for sessions that were created or extended by live
+     * updates.
+     *
+     * @param {"session"} event
+     * @param {(session: Types.ContactSession) => void} listener
+     * @returns {string} UUID that can be used to remove the listener.
+     * @memberof ContactTracer
+     */
+    on<K extends keyof Types.ContactTracingEvents>(event: K, listener: (payload: Types.ContactTracingEvents[K]) => void): string {
+        return this._emitter.on(event, listener);
+    }
+
+    /**
+     * Remove a listener added with on.
+     *
+     * @param {string} uuid
+     * @memberof ContactTracer
+     */
+    off(uuid: string): boolean {
+        return this._emitter.off(uuid);
+    }
+
+    /**
+     * Load contacts from the channel's contact tracing history.
+     *
+     * @param {EventChannel} channel Connected channel.
+     * @param {{deviceIds: number[] | null, start: number, stop: number | null}} query
+     * Tags and time range of the history.
+     * @memberof ContactTracer
+     */
+    async loadHistory(channel: EventChannel, query: { deviceIds?: number[] | null, start: number, stop?: number | null }): Promise<void> {
+        if (!channel || !(channel instanceof EventChannel)) {
+            throw new ArgumentException("channel");
+        }
+
+        const response: any = await channel.getContactTracingHistory(query);
+        const items = Array.isArray(response) ? response : response?.payload;
+        if (!Array.isArray(items)) throw Error("Unexpected contact tracing history response");
+        this.addContacts(items);
+    }
+
+    /**
+     * Merge the channel's live contact tracing updates, optionally loading
+     * history first.
+     *
+     * @param {EventChannel} channel Connected channel.
+     * @param {number[]} [deviceIds] Tags to trace, null for all.
+     * @param {number} [historyStart] Load history from this time.
+     * @memberof ContactTracer
+     */
+    async attach(channel: EventChannel, deviceIds: number[] | null = null, historyStart: number | null = null): Promise<void> {
+        if (!channel || !(channel instanceof EventChannel)) {
+            throw new ArgumentException("channel");
+        }
+        if (this._channel) throw Error("Contact tracer is already attached");
+
+        this._channel = channel;
+        try {
+            // Register first so that no contacts are missed, duplicates are merged.
+            this._registration = await channel.registerContactTracingUpdate((err, payload) => {
+                if (err) {
+                    this._logger.error(`Error in contact tracing stream: ${err}`);
+                    return;
+                }
+                for (const session of this.addContacts(payload)) {
+                    this._emitter.emit("session", session);
+                }
+            }, deviceIds);
+
+            if (historyStart !== null) {
+                await this.loadHistory(channel, { deviceIds, start: historyStart, stop: null });
+            }
+        } catch (e) {
+            await this.detach();
+            throw e;
+        }
+    }
+
+    /**
+     * Unregister from the channel. Contacts are kept.
+     *
+     * @memberof ContactTracer
+     */
+    async detach(): Promise<void> {
+        const channel = this._channel;
+        const registration = this._registration;
+        this._channel = null;
+        this._registration = null;
+
+        if (channel && registration) await channel.unregister(registration);
+    }
+
+    /**
+     * Add contacts from history or live updates.
+     *
+     * @param {Types.ContactTracingUpdateItem[]} items
+     * @returns {Types.ContactSession[]} Sessions the contacts belong to.
+     * @memberof ContactTracer
+     */
+    addContacts(items: Types.ContactTracingUpdateItem[]): Types.ContactSession[] {
+        if (!Array.isArray(items)) throw new ArgumentException("items");
+
+        const added: Types.ContactRecord[] = [];
+        for (const item of items) {
+            const record = toContactRecord(item);
+            if (!record) continue;
+
+            const pairKey = getPairKey(record.tag1, record.tag2);
+            let contacts = this._contacts.get(pairKey);
+            if (!contacts) {
+                contacts = new Map();
+                this._contacts.set(pairKey, contacts);
+                this._addPair(record.tag1, pairKey);
+                this._addPair(record.tag2, pairKey);
+            }
+
+            const key = `${record.start}:${record.level}:${record.source}:${record.beacon}`;
+            const existing = contacts.get(key);
+            if (existing) {
+                // Update of an ongoing contact.
+                existing.stop = Math.max(existing.stop, record.stop);
+                if (record.distance !== null) {
+                    existing.distance = existing.distance === null
+                        ? record.distance
+                        : Math.min(existing.distance, record.distance);
+                }
+                added.push(existing);
+            } else {
+                contacts.set(key, record);
+                added.push(record);
+            }
+            this._sessions.delete(pairKey);
+        }
+
+        const sessions = new Set<Types.ContactSession>();
+        for (const record of added) {
+            const session = this._getPairSessions(getPairKey(record.tag1, record.tag2))
+                .find((s) => s.contacts.includes(record));
+            if (session) sessions.add(session);
+        }
+        return Array.from(sessions);
+    }
+
+    /**
+     * Get the contact sessions, ordered by start.
+     *
+     * @param {{deviceId: number | null, start: number | null, stop: number | null}} [query]
+     * Sessions of a tag and overlapping the time range, all by default.
+     * @returns {Types.ContactSession[]}
+     * @memberof ContactTracer
+     */
+    getSessions(query: { deviceId?: number | null, start?: number | null, stop?: number | null } | null = null): Types.ContactSession[] {
+        const deviceId = query?.deviceId ?? null;
+        const start = query?.start ?? -Infinity;
+        const stop = query?.stop ?? Infinity;
+
+        const pairKeys = deviceId === null
+            ? Array.from(this._contacts.keys())
+            : Array.from(this._pairsByDevice.get(deviceId) || []);
+
+        const sessions: Types.ContactSession[] = [];
+        for (const pairKey of pairKeys) {
+            for (const session of this._getPairSessions(pairKey)) {
+                if (session.stop >= start && session.start <= stop) sessions.push(session);
+            }
+        }
+        return sessions.sort((a, b) => a.start - b.start || a.tag1 - b.tag1 || a.tag2 - b.tag2);
+    }
+
+    /**
+     * Find the tags exposed to the index tag, directly or through chains of
+     * exposed tags up to maxHops long.
+     *
+     * @param {number} indexDeviceId Device ID of the index tag.
+     * @param {Types.ExposureQuery} [query] Hops and the time range.
+     * @returns {Types.ContactExposure[]} Exposed tags ordered by hops and
+     * time, each with the shortest chain.
+     * @memberof ContactTracer
+     */
+    getExposures(indexDeviceId: number, query: Partial<Types.ExposureQuery> | null = null): Types.ContactExposure[] {
+        if (!Number.isFinite(indexDeviceId)) throw new ArgumentException("indexDeviceId");
+        const { maxHops, start, stop }: Types.ExposureQuery = {
+            ...DEFAULT_EXPOSURE_QUERY,
+            ...query
+        };
+        if (!(maxHops >= 1)) throw new ArgumentException("maxHops");
+
+        const exposures = new Map<number, Types.ContactExposure>();
+        let frontier = [{ deviceId: indexDeviceId, exposedAt: start ?? -Infinity, path: [indexDeviceId] }];
+
+        for (let hops = 1; hops <= maxHops && frontier.length; hops++) {
+            const candidates = new Map<number, Types.ContactExposure>();
+            for (const source of frontier) {
+                // Sessions of each pair, contact time adds up over them.
+                const sessionsByDevice = new Map<number, Types.ContactSession[]>();
+                for (const session of this.getSessions({ deviceId: source.deviceId, start: source.exposedAt, stop })) {
+                    const deviceId = session.tag1 === source.deviceId ? session.tag2 : session.tag1;
+                    if (deviceId === indexDeviceId || exposures.has(deviceId)) continue;
+
+                    const sessions = sessionsByDevice.get(deviceId);
+                    if (sessions) sessions.push(session);
+                    else sessionsByDevice.set(deviceId, [session]);
+                }
+
+                sessionsByDevice.forEach((sessions, deviceId) => {
+                    const contacts: Types.ContactRecord[] = [];
+                    for (const session of sessions) contacts.push(...session.contacts);
+
+                    const match = this._matchRules(contacts, source.exposedAt, stop ?? Infinity);
+                    const candidate = candidates.get(deviceId);
+                    if (!match || (candidate && candidate.exposedAt <= match.exposedAt)) return;
+
+                    candidates.set(deviceId, {
+                        deviceId,
+                        hops,
+                        sourceDeviceId: source.deviceId,
+                        path: [...source.path, deviceId],
+                        ...match,
+                        // Sessions are ordered, the exposure is reached in the first one not over.
+                        session: sessions.find((s) => s.stop >= match.exposedAt) as Types.ContactSession
+                    });
+                });
+            }
+
+            candidates.forEach((exposure, deviceId) => exposures.set(deviceId, exposure));
+            frontier = Array.from(candidates.values());
+        }
+
+        return Array.from(exposures.values())
+            .sort((a, b) => a.hops - b.hops || a.exposedAt - b.exposedAt);
+    }
+
+    /**
+     * Create an exposure report of the index tag for export.
+     *
+     * @see {@link ContactTracer#getExposures}
+     * @returns {Types.ExposureReport}
+     * @memberof ContactTracer
+     */
+    getExposureReport(indexDeviceId: number, query: Partial<Types.ExposureQuery> | null = null): Types.ExposureReport {
+        const { maxHops, start, stop }: Types.ExposureQuery = {
+            ...DEFAULT_EXPOSURE_QUERY,
+            ...query
+        };
+        return {
+            indexDeviceId,
+            generatedAt: Date.now(),
+            start,
+            stop,
+            maxHops,
+            rules: this._options.rules.map((r) => ({ ...r })),
+            exposures: this.getExposures(indexDeviceId, { maxHops, start, stop })
+        };
+    }
+
+    /**
+     * Remove all contacts.
+     *
+     * @memberof ContactTracer
+     */
+    clear(): void {
+        this._contacts.clear();
+        this._pairsByDevice.clear();
+        this._sessions.clear();
+    }
+
+    _addPair(deviceId: number, pairKey: string): void {
+        let pairs = this._pairsByDevice.get(deviceId);
+        if (!pairs) {
+            pairs = new Set();
+            this._pairsByDevice.set(deviceId, pairs);
+        }
+        pairs.add(pairKey);
+    }
+
+    _getPairSessions(pairKey: string): Types.ContactSession[] {
+        const cached = this._sessions.get(pairKey);
+        if (cached) return cached;
+
+        const contacts = Array.from(this._contacts.get(pairKey)?.values() || [])
+            .sort((a, b) => a.start - b.start || a.stop - b.stop);
+
+        const sessions: Types.ContactSession[] = [];
+        let session: Types.ContactSession | null = null;
+        for (const contact of contacts) {
+            if (!session || contact.start > session.stop + this._options.mergeGap) {
+                session = {
+                    tag1: contact.tag1,
+                    tag2: contact.tag2,
+                    start: contact.start,
+                    stop: contact.stop,
+                    duration: 0,
+                    closestDistance: null,
+                    levels: [],
+                    contacts: []
+                };
+                sessions.push(session);
+            }
+
+            session.stop = Math.max(session.stop, contact.stop);
+            session.contacts.push(contact);
+            if (contact.distance !== null &&
+                (session.closestDistance === null || contact.distance < session.closestDistance)) {
+                session.closestDistance = contact.distance;
+            }
+            if (!session.levels.includes(contact.level)) session.levels.push(contact.level);
+        }
+        for (const s of sessions) {
+            s.duration = getCoverage(s.contacts.map((c) => [c.start, c.stop] as [number, number]), 0).duration;
+        }
+
+        this._sessions.set(pairKey, sessions);
+        return sessions;
+    }
+
+    // Earliest exposure by the rules to the contacts of a pair within the
+    // time range.
+    _matchRules(pairContacts: Types.ContactRecord[], start: number, stop: number): RuleMatch | null {
+        let best: RuleMatch | null = null;
+        for (const rule of this._options.rules) {
+            const contacts = pairContacts.filter((c) =>
+                (rule.level === null || c.level === rule.level) &&
+                (rule.maxDistance === null || (c.distance !== null && c.distance <= rule.maxDistance)) &&
+                c.stop >= start && c.start <= stop);
+            if (!contacts.length) continue;
+
+            const { duration, reachedAt } = getCoverage(
+                contacts.map((c) => [Math.max(c.start, start), Math.min(c.stop, stop)] as [number, number]),
+                rule.minDuration
+            );
+            if (reachedAt === null || (best && best.exposedAt <= reachedAt)) continue;
+
+            const distances = contacts.map((c) => c.distance).filter((d): d is number => d !== null);
+            best = {
+                rule: { ...rule },
+                exposedAt: reachedAt,
+                duration,
+                closestDistance: distances.length ? Math.min(...distances) : null
+            };
+        }
+        return best;
+    }
+}
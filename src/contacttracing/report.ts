@@ -0,0 +1,89 @@
+import * as Types from "../types.js";
+
+type CsvValue = string | number | null | undefined;
+
+// Quote values containing separators, quotes or line breaks, RFC 4180.
+function toCsvValue(value: CsvValue): string {
+    if (value === null || value === undefined) return "";
+    const text = `${value}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header: string[], rows: CsvValue[][]): string {
+    return [header, ...rows].map((row) => row.map(toCsvValue).join(",")).join("\r\n") + "\r\n";
+}
+
+const toIsoString = (timestamp: number | null) => Number.isFinite(timestamp)
+    ? new Date(timestamp as number).toISOString()
+    : null;
+
+/**
+ * Export contact sessions as CSV, one row per session.
+ *
+ * @param {Types.ContactSession[]} sessions Sessions from
+ * ContactTracer.getSessions.
+ * @returns {string}
+ */
+export function sessionsToCsv(sessions: Types.ContactSession[]): string {
+    return toCsv(
+        ["tag1", "tag2", "start", "stop", "duration", "closestDistance", "levels", "contacts"],
+        sessions.map((s) => [
+            s.tag1,
+            s.tag2,
+            toIsoString(s.start),
+            toIsoString(s.stop),
+            s.duration,
+            s.closestDistance,
+            s.levels.join(";"),
+            s.contacts.length
+        ])
+    );
+}
+
+/**
+ * Export the exposures of a report as CSV, one row per exposed tag.
+ *
+ * @param {Types.ExposureReport} report Report from
+ * ContactTracer.getExposureReport.
+ * @returns {string}
+ */
+export function exposureReportToCsv(report: Types.ExposureReport): string {
+    return toCsv(
+        [
+            "indexDeviceId", "deviceId", "hops", "sourceDeviceId", "path", "exposedAt",
+            "duration", "closestDistance", "ruleLevel", "sessionStart", "sessionStop"
+        ],
+        report.exposures.map((e) => [
+            report.indexDeviceId,
+            e.deviceId,
+            e.hops,
+            e.sourceDeviceId,
+            e.path.join(">"),
+            toIsoString(e.exposedAt),
+            e.duration,
+            e.closestDistance,
+            e.rule.level,
+            toIsoString(e.session.start),
+            toIsoString(e.session.stop)
+        ])
+    );
+}
+
+/**
+ * Export a report as JSON. Sessions of the exposures are included without
+ * their individual contacts unless requested.
+ *
+ * @param {Types.ExposureReport} report Report from
+ * ContactTracer.getExposureReport.
+ * @param {boolean} [includeContacts] Include the contacts of the sessions.
+ * @returns {string}
+ */
+export function exposureReportToJson(report: Types.ExposureReport, includeContacts: boolean = false): string {
+    return JSON.stringify({
+        ...report,
+        exposures: report.exposures.map((e) => ({
+            ...e,
+            session: includeContacts ? e.session : { ...e.session, contacts: undefined }
+        }))
+    }, null, 2);
+}
@@ -0,0 +1,116 @@
+import { promises as fsPromises } from "fs";
+import { ArgumentException } from "../utils/exceptions.js";
+import { writeJsonFile } from "../utils/files.js";
+import * as Types from "../types.js";
+
+// NodeJS only sink and spool persistence for the event forwarder.
+
+export const DEFAULT_NDJSON_FILE_SINK_OPTIONS: Types.NdjsonFileSinkOptions = {
+    name: "file",
+    maxBytes: 10 * 1024 * 1024,
+    maxFiles: 5
+};
+
+// Size of the file, 0 if it doesn't exist.
+async function getFileSize(path: string): Promise<number> {
+    try {
+        return (await fsPromises.stat(path)).size;
+    } catch (e: any) {
+        if (e && e.code === "ENOENT") return 0;
+        throw e;
+    }
+}
+
+async function renameIfExists(from: string, to: string): Promise<void> {
+    try {
+        await fsPromises.rename(from, to);
+    } catch (e: any) {
+        if (!e || e.code !== "ENOENT") throw e;
+    }
+}
+
+/**
+ * Create a sink that appends events to a newline-delimited JSON file.
+ *
+ * When the file would grow over `maxBytes` it's renamed to path.1, the
+ * previous path.1 to path.2 and so on, keeping `maxFiles` rotated files.
+ *
+ * @param {string} path Path to the file.
+ * @param {Types.NdjsonFileSinkOptions} [options] Name and rotation.
+ * @returns {Types.EventSink}
+ */
+export function createNdjsonFileSink(path: string, options: Partial<Types.NdjsonFileSinkOptions> | null = null): Types.EventSink {
+    if (!path || typeof path !== "string") throw new ArgumentException("path");
+    const sinkOptions: Types.NdjsonFileSinkOptions = {
+        ...DEFAULT_NDJSON_FILE_SINK_OPTIONS,
+        ...options
+    };
+    if (!(sinkOptions.maxBytes > 0)) throw new ArgumentException("maxBytes");
+    if (!(sinkOptions.maxFiles >= 0)) throw new ArgumentException("maxFiles");
+    const { maxBytes, maxFiles } = sinkOptions;
+
+    // Unknown until the first write.
+    let size: number | null = null;
+
+    const rotate = async () => {
+        if (maxFiles > 0) {
+            for (let i = maxFiles - 1; i >= 1; i--) {
+                await renameIfExists(`${path}.${i}`, `${path}.${i + 1}`);
+            }
+            await renameIfExists(path, `${path}.1`);
+        } else {
+            await fsPromises.unlink(path).catch(() => {});
+        }
+        size = 0;
+    };
+
+    return {
+        name: sinkOptions.name,
+        async send(events: Types.ForwardedEvent[]): Promise<void> {
+            if (size === null) size = await getFileSize(path);
+
+            // Split the batch where the file is rotated.
+            let chunk = "";
+            for (const event of events) {
+                const line = JSON.stringify(event) + "\n";
+                const bytes = Buffer.byteLength(line);
+                const chunkBytes = Buffer.byteLength(chunk);
+                if (size + chunkBytes + bytes > maxBytes && size + chunkBytes > 0) {
+                    if (chunk) await fsPromises.appendFile(path, chunk, "utf8");
+                    chunk = "";
+                    await rotate();
+                }
+                chunk += line;
+            }
+            if (chunk) {
+                await fsPromises.appendFile(path, chunk, "utf8");
+                size += Buffer.byteLength(chunk);
+            }
+        }
+    };
+}
+
+/**
+ * Create a spool store that keeps the undelivered events in a JSON file.
+ *
+ * @param {string} path Path to the file, created when the first event is
+ * spooled.
+ * @returns {Types.SpoolStore}
+ */
+export function createFileSpoolStore(path: string): Types.SpoolStore {
+    return {
+        async load(): Promise<{ [sink: string]: Types.ForwardedEvent[] }> {
+            let json: string;
+            try {
+                json = await fsPromises.readFile(path, "utf8");
+            } catch (e: any) {
+                if (e && e.code === "ENOENT") return {};
+                throw e;
+            }
+            return JSON.parse(json);
+        },
+        async save(spool: { [sink: string]: Types.ForwardedEvent[] }): Promise<void> {
+            await writeJsonFile(path, spool);
+        }
+    };
+}
@@ -0,0 +1,488 @@
+import { EventChannel } from "../socket/eventhandler.js";
+import { combineLoggers, consoleLogger } from "../utils/logging.js";
+import { TypedEmitter } from "../utils/emitter.js";
+import { ArgumentException, HttpError } from "../utils/exceptions.js";
+import { getUniqueId } from "../utils/utils.js";
+import * as Types from "../types.js";
+
+export const DEFAULT_EVENT_FORWARDER_OPTIONS: Types.EventForwarderOptions = {
+    splitByDevice: true,
+    maxSpoolSize: 10000,
+    retryIntervalMin: 1000,
+    retryIntervalMax: 60000,
+    store: null,
+    loggers: [consoleLogger]
+};
+
+export const DEFAULT_SINK_OPTIONS: Types.SinkOptions = {
+    eventTypes: null,
+    transform: null,
+    batchSize: 100,
+    batchInterval: 1000
+};
+
+type SinkQueue = {
+    sink: Types.EventSink,
+    options: Types.SinkOptions,
+    events: Types.ForwardedEvent[],
+    sending: Promise<boolean> | null,
+    batchTimeout: ReturnType<typeof setTimeout> | null,
+    retryTimeout: ReturnType<typeof setTimeout> | null,
+    attempts: number
+};
+
+// Client errors other than timeout and rate limit fail again on retry.
+function isPermanentFailure(error: unknown): boolean {
+    return error instanceof HttpError && error.status >= 400 && error.status < 500 &&
+        error.status !== 408 && error.status !== 429;
+}
+
+// Dictionary keyed by device IDs, e.g. LOCATION_UPDATE.
+function isDeviceDictionary(payload: any): boolean {
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) return false;
+    const keys = Object.keys(payload);
+    return keys.length > 0 && keys.every((key) => /^\d+$/.test(key));
+}
+
+/**
+ * Forwards events from EventChannel streams to sinks, e.g. webhooks, an MQTT
+ * broker or files.
+ *
+ * Every sink has its own spool of undelivered events. Events are removed
+ * from the spool only after the sink has delivered them, failed batches are
+ * retried with an increasing interval, so delivery is at-least-once. Batches
+ * rejected with a 4xx response other than 408 and 429 would fail again and
+ * are dropped with a "dropped" event, so they don't block the spool. With a
+ * store the spool survives restarts. A sink can pick the event types it gets
+ * and transform or skip events.
+ *
+ * @export
+ * @class EventForwarder
+ */
+export class EventForwarder {
+	public _options: Types.EventForwarderOptions;
+	public _logger: Types.ConsoleLogger;
+	public _emitter: TypedEmitter<Types.EventForwarderEvents>;
+	public _queues: Map<string, SinkQueue>;
+	public _loaded: { [sink: string]: Types.ForwardedEvent[] };
+	public _channel: EventChannel | null;
+	public _registrations: string[];
+	public _saving: Promise<void>;
+	public _savePending: boolean;
+	public _ready: Promise<void>;
+
+    /**
+     * Creates an instance of EventForwarder.
+     *
+     * @param {Types.EventForwarderOptions} [options] Options that override defaults.
+     * @memberof EventForwarder
+     */
+    constructor(options: Partial<Types.EventForwarderOptions> | null = null) {
+        this._options = {
+            ...DEFAULT_EVENT_FORWARDER_OPTIONS,
+            ...options
+        };
+        if (!(this._options.maxSpoolSize > 0)) throw new ArgumentException("maxSpoolSize");
+        if (!(this._options.retryIntervalMin > 0)) throw new ArgumentException("retryIntervalMin");
+        if (!(this._options.retryIntervalMax >= this._options.retryIntervalMin)) {
+            throw new ArgumentException("retryIntervalMax");
+        }
+
+        this._logger = combineLoggers(this._options.loggers);
+
+        this._emitter = new TypedEmitter(this._logger);
+        this._queues = new Map();
+        // Spooled events of sinks that haven't been added yet.
+        this._loaded = {};
+        this._channel = null;
+        this._registrations = [];
+        this._saving = Promise.resolve();
+        this._savePending = false;
+        this._ready = this._load();
+    }
+
+    /**
+     * Add a sink. Events spooled for a sink of the same name are delivered
+     * to it.
+     *
+     * @param {Types.EventSink} sink
+     * @param {Types.SinkOptions} [options] Event types, transformation and
+     * batching.
+     * @memberof EventForwarder
+     */
+    addSink(sink: Types.EventSink, options: Partial<Types.SinkOptions> | null = null): void {
+        if (!sink || !sink.name || typeof sink.send !== "function") {
+            throw new ArgumentException("sink");
+        }
+        if (this._queues.has(sink.name)) throw Error(`Sink ${sink.name} already exists`);
+
+        const sinkOptions: Types.SinkOptions = {
+            ...DEFAULT_SINK_OPTIONS,
+            ...options
+        };
+        if (!(sinkOptions.batchSize > 0)) throw new ArgumentException("batchSize");
+        if (!(sinkOptions.batchInterval >= 0)) throw new ArgumentException("batchInterval");
+
+        const queue: SinkQueue = {
+            sink,
+            options: sinkOptions,
+            events: this._loaded[sink.name] || [],
+            sending: null,
+            batchTimeout: null,
+            retryTimeout: null,
+            attempts: 0
+        };
+        delete this._loaded[sink.name];
+        this._queues.set(sink.name, queue);
+        if (queue.events.length) this._schedule(queue);
+    }
+
+    /**
+     * Remove a sink, its undelivered events are dropped.
+     *
+     * @param {string} name
+     * @returns {boolean} True if the sink existed.
+     * @memberof EventForwarder
+     */
+    removeSink(name: string): boolean {
+        const queue = this._queues.get(name);
+        if (!queue) return false;
+
+        this._clearTimeouts(queue);
+        this._queues.delete(name);
+        this._changed();
+        return true;
+    }
+
+    /**
+     * Add a listener for delivered, failed or dropped events.
+     *
+     * @param {"delivered" | "failed" | "dropped"} event
+     * @param {(event: Types.SinkDeliveryEvent) => void} listener
+     * @returns {string} UUID to remove the listener with.
+     * @memberof EventForwarder
+     */
+    on<K extends keyof Types.EventForwarderEvents>(event: K, listener: (payload: Types.EventForwarderEvents[K]) => void): string {
+        return this._emitter.on(event, listener);
+    }
+
+    /**
+     * Remove a listener added with on.
+     *
+     * @param {string} uuid
+     * @memberof EventForwarder
+     */
+    off(uuid: string): boolean {
+        return this._emitter.off(uuid);
+    }
+
+    /**
+     * Register to the channel's event streams and forward their updates.
+     *
+     * @param {EventChannel} channel Connected channel.
+     * @param {(string | Types.ForwarderSubscription)[]} subscriptions Event
+     * types from EVENT_TYPES, optionally with filters.
+     * @memberof EventForwarder
+     */
+    async attach(channel: EventChannel, subscriptions: (string | Types.ForwarderSubscription)[]): Promise<void> {
+        if (!channel || !(channel instanceof EventChannel)) {
+            throw new ArgumentException("channel");
+        }
+        if (!Array.isArray(subscriptions) || !subscriptions.length) {
+            throw new ArgumentException("subscriptions");
+        }
+        if (this._channel) throw Error("Event forwarder is already attached");
+
+        this._channel = channel;
+        const { account, site } = channel._connection;
+        try {
+            for (const subscription of subscriptions) {
+                const { eventType, filter } = typeof subscription === "string"
+                    ? { eventType: subscription, filter: null }
+                    : subscription;
+                const uuid = await channel.register(eventType, filter || { deviceIds: null }, (err, payload) => {
+                    if (err) {
+                        this._logger.error(`Error in ${eventType} stream: ${err}`);
+                        return;
+                    }
+                    this.publish(eventType, payload, account, site);
+                });
+                this._registrations.push(uuid);
+            }
+        } catch (e) {
+            await this.detach();
+            throw e;
+        }
+    }
+
+    /**
+     * Unregister from the channel. Spooled events are still delivered.
+     *
+     * @memberof EventForwarder
+     */
+    async detach(): Promise<void> {
+        const channel = this._channel;
+        const registrations = this._registrations;
+        this._channel = null;
+        this._registrations = [];
+
+        if (channel) {
+            for (const uuid of registrations) await channel.unregister(uuid);
+        }
+    }
+
+    /**
+     * Forward an update to the sinks of its event type.
+     *
+     * @param {string} eventType Event type from EVENT_TYPES.
+     * @param {any} payload
+     * @param {number} [account]
+     * @param {number} [site]
+     * @returns {Types.ForwardedEvent[]} Events created from the update.
+     * @memberof EventForwarder
+     */
+    publish(eventType: string, payload: any, account: number | null = null, site: number | null = null): Types.ForwardedEvent[] {
+        if (!eventType || typeof eventType !== "string") throw new ArgumentException("eventType");
+
+        const timestamp = Date.now();
+        const createEvent = (deviceId: number | null, eventPayload: any): Types.ForwardedEvent => ({
+            id: getUniqueId(true),
+            eventType,
+            account,
+            site,
+            deviceId,
+            timestamp,
+            payload: eventPayload
+        });
+        const events = this._options.splitByDevice && isDeviceDictionary(payload)
+            ? Object.keys(payload).map((key) => createEvent(Number(key), payload[key]))
+            : [createEvent(null, payload)];
+
+        this._queues.forEach((queue) => {
+            const { eventTypes, transform } = queue.options;
+            if (eventTypes && !eventTypes.includes(eventType)) return;
+
+            for (const event of events) {
+                let transformed: Types.ForwardedEvent | null = event;
+                if (transform) {
+                    try {
+                        transformed = transform({ ...event });
+                    } catch (e) {
+                        this._logger.exception(`Transform of sink ${queue.sink.name} failed`, `${e}`);
+                        transformed = null;
+                    }
+                }
+                if (transformed) queue.events.push(transformed);
+            }
+            this._trim(queue);
+            this._schedule(queue);
+        });
+        this._changed();
+
+        return events;
+    }
+
+    /**
+     * Deliver the spooled events now, without waiting for batches to fill
+     * or retries.
+     *
+     * @returns {Promise<boolean>} True if every sink's spool was emptied.
+     * @memberof EventForwarder
+     */
+    async flush(): Promise<boolean> {
+        await this._ready;
+
+        let delivered = true;
+        for (const queue of Array.from(this._queues.values())) {
+            this._clearTimeouts(queue);
+            while (queue.events.length) {
+                if (!await this._send(queue)) {
+                    delivered = false;
+                    break;
+                }
+            }
+        }
+        await this._saving;
+        return delivered;
+    }
+
+    /**
+     * Detach, try to deliver the spooled events and close the sinks.
+     * Undelivered events are kept in the store.
+     *
+     * @memberof EventForwarder
+     */
+    async close(): Promise<void> {
+        await this.detach();
+        await this.flush();
+
+        for (const queue of Array.from(this._queues.values())) {
+            this._clearTimeouts(queue);
+            try {
+                if (queue.sink.close) await queue.sink.close();
+            } catch (e) {
+                this._logger.exception(`Failed to close sink ${queue.sink.name}`, `${e}`);
+            }
+        }
+        this._queues.clear();
+        await this._saving;
+    }
+
+    /**
+     * Number of undelivered events of a sink or all sinks.
+     *
+     * @param {string} [sink] Name of the sink.
+     * @returns {number}
+     * @memberof EventForwarder
+     */
+    getSpoolSize(sink: string | null = null): number {
+        if (sink !== null) return this._queues.get(sink)?.events.length ?? 0;
+        let size = 0;
+        this._queues.forEach((queue) => { size += queue.events.length; });
+        return size;
+    }
+
+    // Send a full batch now, otherwise after the batch interval.
+    _schedule(queue: SinkQueue): void {
+        if (queue.sending || queue.retryTimeout !== null || !queue.events.length) return;
+
+        if (queue.events.length >= queue.options.batchSize) {
+            if (queue.batchTimeout !== null) clearTimeout(queue.batchTimeout);
+            queue.batchTimeout = null;
+            this._send(queue);
+        } else if (queue.batchTimeout === null) {
+            queue.batchTimeout = setTimeout(() => {
+                queue.batchTimeout = null;
+                this._send(queue);
+            }, queue.options.batchInterval);
+        }
+    }
+
+    // Send the next batch, resolves with false if the sink failed and the
+    // batch is retried.
+    _send(queue: SinkQueue): Promise<boolean> {
+        if (!queue.sending) {
+            queue.sending = this._sendBatch(queue).then((delivered) => {
+                queue.sending = null;
+                if (delivered && this._queues.get(queue.sink.name) === queue) this._schedule(queue);
+                return delivered;
+            });
+        }
+        return queue.sending;
+    }
+
+    async _sendBatch(queue: SinkQueue): Promise<boolean> {
+        await this._ready;
+
+        const batch = queue.events.slice(0, queue.options.batchSize);
+        if (!batch.length) return true;
+
+        try {
+            await queue.sink.send(batch);
+        } catch (e) {
+            queue.attempts++;
+            const error = e instanceof Error ? e.message : `${e}`;
+            if (isPermanentFailure(e)) {
+                this._logger.error(`Sink ${queue.sink.name} rejected ${batch.length} events, dropping them: ${error}`);
+                this._remove(queue, batch);
+                this._emitter.emit("dropped", { sink: queue.sink.name, events: batch, attempts: queue.attempts, error });
+                queue.attempts = 0;
+                return true;
+            }
+
+            const delay = Math.min(
+                this._options.retryIntervalMin * Math.pow(2, queue.attempts - 1),
+                this._options.retryIntervalMax
+            );
+            this._logger.warn(`Sink ${queue.sink.name} failed to deliver ${batch.length} events, retrying in ${delay} ms: ${error}`);
+            this._emitter.emit("failed", { sink: queue.sink.name, events: batch, attempts: queue.attempts, error });
+
+            if (queue.retryTimeout !== null) clearTimeout(queue.retryTimeout);
+            queue.retryTimeout = setTimeout(() => {
+                queue.retryTimeout = null;
+                this._send(queue);
+            }, delay);
+            return false;
+        }
+
+        this._remove(queue, batch);
+        queue.attempts = 0;
+        this._emitter.emit("delivered", { sink: queue.sink.name, events: batch, attempts: 0, error: null });
+        return true;
+    }
+
+    // Remove a sent batch from the spool. Oldest events may have been
+    // dropped while sending.
+    _remove(queue: SinkQueue, batch: Types.ForwardedEvent[]): void {
+        const sent = new Set(batch);
+        queue.events = queue.events.filter((event) => !sent.has(event));
+        this._changed();
+    }
+
+    // Drop the oldest events over the spool size.
+    _trim(queue: SinkQueue): void {
+        const excess = queue.events.length - this._options.maxSpoolSize;
+        if (excess <= 0) return;
+
+        const dropped = queue.events.splice(0, excess);
+        this._logger.warn(`Spool of sink ${queue.sink.name} is full, dropped ${dropped.length} events`);
+        this._emitter.emit("dropped", { sink: queue.sink.name, events: dropped, attempts: queue.attempts, error: null });
+    }
+
+    _clearTimeouts(queue: SinkQueue): void {
+        if (queue.batchTimeout !== null) clearTimeout(queue.batchTimeout);
+        if (queue.retryTimeout !== null) clearTimeout(queue.retryTimeout);
+        queue.batchTimeout = null;
+        queue.retryTimeout = null;
+    }
+
+    // Persist the spool. Changes are coalesced, at most one save waits for
+    // the one in progress and it writes the spool as it is when it starts.
+    _changed(): void {
+        const store = this._options.store;
+        if (!store || this._savePending) return;
+
+        this._savePending = true;
+        this._saving = this._saving
+            .then(() => {
+                this._savePending = false;
+                const spool: { [sink: string]: Types.ForwardedEvent[] } = { ...this._loaded };
+                this._queues.forEach((queue, name) => {
+                    if (queue.events.length) spool[name] = queue.events.slice();
+                });
+                return store.save(spool);
+            })
+            .catch((e: any) => {
+                this._logger.exception("Failed to persist spool", `${e}`);
+            });
+    }
+
+    async _load(): Promise<void> {
+        const store = this._options.store;
+        if (!store) return;
+
+        let spool: { [sink: string]: Types.ForwardedEvent[] } = {};
+        try {
+            spool = (await store.load()) || {};
+        } catch (e) {
+            this._logger.exception("Failed to load spool", `${e}`);
+            return;
+        }
+
+        for (const name of Object.keys(spool)) {
+            const events = spool[name];
+            if (!Array.isArray(events) || !events.length) continue;
+
+            const queue = this._queues.get(name);
+            if (queue) {
+                // Added before the spool was loaded, spooled events are older.
+                queue.events = events.concat(queue.events);
+                this._trim(queue);
+                this._schedule(queue);
+            } else {
+                this._loaded[name] = events;
+            }
+            this._logger.log(`Loaded ${events.length} spooled events of sink ${name}`);
+        }
+    }
+}
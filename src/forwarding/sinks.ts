@@ -0,0 +1,106 @@
+import { createHttpError, fetchWithTimeout } from "../http/httputils.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import * as Types from "../types.js";
+
+export const DEFAULT_WEBHOOK_SINK_OPTIONS: Types.WebhookSinkOptions = {
+    name: "webhook",
+    method: "POST",
+    headers: {},
+    timeout: 10000
+};
+
+export const DEFAULT_MQTT_SINK_OPTIONS: Types.MqttSinkOptions = {
+    name: "mqtt",
+    topic: "ncc/{site}/{eventType}/{deviceId}",
+    qos: 1,
+    retain: false
+};
+
+/**
+ * Fill a topic template with the event's fields, events without a device get
+ * "all" as {deviceId}.
+ *
+ * @param {string} template e.g. "ncc/{site}/tags/{deviceId}/location".
+ * @param {Types.ForwardedEvent} event
+ * @returns {string}
+ */
+export function formatTopic(template: string, event: Types.ForwardedEvent): string {
+    const values: { [name: string]: unknown } = {
+        account: event.account,
+        site: event.site,
+        eventType: event.eventType,
+        deviceId: event.deviceId ?? "all"
+    };
+    return template.replace(/\{(\w+)\}/g, (match, name: string) => {
+        const value = values[name];
+        return value === undefined ? match : `${value ?? ""}`;
+    });
+}
+
+/**
+ * Create a sink that posts each batch of events to a webhook as a JSON
+ * array. Responses other than 2xx fail the batch, it's retried by the
+ * forwarder unless the response is a 4xx other than 408 or 429.
+ *
+ * @param {string} url
+ * @param {Types.WebhookSinkOptions} [options] Name, method, headers and timeout.
+ * @returns {Types.EventSink}
+ */
+export function createWebhookSink(url: string, options: Partial<Types.WebhookSinkOptions> | null = null): Types.EventSink {
+    if (!url || !/^https?:\/\//.test(url)) throw new ArgumentException("url");
+    const sinkOptions: Types.WebhookSinkOptions = {
+        ...DEFAULT_WEBHOOK_SINK_OPTIONS,
+        ...options
+    };
+    if (!(sinkOptions.timeout > 0)) throw new ArgumentException("timeout");
+    const { method, timeout } = sinkOptions;
+
+    return {
+        name: sinkOptions.name,
+        async send(events: Types.ForwardedEvent[]): Promise<void> {
+            const response: Response = await fetchWithTimeout(method, url, {
+                method,
+                body: JSON.stringify(events),
+                headers: { "Content-Type": "application/json", ...sinkOptions.headers }
+            }, timeout);
+            if (!response.ok) throw await createHttpError(method, url, response);
+        }
+    };
+}
+
+/**
+ * Create a sink that publishes each event as a JSON message to an MQTT
+ * broker, with the topic from a template like
+ * "ncc/{site}/tags/{deviceId}/location".
+ *
+ * The client is not included, pass a connected client of e.g. MQTT.js. The
+ * batch fails if any of the messages isn't acknowledged.
+ *
+ * @param {Types.MqttClient} client
+ * @param {Types.MqttSinkOptions} [options] Name, topic, QoS and retain flag.
+ * @returns {Types.EventSink}
+ */
+export function createMqttSink(client: Types.MqttClient, options: Partial<Types.MqttSinkOptions> | null = null): Types.EventSink {
+    if (!client || typeof client.publish !== "function") throw new ArgumentException("client");
+    const sinkOptions: Types.MqttSinkOptions = {
+        ...DEFAULT_MQTT_SINK_OPTIONS,
+        ...options
+    };
+    const { topic, qos, retain } = sinkOptions;
+    if (!topic) throw new ArgumentException("topic");
+
+    const publish = (event: Types.ForwardedEvent) => new Promise<void>((resolve, reject) => {
+        const eventTopic = typeof topic === "function" ? topic(event) : formatTopic(topic, event);
+        client.publish(eventTopic, JSON.stringify(event), { qos, retain }, (error) => {
+            if (error) reject(error);
+            else resolve();
+        });
+    });
+
+    return {
+        name: sinkOptions.name,
+        async send(events: Types.ForwardedEvent[]): Promise<void> {
+            await Promise.all(events.map(publish));
+        }
+    };
+}
@@ -0,0 +1,159 @@
+import { getBoundingBox, getLayoutItemPolygon } from "../geofence/geometry.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import { GeoReference } from "./georeference.js";
+import * as Types from "../types.js";
+
+// Local z is relative to the floor, not an altitude, so it's left out.
+function toPosition(geoReference: GeoReference, point: Types.PolygonPoint): Types.GeoJsonPosition {
+    const { latitude, longitude } = geoReference.toWgs84(point);
+    return [longitude, latitude];
+}
+
+// Closed ring, counterclockwise as recommended by RFC 7946.
+function toRing(geoReference: GeoReference, points: Types.PolygonPoint[]): Types.GeoJsonPosition[] {
+    const ring = points.map((p) => toPosition(geoReference, p));
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[i] as Types.GeoJsonPosition;
+        const b = ring[j] as Types.GeoJsonPosition;
+        area += (a[0] - b[0]) * (a[1] + b[1]);
+    }
+    // Positive sum is clockwise.
+    if (area > 0) ring.reverse();
+    ring.push((ring[0] as Types.GeoJsonPosition).slice() as Types.GeoJsonPosition);
+    return ring;
+}
+
+function boxPolygon(box: { minX: number, minY: number, maxX: number, maxY: number }): Types.PolygonPoint[] {
+    return [
+        { x: box.minX, y: box.minY },
+        { x: box.maxX, y: box.minY },
+        { x: box.maxX, y: box.maxY },
+        { x: box.minX, y: box.maxY }
+    ];
+}
+
+/**
+ * Export the layout as a GeoJSON FeatureCollection.
+ *
+ * Every floor is a polygon covering the extent of its items, items with a
+ * polygon are polygons and other items, like beacons, are points at the
+ * center of their bounding box. Features have the kind ("floor" or "item"),
+ * IDs and names of the item, layer and floor as properties.
+ *
+ * @param {{floors: Types.LayoutFloor[]}} layout Layout from getLayout.
+ * @param {GeoReference} geoReference Anchor of the layout, e.g.
+ * GeoReference.fromLayout(layout).
+ * @returns {Types.GeoJsonFeatureCollection}
+ */
+export function layoutToGeoJson(layout: { floors: Types.LayoutFloor[] }, geoReference: GeoReference): Types.GeoJsonFeatureCollection {
+    if (!layout || !Array.isArray(layout.floors)) {
+        throw new ArgumentException("layout");
+    }
+    if (!(geoReference instanceof GeoReference)) {
+        throw new ArgumentException("geoReference");
+    }
+
+    const features: Types.GeoJsonFeature[] = [];
+    for (const floor of layout.floors) {
+        const floorProperties = { floorId: floor.id, floorName: floor.name };
+        const itemFeatures: Types.GeoJsonFeature[] = [];
+        const extent: Types.PolygonPoint[] = [];
+
+        for (const layer of floor.layers || []) {
+            for (const item of layer.items || []) {
+                const properties = {
+                    kind: "item",
+                    id: item.id,
+                    name: item.name,
+                    type: item.type,
+                    deviceId: item.deviceId ?? null,
+                    areaIds: item.areaIds || [],
+                    layerId: layer.id,
+                    layerName: layer.name,
+                    layerType: layer.type,
+                    ...floorProperties
+                };
+
+                const polygon = getLayoutItemPolygon(item);
+                if (polygon.length >= 3) {
+                    extent.push(...polygon);
+                    itemFeatures.push({
+                        type: "Feature",
+                        id: item.id,
+                        geometry: { type: "Polygon", coordinates: [toRing(geoReference, polygon)] },
+                        properties
+                    });
+                } else if (Number.isFinite(item.minX) && Number.isFinite(item.maxX)) {
+                    const center = {
+                        x: item.minX + (item.maxX - item.minX) / 2,
+                        y: item.minY + (item.maxY - item.minY) / 2
+                    };
+                    extent.push(center);
+                    itemFeatures.push({
+                        type: "Feature",
+                        id: item.id,
+                        geometry: { type: "Point", coordinates: toPosition(geoReference, center) },
+                        properties: { ...properties, z: item.z ?? null, radius: item.radius ?? null }
+                    });
+                }
+            }
+        }
+
+        if (extent.length) {
+            features.push({
+                type: "Feature",
+                id: `floor:${floor.id}`,
+                geometry: {
+                    type: "Polygon",
+                    coordinates: [toRing(geoReference, boxPolygon(getBoundingBox(extent)))]
+                },
+                properties: { kind: "floor", ...floorProperties }
+            });
+        }
+        features.push(...itemFeatures);
+    }
+
+    return { type: "FeatureCollection", features };
+}
+
+/**
+ * Export device positions as a GeoJSON FeatureCollection of points, with the
+ * device ID, z, floor, timestamp and uncertainty as properties.
+ *
+ * @param {Object<string, Types.LocalPosition>} positions Positions by device
+ * ID, e.g. a location update or the tags of SiteStateStore.
+ * @param {GeoReference} geoReference Anchor of the layout.
+ * @returns {Types.GeoJsonFeatureCollection}
+ */
+export function positionsToGeoJson(positions: { [deviceId: string]: Types.LocalPosition }, geoReference: GeoReference): Types.GeoJsonFeatureCollection {
+    if (!positions || typeof positions !== "object") {
+        throw new ArgumentException("positions");
+    }
+    if (!(geoReference instanceof GeoReference)) {
+        throw new ArgumentException("geoReference");
+    }
+
+    const features: Types.GeoJsonFeature[] = [];
+    for (const [deviceId, position] of Object.entries(positions)) {
+        if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.y)) continue;
+
+        features.push({
+            type: "Feature",
+            id: +deviceId,
+            geometry: {
+                type: "Point",
+                coordinates: toPosition(geoReference, position)
+            },
+            properties: {
+                deviceId: +deviceId,
+                z: position.z ?? null,
+                floorId: position.floorId ?? null,
+                timestamp: position.timestamp ?? null,
+                uncertaintyDistance: position.uncertaintyDistance ?? null
+            }
+        });
+    }
+
+    return { type: "FeatureCollection", features };
+}
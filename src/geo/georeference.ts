@@ -0,0 +1,141 @@
+import { ArgumentException } from "../utils/exceptions.js";
+import * as Types from "../types.js";
+
+export const DEFAULT_GEO_REFERENCE_OPTIONS: Types.GeoReferenceOptions = {
+    unitsPerMeter: 1000,
+    invertY: false
+};
+
+// WGS84 ellipsoid.
+const SEMI_MAJOR_AXIS = 6378137;
+const FLATTENING = 1 / 298.257223563;
+const ECCENTRICITY_SQUARED = FLATTENING * (2 - FLATTENING);
+
+const toRadians = (degrees: number) => degrees * Math.PI / 180;
+const toDegrees = (radians: number) => radians * 180 / Math.PI;
+
+/**
+ * Converts between local site coordinates and WGS84 latitude and longitude
+ * using the layout's anchor.
+ *
+ * The layout origin is at the anchor's latitude and longitude and the local
+ * Y axis points to the anchor's azimuth angle. Positions are projected on the
+ * plane tangent to the ellipsoid at the anchor, which is accurate to
+ * centimetres within a few kilometres of it.
+ *
+ * @export
+ * @class GeoReference
+ */
+export class GeoReference {
+	public _anchor: Types.GeoAnchor;
+	public _options: Types.GeoReferenceOptions;
+	public _sin: number;
+	public _cos: number;
+	// Meters in a radian of latitude and longitude at the anchor.
+	public _meridionalRadius: number;
+	public _parallelRadius: number;
+
+    /**
+     * Creates an instance of GeoReference.
+     *
+     * @param {Types.GeoAnchor} anchor Latitude and longitude of the origin and
+     * azimuth of the Y axis.
+     * @param {Types.GeoReferenceOptions} [options] Units and Y axis direction.
+     * @memberof GeoReference
+     */
+    constructor(anchor: Types.GeoAnchor, options: Partial<Types.GeoReferenceOptions> | null = null) {
+        if (!anchor || !Number.isFinite(anchor.latitude) || Math.abs(anchor.latitude) >= 90) {
+            throw new ArgumentException("latitude");
+        }
+        if (!Number.isFinite(anchor.longitude) || Math.abs(anchor.longitude) > 180) {
+            throw new ArgumentException("longitude");
+        }
+        if (!Number.isFinite(anchor.azimuthAngle)) {
+            throw new ArgumentException("azimuthAngle");
+        }
+
+        this._anchor = { ...anchor };
+        this._options = {
+            ...DEFAULT_GEO_REFERENCE_OPTIONS,
+            ...options
+        };
+        if (!(this._options.unitsPerMeter > 0)) throw new ArgumentException("unitsPerMeter");
+
+        const azimuth = toRadians(anchor.azimuthAngle);
+        this._sin = Math.sin(azimuth);
+        this._cos = Math.cos(azimuth);
+
+        const latitude = toRadians(anchor.latitude);
+        const w = 1 - ECCENTRICITY_SQUARED * Math.sin(latitude) ** 2;
+        this._meridionalRadius = SEMI_MAJOR_AXIS * (1 - ECCENTRICITY_SQUARED) / Math.pow(w, 1.5);
+        this._parallelRadius = SEMI_MAJOR_AXIS / Math.sqrt(w) * Math.cos(latitude);
+    }
+
+    /**
+     * Create from the anchor of a layout, e.g. GetLayoutResponse or
+     * CreateLayoutRequest. Missing azimuth is taken as north.
+     *
+     * @static
+     * @param {{latitude: number | null, longitude: number | null, azimuthAngle: number | null}} layout
+     * @param {Types.GeoReferenceOptions} [options]
+     * @returns {GeoReference}
+     * @memberof GeoReference
+     */
+    static fromLayout(layout: { latitude: number | null, longitude: number | null, azimuthAngle: number | null }, options: Partial<Types.GeoReferenceOptions> | null = null): GeoReference {
+        if (!layout || layout.latitude == null || layout.longitude == null) {
+            throw Error("Layout is not geo-referenced");
+        }
+        return new GeoReference({
+            latitude: layout.latitude,
+            longitude: layout.longitude,
+            azimuthAngle: layout.azimuthAngle || 0
+        }, options);
+    }
+
+    get anchor(): Types.GeoAnchor {
+        return { ...this._anchor };
+    }
+
+    /**
+     * Convert local coordinates to latitude and longitude.
+     *
+     * @param {Types.PolygonPoint} point Local coordinates.
+     * @returns {Types.GeoPosition}
+     * @memberof GeoReference
+     */
+    toWgs84(point: Types.PolygonPoint): Types.GeoPosition {
+        const { unitsPerMeter, invertY } = this._options;
+        const x = point.x / unitsPerMeter;
+        const y = (invertY ? -point.y : point.y) / unitsPerMeter;
+
+        // Rotate the local axes clockwise by the azimuth.
+        const east = x * this._cos + y * this._sin;
+        const north = -x * this._sin + y * this._cos;
+
+        return {
+            latitude: this._anchor.latitude + toDegrees(north / this._meridionalRadius),
+            longitude: this._anchor.longitude + toDegrees(east / this._parallelRadius)
+        };
+    }
+
+    /**
+     * Convert latitude and longitude to local coordinates.
+     *
+     * @param {Types.GeoPosition} position
+     * @returns {Types.PolygonPoint} Local coordinates.
+     * @memberof GeoReference
+     */
+    toLocal(position: Types.GeoPosition): Types.PolygonPoint {
+        const { unitsPerMeter, invertY } = this._options;
+        const north = toRadians(position.latitude - this._anchor.latitude) * this._meridionalRadius;
+        const east = toRadians(position.longitude - this._anchor.longitude) * this._parallelRadius;
+
+        const x = east * this._cos - north * this._sin;
+        const y = east * this._sin + north * this._cos;
+
+        return {
+            x: x * unitsPerMeter,
+            y: (invertY ? -y : y) * unitsPerMeter
+        };
+    }
+}
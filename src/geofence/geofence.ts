@@ -0,0 +1,471 @@
+import { EventChannel } from "../socket/eventhandler.js";
+import { combineLoggers, consoleLogger } from "../utils/logging.js";
+import { TypedEmitter } from "../utils/emitter.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import { getLayoutItemPolygon, signedDistanceToPolygon } from "./geometry.js";
+import * as Types from "../types.js";
+
+const DEFAULT_GEOFENCE_OPTIONS: Types.GeofenceOptions = {
+    hysteresis: 0,
+    uncertaintyFactor: 1,
+    maxUncertainty: null,
+    dwellThresholds: [],
+    dwellCheckInterval: 1000,
+    followLayoutChanges: true,
+    layoutItemFilter: null,
+    loggers: [consoleLogger]
+};
+
+// Prefix for the IDs of zones loaded from layout.
+export const LAYOUT_ZONE_PREFIX = "layout:";
+
+// Tag's stay in a zone.
+type Membership = {
+    enteredAt: number,
+    nextDwell: number
+};
+
+// Last known position and zones of a tag.
+type DeviceState = {
+    floorId: number | null,
+    x: number | null,
+    y: number | null,
+    zones: Map<string, Membership>
+};
+
+function sameGeometry(a: Types.GeofenceZone, b: Types.GeofenceZone): boolean {
+    return a.floorId === b.floorId &&
+        a.points.length === b.points.length &&
+        a.points.every((p, i) => p.x === b.points[i]?.x && p.y === b.points[i]?.y);
+}
+
+/**
+ * Tracks which zones the tags are in from the location stream and emits
+ * events when tags enter or exit zones and when they have stayed in a zone
+ * for a dwell threshold.
+ *
+ * Zones are loaded from the site layout, from all items with a polygon, or
+ * added as custom polygons. Membership is tracked per floor, a tag that
+ * changes floor exits the zones of the previous floor.
+ *
+ * Jitter at zone edges is suppressed with hysteresis: a tag enters a zone only
+ * when it is inside by at least the margin and exits only when it is outside
+ * by at least the margin. The margin is the larger of the `hysteresis` option
+ * and the location's uncertaintyDistance multiplied by `uncertaintyFactor`.
+ *
+ * @export
+ * @class GeofenceEngine
+ */
+export class GeofenceEngine {
+	public _options: Types.GeofenceOptions;
+	public _logger: Types.ConsoleLogger;
+	public _zones: Map<string, Types.GeofenceZone>;
+	public _devices: Map<number, DeviceState>;
+	public _dwellThresholds: number[];
+	public _emitter: TypedEmitter<Types.GeofenceEvents>;
+	public _channel: EventChannel | null;
+	public _registrations: string[];
+	public _dwellInterval: ReturnType<typeof setInterval> | null;
+
+    /**
+     * Creates an instance of GeofenceEngine.
+     *
+     * @param {Types.GeofenceOptions} [options] Options that override defaults.
+     * @memberof GeofenceEngine
+     */
+    constructor(options: Partial<Types.GeofenceOptions> | null = null) {
+        this._options = {
+            ...DEFAULT_GEOFENCE_OPTIONS,
+            ...options
+        };
+        if (!Array.isArray(this._options.dwellThresholds) ||
+            this._options.dwellThresholds.some((t) => typeof t !== "number" || !(t > 0))) {
+            throw new ArgumentException("dwellThresholds");
+        }
+        this._dwellThresholds = [...this._options.dwellThresholds].sort((a, b) => a - b);
+
+        this._logger = combineLoggers(this._options.loggers);
+
+        // Zones mapped by their ID.
+        this._zones = new Map();
+
+        // Tags mapped by device ID.
+        this._devices = new Map();
+
+        this._emitter = new TypedEmitter(this._logger);
+
+        this._channel = null;
+        this._registrations = [];
+        this._dwellInterval = null;
+    }
+
+    /**
+     * Replace the zones loaded from layout with the items of the given layout
+     * that have a polygon, or the items accepted by `layoutItemFilter`.
+     * Custom zones and zones whose polygon and floor didn't change are kept
+     * with their members.
+     *
+     * @param {{floors: Types.LayoutFloor[]}} layout Layout from getLayout or
+     * site information.
+     * @returns {number} Number of zones loaded.
+     * @memberof GeofenceEngine
+     */
+    loadLayout(layout: { floors: Types.LayoutFloor[] }): number {
+        if (!layout || !Array.isArray(layout.floors)) {
+            throw new ArgumentException("layout");
+        }
+
+        const filter = this._options.layoutItemFilter;
+        const zones: Types.GeofenceZone[] = [];
+        for (const floor of layout.floors) {
+            for (const layer of floor.layers || []) {
+                for (const item of layer.items || []) {
+                    if (filter ? !filter(item, layer, floor) : !(item.polygonPoints?.length >= 3)) {
+                        continue;
+                    }
+                    zones.push({
+                        id: `${LAYOUT_ZONE_PREFIX}${item.id}`,
+                        name: item.name || null,
+                        floorId: floor.id,
+                        points: getLayoutItemPolygon(item),
+                        itemId: item.id
+                    });
+                }
+            }
+        }
+
+        // Only zones that were removed or changed shape or floor are
+        // replaced, so tags in the unchanged zones don't exit and re-enter.
+        const loaded = new Map(zones.map((zone) => [zone.id, zone]));
+        for (const zone of Array.from(this._zones.values())) {
+            if (zone.itemId === null) continue;
+            const next = loaded.get(zone.id);
+            if (next && sameGeometry(zone, next)) {
+                zone.name = next.name;
+                loaded.delete(zone.id);
+            } else {
+                this.removeZone(zone.id);
+            }
+        }
+        for (const zone of loaded.values()) {
+            this._zones.set(zone.id, zone);
+        }
+
+        this._logger.log(`Loaded ${zones.length} geofence zones from layout`);
+        return zones.length;
+    }
+
+    /**
+     * Add a custom zone, or replace the zone with the same ID.
+     *
+     * @param {string} id Zone's ID.
+     * @param {Types.PolygonPoint[]} points Polygon vertices in site coordinates.
+     * @param {number} [floorId] Floor of the zone, null for all floors.
+     * @param {string} [name] Name of the zone.
+     * @memberof GeofenceEngine
+     */
+    addZone(id: string, points: Types.PolygonPoint[], floorId: number | null = null, name: string | null = null): void {
+        if (!id || typeof id !== "string" || id.startsWith(LAYOUT_ZONE_PREFIX)) {
+            throw new ArgumentException("id");
+        }
+        if (!Array.isArray(points) || points.length < 3 ||
+            points.some((p) => !p || !Number.isFinite(p.x) || !Number.isFinite(p.y))) {
+            throw new ArgumentException("points");
+        }
+
+        if (this._zones.has(id)) this.removeZone(id);
+        this._zones.set(id, {
+            id,
+            name,
+            floorId,
+            points: points.map(({ x, y }) => ({ x, y })),
+            itemId: null
+        });
+    }
+
+    /**
+     * Remove a zone. Tags in the zone exit it.
+     *
+     * @param {string} id Zone's ID.
+     * @returns {boolean} True if the zone existed.
+     * @memberof GeofenceEngine
+     */
+    removeZone(id: string): boolean {
+        const zone = this._zones.get(id);
+        if (!zone) return false;
+
+        for (const [deviceId, state] of this._devices) {
+            if (state.zones.has(id)) this._exit(deviceId, state, zone, Date.now());
+        }
+        this._zones.delete(id);
+        return true;
+    }
+
+    getZones(): Types.GeofenceZone[] {
+        return Array.from(this._zones.values()).map((zone) => ({
+            ...zone,
+            points: zone.points.map(({ x, y }) => ({ x, y }))
+        }));
+    }
+
+    /**
+     * Get the IDs of the zones the tag is in.
+     *
+     * @param {number} deviceId Tag's device ID.
+     * @memberof GeofenceEngine
+     */
+    getZonesOfDevice(deviceId: number): string[] {
+        const state = this._devices.get(deviceId);
+        return state ? Array.from(state.zones.keys()) : [];
+    }
+
+    /**
+     * Get the device IDs of the tags in the zone.
+     *
+     * @param {string} zoneId Zone's ID.
+     * @memberof GeofenceEngine
+     */
+    getDevicesInZone(zoneId: string): number[] {
+        const deviceIds: number[] = [];
+        for (const [deviceId, state] of this._devices) {
+            if (state.zones.has(zoneId)) deviceIds.push(deviceId);
+        }
+        return deviceIds;
+    }
+
+    /**
+     * Add a listener for enter, exit or dwell events.
+     *
+     * @param {Types.GeofenceEventType} event
+     * @param {(event: Types.GeofenceEvent) => void} listener
+     * @returns {string} UUID to remove the listener with.
+     * @memberof GeofenceEngine
+     */
+    on(event: Types.GeofenceEventType, listener: (event: Types.GeofenceEvent) => void): string {
+        return this._emitter.on(event, listener);
+    }
+
+    /**
+     * Remove a listener added with on.
+     *
+     * @param {string} uuid
+     * @memberof GeofenceEngine
+     */
+    off(uuid: string): boolean {
+        return this._emitter.off(uuid);
+    }
+
+    /**
+     * Load zones from the channel's current layout and track the tags from
+     * its location stream.
+     *
+     * @param {EventChannel} channel Connected channel.
+     * @param {number[]} [deviceIds] Tags to track, null for all.
+     * @param {boolean} [loadLayout] Load the zones from the site layout.
+     * @memberof GeofenceEngine
+     */
+    async attach(channel: EventChannel, deviceIds: number[] | null = null, loadLayout: boolean = true): Promise<void> {
+        if (!channel || !(channel instanceof EventChannel)) {
+            throw new ArgumentException("channel");
+        }
+        if (this._channel) throw Error("Geofence engine is already attached");
+
+        this._channel = channel;
+        try {
+            if (loadLayout) this.loadLayout(await channel.getLayout());
+
+            this._registrations.push(
+                await channel.registerLocationUpdate((err, payload) => {
+                    if (err) {
+                        this._logger.error(`Error in location stream: ${err}`);
+                        return;
+                    }
+                    this.processLocationUpdate(payload);
+                }, deviceIds)
+            );
+
+            if (this._options.followLayoutChanges) {
+                this._registrations.push(
+                    await channel.registerLayoutChanges((err, payload) => {
+                        if (err) return;
+                        this._reloadLayout(payload.minorId);
+                    })
+                );
+            }
+        } catch (e) {
+            await this.detach();
+            throw e;
+        }
+
+        if (this._dwellThresholds.length) {
+            this._dwellInterval = setInterval(
+                () => this.checkDwell(),
+                this._options.dwellCheckInterval
+            );
+        }
+    }
+
+    /**
+     * Stop tracking the channel's location stream. Zones and memberships
+     * are kept.
+     *
+     * @memberof GeofenceEngine
+     */
+    async detach(): Promise<void> {
+        if (this._dwellInterval != null) clearInterval(this._dwellInterval);
+        this._dwellInterval = null;
+
+        const channel = this._channel;
+        const registrations = this._registrations;
+        this._channel = null;
+        this._registrations = [];
+
+        if (!channel) return;
+        for (const uuid of registrations) {
+            await channel.unregister(uuid);
+        }
+    }
+
+    /**
+     * Update the tags' zones from a location update. Called automatically
+     * when attached to a channel.
+     *
+     * @param {Types.LocationUpdateResponse} payload
+     * @memberof GeofenceEngine
+     */
+    processLocationUpdate(payload: Types.LocationUpdateResponse): void {
+        const now = Date.now();
+        for (const [deviceId, item] of Object.entries(payload || {})) {
+            if (!item || !Number.isFinite(item.x) || !Number.isFinite(item.y)) continue;
+            this._updateDevice(+deviceId, item, now);
+        }
+        this.checkDwell(now);
+    }
+
+    /**
+     * Remove a tag, e.g. when it's removed from site. The tag exits all
+     * zones.
+     *
+     * @param {number} deviceId Tag's device ID.
+     * @memberof GeofenceEngine
+     */
+    removeDevice(deviceId: number): boolean {
+        const state = this._devices.get(deviceId);
+        if (!state) return false;
+
+        const now = Date.now();
+        for (const zoneId of Array.from(state.zones.keys())) {
+            const zone = this._zones.get(zoneId);
+            if (zone) this._exit(deviceId, state, zone, now);
+        }
+        this._devices.delete(deviceId);
+        return true;
+    }
+
+    /**
+     * Emit dwell events for tags that have reached a dwell threshold.
+     * Called periodically when attached to a channel and after every
+     * location update.
+     *
+     * @param {number} [now] Current time in ms.
+     * @memberof GeofenceEngine
+     */
+    checkDwell(now: number = Date.now()): void {
+        const thresholds = this._dwellThresholds;
+        if (!thresholds.length) return;
+
+        for (const [deviceId, state] of this._devices) {
+            for (const [zoneId, membership] of state.zones) {
+                const zone = this._zones.get(zoneId);
+                if (!zone) continue;
+
+                let threshold: number | undefined;
+                while ((threshold = thresholds[membership.nextDwell]) !== undefined &&
+                    now - membership.enteredAt >= threshold) {
+                    membership.nextDwell++;
+                    this._emit("dwell", deviceId, state, zone, now, now - membership.enteredAt, threshold);
+                }
+            }
+        }
+    }
+
+    _updateDevice(deviceId: number, item: Types.LocationUpdateItem, now: number): void {
+        const uncertainty = item.uncertaintyDistance ?? 0;
+        const maxUncertainty = this._options.maxUncertainty;
+        if (maxUncertainty !== null && uncertainty > maxUncertainty) return;
+
+        let state = this._devices.get(deviceId);
+        if (!state) {
+            state = { floorId: null, x: null, y: null, zones: new Map() };
+            this._devices.set(deviceId, state);
+        }
+        state.floorId = item.floorId ?? state.floorId;
+        state.x = item.x;
+        state.y = item.y;
+
+        const timestamp = item.timestamp || now;
+        const margin = Math.max(
+            this._options.hysteresis,
+            uncertainty * this._options.uncertaintyFactor
+        );
+        const point = { x: item.x, y: item.y };
+
+        // Exits are emitted before enters so that moving from a zone to
+        // another is seen in order.
+        const entered: Types.GeofenceZone[] = [];
+        for (const zone of this._zones.values()) {
+            const isMember = state.zones.has(zone.id);
+
+            // Zones on other floors are exited immediately.
+            if (zone.floorId !== null && zone.floorId !== state.floorId) {
+                if (isMember) this._exit(deviceId, state, zone, timestamp);
+                continue;
+            }
+
+            const distance = signedDistanceToPolygon(point, zone.points);
+            if (!isMember && distance >= 0 && distance >= margin) {
+                entered.push(zone);
+            } else if (isMember && distance < 0 && -distance >= margin) {
+                this._exit(deviceId, state, zone, timestamp);
+            }
+        }
+
+        for (const zone of entered) {
+            state.zones.set(zone.id, { enteredAt: now, nextDwell: 0 });
+            this._emit("enter", deviceId, state, zone, timestamp, 0, null);
+        }
+    }
+
+    _exit(deviceId: number, state: DeviceState, zone: Types.GeofenceZone, timestamp: number): void {
+        const membership = state.zones.get(zone.id);
+        if (!membership) return;
+        state.zones.delete(zone.id);
+        this._emit("exit", deviceId, state, zone, timestamp, Date.now() - membership.enteredAt, null);
+    }
+
+    _emit(type: Types.GeofenceEventType, deviceId: number, state: DeviceState, zone: Types.GeofenceZone, timestamp: number, duration: number, dwellThreshold: number | null): void {
+        this._emitter.emit(type, {
+            type,
+            deviceId,
+            zoneId: zone.id,
+            zoneName: zone.name,
+            floorId: zone.floorId ?? state.floorId,
+            x: state.x,
+            y: state.y,
+            timestamp,
+            duration,
+            dwellThreshold
+        });
+    }
+
+    // Load the changed layout from cloud.
+    async _reloadLayout(minorId: number | null): Promise<void> {
+        const channel = this._channel;
+        if (!channel) return;
+        try {
+            this.loadLayout(await channel.getLayout(minorId));
+        } catch (e: any) {
+            this._logger.exception("Error while reloading layout", e.toString());
+        }
+    }
+}
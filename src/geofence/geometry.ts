@@ -0,0 +1,165 @@
+import * as Types from "../types.js";
+
+/**
+ * Check if the point is inside the polygon, using ray casting. Points on the
+ * edge may be either inside or outside.
+ *
+ * @param {Types.PolygonPoint} point
+ * @param {Types.PolygonPoint[]} polygon Polygon vertices in order.
+ */
+export function isPointInPolygon(point: Types.PolygonPoint, polygon: Types.PolygonPoint[]): boolean {
+    const { x, y } = point;
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i] as Types.PolygonPoint;
+        const b = polygon[j] as Types.PolygonPoint;
+        if ((a.y > y) !== (b.y > y) &&
+            x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Distance from the point to the line segment between a and b.
+ */
+export function distanceToSegment(point: Types.PolygonPoint, a: Types.PolygonPoint, b: Types.PolygonPoint): number {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    let t = lengthSquared
+        ? ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared
+        : 0;
+    t = Math.max(0, Math.min(1, t));
+
+    return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+/**
+ * Distance from the point to the closest edge of the polygon, positive when
+ * the point is inside and negative when outside.
+ *
+ * @param {Types.PolygonPoint} point
+ * @param {Types.PolygonPoint[]} polygon Polygon vertices in order.
+ */
+export function signedDistanceToPolygon(point: Types.PolygonPoint, polygon: Types.PolygonPoint[]): number {
+    let distance = Infinity;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        distance = Math.min(
+            distance,
+            distanceToSegment(point, polygon[j] as Types.PolygonPoint, polygon[i] as Types.PolygonPoint)
+        );
+    }
+    return isPointInPolygon(point, polygon) ? distance : -distance;
+}
+
+/**
+ * Bounding box of the points.
+ */
+export function getBoundingBox(points: Types.PolygonPoint[]): { minX: number, minY: number, maxX: number, maxY: number } {
+    const xs = points.map((p) => p.x);
+    const ys = points.map((p) => p.y);
+    return {
+        minX: Math.min(...xs),
+        minY: Math.min(...ys),
+        maxX: Math.max(...xs),
+        maxY: Math.max(...ys)
+    };
+}
+
+/**
+ * Get the polygon of a layout item in site coordinates.
+ *
+ * Layout stores the polygon points relative to the center of the item's
+ * bounding box, like fillPolygon does. Points that already span the bounding
+ * box are treated as absolute.
+ *
+ * @param {Types.LayoutItem} item Layout item with polygon points.
+ */
+export function getLayoutItemPolygon(item: Types.LayoutItem): Types.PolygonPoint[] {
+    const points = item.polygonPoints || [];
+    if (!points.length) return [];
+
+    const box = getBoundingBox(points);
+    const tolerance = 1;
+    const isAbsolute =
+        Math.abs(box.minX - item.minX) <= tolerance &&
+        Math.abs(box.maxX - item.maxX) <= tolerance &&
+        Math.abs(box.minY - item.minY) <= tolerance &&
+        Math.abs(box.maxY - item.maxY) <= tolerance;
+    if (isAbsolute) return points.map(({ x, y }) => ({ x, y }));
+
+    const centerX = item.maxX - (item.maxX - item.minX) / 2;
+    const centerY = item.maxY - (item.maxY - item.minY) / 2;
+    return points.map(({ x, y }) => ({ x: centerX + x, y: centerY + y }));
+}
+
+/**
+ * Signed area of the polygon, positive when the vertices are counterclockwise
+ * in a Y-up coordinate system.
+ *
+ * @param {Types.PolygonPoint[]} polygon Polygon vertices in order.
+ */
+export function getPolygonArea(polygon: Types.PolygonPoint[]): number {
+    let area = 0;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i] as Types.PolygonPoint;
+        const b = polygon[j] as Types.PolygonPoint;
+        area += (b.x - a.x) * (b.y + a.y);
+    }
+    return area / 2;
+}
+
+// Orientation of the turn a -> b -> c: positive counterclockwise, negative
+// clockwise, zero if collinear.
+function orientation(a: Types.PolygonPoint, b: Types.PolygonPoint, c: Types.PolygonPoint): number {
+    return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+function isOnSegment(point: Types.PolygonPoint, a: Types.PolygonPoint, b: Types.PolygonPoint): boolean {
+    return Math.min(a.x, b.x) <= point.x && point.x <= Math.max(a.x, b.x) &&
+        Math.min(a.y, b.y) <= point.y && point.y <= Math.max(a.y, b.y);
+}
+
+/**
+ * Check if the line segments a1-a2 and b1-b2 intersect or touch.
+ */
+export function segmentsIntersect(a1: Types.PolygonPoint, a2: Types.PolygonPoint, b1: Types.PolygonPoint, b2: Types.PolygonPoint): boolean {
+    const o1 = orientation(a1, a2, b1);
+    const o2 = orientation(a1, a2, b2);
+    const o3 = orientation(b1, b2, a1);
+    const o4 = orientation(b1, b2, a2);
+
+    if (((o1 > 0 && o2 < 0) || (o1 < 0 && o2 > 0)) &&
+        ((o3 > 0 && o4 < 0) || (o3 < 0 && o4 > 0))) {
+        return true;
+    }
+    return (o1 === 0 && isOnSegment(b1, a1, a2)) ||
+        (o2 === 0 && isOnSegment(b2, a1, a2)) ||
+        (o3 === 0 && isOnSegment(a1, b1, b2)) ||
+        (o4 === 0 && isOnSegment(a2, b1, b2));
+}
+
+/**
+ * Check if the polygon's edges cross or touch each other anywhere else than
+ * at the shared vertex of adjacent edges.
+ *
+ * @param {Types.PolygonPoint[]} polygon Polygon vertices in order, not closed.
+ */
+export function isSelfIntersecting(polygon: Types.PolygonPoint[]): boolean {
+    const n = polygon.length;
+    for (let i = 0; i < n; i++) {
+        const a1 = polygon[i] as Types.PolygonPoint;
+        const a2 = polygon[(i + 1) % n] as Types.PolygonPoint;
+        for (let j = i + 1; j < n; j++) {
+            // Adjacent edges share a vertex.
+            if (j === i + 1 || (i === 0 && j === n - 1)) continue;
+            const b1 = polygon[j] as Types.PolygonPoint;
+            const b2 = polygon[(j + 1) % n] as Types.PolygonPoint;
+            if (segmentsIntersect(a1, a2, b1, b2)) return true;
+        }
+    }
+    return false;
+}
@@ -3,7 +3,7 @@ import {
     AUTH_TOKEN_ENDPOINT,
     DEFAULT_AUTH_ORIGIN,
 } from "../constants/paths.js";
-import { ArgumentException } from "../utils/exceptions.js";
+import { ArgumentException, AuthenticationError } from "../utils/exceptions.js";
 import * as Types from "../types.js";
 
 
@@ -56,7 +56,7 @@ export async function getToken(clientId: number, clientSecret: string, authOrigi
 
     const statusCode: number = authResponse.status;
     if (!authResponse.ok || statusCode !== 200) {
-        throw Error(authResponse.statusText || `StatusCode ${statusCode}`);
+        throw new AuthenticationError(authResponse.statusText || `StatusCode ${statusCode}`);
     }
 
     // Pick the relevant properties.
@@ -65,9 +65,8 @@ export async function getToken(clientId: number, clientSecret: string, authOrigi
 
     if (authResponseObject.error) {
         // Error returned by authentication server.
-        throw Error(`Authentication failed: ${authResponseObject.error}`);
+        throw new AuthenticationError(`Authentication failed: ${authResponseObject.error}`);
     }
-    console.log("Successfully fetched new token from auth server.");
     let result: Types.AuthResult = {
         accessToken: authResponseObject.access_token,
         expiresIn: authResponseObject.expires_in
@@ -0,0 +1,39 @@
+import { promises as fsPromises } from "fs";
+import { writeJsonFile } from "../utils/files.js";
+import * as Types from "../types.js";
+
+// NodeJS only persistence for the token providers.
+
+async function readTokens(path: string): Promise<{ [key: string]: Types.CachedToken }> {
+    let json: string;
+    try {
+        json = await fsPromises.readFile(path, "utf8");
+    } catch (e: any) {
+        if (e && e.code === "ENOENT") return {};
+        throw e;
+    }
+    return JSON.parse(json);
+}
+
+/**
+ * Create a token store that keeps the tokens in a JSON file, shared by
+ * processes using the same file.
+ *
+ * @param {string} path Path to the file, created when the first token is
+ * fetched.
+ */
+export function createFileTokenStore(path: string): Types.TokenStore {
+    return {
+        async load(key: string): Promise<Types.CachedToken | null> {
+            const tokens = await readTokens(path);
+            return tokens[key] || null;
+        },
+        async save(key: string, token: Types.CachedToken): Promise<void> {
+            const tokens = await readTokens(path);
+            tokens[key] = token;
+
+            // Only the owner may read the bearer tokens.
+            await writeJsonFile(path, tokens, 0o600);
+        }
+    };
+}
@@ -1,4 +1,5 @@
 import fetch from "cross-fetch";
+import { HttpError, RequestTimeoutError } from "../utils/exceptions.js";
 import * as Types from "../types.js";
 
 /**
@@ -20,8 +21,74 @@ export async function sendAuthenticatedRequest(url: URL, method: string, body: B
 
     const statusCode: number = response.status;
     if (!response.ok || statusCode !== 200) {
-        throw Error(response.statusText || `StatusCode ${statusCode}`);
+        throw await createHttpError(method, url.href, response);
     }
 
     return await response.json();
 }
+
+// Read the response body as JSON if possible, otherwise as text.
+export async function readResponseBody(response: Response): Promise<any> {
+    const text: string = await response.text();
+    if (!text.length) return null;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+export function readResponseHeaders(response: Response): { [name: string]: string } {
+    const headers: { [name: string]: string } = {};
+    response.headers.forEach((value: string, name: string) => {
+        headers[name.toLowerCase()] = value;
+    });
+    return headers;
+}
+
+export async function createHttpError(method: string, url: string, response: Response): Promise<HttpError> {
+    let body: any = null;
+    try {
+        body = await readResponseBody(response);
+    } catch (e) {
+        // Body isn't required for the error.
+    }
+    return new HttpError(
+        method,
+        url,
+        response.status,
+        response.statusText,
+        readResponseHeaders(response),
+        body
+    );
+}
+
+/**
+ * Fetch that rejects with RequestTimeoutError if the response doesn't
+ * arrive in time. The request is aborted where AbortController is available.
+ *
+ * @param {string} method
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {number} timeout Timeout in ms.
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithTimeout(method: string, url: string, init: RequestInit, timeout: number): Promise<Response> {
+    const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+    let timer: ReturnType<typeof setTimeout> | null = null;
+    const timedOut = new Promise<never>((_, reject) => {
+        timer = setTimeout(() => {
+            controller?.abort();
+            reject(new RequestTimeoutError(method, url, timeout));
+        }, timeout);
+    });
+
+    try {
+        return await Promise.race([
+            fetch(url, controller ? { ...init, signal: controller.signal } : init),
+            timedOut
+        ]);
+    } finally {
+        if (timer !== null) clearTimeout(timer);
+    }
+}
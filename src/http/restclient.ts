@@ -0,0 +1,266 @@
+import {
+    DEFAULT_AUTH_ORIGIN,
+    DEFAULT_API_HTTP_ORIGIN,
+    NCC_PATHS,
+} from "../constants/paths.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import { waitAsync } from "../utils/utils.js";
+import { createHttpError, fetchWithTimeout, readResponseBody } from "./httputils.js";
+import { TokenProvider } from "./tokenprovider.js";
+import * as Types from "../types.js";
+
+export const DEFAULT_REST_CLIENT_OPTIONS: Types.RestClientOptions = {
+    httpOrigin: DEFAULT_API_HTTP_ORIGIN,
+    authOrigin: DEFAULT_AUTH_ORIGIN,
+    timeout: 30000,
+    retries: 3,
+    retryDelayMin: 500,
+    retryDelayMax: 30000
+};
+
+export const DEFAULT_PAGINATION_OPTIONS: Types.PaginationOptions = {
+    pageSize: 100,
+    offsetParam: "offset",
+    limitParam: "limit",
+    cursorParam: null,
+    cursorField: "nextCursor",
+    itemsField: "items"
+};
+
+// Methods that are safe to retry after a failure the server may have
+// already acted upon.
+const IDEMPOTENT_METHODS: Types.HttpMethod[] = ["GET", "PUT", "DELETE"];
+
+/**
+ * Describe a REST endpoint. The type parameters type the query, body and
+ * response of requests made with NccRestClient.
+ *
+ * @param {Types.HttpMethod} method
+ * @param {string} path Path with {name} placeholders for path parameters.
+ * @returns {Types.RestEndpoint}
+ */
+export function defineEndpoint<TQuery = { [name: string]: Types.QueryValue }, TBody = undefined, TResponse = any>(method: Types.HttpMethod, path: string): Types.RestEndpoint<TQuery, TBody, TResponse> {
+    if (!path || !path.startsWith("/")) {
+        throw new ArgumentException("path");
+    }
+    return { method, path };
+}
+
+export const NCC_ENDPOINTS = {
+    NODE_DOMAIN: defineEndpoint<{ account: number, site: number }, undefined, Types.NodeDomainResponse>(
+        "GET",
+        NCC_PATHS["NODE_DOMAIN"]
+    )
+};
+
+/**
+ * Parse Retry-After header, either seconds or an HTTP date.
+ *
+ * @param {string | null} value Header value.
+ * @param {number} [now] Current time.
+ * @returns {number | null} Milliseconds to wait, null if not set or invalid.
+ */
+export function parseRetryAfter(value: string | null | undefined, now: number = Date.now()): number | null {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return seconds >= 0 ? seconds * 1000 : null;
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Client for Noccela HTTP APIs.
+ *
+ * Requests are authenticated with a token provider, so a client created with
+ * the same client credentials as the channels shares their token. Failed
+ * requests are retried with exponential backoff, paged responses can be
+ * iterated item by item and failures are thrown as HttpError with the status
+ * and body.
+ *
+ * @export
+ * @class NccRestClient
+ */
+export class NccRestClient {
+	public _tokenProvider: TokenProvider;
+	public _options: Types.RestClientOptions;
+	public _logger: Types.ConsoleLogger | null;
+
+    /**
+     * Creates an instance of NccRestClient.
+     *
+     * @param {TokenProvider} tokenProvider Source for the access tokens, e.g.
+     * ClientCredentialsTokenProvider.
+     * @param {Types.RestClientOptions} [options] Origins, timeout and retries.
+     * @param {import("../constants/constants").Logger} [logger]
+     * @memberof NccRestClient
+     */
+    constructor(tokenProvider: TokenProvider, options: Partial<Types.RestClientOptions> | null = null, logger: Types.ConsoleLogger | null = null) {
+        if (!(tokenProvider instanceof TokenProvider)) {
+            throw new ArgumentException("tokenProvider");
+        }
+
+        this._tokenProvider = tokenProvider;
+        this._options = {
+            ...DEFAULT_REST_CLIENT_OPTIONS,
+            ...options
+        };
+        if (!(this._options.timeout > 0)) throw new ArgumentException("timeout");
+        if (!(this._options.retries >= 0)) throw new ArgumentException("retries");
+
+        this._logger = logger;
+    }
+
+    /**
+     * Send a request to the endpoint.
+     *
+     * @param {Types.RestEndpoint} endpoint Endpoint created with defineEndpoint.
+     * @param {Types.RestRequest} [request] Path parameters, query, body and
+     * overrides for timeout and retries.
+     * @returns {Promise} Resolves with the parsed response body.
+     * @memberof NccRestClient
+     */
+    async request<TQuery, TBody, TResponse>(endpoint: Types.RestEndpoint<TQuery, TBody, TResponse>, request: Partial<Types.RestRequest<TQuery, TBody>> | null = null): Promise<TResponse> {
+        const url = this._buildUrl(endpoint, request);
+        const { method } = endpoint;
+        const timeout = request?.timeout ?? this._options.timeout;
+        const retries = request?.retries ?? this._options.retries;
+        const body = request?.body != null ? JSON.stringify(request.body) : null;
+
+        const headers: { [name: string]: string } = {
+            Accept: "application/json",
+            ...request?.headers
+        };
+        if (body !== null) headers["Content-Type"] = "application/json";
+
+        const authOrigin = this._options.authOrigin;
+        let token = await this._tokenProvider.getToken(authOrigin);
+        let reauthenticated = false;
+        let attempt = 0;
+
+        for (;;) {
+            let response: Response | null = null;
+            let error: Error | null = null;
+            try {
+                response = await fetchWithTimeout(method, url, {
+                    method,
+                    body,
+                    headers: { ...headers, Authorization: `Bearer ${token}` }
+                }, timeout);
+            } catch (e) {
+                error = e instanceof Error ? e : Error(`${e}`);
+            }
+
+            if (response?.ok) {
+                return await readResponseBody(response);
+            }
+
+            // Token may have been revoked, try once with a new one.
+            if (response?.status === 401 && !reauthenticated) {
+                reauthenticated = true;
+                token = await this._tokenProvider.getToken(authOrigin, token);
+                continue;
+            }
+
+            const idempotent = IDEMPOTENT_METHODS.includes(method);
+            const retryable = response
+                ? response.status === 429 || (response.status >= 500 && idempotent)
+                : idempotent;
+            if (!retryable || attempt >= retries) {
+                throw response ? await createHttpError(method, url, response) : error;
+            }
+
+            const retryAfter = response ? parseRetryAfter(response.headers.get("retry-after")) : null;
+            const delay = retryAfter ?? this._getBackoff(attempt);
+            this._logger?.warn(
+                `${method} ${url} failed with ${response ? response.status : error?.message}, retrying in ${delay} ms`
+            );
+            await waitAsync(delay);
+            attempt++;
+        }
+    }
+
+    /**
+     * Iterate the items of a paged endpoint, fetching pages as needed.
+     *
+     * @param {Types.RestEndpoint} endpoint Endpoint created with defineEndpoint.
+     * @param {Types.RestRequest} [request] Request for the first page, paging
+     * parameters are added to the query.
+     * @param {Types.PaginationOptions} [paginationOptions] Offset or cursor
+     * paging and where the items are in the response.
+     * @returns {AsyncIterableIterator} Items of all pages.
+     * @memberof NccRestClient
+     */
+    async *paginate<TQuery, TBody, TResponse, TItem = any>(endpoint: Types.RestEndpoint<TQuery, TBody, TResponse>, request: Partial<Types.RestRequest<TQuery, TBody>> | null = null, paginationOptions: Partial<Types.PaginationOptions> | null = null): AsyncIterableIterator<TItem> {
+        const options: Types.PaginationOptions = {
+            ...DEFAULT_PAGINATION_OPTIONS,
+            ...paginationOptions
+        };
+        if (!(options.pageSize > 0)) throw new ArgumentException("pageSize");
+
+        let offset = 0;
+        let cursor: string | null = null;
+
+        for (;;) {
+            const query: { [name: string]: Types.QueryValue } = {
+                ...request?.query,
+                [options.limitParam]: options.pageSize
+            };
+            if (options.cursorParam) {
+                if (cursor !== null) query[options.cursorParam] = cursor;
+            } else {
+                query[options.offsetParam] = offset;
+            }
+
+            const response: any = await this.request(endpoint, {
+                ...request,
+                query: query as unknown as TQuery
+            });
+            const items: TItem[] = options.itemsField === null
+                ? response
+                : response?.[options.itemsField];
+            if (!Array.isArray(items)) {
+                throw Error(`Paged response of ${endpoint.path} has no items`);
+            }
+
+            for (const item of items) yield item;
+
+            if (options.cursorParam) {
+                const next = response?.[options.cursorField];
+                if (next == null || next === "") return;
+                cursor = `${next}`;
+            } else {
+                if (items.length < options.pageSize) return;
+                offset += items.length;
+            }
+        }
+    }
+
+    _buildUrl<TQuery, TBody, TResponse>(endpoint: Types.RestEndpoint<TQuery, TBody, TResponse>, request: Partial<Types.RestRequest<TQuery, TBody>> | null): string {
+        const params = request?.params || {};
+        const path = endpoint.path.replace(/\{(\w+)\}/g, (_, name: string) => {
+            const value = params[name];
+            if (value === undefined) throw new ArgumentException(name);
+            return encodeURIComponent(`${value}`);
+        });
+
+        const url = new URL(path, this._options.httpOrigin);
+        const query = (request?.query || {}) as { [name: string]: Types.QueryValue };
+        for (const name of Object.keys(query)) {
+            const value = query[name];
+            if (value === null || value === undefined) continue;
+            for (const item of Array.isArray(value) ? value : [value]) {
+                url.searchParams.append(name, `${item}`);
+            }
+        }
+        return url.href;
+    }
+
+    // Exponential backoff with jitter.
+    _getBackoff(attempt: number): number {
+        const { retryDelayMin, retryDelayMax } = this._options;
+        const delay = Math.min(retryDelayMax, retryDelayMin * Math.pow(2, attempt));
+        return Math.round(delay * (0.5 + Math.random() / 2));
+    }
+}
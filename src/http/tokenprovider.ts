@@ -0,0 +1,331 @@
+import { DEFAULT_AUTH_ORIGIN } from "../constants/paths.js";
+import { ArgumentException, AuthenticationError } from "../utils/exceptions.js";
+import { getAtob, sha256Hex } from "../utils/ponyfills.js";
+import { getUniqueId } from "../utils/utils.js";
+import { getToken } from "./authentication.js";
+import * as Types from "../types.js";
+
+export const DEFAULT_TOKEN_PROVIDER_OPTIONS: Types.TokenProviderOptions = {
+    refreshRatio: 0.5,
+    store: null,
+    cacheKey: null
+};
+
+// Tokens and token requests shared by every provider in the process, by
+// cache key.
+const cachedTokens: Map<string, Types.CachedToken> = new Map();
+const tokenRequests: Map<string, Promise<Types.CachedToken>> = new Map();
+
+// Read the issue and expiration times from a JWT, null if not a JWT.
+function parseClaims(token: string): { iat: number, exp: number } | null {
+    const parts = token.split(".");
+    if (parts.length !== 3) return null;
+
+    try {
+        const base64 = (parts[1] as string).replace(/-/g, "+").replace(/_/g, "/");
+        const padded = base64 + "===".slice((base64.length + 3) % 4);
+        const claims = JSON.parse(getAtob()(padded));
+        if (typeof claims?.iat !== "number" || typeof claims?.exp !== "number") return null;
+        return { iat: claims.iat, exp: claims.exp };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Create a cache entry for a token fetched at the given local time.
+ *
+ * Expiration is read from the JWT when possible and corrected with the
+ * difference between local and the issuer's clock, like the WebSocket
+ * connection does with the authentication response.
+ *
+ * @param {Types.TokenResult} result Fetched token.
+ * @param {number} requestedAt Local time when the token was requested.
+ * @returns {Types.CachedToken}
+ */
+export function createCachedToken(result: Types.TokenResult, requestedAt: number): Types.CachedToken {
+    const claims = parseClaims(result.accessToken);
+    let expiresAt: number | null = null;
+    if (claims) {
+        const clockDiff = requestedAt - claims.iat * 1000;
+        expiresAt = claims.exp * 1000 + clockDiff;
+    } else if (result.expiresIn != null) {
+        expiresAt = requestedAt + result.expiresIn * 1000;
+    }
+    return { accessToken: result.accessToken, issuedAt: requestedAt, expiresAt };
+}
+
+/**
+ * Base for access token sources.
+ *
+ * Tokens are cached until a configured fraction of their lifetime has passed,
+ * providers with the same cache key share the token within the process and,
+ * through an optional store, with other processes. Concurrent requests for a
+ * new token share a single fetch.
+ *
+ * Pass a provider to EventChannel.connectPersistent or MultiSiteClient in
+ * place of a getToken callback.
+ *
+ * @export
+ * @abstract
+ * @class TokenProvider
+ */
+export abstract class TokenProvider {
+	public _options: Types.TokenProviderOptions;
+	public _logger: Types.ConsoleLogger | null;
+	public _instanceKey: string;
+
+    /**
+     * Creates an instance of TokenProvider.
+     *
+     * @param {Types.TokenProviderOptions} [options] Refresh ratio, store and
+     * cache key.
+     * @param {import("../constants/constants").Logger} [logger]
+     * @memberof TokenProvider
+     */
+    constructor(options: Partial<Types.TokenProviderOptions> | null = null, logger: Types.ConsoleLogger | null = null) {
+        this._options = {
+            ...DEFAULT_TOKEN_PROVIDER_OPTIONS,
+            ...options
+        };
+        const ratio = this._options.refreshRatio;
+        if (!(ratio > 0 && ratio <= 1)) throw new ArgumentException("refreshRatio");
+
+        this._logger = logger;
+        this._instanceKey = getUniqueId();
+    }
+
+    /**
+     * Fetch a new token from the source.
+     *
+     * @abstract
+     * @param {string} authOrigin Authentication server domain.
+     * @returns {Promise<Types.TokenResult>}
+     * @memberof TokenProvider
+     */
+    abstract _fetch(authOrigin: string): Promise<Types.TokenResult>;
+
+    /**
+     * Get a valid access token, fetching a new one only if the cached one is
+     * due for refresh.
+     *
+     * @param {string} [authOrigin] Authentication server domain.
+     * @param {string} [staleToken] Token that should be replaced, e.g. the
+     * one currently in use.
+     * @returns {Promise<string>}
+     * @memberof TokenProvider
+     */
+    async getToken(authOrigin: string = DEFAULT_AUTH_ORIGIN, staleToken: string | null = null): Promise<string> {
+        const token = await this.getCachedToken(authOrigin, staleToken);
+        return token.accessToken;
+    }
+
+    /**
+     * Like getToken, but resolves with the issue and expiration times too.
+     *
+     * @param {string} [authOrigin] Authentication server domain.
+     * @param {string} [staleToken] Token that should be replaced.
+     * @returns {Promise<Types.CachedToken>}
+     * @memberof TokenProvider
+     */
+    async getCachedToken(authOrigin: string = DEFAULT_AUTH_ORIGIN, staleToken: string | null = null): Promise<Types.CachedToken> {
+        const key = await this._getCacheKey(authOrigin);
+
+        const cached = cachedTokens.get(key);
+        if (cached && this._isValid(cached, staleToken)) return cached;
+
+        const request = tokenRequests.get(key);
+        if (request) return request;
+
+        const newRequest = this._refresh(authOrigin, key, staleToken);
+        tokenRequests.set(key, newRequest);
+        const clear = () => { tokenRequests.delete(key); };
+        newRequest.then(clear, clear);
+        return newRequest;
+    }
+
+    /**
+     * Drop the cached token, e.g. after it was rejected. The store is
+     * not modified.
+     *
+     * @param {string} [authOrigin] Authentication server domain.
+     * @returns {Promise}
+     * @memberof TokenProvider
+     */
+    async invalidate(authOrigin: string = DEFAULT_AUTH_ORIGIN): Promise<void> {
+        cachedTokens.delete(await this._getCacheKey(authOrigin));
+    }
+
+    // Key of the shared cache, instances share tokens only if set.
+    async _getCacheKey(authOrigin: string): Promise<string> {
+        return this._options.cacheKey || `${this._instanceKey}|${authOrigin}`;
+    }
+
+    /**
+     * Get the local time when a new token should be fetched in place of
+     * the token.
+     *
+     * @param {Types.CachedToken} token
+     * @returns {number | null} Null if the token never expires.
+     * @memberof TokenProvider
+     */
+    getRefreshTime(token: Types.CachedToken): number | null {
+        if (token.expiresAt === null) return null;
+
+        const lifetime = token.expiresAt - token.issuedAt;
+        return token.issuedAt + lifetime * this._options.refreshRatio;
+    }
+
+    // Valid until the refresh point of its lifetime.
+    _isValid(token: Types.CachedToken, staleToken: string | null): boolean {
+        if (staleToken && token.accessToken === staleToken) return false;
+
+        const refreshTime = this.getRefreshTime(token);
+        return refreshTime === null || Date.now() < refreshTime;
+    }
+
+    async _refresh(authOrigin: string, key: string, staleToken: string | null): Promise<Types.CachedToken> {
+        const store = this._options.store;
+
+        // Another process may have refreshed it already.
+        if (store) {
+            try {
+                const stored = await store.load(key);
+                if (stored && this._isValid(stored, staleToken)) {
+                    cachedTokens.set(key, stored);
+                    return stored;
+                }
+            } catch (e) {
+                this._logger?.exception("Failed to load token", `${e}`);
+            }
+        }
+
+        const requestedAt = Date.now();
+        const result = await this._fetch(authOrigin);
+        if (!result || typeof result.accessToken !== "string" || !result.accessToken.length) {
+            throw new AuthenticationError("Got invalid token from token provider");
+        }
+
+        const token = createCachedToken(result, requestedAt);
+        cachedTokens.set(key, token);
+        this._logger?.debug("Fetched new token", null);
+
+        if (store) {
+            try {
+                await store.save(key, token);
+            } catch (e) {
+                this._logger?.exception("Failed to persist token", `${e}`);
+            }
+        }
+        return token;
+    }
+}
+
+/**
+ * Fetches tokens from Noccela's authentication server with client
+ * credentials. Providers for the same client, secret and server share the
+ * token.
+ *
+ * @export
+ * @class ClientCredentialsTokenProvider
+ * @extends {TokenProvider}
+ */
+export class ClientCredentialsTokenProvider extends TokenProvider {
+	public _clientId: number;
+	public _clientSecret: string;
+	public _secretDigest: Promise<string> | null;
+
+    /**
+     * Creates an instance of ClientCredentialsTokenProvider.
+     *
+     * @param {number} clientId Client id for registered app.
+     * @param {string} clientSecret Client secret for app.
+     * @param {Types.TokenProviderOptions} [options]
+     * @param {import("../constants/constants").Logger} [logger]
+     * @memberof ClientCredentialsTokenProvider
+     */
+    constructor(clientId: number, clientSecret: string, options: Partial<Types.TokenProviderOptions> | null = null, logger: Types.ConsoleLogger | null = null) {
+        super(options, logger);
+        if (!clientId || typeof clientId != "number") {
+            throw new ArgumentException("clientId");
+        }
+        if (!clientSecret || typeof clientSecret != "string") {
+            throw new ArgumentException("clientSecret");
+        }
+
+        this._clientId = clientId;
+        this._clientSecret = clientSecret;
+        this._secretDigest = null;
+    }
+
+    // Digest of the secret in the key, so a wrong secret isn't answered with
+    // the token of the right one and the stored key doesn't reveal the secret.
+    async _getCacheKey(authOrigin: string): Promise<string> {
+        if (this._options.cacheKey) return this._options.cacheKey;
+
+        if (!this._secretDigest) this._secretDigest = sha256Hex(this._clientSecret);
+        return `client-credentials|${authOrigin}|${this._clientId}|${await this._secretDigest}`;
+    }
+
+    /** @inheritdoc */
+    async _fetch(authOrigin: string): Promise<Types.TokenResult> {
+        return getToken(this._clientId, this._clientSecret, authOrigin);
+    }
+}
+
+/**
+ * Always returns the same token, e.g. one fetched by another service.
+ *
+ * @export
+ * @class StaticTokenProvider
+ * @extends {TokenProvider}
+ */
+export class StaticTokenProvider extends TokenProvider {
+	public _token: string;
+
+    constructor(token: string, options: Partial<Types.TokenProviderOptions> | null = null, logger: Types.ConsoleLogger | null = null) {
+        super(options, logger);
+        if (!token || typeof token !== "string") {
+            throw new ArgumentException("token");
+        }
+        this._token = token;
+    }
+
+    /** @inheritdoc */
+    async getCachedToken(): Promise<Types.CachedToken> {
+        return createCachedToken({ accessToken: this._token, expiresIn: null }, Date.now());
+    }
+
+    /** @inheritdoc */
+    async _fetch(): Promise<Types.TokenResult> {
+        return { accessToken: this._token, expiresIn: null };
+    }
+}
+
+/**
+ * Fetches tokens with a user callback, which resolves with either the token
+ * or the token and its lifetime in seconds.
+ *
+ * @export
+ * @class CallbackTokenProvider
+ * @extends {TokenProvider}
+ */
+export class CallbackTokenProvider extends TokenProvider {
+	public _callback: (authOrigin: string) => Promise<string | Types.TokenResult>;
+
+    constructor(callback: (authOrigin: string) => Promise<string | Types.TokenResult>, options: Partial<Types.TokenProviderOptions> | null = null, logger: Types.ConsoleLogger | null = null) {
+        super(options, logger);
+        if (!callback || typeof callback !== "function") {
+            throw new ArgumentException("callback");
+        }
+        this._callback = callback;
+    }
+
+    /** @inheritdoc */
+    async _fetch(authOrigin: string): Promise<Types.TokenResult> {
+        const result = await this._callback(authOrigin);
+        return typeof result === "string"
+            ? { accessToken: result, expiresIn: null }
+            : result;
+    }
+}
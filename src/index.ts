@@ -1,5 +1,57 @@
 // Expose all relevant public properties.
-export { EVENT_TYPES, DEFAULT_OPTIONS } from "./constants/constants.js";
+export { EVENT_TYPES, DEFAULT_OPTIONS, ALERT_STATE_DEFAULT_DAYS } from "./constants/constants.js";
 export { getToken } from "./http/authentication.js";
+export {
+    TokenProvider,
+    ClientCredentialsTokenProvider,
+    StaticTokenProvider,
+    CallbackTokenProvider
+} from "./http/tokenprovider.js";
+export { NccRestClient, defineEndpoint, NCC_ENDPOINTS } from "./http/restclient.js";
+export {
+    NccError,
+    TimeoutError,
+    ConnectionClosedError,
+    AuthenticationError,
+    CloudRequestError,
+    DecodeError,
+    AbortError,
+    HttpError,
+    RequestTimeoutError,
+    LayoutValidationError,
+    UsageError
+} from "./utils/exceptions.js";
 export { EventChannel } from "./socket/eventhandler.js";
+export { MultiSiteClient } from "./socket/multisiteclient.js";
+export { Subscription } from "./socket/subscription.js";
+export { compileFilterExpression } from "./socket/filterexpression.js";
+export { Outbox } from "./outbox/outbox.js";
+export { SiteStateStore } from "./state/sitestatestore.js";
+export { GeofenceEngine } from "./geofence/geofence.js";
+export { GeoReference } from "./geo/georeference.js";
+export { layoutToGeoJson, positionsToGeoJson } from "./geo/geojson.js";
+export { TwrPositioningEngine } from "./positioning/twrpositioning.js";
+export { multilaterate } from "./positioning/multilateration.js";
+export { ContactTracer } from "./contacttracing/contacttracing.js";
+export { sessionsToCsv, exposureReportToCsv, exposureReportToJson } from "./contacttracing/report.js";
+export { TrajectoryAnalytics } from "./analytics/trajectory.js";
+export { WorkflowGraph, getStepActions } from "./workflow/workflowgraph.js";
+export { analyzeWorkflowResults } from "./workflow/workflowanalytics.js";
+export { EventForwarder } from "./forwarding/forwarder.js";
+export { createWebhookSink, createMqttSink, formatTopic } from "./forwarding/sinks.js";
+export {
+    parseTagLiveData,
+    parseAlertLiveData,
+    parseBeaconLiveData,
+    parseBeaconDiffData,
+    extendSchema,
+    TAG_STATE_SCHEMA,
+    ALERT_STATE_SCHEMA,
+    BEACON_STATE_SCHEMA
+} from "./utils/messagepack.js";
+export { LayoutEditor, diffLayouts, validateLayout } from "./layout/layouteditor.js";
+export { AlertManager } from "./alerts/alertmanager.js";
+export { BeaconHealthMonitor } from "./beacons/beaconhealthmonitor.js";
+export { SessionRecorder } from "./replay/recorder.js";
+export { ReplaySession } from "./replay/replay.js";
 export * as Types from "./types.js";
@@ -0,0 +1,531 @@
+import { EventChannel } from "../socket/eventhandler.js";
+import {
+    getBoundingBox,
+    getLayoutItemPolygon,
+    getPolygonArea,
+    isSelfIntersecting,
+} from "../geofence/geometry.js";
+import { ArgumentException, LayoutValidationError } from "../utils/exceptions.js";
+import * as Types from "../types.js";
+
+// Field with the children of each entity type, not part of its values.
+const CHILDREN_FIELD: Record<Types.LayoutEntityType, string | null> = {
+    floor: "layers",
+    layer: "items",
+    item: null
+};
+
+// Flattened layout entity.
+type Entity = {
+    type: Types.LayoutEntityType,
+    id: number,
+    parentId: number | null,
+    values: { [field: string]: any }
+};
+
+const entityKey = (type: Types.LayoutEntityType, id: number) => `${type}:${id}`;
+
+function clone<T>(value: T): T {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Floors to save, entities created in the editor get their IDs from cloud.
+function toSavedFloors(floors: Types.LayoutFloor[]): Types.LayoutFloor[] {
+    const saved = clone(floors);
+    const resetId = (entity: Types.BaseLayoutItem) => {
+        if (entity.id < 0) entity.id = 0;
+    };
+    for (const floor of saved) {
+        resetId(floor);
+        for (const layer of floor.layers || []) {
+            resetId(layer);
+            (layer.items || []).forEach(resetId);
+        }
+    }
+    return saved;
+}
+
+function withoutChildren(type: Types.LayoutEntityType, entity: object): { [field: string]: any } {
+    const values: { [field: string]: any } = { ...entity };
+    const field = CHILDREN_FIELD[type];
+    if (field) delete values[field];
+    return values;
+}
+
+// Entities of the layout by key, parents before children.
+function flatten(floors: Types.LayoutFloor[]): Map<string, Entity> {
+    const entities: Map<string, Entity> = new Map();
+    for (const floor of floors) {
+        entities.set(entityKey("floor", floor.id), {
+            type: "floor", id: floor.id, parentId: null,
+            values: withoutChildren("floor", floor)
+        });
+        for (const layer of floor.layers || []) {
+            entities.set(entityKey("layer", layer.id), {
+                type: "layer", id: layer.id, parentId: floor.id,
+                values: withoutChildren("layer", layer)
+            });
+            for (const item of layer.items || []) {
+                entities.set(entityKey("item", item.id), {
+                    type: "item", id: item.id, parentId: layer.id,
+                    values: withoutChildren("item", item)
+                });
+            }
+        }
+    }
+    return entities;
+}
+
+/**
+ * Compute the minimal changeset that turns the original floors into the
+ * edited ones. Entities are matched by type and ID, only changed fields are
+ * listed for updated entities and removed entities whose parent is removed
+ * too are left out.
+ *
+ * @param {Types.LayoutFloor[]} original Floors as loaded.
+ * @param {Types.LayoutFloor[]} edited Floors after editing.
+ * @returns {Types.LayoutChangeset}
+ */
+export function diffLayouts(original: Types.LayoutFloor[], edited: Types.LayoutFloor[]): Types.LayoutChangeset {
+    const before = flatten(original);
+    const after = flatten(edited);
+    const changeset: Types.LayoutChangeset = { create: [], update: [], remove: [] };
+
+    for (const [key, entity] of after.entries()) {
+        const previous = before.get(key);
+        if (!previous) {
+            changeset.create.push({
+                type: entity.type,
+                id: entity.id,
+                parentId: entity.parentId,
+                values: entity.values
+            });
+            continue;
+        }
+
+        const values: { [field: string]: any } = {};
+        const fields = new Set([...Object.keys(previous.values), ...Object.keys(entity.values)]);
+        for (const field of fields) {
+            if (JSON.stringify(previous.values[field]) !== JSON.stringify(entity.values[field])) {
+                values[field] = entity.values[field] ?? null;
+            }
+        }
+        if (Object.keys(values).length || previous.parentId !== entity.parentId) {
+            changeset.update.push({
+                type: entity.type,
+                id: entity.id,
+                parentId: entity.parentId,
+                values
+            });
+        }
+    }
+
+    for (const [key, entity] of before.entries()) {
+        if (after.has(key)) continue;
+        const parentType: Types.LayoutEntityType | null =
+            entity.type === "item" ? "layer" : entity.type === "layer" ? "floor" : null;
+        const parentRemoved = parentType !== null && entity.parentId !== null &&
+            !after.has(entityKey(parentType, entity.parentId));
+        if (!parentRemoved) changeset.remove.push({ type: entity.type, id: entity.id });
+    }
+
+    return changeset;
+}
+
+/**
+ * Default floor bounds, the extent of the floor's image items.
+ *
+ * @param {Types.LayoutFloor} floor
+ * @returns {Types.Bounds | null} Null if the floor has no images.
+ */
+export function getImageBounds(floor: Types.LayoutFloor): Types.Bounds | null {
+    const corners: Types.PolygonPoint[] = [];
+    for (const layer of floor.layers || []) {
+        for (const item of layer.items || []) {
+            if (!item.fileName) continue;
+            corners.push({ x: item.minX, y: item.minY }, { x: item.maxX, y: item.maxY });
+        }
+    }
+    return corners.length ? getBoundingBox(corners) : null;
+}
+
+/**
+ * Check the polygons of the items: they must have at least three distinct
+ * vertices enclosing an area, edges must not intersect and the vertices must
+ * be within the floor's bounds.
+ *
+ * @param {Types.LayoutFloor[]} floors
+ * @param {Types.LayoutEditorOptions} [options] Floor bounds.
+ * @returns {Types.LayoutValidationIssue[]} Empty if the layout is valid.
+ */
+export function validateLayout(floors: Types.LayoutFloor[], options: Partial<Types.LayoutEditorOptions> | null = null): Types.LayoutValidationIssue[] {
+    const getFloorBounds = options?.getFloorBounds === undefined
+        ? getImageBounds
+        : options.getFloorBounds;
+    const issues: Types.LayoutValidationIssue[] = [];
+
+    for (const floor of floors) {
+        const bounds = getFloorBounds ? getFloorBounds(floor) : null;
+        for (const layer of floor.layers || []) {
+            for (const item of layer.items || []) {
+                if (!item.polygonPoints || !item.polygonPoints.length) continue;
+                const issue = (message: string) => {
+                    issues.push({ type: "item", id: item.id, floorId: floor.id, message });
+                };
+
+                // Drop repeated vertices, including an explicit closing one.
+                const points = getLayoutItemPolygon(item).filter((p, i, all) => {
+                    const next = all[(i + 1) % all.length] as Types.PolygonPoint;
+                    return all.length === 1 || p.x !== next.x || p.y !== next.y;
+                });
+
+                if (points.length >= 3 && isSelfIntersecting(points)) {
+                    issue("Polygon intersects itself");
+                } else if (points.length < 3 || getPolygonArea(points) === 0) {
+                    issue("Polygon is not closed, it needs at least three vertices enclosing an area");
+                    continue;
+                }
+                if (bounds && !item.fileName && points.some((p) =>
+                    p.x < bounds.minX || p.x > bounds.maxX || p.y < bounds.minY || p.y > bounds.maxY)) {
+                    issue("Polygon is outside the floor bounds");
+                }
+            }
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Get the bounding box and polygon points of a layout item from absolute
+ * site coordinates. Layout stores the points relative to the center of the
+ * bounding box.
+ *
+ * @param {Types.PolygonPoint[]} points Polygon vertices in site coordinates.
+ */
+export function createItemGeometry(points: Types.PolygonPoint[]): Types.Bounds & { polygonPoints: Types.PolygonPoint[] } {
+    if (!Array.isArray(points) || !points.length) {
+        throw new ArgumentException("points");
+    }
+    const box = getBoundingBox(points);
+    const centerX = box.maxX - (box.maxX - box.minX) / 2;
+    const centerY = box.maxY - (box.maxY - box.minY) / 2;
+    return {
+        ...box,
+        polygonPoints: points.map(({ x, y }) => ({ x: x - centerX, y: y - centerY }))
+    };
+}
+
+/**
+ * Edits the layout of the channel's site.
+ *
+ * The layout is loaded with getLayout and edited locally, entities created in
+ * the editor get negative temporary IDs until saved. Saving validates the
+ * polygons, saves the edited layout as a new version of the loaded one with
+ * saveLayout and loads the saved version to get the IDs assigned by cloud.
+ *
+ * @export
+ * @class LayoutEditor
+ */
+export class LayoutEditor {
+	public _channel: EventChannel;
+	public _options: Types.LayoutEditorOptions;
+	public _minorId: number | null;
+	public _original: Types.GetLayoutResponse | null;
+	public _layout: Types.GetLayoutResponse | null;
+	public _nextId: number;
+
+    /**
+     * Creates an instance of LayoutEditor.
+     *
+     * @param {EventChannel} channel Connected channel of the site.
+     * @param {Types.LayoutEditorOptions} [options] Floor bounds for validation.
+     * @memberof LayoutEditor
+     */
+    constructor(channel: EventChannel, options: Partial<Types.LayoutEditorOptions> | null = null) {
+        if (!(channel instanceof EventChannel)) {
+            throw new ArgumentException("channel");
+        }
+
+        this._channel = channel;
+        this._options = {
+            getFloorBounds: getImageBounds,
+            ...options
+        };
+        this._minorId = null;
+        this._original = null;
+        this._layout = null;
+        this._nextId = -1;
+    }
+
+    /**
+     * Load the layout, discarding unsaved changes.
+     *
+     * @param {number | null} [minorId] Layout version, null for the current.
+     * @returns {Promise<Types.GetLayoutResponse>} Resolves with the editable
+     * layout.
+     * @memberof LayoutEditor
+     */
+    async load(minorId: number | null = null): Promise<Types.GetLayoutResponse> {
+        const layout = await this._channel.getLayout(minorId);
+        if (!layout || !Array.isArray(layout.floors)) {
+            throw Error("Invalid layout from cloud");
+        }
+
+        this._minorId = minorId;
+        this._original = clone(layout);
+        this._layout = clone(layout);
+        this._nextId = -1;
+        return this._layout;
+    }
+
+    /**
+     * The edited layout. Modify it with the editor's methods so changes to
+     * the structure are tracked.
+     *
+     * @readonly
+     * @memberof LayoutEditor
+     */
+    get layout(): Types.GetLayoutResponse {
+        return this._getLayout();
+    }
+
+    get hasChanges(): boolean {
+        const { create, update, remove } = this.getChangeset();
+        return !!(create.length || update.length || remove.length || this._anchorChanged());
+    }
+
+    addFloor(values: Partial<Types.LayoutFloor> = {}): Types.LayoutFloor {
+        const floor = {
+            name: "",
+            comment: "",
+            start: null,
+            stop: null,
+            ...values,
+            id: this._nextId--,
+            permanentId: 0,
+            layers: []
+        } as Types.LayoutFloor;
+        this._getLayout().floors.push(floor);
+        return floor;
+    }
+
+    addLayer(floorId: number, values: Partial<Types.LayoutLayer> = {}): Types.LayoutLayer {
+        const floor = this.getFloor(floorId);
+        const layer = {
+            name: "",
+            comment: "",
+            type: 0,
+            visible: true,
+            opacity: 1,
+            overlapping: 0,
+            ...values,
+            id: this._nextId--,
+            permanentId: 0,
+            items: []
+        } as Types.LayoutLayer;
+        floor.layers = floor.layers || [];
+        floor.layers.push(layer);
+        return layer;
+    }
+
+    /**
+     * Add an item to the layer. Polygon can be given in site coordinates with
+     * setItemPolygon.
+     *
+     * @param {number} layerId
+     * @param {Partial<Types.LayoutItem>} [values]
+     * @returns {Types.LayoutItem}
+     * @memberof LayoutEditor
+     */
+    addItem(layerId: number, values: Partial<Types.LayoutItem> = {}): Types.LayoutItem {
+        const { layer } = this._findLayer(layerId);
+        const item = {
+            name: "",
+            comment: "",
+            polygonPoints: [],
+            ...values,
+            id: this._nextId--,
+            permanentId: 0
+        } as unknown as Types.LayoutItem;
+        layer.items = layer.items || [];
+        layer.items.push(item);
+        return item;
+    }
+
+    updateFloor(id: number, changes: Partial<Types.LayoutFloor>): Types.LayoutFloor {
+        return Object.assign(this.getFloor(id), withoutChildren("floor", changes), { id });
+    }
+
+    updateLayer(id: number, changes: Partial<Types.LayoutLayer>): Types.LayoutLayer {
+        return Object.assign(this.getLayer(id), withoutChildren("layer", changes), { id });
+    }
+
+    updateItem(id: number, changes: Partial<Types.LayoutItem>): Types.LayoutItem {
+        return Object.assign(this.getItem(id), changes, { id });
+    }
+
+    /**
+     * Set the polygon of an item from site coordinates, updating its
+     * bounding box.
+     *
+     * @param {number} id Item ID.
+     * @param {Types.PolygonPoint[]} points Vertices in site coordinates.
+     * @returns {Types.LayoutItem}
+     * @memberof LayoutEditor
+     */
+    setItemPolygon(id: number, points: Types.PolygonPoint[]): Types.LayoutItem {
+        return this.updateItem(id, createItemGeometry(points));
+    }
+
+    moveItem(id: number, layerId: number): Types.LayoutItem {
+        const { layer, index } = this._findItem(id);
+        const target = this._findLayer(layerId).layer;
+        const [item] = layer.items.splice(index, 1) as [Types.LayoutItem];
+        target.items = target.items || [];
+        target.items.push(item);
+        return item;
+    }
+
+    removeFloor(id: number): void {
+        const floors = this._getLayout().floors;
+        const index = floors.findIndex((f) => f.id === id);
+        if (index < 0) throw Error(`Floor ${id} not found`);
+        floors.splice(index, 1);
+    }
+
+    removeLayer(id: number): void {
+        const { floor, index } = this._findLayer(id);
+        floor.layers.splice(index, 1);
+    }
+
+    removeItem(id: number): void {
+        const { layer, index } = this._findItem(id);
+        layer.items.splice(index, 1);
+    }
+
+    /**
+     * Set the geo-referencing anchor of the layout.
+     *
+     * @param {Partial<Types.GeoAnchor>} anchor
+     * @memberof LayoutEditor
+     */
+    setAnchor(anchor: Partial<Types.GeoAnchor>): void {
+        const layout = this._getLayout();
+        if (anchor.latitude !== undefined) layout.latitude = anchor.latitude;
+        if (anchor.longitude !== undefined) layout.longitude = anchor.longitude;
+        if (anchor.azimuthAngle !== undefined) layout.azimuthAngle = anchor.azimuthAngle;
+    }
+
+    getFloor(id: number): Types.LayoutFloor {
+        const floor = this._getLayout().floors.find((f) => f.id === id);
+        if (!floor) throw Error(`Floor ${id} not found`);
+        return floor;
+    }
+
+    getLayer(id: number): Types.LayoutLayer {
+        return this._findLayer(id).layer;
+    }
+
+    getItem(id: number): Types.LayoutItem {
+        const { layer, index } = this._findItem(id);
+        return layer.items[index] as Types.LayoutItem;
+    }
+
+    /**
+     * Changes made since the layout was loaded.
+     *
+     * @returns {Types.LayoutChangeset}
+     * @memberof LayoutEditor
+     */
+    getChangeset(): Types.LayoutChangeset {
+        const layout = this._getLayout();
+        return diffLayouts((this._original as Types.GetLayoutResponse).floors, layout.floors);
+    }
+
+    /**
+     * Validate the polygons of the edited layout.
+     *
+     * @returns {Types.LayoutValidationIssue[]} Empty if valid.
+     * @memberof LayoutEditor
+     */
+    validate(): Types.LayoutValidationIssue[] {
+        return validateLayout(this._getLayout().floors, this._options);
+    }
+
+    /**
+     * Validate and save the edited layout as a new version of the loaded
+     * layout, then load the saved version.
+     *
+     * @param {string} [comment] Comment for the layout version.
+     * @param {Types.CommandOptions} [commandOptions] Idempotency key and
+     * expiry if the outbox is enabled.
+     * @returns {Promise<Types.SaveLayoutResponse | null>} Null if there was
+     * nothing to save.
+     * @memberof LayoutEditor
+     */
+    async save(comment: string = "", commandOptions: Partial<Types.CommandOptions> | null = null): Promise<Types.SaveLayoutResponse | null> {
+        const layout = this._getLayout();
+        if (!this.hasChanges) return null;
+
+        const issues = this.validate();
+        if (issues.length) throw new LayoutValidationError(issues);
+
+        const version = await this._getLayoutVersion();
+        const response = await this._channel.saveLayout(
+            version ? version.majorId : null,
+            version ? version.majorNumber : null,
+            comment,
+            toSavedFloors(layout.floors),
+            layout.latitude,
+            layout.longitude,
+            layout.azimuthAngle,
+            commandOptions
+        );
+
+        // Not known if the outbox queued the save.
+        const saved = response?.layoutIds?.[0];
+        await this.load(saved ? saved.minorId : this._minorId);
+        return response ?? null;
+    }
+
+    // Version of the loaded layout from the site's layout versions, the one
+    // without an end if the current layout was loaded.
+    async _getLayoutVersion(): Promise<Types.SiteLayoutInformation | null> {
+        const response = await this._channel.getSite();
+        const site = response?.payload as Types.SiteInformationResponse | null | undefined;
+        const versions = site?.layoutVersions || [];
+        return versions.find((v) => this._minorId === null ? v.stop == null : v.minorId === this._minorId) || null;
+    }
+
+    _getLayout(): Types.GetLayoutResponse {
+        if (!this._layout) throw Error("Layout is not loaded");
+        return this._layout;
+    }
+
+    _anchorChanged(): boolean {
+        const original = this._original as Types.GetLayoutResponse;
+        const layout = this._getLayout();
+        return original.latitude !== layout.latitude ||
+            original.longitude !== layout.longitude ||
+            original.azimuthAngle !== layout.azimuthAngle;
+    }
+
+    _findLayer(id: number): { floor: Types.LayoutFloor, layer: Types.LayoutLayer, index: number } {
+        for (const floor of this._getLayout().floors) {
+            const index = (floor.layers || []).findIndex((l) => l.id === id);
+            if (index >= 0) return { floor, layer: floor.layers[index] as Types.LayoutLayer, index };
+        }
+        throw Error(`Layer ${id} not found`);
+    }
+
+    _findItem(id: number): { layer: Types.LayoutLayer, index: number } {
+        for (const floor of this._getLayout().floors) {
+            for (const layer of floor.layers || []) {
+                const index = (layer.items || []).findIndex((i) => i.id === id);
+                if (index >= 0) return { layer, index };
+            }
+        }
+        throw Error(`Item ${id} not found`);
+    }
+}
@@ -0,0 +1,29 @@
+import { promises as fsPromises } from "fs";
+import { writeJsonFile } from "../utils/files.js";
+import * as Types from "../types.js";
+
+// NodeJS only persistence for the outbox.
+
+/**
+ * Create an outbox store that keeps the queued commands in a JSON file.
+ *
+ * @param {string} path Path to the file, created when the first command
+ * is queued.
+ */
+export function createFileOutboxStore(path: string): Types.OutboxStore {
+    return {
+        async load(): Promise<Types.OutboxEntry[]> {
+            let json: string;
+            try {
+                json = await fsPromises.readFile(path, "utf8");
+            } catch (e: any) {
+                if (e && e.code === "ENOENT") return [];
+                throw e;
+            }
+            return JSON.parse(json);
+        },
+        async save(entries: Types.OutboxEntry[]): Promise<void> {
+            await writeJsonFile(path, entries);
+        }
+    };
+}
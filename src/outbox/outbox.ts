@@ -0,0 +1,357 @@
+import { TypedEmitter } from "../utils/emitter.js";
+import { getAbortError, throwIfAborted, withAbortSignal } from "../utils/abort.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import { getUniqueId } from "../utils/utils.js";
+import * as Types from "../types.js";
+
+export const DEFAULT_OUTBOX_OPTIONS: Types.OutboxOptions = {
+    expiry: 60000,
+    maxSize: 100,
+    store: null
+};
+
+// Number of executed idempotency keys remembered.
+const COMPLETED_KEYS_SIZE = 1000;
+
+type QueuedCommand = {
+    entry: Types.OutboxEntry,
+    // Missing for commands loaded from the store.
+    resolve: ((response: Types.CloudResponse | undefined) => void) | null,
+    reject: ((e: Error) => void) | null
+};
+
+/**
+ * Queue for commands issued while the connection is down.
+ *
+ * Commands are sent right away when connected. Otherwise they are queued
+ * until the connection has been re-established, then sent in order and the
+ * original promises resolved with the responses. Queued commands that aren't
+ * sent before they expire are rejected.
+ *
+ * Every command has an idempotency key, sent as the request's uniqueId. A
+ * command with the same key as a queued or executed one isn't executed
+ * again, the promise of the original is returned instead. A command whose
+ * connection broke before the response arrived is rejected, not resent, as
+ * it may already have been executed.
+ *
+ * Queued commands can be persisted with a store, commands loaded from it are
+ * sent when connected and reported only as events.
+ *
+ * @export
+ * @class Outbox
+ */
+export class Outbox {
+	public _options: Types.OutboxOptions;
+	public _send: (msg: Types.Request) => Promise<Types.CloudResponse | undefined>;
+	public _isConnected: () => boolean;
+	public _logger: Types.ConsoleLogger | null;
+	public _queue: QueuedCommand[];
+	public _pending: Map<string, Promise<Types.CloudResponse | undefined>>;
+	public _completed: Map<string, Types.CloudResponse | undefined>;
+	public _flushing: Promise<void> | null;
+	public _expiryTimeout: ReturnType<typeof setTimeout> | null;
+	public _saving: Promise<void>;
+	public _emitter: TypedEmitter<Types.OutboxEvents>;
+	public _ready: Promise<void>;
+
+    /**
+     * Creates an instance of Outbox.
+     *
+     * @param {(msg: Types.Request) => Promise} send Sends a request and
+     * resolves with the response.
+     * @param {() => boolean} isConnected
+     * @param {Types.OutboxOptions} [options] Expiry, size and persistence.
+     * @param {import("../constants/constants").Logger} [logger]
+     * @memberof Outbox
+     */
+    constructor(send: (msg: Types.Request) => Promise<Types.CloudResponse | undefined>, isConnected: () => boolean, options: Partial<Types.OutboxOptions> | null = null, logger: Types.ConsoleLogger | null = null) {
+        if (!send || typeof send !== "function") {
+            throw new ArgumentException("send");
+        }
+        if (!isConnected || typeof isConnected !== "function") {
+            throw new ArgumentException("isConnected");
+        }
+
+        this._options = {
+            ...DEFAULT_OUTBOX_OPTIONS,
+            ...options
+        };
+        if (!(this._options.expiry > 0)) throw new ArgumentException("expiry");
+        if (!(this._options.maxSize > 0)) throw new ArgumentException("maxSize");
+
+        this._send = send;
+        this._isConnected = isConnected;
+        this._logger = logger;
+
+        this._queue = [];
+        this._pending = new Map();
+        this._completed = new Map();
+        this._flushing = null;
+        this._expiryTimeout = null;
+        this._saving = Promise.resolve();
+        this._emitter = new TypedEmitter(logger);
+
+        this._ready = this._load();
+    }
+
+    /**
+     * Send a command, or queue it if not connected.
+     *
+     * @param {string} action Request action.
+     * @param {Object} payload Request payload.
+     * @param {Types.CommandOptions} [commandOptions] Idempotency key,
+     * expiry and abort signal. Aborting removes a queued command, a command
+     * already sent isn't waited for.
+     * @returns {Promise} Resolves with the response.
+     * @memberof Outbox
+     */
+    async send(action: string, payload: object, commandOptions: Partial<Types.CommandOptions> | null = null): Promise<Types.CloudResponse | undefined> {
+        const signal: AbortSignal | null = commandOptions?.signal ?? null;
+        throwIfAborted(signal);
+        await this._ready;
+
+        const key: string = commandOptions?.idempotencyKey || getUniqueId();
+        if (this._completed.has(key)) return this._completed.get(key);
+
+        const pending = this._pending.get(key);
+        if (pending) return pending;
+
+        let promise: Promise<Types.CloudResponse | undefined>;
+        const loaded = this._queue.find((c) => c.entry.key === key && !c.resolve);
+        if (loaded) {
+            // Loaded from the store, resolve when it's sent.
+            promise = new Promise((resolve, reject) => {
+                loaded.resolve = resolve;
+                loaded.reject = reject;
+            });
+        } else {
+            const now = Date.now();
+            const entry: Types.OutboxEntry = {
+                key,
+                action,
+                payload,
+                queuedAt: now,
+                expiresAt: now + (commandOptions?.expiry || this._options.expiry)
+            };
+            promise = this._queue.length || this._flushing || !this._isConnected()
+                ? this._enqueue(entry)
+                : this._sendEntry(entry);
+        }
+
+        this._pending.set(key, promise);
+        const clear = () => { this._pending.delete(key); };
+        promise.then(clear, clear);
+
+        if (signal) {
+            const onAbort = () => this._dequeue(key, getAbortError(signal));
+            signal.addEventListener("abort", onAbort);
+            const removeListener = () => signal.removeEventListener("abort", onAbort);
+            promise.then(removeListener, removeListener);
+        }
+        return withAbortSignal(promise, signal);
+    }
+
+    /**
+     * Send the queued commands in order, stops if the connection breaks.
+     *
+     * @returns {Promise} Resolves when the queue is empty or disconnected.
+     * @memberof Outbox
+     */
+    flush(): Promise<void> {
+        if (!this._flushing) {
+            this._flushing = this._flushQueue().then(() => {
+                this._flushing = null;
+                // Queued after the last round.
+                if (this._queue.length && this._isConnected()) this.flush();
+            });
+        }
+        return this._flushing;
+    }
+
+    /**
+     * Reject the queued commands and stop the expiry timer. Persisted
+     * commands are kept in the store.
+     *
+     * @memberof Outbox
+     */
+    close(): void {
+        if (this._expiryTimeout != null) clearTimeout(this._expiryTimeout);
+        this._expiryTimeout = null;
+
+        const queue = this._queue;
+        this._queue = [];
+        for (const command of queue) {
+            command.reject?.(Error(`Outbox closed before ${command.entry.action} was sent`));
+        }
+    }
+
+    /**
+     * Add a listener for commands being queued, sent, failed or expired.
+     *
+     * @param {Types.OutboxEventType} event
+     * @param {(event: Types.OutboxEvent) => void} listener
+     * @returns {string} UUID to remove the listener with.
+     * @memberof Outbox
+     */
+    on(event: Types.OutboxEventType, listener: (event: Types.OutboxEvent) => void): string {
+        return this._emitter.on(event, listener);
+    }
+
+    /**
+     * Remove a listener added with on.
+     *
+     * @param {string} uuid
+     * @memberof Outbox
+     */
+    off(uuid: string): boolean {
+        return this._emitter.off(uuid);
+    }
+
+    /**
+     * Queued commands, oldest first.
+     *
+     * @readonly
+     * @memberof Outbox
+     */
+    get entries(): Types.OutboxEntry[] {
+        return this._queue.map((c) => ({ ...c.entry }));
+    }
+
+    get size(): number {
+        return this._queue.length;
+    }
+
+    _enqueue(entry: Types.OutboxEntry): Promise<Types.CloudResponse | undefined> {
+        if (this._queue.length >= this._options.maxSize) {
+            return Promise.reject(Error(`Outbox is full, ${entry.action} was not queued`));
+        }
+
+        const promise = new Promise<Types.CloudResponse | undefined>((resolve, reject) => {
+            this._queue.push({ entry, resolve, reject });
+        });
+        this._logger?.log(`Queued ${entry.action} with key ${entry.key}`);
+        this._emit("queued", entry);
+        this._changed();
+
+        // Queue may be waiting only for the previous commands.
+        if (this._isConnected()) this.flush();
+
+        return promise;
+    }
+
+    async _sendEntry(entry: Types.OutboxEntry): Promise<Types.CloudResponse | undefined> {
+        const msg: Types.Request = {
+            uniqueId: entry.key,
+            action: entry.action,
+            payload: entry.payload
+        };
+
+        let response: Types.CloudResponse | undefined;
+        try {
+            response = await this._send(msg);
+        } catch (e) {
+            const error: Error = e instanceof Error ? e : Error(`${e}`);
+            this._emit("failed", entry, error.message);
+            throw error;
+        }
+
+        this._completed.set(entry.key, response);
+        if (this._completed.size > COMPLETED_KEYS_SIZE) {
+            this._completed.delete(this._completed.keys().next().value as string);
+        }
+        this._emit("sent", entry);
+        return response;
+    }
+
+    async _flushQueue(): Promise<void> {
+        await this._ready;
+
+        while (this._queue.length && this._isConnected()) {
+            this._expire();
+            const command = this._queue.shift();
+            if (!command) break;
+            // Removed before sending so it's never sent twice.
+            this._changed();
+
+            try {
+                const response = await this._sendEntry(command.entry);
+                command.resolve?.(response);
+            } catch (e) {
+                command.reject?.(e instanceof Error ? e : Error(`${e}`));
+            }
+        }
+    }
+
+    // Remove a queued command and reject it.
+    _dequeue(key: string, error: Error): void {
+        const command = this._queue.find((c) => c.entry.key === key);
+        if (!command) return;
+
+        this._queue = this._queue.filter((c) => c !== command);
+        this._logger?.log(`Removed ${command.entry.action} with key ${key} from the queue`);
+        command.reject?.(error);
+        this._changed();
+    }
+
+    // Reject the expired commands.
+    _expire(): void {
+        const now = Date.now();
+        const expired = this._queue.filter((c) => c.entry.expiresAt <= now);
+        if (!expired.length) return;
+
+        this._queue = this._queue.filter((c) => c.entry.expiresAt > now);
+        for (const command of expired) {
+            const { entry } = command;
+            this._logger?.warn(`${entry.action} with key ${entry.key} expired before it was sent`);
+            this._emit("expired", entry);
+            command.reject?.(Error(`${entry.action} expired before it was sent`));
+        }
+        this._changed();
+    }
+
+    // Persist the queue and reschedule the expiry check.
+    _changed(): void {
+        if (this._expiryTimeout != null) clearTimeout(this._expiryTimeout);
+        this._expiryTimeout = null;
+        if (this._queue.length) {
+            const next = Math.min(...this._queue.map((c) => c.entry.expiresAt));
+            this._expiryTimeout = setTimeout(() => {
+                this._expiryTimeout = null;
+                this._expire();
+            }, Math.max(0, next - Date.now()));
+        }
+
+        const store = this._options.store;
+        if (!store) return;
+        const entries = this._queue.map((c) => c.entry);
+        this._saving = this._saving
+            .then(() => store.save(entries))
+            .catch((e: any) => {
+                this._logger?.exception("Failed to persist outbox", `${e}`);
+            });
+    }
+
+    async _load(): Promise<void> {
+        const store = this._options.store;
+        if (!store) return;
+
+        let entries: Types.OutboxEntry[] = [];
+        try {
+            entries = await store.load();
+        } catch (e) {
+            this._logger?.exception("Failed to load outbox", `${e}`);
+            return;
+        }
+
+        this._queue = (entries || []).map((entry) => ({ entry, resolve: null, reject: null }));
+        if (this._queue.length) {
+            this._logger?.log(`Loaded ${this._queue.length} queued commands`);
+            this._expire();
+            this._changed();
+        }
+    }
+
+    _emit(type: Types.OutboxEventType, entry: Types.OutboxEntry, error: string | null = null): void {
+        this._emitter.emit(type, { type, entry: { ...entry }, error });
+    }
+}
@@ -0,0 +1,78 @@
+// Position, velocity and their covariance on one axis.
+type AxisState = {
+    position: number,
+    velocity: number,
+    p00: number,
+    p01: number,
+    p11: number
+};
+
+/**
+ * Kalman filter with a constant velocity model, filtering each axis
+ * independently.
+ *
+ * @export
+ * @class ConstantVelocityFilter
+ */
+export class ConstantVelocityFilter {
+	public _processNoise: number;
+	public _axes: AxisState[] | null;
+	public _timestamp: number;
+
+    /**
+     * Creates an instance of ConstantVelocityFilter.
+     *
+     * @param {number} processNoise Standard deviation of the acceleration in
+     * units per second squared.
+     * @memberof ConstantVelocityFilter
+     */
+    constructor(processNoise: number) {
+        this._processNoise = processNoise;
+        this._axes = null;
+        this._timestamp = 0;
+    }
+
+    /**
+     * Add a measured position and get the filtered position.
+     *
+     * @param {number[]} position Measured coordinates.
+     * @param {number} variance Variance of each measured coordinate.
+     * @param {number} timestamp Time of the measurement in milliseconds.
+     * @returns {{position: number[], variance: number[]}} Filtered
+     * coordinates and their variances.
+     * @memberof ConstantVelocityFilter
+     */
+    update(position: number[], variance: number, timestamp: number): { position: number[], variance: number[] } {
+        const dt = (timestamp - this._timestamp) / 1000;
+        const q = this._processNoise ** 2;
+        if (!this._axes || this._axes.length !== position.length || !(dt >= 0)) {
+            // Velocity is unknown, allow a second of acceleration.
+            this._axes = position.map((p) => ({ position: p, velocity: 0, p00: variance, p01: 0, p11: q }));
+        } else {
+            this._axes.forEach((axis, i) => {
+                // Predict.
+                axis.position += axis.velocity * dt;
+                axis.p00 += 2 * dt * axis.p01 + dt * dt * axis.p11 + q * dt ** 4 / 4;
+                axis.p01 += dt * axis.p11 + q * dt ** 3 / 2;
+                axis.p11 += q * dt * dt;
+
+                // Correct.
+                const s = axis.p00 + variance;
+                const k0 = axis.p00 / s;
+                const k1 = axis.p01 / s;
+                const innovation = (position[i] as number) - axis.position;
+                axis.position += k0 * innovation;
+                axis.velocity += k1 * innovation;
+                axis.p11 -= k1 * axis.p01;
+                axis.p00 *= 1 - k0;
+                axis.p01 *= 1 - k0;
+            });
+        }
+        this._timestamp = timestamp;
+
+        return {
+            position: this._axes.map((a) => a.position),
+            variance: this._axes.map((a) => a.p00)
+        };
+    }
+}
@@ -0,0 +1,164 @@
+import { ArgumentException } from "../utils/exceptions.js";
+import * as Types from "../types.js";
+
+export const DEFAULT_MULTILATERATION_OPTIONS: Types.MultilaterationOptions = {
+    dimensions: 2,
+    z: 0,
+    maxIterations: 20,
+    tolerance: 1
+};
+
+const dot = (a: number[], b: number[]) => a.reduce((sum, v, i) => sum + v * (b[i] as number), 0);
+
+/**
+ * Solve the square linear system a * x = b with Gaussian elimination.
+ *
+ * @param {number[][]} a Coefficients, not modified.
+ * @param {number[]} b Constants, not modified.
+ * @returns {number[] | null} Solution, null if the system is singular.
+ */
+export function solveLinear(a: number[][], b: number[]): number[] | null {
+    const n = b.length;
+    const m = a.map((row, i) => [...row, b[i] as number]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs((m[row] as number[])[col] as number) > Math.abs((m[pivot] as number[])[col] as number)) {
+                pivot = row;
+            }
+        }
+        const pivotRow = m[pivot] as number[];
+        const value = pivotRow[col] as number;
+        if (Math.abs(value) < 1e-12) return null;
+        m[pivot] = m[col] as number[];
+        m[col] = pivotRow;
+
+        for (let row = col + 1; row < n; row++) {
+            const current = m[row] as number[];
+            const factor = (current[col] as number) / value;
+            pivotRow.forEach((v, k) => { current[k] = (current[k] as number) - factor * v; });
+        }
+    }
+
+    const x = new Array<number>(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        const current = m[row] as number[];
+        const sum = (current[n] as number) - dot(current.slice(row + 1, n), x.slice(row + 1));
+        x[row] = sum / (current[row] as number);
+    }
+    return x;
+}
+
+// Normal equations J^T J and J^T r of the rows.
+function normalEquations(rows: number[][], values: number[], dimensions: number): { a: number[][], b: number[] } {
+    const columns = Array.from({ length: dimensions }, (_, j) => rows.map((row) => row[j] as number));
+    return {
+        a: columns.map((c) => columns.map((other) => dot(c, other))),
+        b: columns.map((c) => dot(c, values))
+    };
+}
+
+// Closed form estimate from the differences of the squared range equations.
+function linearEstimate(anchors: number[][], distances: number[], dimensions: number): number[] | null {
+    const first = anchors[0] as number[];
+    const firstDistance = distances[0] as number;
+    const rows = anchors.slice(1).map((anchor) => anchor.map((v, j) => 2 * (v - (first[j] as number))));
+    const values = anchors.slice(1).map((anchor, i) =>
+        firstDistance ** 2 - (distances[i + 1] as number) ** 2 + dot(anchor, anchor) - dot(first, first));
+
+    const { a, b } = normalEquations(rows, values, dimensions);
+    return solveLinear(a, b);
+}
+
+function centroid(anchors: number[][], dimensions: number): number[] {
+    return Array.from({ length: dimensions }, (_, j) =>
+        anchors.reduce((sum, anchor) => sum + (anchor[j] as number), 0) / anchors.length);
+}
+
+/**
+ * Solve a position from the distances to beacons with least-squares
+ * multilateration.
+ *
+ * The initial estimate is solved in closed form and refined with Gauss-Newton
+ * iterations minimizing the squared distance errors. In 2D the measured
+ * distances are projected to the tag's height given in the options.
+ *
+ * @param {Types.RangeMeasurement[]} measurements Beacon positions and
+ * distances, at least dimensions + 1 for a unique solution.
+ * @param {Types.MultilaterationOptions} [options]
+ * @returns {Types.MultilaterationResult | null} Null if there are fewer
+ * measurements than dimensions.
+ */
+export function multilaterate(measurements: Types.RangeMeasurement[], options: Partial<Types.MultilaterationOptions> | null = null): Types.MultilaterationResult | null {
+    const { dimensions, z, maxIterations, tolerance }: Types.MultilaterationOptions = {
+        ...DEFAULT_MULTILATERATION_OPTIONS,
+        ...options
+    };
+    if (dimensions !== 2 && dimensions !== 3) throw new ArgumentException("dimensions");
+    if (!Array.isArray(measurements) || measurements.some((m) =>
+        !m || ![m.x, m.y, m.z, m.distance].every(Number.isFinite))) {
+        throw new ArgumentException("measurements");
+    }
+    if (measurements.length < dimensions) return null;
+
+    const anchors = measurements.map((m) => dimensions === 3 ? [m.x, m.y, m.z] : [m.x, m.y]);
+    const distances = measurements.map((m) => dimensions === 3
+        ? m.distance
+        : Math.sqrt(Math.max(0, m.distance ** 2 - (m.z - z) ** 2)));
+
+    // Residuals and their gradients, the Jacobian rows, at the position.
+    const evaluate = (position: number[]) => {
+        const rows: number[][] = [];
+        const residuals: number[] = [];
+        anchors.forEach((anchor, i) => {
+            const delta = position.map((v, j) => v - (anchor[j] as number));
+            const range = Math.sqrt(dot(delta, delta));
+            residuals.push(range - (distances[i] as number));
+            // Direction is undefined at the beacon.
+            rows.push(range > 0 ? delta.map((v) => v / range) : delta.map(() => 0));
+        });
+        return { rows, residuals };
+    };
+
+    let position = (measurements.length > dimensions && linearEstimate(anchors, distances, dimensions)) ||
+        centroid(anchors, dimensions);
+    let { rows, residuals } = evaluate(position);
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < maxIterations) {
+        iterations++;
+        const { a, b } = normalEquations(rows, residuals, dimensions);
+        const step = solveLinear(a, b.map((v) => -v));
+        if (!step) break;
+
+        position = position.map((v, j) => v + (step[j] as number));
+        ({ rows, residuals } = evaluate(position));
+        if (Math.sqrt(dot(step, step)) < tolerance) {
+            converged = true;
+            break;
+        }
+    }
+    if (!position.every(Number.isFinite)) return null;
+
+    // Dilution of precision is the square root of the trace of (J^T J)^-1,
+    // infinite when the beacons don't constrain all axes.
+    const { a } = normalEquations(rows, residuals, dimensions);
+    let trace = 0;
+    for (let j = 0; j < dimensions; j++) {
+        const column = solveLinear(a, a.map((_, k) => k === j ? 1 : 0));
+        trace += column ? column[j] as number : Infinity;
+    }
+
+    return {
+        x: position[0] as number,
+        y: position[1] as number,
+        z: dimensions === 3 ? position[2] as number : z,
+        residuals,
+        rms: Math.sqrt(dot(residuals, residuals) / residuals.length),
+        dop: Math.sqrt(trace),
+        iterations,
+        converged
+    };
+}
@@ -0,0 +1,362 @@
+import { EventChannel } from "../socket/eventhandler.js";
+import { combineLoggers, consoleLogger } from "../utils/logging.js";
+import { TypedEmitter } from "../utils/emitter.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import { ConstantVelocityFilter } from "./kalman.js";
+import { multilaterate } from "./multilateration.js";
+import * as Types from "../types.js";
+
+export const DEFAULT_TWR_POSITIONING_OPTIONS: Types.TwrPositioningOptions = {
+    windowSize: 1000,
+    dimensions: 2,
+    minBeacons: null,
+    tagHeight: 0,
+    measurementNoise: 100,
+    smoothing: false,
+    processNoise: 1000,
+    referenceError: 500,
+    maxIterations: 20,
+    loggers: [consoleLogger]
+};
+
+// Measurements of a tag waiting to be solved.
+type MeasurementWindow = {
+    start: number,
+    end: number,
+    // Local time of the first measurement, for flushing idle windows.
+    receivedAt: number,
+    distances: Map<number, number[]>
+};
+
+type Beacon = {
+    x: number,
+    y: number,
+    z: number,
+    floorId: number | null
+};
+
+function median(values: number[]): number {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = sorted.length >> 1;
+    return sorted.length % 2
+        ? sorted[middle] as number
+        : ((sorted[middle - 1] as number) + (sorted[middle] as number)) / 2;
+}
+
+/**
+ * Computes tag positions from raw TWR distance measurements.
+ *
+ * Measurements are grouped per tag in time windows by their timestamps. When
+ * a window closes the median distance to each beacon is used to solve the
+ * position with least-squares multilateration in 2D or 3D, optionally
+ * smoothed with a constant velocity Kalman filter.
+ *
+ * Positions are emitted as "position" events with the residuals and a quality
+ * from 0 to 1, and as "locationUpdate" events with the same payload as the
+ * location stream, so they can be compared with the cloud positions or fed to
+ * e.g. GeofenceEngine.
+ *
+ * Beacon positions are set with setBeacons, e.g. from the response of
+ * calibratePositions. Distances and positions must be in the same units,
+ * millimeters in Noccela's APIs.
+ *
+ * @export
+ * @class TwrPositioningEngine
+ */
+export class TwrPositioningEngine {
+	public _options: Types.TwrPositioningOptions;
+	public _logger: Types.ConsoleLogger;
+	public _emitter: TypedEmitter<Types.TwrPositioningEvents>;
+	public _beacons: Map<number, Beacon>;
+	public _windows: Map<number, MeasurementWindow>;
+	public _filters: Map<number, ConstantVelocityFilter>;
+	public _unknownBeacons: Set<number>;
+	public _channel: EventChannel | null;
+	public _registration: string | null;
+	public _flushInterval: ReturnType<typeof setInterval> | null;
+
+    /**
+     * Creates an instance of TwrPositioningEngine.
+     *
+     * @param {Types.TwrPositioningOptions} [options] Options that override defaults.
+     * @memberof TwrPositioningEngine
+     */
+    constructor(options: Partial<Types.TwrPositioningOptions> | null = null) {
+        this._options = {
+            ...DEFAULT_TWR_POSITIONING_OPTIONS,
+            ...options
+        };
+        const { windowSize, dimensions, minBeacons } = this._options;
+        if (!(windowSize > 0)) throw new ArgumentException("windowSize");
+        if (dimensions !== 2 && dimensions !== 3) throw new ArgumentException("dimensions");
+        if (minBeacons !== null && !(minBeacons >= dimensions)) throw new ArgumentException("minBeacons");
+
+        this._logger = combineLoggers(this._options.loggers);
+
+        this._emitter = new TypedEmitter(this._logger);
+
+        // Beacons and filters mapped by device ID.
+        this._beacons = new Map();
+        this._filters = new Map();
+
+        // Open windows mapped by tag's device ID.
+        this._windows = new Map();
+
+        this._unknownBeacons = new Set();
+        this._channel = null;
+        this._registration = null;
+        this._flushInterval = null;
+    }
+
+    /**
+     * Set the positions of the beacons, replacing the previous ones.
+     *
+     * @param {Types.TwrBeacon[]} beacons Beacon positions, e.g. the
+     * beaconPositions of calibratePositions' response.
+     * @memberof TwrPositioningEngine
+     */
+    setBeacons(beacons: Types.TwrBeacon[]): void {
+        if (!Array.isArray(beacons)) throw new ArgumentException("beacons");
+
+        this._beacons.clear();
+        this._unknownBeacons.clear();
+        for (const beacon of beacons) {
+            if (!beacon || ![beacon.x, beacon.y, beacon.z].every(Number.isFinite)) {
+                throw new ArgumentException("beacons");
+            }
+            this._beacons.set(beacon.deviceId, {
+                x: beacon.x,
+                y: beacon.y,
+                z: beacon.z,
+                floorId: beacon.floorId ?? null
+            });
+        }
+    }
+
+    /**
+     * Add a listener for computed positions.
+     *
+     * @param {"position" | "locationUpdate"} event Either the detailed result
+     * or a location update with the tag's position.
+     * @param {(payload: Object) => void} listener
+     * @returns {string} UUID that can be used to remove the listener.
+     * @memberof TwrPositioningEngine
+     */
+    on<K extends keyof Types.TwrPositioningEvents>(event: K, listener: (payload: Types.TwrPositioningEvents[K]) => void): string {
+        return this._emitter.on(event, listener);
+    }
+
+    /**
+     * Remove a listener added with on.
+     *
+     * @param {string} uuid
+     * @memberof TwrPositioningEngine
+     */
+    off(uuid: string): boolean {
+        return this._emitter.off(uuid);
+    }
+
+    /**
+     * Register to the channel's TWR stream and compute the positions of the
+     * tags. Idle windows are solved after the window size has passed.
+     *
+     * @param {EventChannel} channel Connected channel.
+     * @param {number[]} [tagDeviceIds] Tags to position, null for all.
+     * @memberof TwrPositioningEngine
+     */
+    async attach(channel: EventChannel, tagDeviceIds: number[] | null = null): Promise<void> {
+        if (!channel || !(channel instanceof EventChannel)) {
+            throw new ArgumentException("channel");
+        }
+        if (this._channel) throw Error("TWR positioning engine is already attached");
+
+        this._channel = channel;
+        try {
+            this._registration = await channel.registerTwrStream((err, payload) => {
+                if (err) {
+                    this._logger.error(`Error in TWR stream: ${err}`);
+                    return;
+                }
+                this.process(payload);
+            }, tagDeviceIds);
+        } catch (e) {
+            await this.detach();
+            throw e;
+        }
+
+        this._flushInterval = setInterval(
+            () => this._flushIdle(Date.now()),
+            this._options.windowSize
+        );
+    }
+
+    /**
+     * Unregister from the channel. Open windows are discarded.
+     *
+     * @memberof TwrPositioningEngine
+     */
+    async detach(): Promise<void> {
+        if (this._flushInterval != null) clearInterval(this._flushInterval);
+        this._flushInterval = null;
+        this._windows.clear();
+
+        const channel = this._channel;
+        const registration = this._registration;
+        this._channel = null;
+        this._registration = null;
+
+        if (channel && registration) await channel.unregister(registration);
+    }
+
+    /**
+     * Add TWR measurements. A tag's window is solved when a measurement
+     * outside of it arrives. Called automatically when attached to a channel.
+     *
+     * @param {Types.TwrDataResponse | Types.TwrDataResponse[]} measurements
+     * @returns {Types.TwrPosition[]} Positions of the windows that closed.
+     * @memberof TwrPositioningEngine
+     */
+    process(measurements: Types.TwrDataResponse | Types.TwrDataResponse[]): Types.TwrPosition[] {
+        const positions: Types.TwrPosition[] = [];
+        const now = Date.now();
+
+        for (const m of Array.isArray(measurements) ? measurements : [measurements]) {
+            if (!m || !Number.isFinite(m.t) || !Number.isFinite(m.d) || m.d < 0) continue;
+            if (!this._beacons.has(m.bId)) {
+                if (!this._unknownBeacons.has(m.bId)) {
+                    this._unknownBeacons.add(m.bId);
+                    this._logger.debug(`Ignoring TWR measurements of beacon ${m.bId} without position`, null);
+                }
+                continue;
+            }
+
+            let window = this._windows.get(m.tId);
+            if (window && m.t >= window.start + this._options.windowSize) {
+                const position = this._solve(m.tId, window);
+                if (position) positions.push(position);
+                window = undefined;
+            }
+            if (!window) {
+                window = { start: m.t, end: m.t, receivedAt: now, distances: new Map() };
+                this._windows.set(m.tId, window);
+            }
+
+            window.end = Math.max(window.end, m.t);
+            const distances = window.distances.get(m.bId);
+            if (distances) {
+                distances.push(m.d);
+            } else {
+                window.distances.set(m.bId, [m.d]);
+            }
+        }
+
+        return positions;
+    }
+
+    /**
+     * Solve all open windows without waiting for them to close.
+     *
+     * @returns {Types.TwrPosition[]}
+     * @memberof TwrPositioningEngine
+     */
+    flush(): Types.TwrPosition[] {
+        return this._flushIdle(Infinity);
+    }
+
+    /**
+     * Forget a tag's open window and smoothing state.
+     *
+     * @param {number} deviceId Tag's device ID.
+     * @memberof TwrPositioningEngine
+     */
+    reset(deviceId: number): void {
+        this._windows.delete(deviceId);
+        this._filters.delete(deviceId);
+    }
+
+    _flushIdle(now: number): Types.TwrPosition[] {
+        const positions: Types.TwrPosition[] = [];
+        for (const [deviceId, window] of Array.from(this._windows.entries())) {
+            if (window.receivedAt + this._options.windowSize > now) continue;
+            const position = this._solve(deviceId, window);
+            if (position) positions.push(position);
+        }
+        return positions;
+    }
+
+    // Solve and emit the position of a tag's window.
+    _solve(deviceId: number, window: MeasurementWindow): Types.TwrPosition | null {
+        this._windows.delete(deviceId);
+
+        const {
+            dimensions, minBeacons, tagHeight, measurementNoise, smoothing,
+            processNoise, referenceError, maxIterations
+        } = this._options;
+
+        const beaconIds: number[] = [];
+        const measurements: Types.RangeMeasurement[] = [];
+        const floors = new Map<number, number>();
+        for (const [beaconId, distances] of Array.from(window.distances.entries())) {
+            const beacon = this._beacons.get(beaconId);
+            if (!beacon) continue;
+            beaconIds.push(beaconId);
+            measurements.push({ x: beacon.x, y: beacon.y, z: beacon.z, distance: median(distances) });
+            if (beacon.floorId !== null) floors.set(beacon.floorId, (floors.get(beacon.floorId) || 0) + 1);
+        }
+        if (measurements.length < (minBeacons ?? dimensions + 1)) return null;
+
+        const result = multilaterate(measurements, { dimensions, z: tagHeight, maxIterations });
+        if (!result || !Number.isFinite(result.dop)) return null;
+
+        // Expected position error from the distance errors and the geometry.
+        const error = Math.max(result.rms, measurementNoise) * result.dop;
+        let coordinates = dimensions === 3 ? [result.x, result.y, result.z] : [result.x, result.y];
+        let uncertaintyDistance = error;
+        if (smoothing) {
+            let filter = this._filters.get(deviceId);
+            if (!filter) {
+                filter = new ConstantVelocityFilter(processNoise);
+                this._filters.set(deviceId, filter);
+            }
+            const filtered = filter.update(coordinates, error * error / dimensions, window.end);
+            coordinates = filtered.position;
+            uncertaintyDistance = Math.sqrt(filtered.variance.reduce((sum, v) => sum + v, 0));
+        }
+
+        const location: Types.LocationUpdateItem = {
+            timestamp: window.end,
+            twrTimestamp: window.end,
+            x: coordinates[0] as number,
+            y: coordinates[1] as number,
+            z: dimensions === 3 ? coordinates[2] as number : tagHeight,
+            uncertaintyDistance
+        };
+        // Floor of the most beacons.
+        let floorCount = 0;
+        floors.forEach((count, floorId) => {
+            if (count > floorCount) {
+                floorCount = count;
+                location.floorId = floorId;
+            }
+        });
+
+        const residuals: { [beaconId: string]: number } = {};
+        beaconIds.forEach((beaconId, i) => { residuals[beaconId] = result.residuals[i] as number; });
+
+        const position: Types.TwrPosition = {
+            deviceId,
+            location,
+            raw: { x: result.x, y: result.y, z: result.z },
+            residuals,
+            rms: result.rms,
+            dop: result.dop,
+            quality: referenceError / (referenceError + result.rms * result.dop),
+            beaconCount: measurements.length,
+            converged: result.converged
+        };
+
+        this._emitter.emit("position", position);
+        this._emitter.emit("locationUpdate", { [deviceId]: location });
+        return position;
+    }
+}
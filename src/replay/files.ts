@@ -0,0 +1,31 @@
+import { promises as fsPromises, createWriteStream } from "fs";
+import { SessionRecorder } from "./recorder.js";
+import * as Types from "../types.js";
+
+// NodeJS only helpers for reading and writing recordings as files.
+
+/**
+ * Create a recorder that writes frames to a newline-delimited file.
+ * Call `close()` on the recorder to flush the file.
+ *
+ * @param {string} path Path to the recording file.
+ * @param {boolean} [redactTokens] Replace tokens and secrets in the frames.
+ */
+export function createFileRecorder(path: string, redactTokens: boolean = true): SessionRecorder {
+    const stream = createWriteStream(path);
+    return new SessionRecorder(
+        (line: string) => stream.write(line),
+        redactTokens,
+        () => new Promise<void>((res) => stream.end(() => res()))
+    );
+}
+
+/**
+ * Read a recording written with a file recorder.
+ *
+ * @param {string} path Path to the recording file.
+ */
+export async function loadRecording(path: string): Promise<Types.RecordedFrame[]> {
+    const ndjson: string = await fsPromises.readFile(path, "utf8");
+    return SessionRecorder.parse(ndjson);
+}
@@ -0,0 +1,135 @@
+import * as Types from "../types.js";
+
+export const REDACTED = "<redacted>";
+
+// Properties whose values are never written to recordings.
+const SECRET_PROPERTIES = new Set([
+    "token",
+    "accessToken",
+    "access_token",
+    "clientSecret",
+    "client_secret"
+]);
+
+// Encoded JWT, three Base64Url encoded parts.
+const JWT_REGEX = /^[\w-]+\.[\w-]+\.[\w-]*$/;
+
+function redactObject(obj: any): any {
+    if (Array.isArray(obj)) return obj.map(redactObject);
+    if (!obj || typeof obj !== "object") return obj;
+
+    const result: any = {};
+    for (const [key, value] of Object.entries(obj)) {
+        result[key] = SECRET_PROPERTIES.has(key) && value != null
+            ? REDACTED
+            : redactObject(value);
+    }
+    return result;
+}
+
+/**
+ * Remove access tokens and other secrets from a raw frame.
+ *
+ * @param {string} data Raw frame.
+ */
+export function redactFrame(data: string): string {
+    if (JWT_REGEX.test(data)) return REDACTED;
+
+    // Only JSON objects can contain secrets, other frames are pings or
+    // encoded payloads.
+    if (!data.startsWith("{")) return data;
+    try {
+        return JSON.stringify(redactObject(JSON.parse(data)));
+    } catch (e) {
+        return data;
+    }
+}
+
+/**
+ * Records every raw frame sent and received through the channel's socket as
+ * newline-delimited JSON, one frame per line with a timestamp. Set the recorder
+ * as `frameRecorder` option of the EventChannel.
+ *
+ * Without a writer the frames are kept in memory and can be read with
+ * `frames` or `toNdjson()`.
+ *
+ * @export
+ * @class SessionRecorder
+ */
+export class SessionRecorder implements Types.FrameRecorder {
+	public frames: Types.RecordedFrame[];
+	public _write: ((line: string) => void) | null;
+	public _close: (() => Promise<void>) | null;
+	public _redactTokens: boolean;
+	public _connection: number;
+
+    /**
+     * Creates an instance of SessionRecorder.
+     *
+     * @param {(line: string) => void} [write] Called with every line,
+     * including the line feed.
+     * @param {boolean} [redactTokens] Replace tokens and secrets in the frames.
+     * @param {() => Promise<void>} [close] Called when the recorder is closed.
+     * @memberof SessionRecorder
+     */
+    constructor(write: ((line: string) => void) | null = null, redactTokens: boolean = true, close: (() => Promise<void>) | null = null) {
+        this.frames = [];
+        this._write = write;
+        this._close = close;
+        this._redactTokens = redactTokens;
+
+        // Index of the current connection, incremented when socket is opened.
+        this._connection = -1;
+    }
+
+    /** @inheritdoc */
+    recordFrame(direction: Types.RecordedFrameDirection, data: string, code?: number): void {
+        if (direction === "open") this._connection++;
+
+        const frame: Types.RecordedFrame = {
+            t: Date.now(),
+            c: Math.max(this._connection, 0),
+            d: direction,
+            data: this._redactTokens && direction === "out" ? redactFrame(data) : data
+        };
+        if (code !== undefined) frame.code = code;
+
+        if (this._write) {
+            this._write(`${JSON.stringify(frame)}\n`);
+        } else {
+            this.frames.push(frame);
+        }
+    }
+
+    /**
+     * Get the in-memory frames as newline-delimited JSON.
+     *
+     * @memberof SessionRecorder
+     */
+    toNdjson(): string {
+        return this.frames.map((f) => `${JSON.stringify(f)}\n`).join("");
+    }
+
+    /**
+     * Flush and close the writer.
+     *
+     * @memberof SessionRecorder
+     */
+    async close(): Promise<void> {
+        if (this._close) await this._close();
+    }
+
+    /**
+     * Parse a newline-delimited recording.
+     *
+     * @param {string} ndjson Recording.
+     * @returns {Types.RecordedFrame[]}
+     * @memberof SessionRecorder
+     */
+    static parse(ndjson: string): Types.RecordedFrame[] {
+        return ndjson
+            .split("\n")
+            .filter((line) => line.trim().length)
+            .map((line) => JSON.parse(line));
+    }
+}
@@ -0,0 +1,339 @@
+import { WS_MSG_CONSTANTS } from "../constants/constants.js";
+import { combineLoggers, consoleLogger } from "../utils/logging.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import * as Types from "../types.js";
+
+const DEFAULT_REPLAY_OPTIONS: Types.ReplayOptions = {
+    speed: 1,
+    requestMatchTimeout: 10000,
+    loggers: [consoleLogger]
+};
+
+// Address the replayed channel "connects" to.
+export const REPLAY_ADDRESS = "ws://replay.invalid/realtime";
+
+// Standard WebSocket ready states.
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+// Get uniqueId and action of a JSON frame, null for other frames.
+function parseFrame(data: string): { uniqueId: string | null, action: string | null } | null {
+    if (!data.startsWith("{")) return null;
+    try {
+        const { uniqueId = null, action = null } = JSON.parse(data);
+        return { uniqueId, action };
+    } catch (e) {
+        return null;
+    }
+}
+
+// Frames of a single recorded connection, with the outbound request each
+// inbound response depends on.
+class RecordedConnection {
+	public frames: Types.RecordedFrame[];
+	public dependencies: Map<number, number>;
+	public isLast: boolean;
+
+    constructor(frames: Types.RecordedFrame[], isLast: boolean) {
+        this.frames = frames;
+        this.dependencies = new Map();
+        this.isLast = isLast;
+
+        let tokenIndex: number | null = null;
+        for (let i = 0; i < frames.length; i++) {
+            const frame = frames[i] as Types.RecordedFrame;
+            if (frame.d === "out" && tokenIndex === null) tokenIndex = i;
+            if (frame.d !== "in") continue;
+
+            const parsed = parseFrame(frame.data);
+            if (!parsed || !parsed.uniqueId) continue;
+
+            // Authentication result depends on the token being sent.
+            if (parsed.uniqueId === "authSuccess" && tokenIndex !== null) {
+                this.dependencies.set(i, tokenIndex);
+                continue;
+            }
+
+            // Responses depend on the latest request with the same uniqueId.
+            for (let j = i - 1; j >= 0; j--) {
+                const request = frames[j] as Types.RecordedFrame;
+                if (request.d !== "out") continue;
+                if (parseFrame(request.data)?.uniqueId === parsed.uniqueId) {
+                    this.dependencies.set(i, j);
+                    break;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * WebSocket-like transport that plays back a recorded connection.
+ *
+ * Responses are held back until the client has sent the matching request, and
+ * their uniqueIds are rewritten to the ones used by the client, so the client
+ * sees the recorded message sequence even though its request IDs differ.
+ *
+ * @export
+ * @class ReplayWebSocket
+ */
+export class ReplayWebSocket {
+	public readyState: number;
+	public onopen: ((ev: any) => void) | null;
+	public onmessage: ((ev: any) => void) | null;
+	public onclose: ((ev: any) => void) | null;
+	public onerror: ((ev: any) => void) | null;
+	public _connection: RecordedConnection;
+	public _options: Types.ReplayOptions;
+	public _logger: Types.ConsoleLogger;
+	public _matchedRequests: Map<number, string | null>;
+	public _uniqueIds: Map<string, string>;
+	public _matchWaiters: Map<number, () => void>;
+	public _timeout: ReturnType<typeof setTimeout> | null;
+	public _onFinished: () => void;
+
+    constructor(connection: RecordedConnection, options: Types.ReplayOptions, logger: Types.ConsoleLogger, onFinished: () => void) {
+        this.readyState = CONNECTING;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+
+        this._connection = connection;
+        this._options = options;
+        this._logger = logger;
+        this._onFinished = onFinished;
+
+        // Recorded outbound frame indices matched to client's uniqueIds.
+        this._matchedRequests = new Map();
+        // Recorded uniqueIds mapped to the client's ones.
+        this._uniqueIds = new Map();
+        this._matchWaiters = new Map();
+        this._timeout = null;
+
+        setTimeout(() => {
+            this.readyState = OPEN;
+            this.onopen?.({});
+            this._play().catch((e) => {
+                this._logger.exception("Exception while replaying", e.toString());
+            });
+        }, 0);
+    }
+
+    send(data: string): void {
+        if (this.readyState !== OPEN) throw Error("Socket is not open");
+        if (data === WS_MSG_CONSTANTS["PONG_MSG"]) return;
+
+        const parsed = parseFrame(data);
+        const frames = this._connection.frames;
+
+        // Match to the first unmatched recorded request with same action, or
+        // the token if the frame is not a request.
+        for (let i = 0; i < frames.length; i++) {
+            const frame = frames[i] as Types.RecordedFrame;
+            if (frame.d !== "out" || this._matchedRequests.has(i)) continue;
+
+            const recorded = parseFrame(frame.data);
+            if (parsed === null ? recorded !== null : recorded?.action !== parsed.action) continue;
+
+            this._matchedRequests.set(i, parsed?.uniqueId ?? null);
+            if (recorded?.uniqueId && parsed?.uniqueId) {
+                this._uniqueIds.set(recorded.uniqueId, parsed.uniqueId);
+            }
+            this._matchWaiters.get(i)?.();
+            this._matchWaiters.delete(i);
+            return;
+        }
+
+        this._logger.warn(`No recorded request matches sent frame ${data.substr(0, 100)}`);
+    }
+
+    close(code: number = 1000, reason: string = ""): void {
+        if (this.readyState === CLOSED) return;
+        this.readyState = CLOSED;
+        if (this._timeout != null) clearTimeout(this._timeout);
+        for (const resolve of this._matchWaiters.values()) resolve();
+        this._matchWaiters.clear();
+        setTimeout(() => this.onclose?.({ code, reason }), 0);
+    }
+
+    // Wait for the given time, scaled by replay speed.
+    _wait(ms: number): Promise<void> {
+        const speed = this._options.speed;
+        const scaled = speed === Infinity || ms <= 0 ? 0 : ms / speed;
+        return new Promise<void>((res) => {
+            this._timeout = setTimeout(res, scaled);
+        });
+    }
+
+    // Wait until client has sent the recorded request.
+    _waitForRequest(index: number): Promise<void> {
+        if (this._matchedRequests.has(index)) return Promise.resolve();
+
+        return new Promise<void>((res) => {
+            let matchTimeout: ReturnType<typeof setTimeout> | null = null;
+            this._matchWaiters.set(index, () => {
+                if (matchTimeout != null) clearTimeout(matchTimeout);
+                res();
+            });
+
+            const timeout = this._options.requestMatchTimeout;
+            if (timeout != null) {
+                matchTimeout = setTimeout(() => {
+                    this._logger.warn(
+                        `Client did not send recorded request ${this._connection.frames[index]?.data.substr(0, 100)}, continuing`
+                    );
+                    this._matchWaiters.delete(index);
+                    res();
+                }, timeout);
+            }
+        });
+    }
+
+    async _play(): Promise<void> {
+        const frames = this._connection.frames;
+        let previousTimestamp: number | null = null;
+
+        for (let i = 0; i < frames.length; i++) {
+            const frame = frames[i] as Types.RecordedFrame;
+            if (frame.d === "open") {
+                previousTimestamp = frame.t;
+                continue;
+            }
+
+            // Keep the recorded gaps between the frames.
+            if (previousTimestamp !== null) {
+                await this._wait(frame.t - previousTimestamp);
+            }
+            previousTimestamp = frame.t;
+            if (this.readyState !== OPEN) return;
+
+            if (frame.d === "close") {
+                // Closure at the end of the recording is the client closing
+                // the channel, not something to replay.
+                if (!this._connection.isLast) this.close(frame.code, frame.data);
+                break;
+            }
+            if (frame.d !== "in") continue;
+
+            const dependency = this._connection.dependencies.get(i);
+            if (dependency !== undefined) {
+                await this._waitForRequest(dependency);
+                if (this.readyState !== OPEN) return;
+            }
+
+            this.onmessage?.({ data: this._rewriteUniqueId(frame.data) });
+        }
+
+        this._onFinished();
+    }
+
+    // Replace recorded uniqueId with the one the client used.
+    _rewriteUniqueId(data: string): string {
+        const parsed = parseFrame(data);
+        if (!parsed || !parsed.uniqueId) return data;
+
+        const uniqueId = this._uniqueIds.get(parsed.uniqueId);
+        if (!uniqueId || uniqueId === parsed.uniqueId) return data;
+
+        return JSON.stringify({ ...JSON.parse(data), uniqueId });
+    }
+}
+
+/**
+ * Replays a recorded session to an EventChannel offline.
+ *
+ * Create the channel with `channelOptions` merged into its options and
+ * connect it with any token, each connection the channel opens plays the next
+ * recorded connection. Speed 1 replays in real-time, larger values accelerate
+ * and Infinity replays as fast as possible.
+ *
+ * @export
+ * @class ReplaySession
+ */
+export class ReplaySession {
+	public _connections: RecordedConnection[];
+	public _options: Types.ReplayOptions;
+	public _logger: Types.ConsoleLogger;
+	public _nextConnection: number;
+	public _finishedConnections: number;
+	public _resolveFinished: () => void;
+	public finished: Promise<void>;
+
+    /**
+     * Creates an instance of ReplaySession.
+     *
+     * @param {Types.RecordedFrame[]} frames Recorded frames, e.g. from
+     * SessionRecorder.parse.
+     * @param {Types.ReplayOptions} [options]
+     * @memberof ReplaySession
+     */
+    constructor(frames: Types.RecordedFrame[], options: Partial<Types.ReplayOptions> | null = null) {
+        if (!Array.isArray(frames)) throw new ArgumentException("frames");
+
+        this._options = {
+            ...DEFAULT_REPLAY_OPTIONS,
+            ...options
+        };
+        if (!(this._options.speed > 0)) throw new ArgumentException("speed");
+
+        this._logger = combineLoggers(this._options.loggers);
+
+        // Group frames by the connection they were recorded in.
+        const byConnection: Types.RecordedFrame[][] = [];
+        for (const frame of frames) {
+            (byConnection[frame.c] = byConnection[frame.c] || []).push(frame);
+        }
+        const recorded = byConnection.filter((f) => f && f.length);
+        this._connections = recorded.map(
+            (f, i) => new RecordedConnection(f, i === recorded.length - 1)
+        );
+
+        this._nextConnection = 0;
+        this._finishedConnections = 0;
+        this._resolveFinished = () => {};
+        this.finished = new Promise<void>((res) => (this._resolveFinished = res));
+        if (!this._connections.length) this._resolveFinished();
+
+        this.createWebSocket = this.createWebSocket.bind(this);
+    }
+
+    /**
+     * Options to merge into the EventChannel options so the channel uses
+     * the replay transport.
+     *
+     * @readonly
+     * @memberof ReplaySession
+     */
+    get channelOptions(): Pick<Types.UserOptions, "createWebSocket" | "getWsAddress"> {
+        return {
+            createWebSocket: this.createWebSocket,
+            getWsAddress: async () => REPLAY_ADDRESS
+        };
+    }
+
+    /**
+     * Create a socket that plays the next recorded connection.
+     *
+     * @memberof ReplaySession
+     */
+    createWebSocket(_: string): WebSocket {
+        const connection = this._connections[this._nextConnection++];
+        if (!connection) {
+            // Recording has ended, fail like an unreachable server.
+            return new ReplayWebSocket(
+                new RecordedConnection([{ t: 0, c: 0, d: "close", data: "Replay ended", code: 1006 }], false),
+                this._options,
+                this._logger,
+                () => {}
+            ) as unknown as WebSocket;
+        }
+
+        return new ReplayWebSocket(connection, this._options, this._logger, () => {
+            if (++this._finishedConnections === this._connections.length) {
+                this._resolveFinished();
+            }
+        }) as unknown as WebSocket;
+    }
+}
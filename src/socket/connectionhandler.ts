@@ -1,5 +1,5 @@
 import { SOCKET_HANDLER_MISSING_ERROR } from "../constants/constants.js";
-import { ArgumentException } from "../utils/exceptions.js";
+import { ArgumentException, AuthenticationError, ConnectionClosedError } from "../utils/exceptions.js";
 import { getUniqueId } from "../utils/utils.js";
 import { RequestHandler } from "./requesthandler.js";
 import {
@@ -11,6 +11,7 @@ import { getAddress } from "../http/site.js"
 import { getWebSocket } from "../utils/ponyfills.js";
 import * as Types from "../types.js";
 import { Dependencies } from "./models.js";
+import { ConnectionStats } from "./stats.js";
 
 /**
  * Encloses a RequestHandler and provides additional 'robustness'
@@ -31,6 +32,7 @@ class RobustWSChannel {
 	public _nextRetryInterval: number | null;
 	public _logger: Types.ConsoleLogger | null;
 	public _dependencyContainer: Dependencies;
+	public _stats: ConnectionStats;
 	public _onConnectionRecreated: (() => void) | null = null;
 	public _webSocketStateOpen: number = 0;
 	public _webSocketStateClosed: number = 0;
@@ -79,6 +81,9 @@ class RobustWSChannel {
         ({ logger: this._logger } = dependencyContainer);
         this._dependencyContainer = dependencyContainer;
 
+        // Metrics are kept over reconnections.
+        this._stats = new ConnectionStats();
+
         this._reconnect = this._reconnect.bind(this);
     }
 
@@ -87,6 +92,7 @@ class RobustWSChannel {
     _reconnect(): void {
         // Previous socket handler should no longer be used.
         this._socketHandler = null;
+        const stats: ConnectionStats = this._stats;
 
         // Attempt to connect, authenticate and re-establish the previous state.
         async function connectionAttempt() {
@@ -107,6 +113,7 @@ class RobustWSChannel {
                     "Exception while attempting to reconnect",
                     e
                 );
+                stats.recordConnectionEvent("reconnect-failed", null, `${e}`);
 
                 // Delay and schedule new attempt after attempt failed.
                 // @ts-ignore
@@ -114,6 +121,7 @@ class RobustWSChannel {
                 return;
             }
 
+            stats.recordConnectionEvent("reconnected");
             // @ts-ignore
             this._logger.log("Connection re-established");
         }
@@ -132,12 +140,13 @@ class RobustWSChannel {
      *
      * @param {string} action Action name.
      * @param {Object} payload Action's payload.
+     * @param {AbortSignal} [signal]
      * @returns Promise that resolves with the response payload.
      * @memberof RobustWSChannel
      */
-    async sendMessageRaw(action: string, payload: Object): Promise<Types.CloudResponse> {
+    async sendMessageRaw(action: string, payload: Object, signal: AbortSignal | null = null): Promise<Types.CloudResponse> {
         if (this._socketHandler === null) {
-            throw Error(SOCKET_HANDLER_MISSING_ERROR);
+            throw new ConnectionClosedError(SOCKET_HANDLER_MISSING_ERROR);
         }
 
         const request : Types.Request = {
@@ -146,7 +155,7 @@ class RobustWSChannel {
             action: action,
         };
 
-        return await this._socketHandler.sendRequest(request);
+        return await this._socketHandler.sendRequest(request, null, null, signal);
     }
 
     /**
@@ -204,35 +213,44 @@ class RobustWSChannel {
      * @memberof RobustWSChannel
      */
     async connect(jwt: string): Promise<Types.AuthenticateResult | null> {
-        if (!jwt || typeof jwt !== "string") throw Error("Invalid JWT");
+        if (!jwt || typeof jwt !== "string") throw new AuthenticationError("Invalid JWT");
 
         if (this._socket && this.connected) return null;
 
         if (this._retryTimeout != null) clearTimeout(this._retryTimeout);
 
-        // Create new WebSocket and handler.
-        const wsConstructor: typeof WebSocket = await getWebSocket();
-
-        this._webSocketStateOpen = wsConstructor.OPEN;
-        this._webSocketStateClosed = wsConstructor.CLOSED;
-
         const address: string = await this._addressCallback(this.domain, this.account, this.site, jwt);
         if (!address.startsWith("ws")) {
             throw Error(
                 `Invalid protocol for WS address, expected ws or wss, got ${address}`
             );
         }
-        this._socket = new wsConstructor(address);
+
+        // Create new WebSocket and handler.
+        if (typeof this._options.createWebSocket === "function") {
+            // Custom transport, e.g. replay, uses the standard ready states.
+            this._webSocketStateOpen = 1;
+            this._webSocketStateClosed = 3;
+            this._socket = this._options.createWebSocket(address);
+        } else {
+            const wsConstructor: typeof WebSocket = await getWebSocket();
+
+            this._webSocketStateOpen = wsConstructor.OPEN;
+            this._webSocketStateClosed = wsConstructor.CLOSED;
+            this._socket = new wsConstructor(address);
+        }
 
         this._logger?.log(`Connecting to ${address}`);
         // Connect to cloud.
         await connectWebsocket(this._socket);
+        this._options.frameRecorder?.recordFrame("open", address);
         this._logger?.log("Connected, sending token");
 
         // Send JWT to cloud for authentication.
         const authResult: Types.AuthenticateResult = await authenticate(
             this._socket,
-            jwt
+            jwt,
+            this._options.frameRecorder
         );
 
         this._logger?.log(
@@ -244,7 +262,8 @@ class RobustWSChannel {
             this._socket,
             this._options,
             this._reconnect,
-            this._dependencyContainer
+            this._dependencyContainer,
+            this._stats
         );
 
         this._lastJwtUsed = jwt;
@@ -259,11 +278,12 @@ class RobustWSChannel {
     }
 
     /** @see {@link RequestHandler#registerServerCallback} */
-    registerServerCallback(registeredResponseType: string, uuid: string, callback: (payload: object) => void): void {
+    registerServerCallback(registeredResponseType: string, uuid: string, callback: (payload: object) => void, onClose: ((error: Error) => void) | null = null): void {
         this._socketHandler?.registerServerCallback(
             registeredResponseType,
             uuid,
-            callback
+            callback,
+            onClose
         );
     }
 
@@ -273,15 +293,29 @@ class RobustWSChannel {
     }
 
     /** @see {@link RequestHandler#sendRequest} */
-    async sendRequest(msg : Types.Request, timeout:number | null = null, serverResponseType: string | null = null): Promise<Types.CloudResponse | undefined> {
+    async sendRequest(msg : Types.Request, timeout:number | null = null, serverResponseType: string | null = null, signal: AbortSignal | null = null): Promise<Types.CloudResponse | undefined> {
         
         return await this._socketHandler?.sendRequest(
             msg,
             timeout,
-            serverResponseType
+            serverResponseType,
+            signal
         );
     }
 
+    /**
+     * Get a snapshot of the connection metrics.
+     *
+     * @returns {Types.ChannelStats}
+     * @memberof RobustWSChannel
+     */
+    getStats(): Types.ChannelStats {
+        const pendingRequests = this._socketHandler
+            ? Object.keys(this._socketHandler._requestHandlers).length
+            : 0;
+        return this._stats.getStats(this.connected, pendingRequests);
+    }
+
     /**
      * True if underlying connection is open and authenticated.
      *
@@ -307,14 +341,26 @@ class RobustWSChannel {
  */
 export class RobustAuthenticatedWSChannel extends RobustWSChannel {
 	
-    // Fetch a new token and re-authenticate with the connection.
+    // Fetch a new token and re-authenticate with the connection, recording
+    // the outcome.
     async _refreshToken(authServerDomain: string, getToken: (jwt: string) => Promise<string>): Promise<Types.AuthenticateResponse> {
+        try {
+            const authResponse = await this._sendRefreshedToken(authServerDomain, getToken);
+            this._stats.recordTokenRefresh(true);
+            return authResponse;
+        } catch (e) {
+            this._stats.recordTokenRefresh(false, `${e}`);
+            throw e;
+        }
+    }
+
+    async _sendRefreshedToken(authServerDomain: string, getToken: (jwt: string) => Promise<string>): Promise<Types.AuthenticateResponse> {
         // Fetch new token from auth. server.
         this._logger?.log("Refreshing access token...");
 
         // Connection is down currently, throw and try again later.
         if (this._socketHandler === null) {
-            throw Error(SOCKET_HANDLER_MISSING_ERROR);
+            throw new ConnectionClosedError(SOCKET_HANDLER_MISSING_ERROR);
         }
 
         const newToken: string = await getToken(authServerDomain);
@@ -365,7 +411,7 @@ export class RobustAuthenticatedWSChannel extends RobustWSChannel {
         // remaining.
         const tokenSpan: number = tokenExpiration - tokenIssued;
         if (typeof tokenSpan !== "number" || tokenSpan <= 0) {
-            throw Error("Received invalid token information");
+            throw new AuthenticationError("Received invalid token information");
         }
 
         const currentTimestamp = Date.now();
@@ -1,4 +1,4 @@
-import { DEFAULT_OPTIONS, EVENT_TYPES } from "../constants/constants.js";
+import { ALERT_STATE_DEFAULT_DAYS, DEFAULT_OPTIONS, EVENT_TYPES } from "../constants/constants.js";
 import {
     DEFAULT_AUTH_ORIGIN,
     DEFAULT_API_HTTP_ORIGIN,
@@ -9,10 +9,11 @@ import {
     validateOptions,
     waitAsync,
 } from "../utils/utils.js";
-import * as NccAuth from "../http/authentication.js";
+import { ClientCredentialsTokenProvider, TokenProvider } from "../http/tokenprovider.js";
 import { RobustAuthenticatedWSChannel } from "./connectionhandler.js";
 import {
     getFilteredCallback,
+    toMessageFilter,
     TagInitialStateFilter,
     AlertInitialStateFilter,
     LocationUpdateFilter,
@@ -27,9 +28,44 @@ import {
     BeaconDiffStreamFilter
 } from "./filters.js";
 import { Dependencies, RegisteredEvent } from "./models.js";
-import { ArgumentException } from "../utils/exceptions.js";
+import { Subscription } from "./subscription.js";
+import { StreamProcessor, hasStreamOptions } from "./streamprocessor.js";
+import { ArgumentException, ConnectionClosedError } from "../utils/exceptions.js";
+import { throwIfAborted, withAbortSignal } from "../utils/abort.js";
+import { TypedEmitter } from "../utils/emitter.js";
+import { Outbox } from "../outbox/outbox.js";
+import { StreamMultiplexer } from "./multiplexer.js";
+import { EXPRESSION_FILTER_FIELDS } from "./filterexpression.js";
 import * as Types from "../types.js";
 
+type StreamEntry = Types.StreamDefinition & { filterClass: typeof BaseFilter };
+
+// Event types with a cloud subscription, shared by their registrations.
+const STREAMS: { [eventType: string]: StreamEntry } = {};
+function defineStream(eventType: string, responseType: string, registerAction: string, unregisterAction: string, filterClass: typeof BaseFilter, filterFields: string[] | null = ["deviceIds"], payload: object | null = null): void {
+    STREAMS[eventType] = {
+        eventType,
+        responseType,
+        registerAction,
+        unregisterAction,
+        filterFields,
+        deviceFields: filterFields || ["deviceIds"],
+        payload,
+        filterClass
+    };
+}
+defineStream(EVENT_TYPES["LOCATION_UPDATE"], "locationUpdate", "registerTagLocation", "unregisterTagLocation", LocationUpdateFilter as typeof BaseFilter);
+defineStream(EVENT_TYPES["P2P_DISTANCE_UPDATE"], "p2pDistanceUpdate", "registerP2PDistanceStream", "unregisterP2PDistanceStream", P2pDistanceUpdateFilter as typeof BaseFilter);
+defineStream(EVENT_TYPES["TAG_DIFF"], "tagDiffStream", "registerTagDiffStream", "unregisterTagDiffStream", TagDiffStreamFilter as typeof BaseFilter);
+defineStream(EVENT_TYPES["BEACON_DIFF"], "beaconDiffStream", "registerToBeaconChangeStream", "unregisterBeaconChangeStream", BeaconDiffStreamFilter as typeof BaseFilter);
+defineStream(EVENT_TYPES["ALERT_DIFF"], "alertDiffStream", "registerAlertDiffStream", "unregisterAlertDiffStream", AlertDiffStreamFilter as typeof BaseFilter, ["deviceIds"], {
+    alertTypeGroups: [1, 2, 4]
+});
+defineStream(EVENT_TYPES["TWR_DATA"], "twrStreamData", "registerTwrStream", "unregisterTwrStream", TwrDataFilter as typeof BaseFilter, ["deviceIds", "tagDeviceIds", "beaconDeviceIds"]);
+// TODO: Beacon serial number?
+defineStream(EVENT_TYPES["CONTACT_TRACE_UPDATE"], "contactTracingUpdate", "registerContactTracingStream", "unregisterContactTracingStream", ContactTracingUpdateFilter as typeof BaseFilter);
+defineStream(EVENT_TYPES["LAYOUT_UPDATE"], "siteLayoutChanged", "registerLayoutChanges", "unregisterLayoutChanges", EmptyFilter as typeof BaseFilter, null);
+
 /**
  * Class that encloses a connection to Noccela's backend and provides high-level
  * methods that enable registering to events and sending requests.
@@ -46,6 +82,11 @@ export class EventChannel {
 	public _origin: string;
 	public _logger: Types.ConsoleLogger;
 	public _registeredEvents: Record<string, RegisteredEvent>;
+	public _streamProcessors: Record<string, StreamProcessor>;
+	public _statsEmitter: TypedEmitter<Types.ChannelStatsEvents>;
+	public _statsInterval: ReturnType<typeof setInterval> | null;
+	public _outbox: Outbox | null;
+	public _multiplexer: StreamMultiplexer;
 	public _dependencyContainer: Dependencies;
 	public _connection: RobustAuthenticatedWSChannel;
 
@@ -94,6 +135,13 @@ export class EventChannel {
         /** @type {Object.<String, RegisteredEvent>} */
         this._registeredEvents = {};
 
+        // Throttling and batching of registered events mapped by their id.
+        this._streamProcessors = {};
+
+        // Periodic stats event, the timer runs while there are listeners.
+        this._statsEmitter = new TypedEmitter(logger);
+        this._statsInterval = null;
+
         // Root-level dependency container that can be injected further.
         this._dependencyContainer = new Dependencies(logger);
 
@@ -105,18 +153,51 @@ export class EventChannel {
             this._dependencyContainer
         );
 
+        // Commands issued while disconnected are queued if enabled.
+        this._outbox = this._options.outbox
+            ? new Outbox(
+                (msg) => this._connection.sendRequest(msg, null),
+                () => this.connected,
+                this._options.outbox,
+                logger
+            )
+            : null;
+
+        // One cloud subscription per stream, shared by the registrations.
+        this._multiplexer = new StreamMultiplexer(
+            (msg) => this._connection.sendRequest(msg),
+            () => this.connected,
+            logger
+        );
+
         this._connection.setOnReconnectCallback(
-            this._reregisterEvents.bind(this)
+            this._onConnectionRecreated.bind(this)
         );
     }
 
+    // Send the queued commands and re-register events after the connection
+    // has been re-established.
+    async _onConnectionRecreated(): Promise<void> {
+        const flushed = this._outbox?.flush();
+        await this._reregisterEvents();
+        await flushed;
+    }
+
     // Handle event re-registration after broken connection is fixed.
     async _reregisterEvents(): Promise<void> {
         // Get events to be registered with new connection.
         const oldEntries: RegisteredEvent[] = Object.values(this._registeredEvents);
 
-        // Remove old registrations.
+        // Remove old registrations, the new connection has no subscriptions.
         this._registeredEvents = {};
+        this._multiplexer.reset();
+
+        // Collect the registrations of each stream first, so the stream is
+        // registered once with the combined filter.
+        for (const { args } of oldEntries) {
+            const stream: StreamEntry | undefined = STREAMS[args.eventType];
+            if (stream && args.uuid) this._multiplexer.restore(stream, args.uuid, args.filter);
+        }
 
         for (const oldEventData of oldEntries) {
             const { eventType, args } = oldEventData;
@@ -124,7 +205,7 @@ export class EventChannel {
                 // Register the event using same arguments as before.
                 // This also includes the previous UUID that is used instead
                 // of generating new one so that the new event has the same ID.
-                await this.register(args.eventType, args.filter, args.callback, args.uuid);
+                await this.register(args.eventType, args.filter, args.callback, args.uuid, args.streamOptions);
             } catch (e: any) {
                 this._logger.exception(
                     `Error while re-registering event ${eventType}`,
@@ -150,6 +231,8 @@ export class EventChannel {
                     this._logger.error(
                         `Failed to re-register ${eventType} ${oldEventData.failedAttempts} times, giving up`
                     );
+                    this._disposeStreamProcessor(args.uuid);
+                    if (args.uuid) await this._multiplexer.remove(args.eventType, args.uuid);
                 }
             }
         }
@@ -160,18 +243,34 @@ export class EventChannel {
      * one go. Also automatically schedules new token retrieval if 'automaticTokenRenewal'
      * is true in options.
      *
-     * @param {() => Promise<string>} getToken Async callback that fetches the
-     * access token.
+     * @param {((domain: string) => Promise<string>) | TokenProvider} getToken
+     * Async callback or token provider that fetches the access token.
      * @param {string} authServerDomain Authentication server domain.
+     * @param {AbortSignal} [signal] Cancels connecting, a connection
+     * completed after the abort is closed.
      * @returns {Promise} Promise that resolves when connection is established.
      * @memberof EventChannel
      * @preserve
      */
-    async connectPersistent(getToken: (domain: string) => Promise<string>, authServerDomain: string = DEFAULT_AUTH_ORIGIN): Promise<void> {
-        return this._connection.createAuthenticatedConnection(
-            authServerDomain,
-            getToken
+    async connectPersistent(getToken: ((domain: string) => Promise<string>) | TokenProvider, authServerDomain: string = DEFAULT_AUTH_ORIGIN, signal: AbortSignal | null = null): Promise<void> {
+        throwIfAborted(signal);
+        let callback: (domain: string) => Promise<string>;
+        if (getToken instanceof TokenProvider) {
+            // Refreshes must not get back the token in use.
+            const provider = getToken;
+            callback = (domain: string) => provider.getToken(domain, this._connection._lastJwtUsed);
+        } else {
+            callback = getToken;
+        }
+
+        await withAbortSignal(
+            this._connection.createAuthenticatedConnection(authServerDomain, callback),
+            signal,
+            () => { this.close().catch(() => {}); }
         );
+
+        // Commands persisted by a previous session.
+        this._outbox?.flush();
     }
 
     /**
@@ -181,16 +280,16 @@ export class EventChannel {
      *
      * @param {number} clientId clientId of the application.
      * @param {string} clientSecret clientSecret of the application.
+     * @param {AbortSignal} [signal] Cancels connecting, a connection
+     * completed after the abort is closed.
      * @returns {Promise} Promise that resolves when connection is established.
      * @memberof EventChannel
      * @preserve
      */
-    async connect(clientId: number, clientSecret: string, authServerDomain: string = DEFAULT_AUTH_ORIGIN): Promise<void> {
-        const getToken = async (domain: string) => {
-            const tokenResponse = await NccAuth.getToken(clientId, clientSecret, domain);
-            return tokenResponse.accessToken;
-        };
-        return this.connectPersistent(getToken, authServerDomain);
+    async connect(clientId: number, clientSecret: string, authServerDomain: string = DEFAULT_AUTH_ORIGIN, signal: AbortSignal | null = null): Promise<void> {
+        // Channels of the same client share the token.
+        const provider = new ClientCredentialsTokenProvider(clientId, clientSecret, null, this._logger);
+        return this.connectPersistent(provider, authServerDomain, signal);
     }
 
     /**
@@ -204,6 +303,12 @@ export class EventChannel {
     async close(): Promise<void> {
         await this._connection.close();
         this._registeredEvents = {};
+        this._multiplexer.reset();
+        this._stopStatsInterval();
+        this._outbox?.close();
+        for (const uuid of Object.keys(this._streamProcessors)) {
+            this._disposeStreamProcessor(uuid);
+        }
     }
 
     /**
@@ -214,20 +319,22 @@ export class EventChannel {
      * bandwidth.
      *
      * @param {(err: String, payload: Object) => void} callback
-     * @param {Number[]} [deviceIds] Devices to get updates for. If null then
-     * all devides from the site.
+     * @param {Number[] | Types.MessageFilter} [deviceIds] Devices to get
+     * updates for, or a filter with a `where` expression. If null then all
+     * devides from the site.
+     * @param {Types.ThrottleOptions} [streamOptions] Per device rate limit
+     * and minimum movement.
+     * @param {AbortSignal} [signal] Cancels the registration.
      */
-    async registerLocationUpdate(callback: (err: string | null, payload: Types.LocationUpdateResponse) => void, deviceIds: number[] | null = null): Promise<string> {
-        if (deviceIds && deviceIds.constructor !== Array) {
-            throw new ArgumentException("deviceIds");
-        }
-        const filter: Types.MessageFilter = {
-            deviceIds: deviceIds
-        }
+    async registerLocationUpdate(callback: (err: string | null, payload: Types.LocationUpdateResponse) => void, deviceIds: number[] | Types.MessageFilter | null = null, streamOptions: Partial<Types.ThrottleOptions> | null = null, signal: AbortSignal | null = null): Promise<string> {
+        const filter: Types.MessageFilter = toMessageFilter(deviceIds);
         return this.register(
             EVENT_TYPES["LOCATION_UPDATE"],
             filter,
-            callback
+            callback,
+            null,
+            streamOptions,
+            signal
         );
     }
 
@@ -237,20 +344,22 @@ export class EventChannel {
      * This is an event to to get live P2P distances
      *
      * @param {(err: String, payload: Object) => void} callback
-     * @param {Number[]} [deviceIds] Devices to get updates for. If null then
-     * all devides from the site.
+     * @param {Number[] | Types.MessageFilter} [deviceIds] Devices to get
+     * updates for, or a filter with a `where` expression. If null then all
+     * devides from the site.
+     * @param {Types.RateLimitOptions} [streamOptions] Rate limit per
+     * tag pair and beacon.
+     * @param {AbortSignal} [signal] Cancels the registration.
      */
-    async registerP2PDistanceStream(callback: (err: string | null, payload: Types.P2PDistanceUpdateResponse) => void, deviceIds: number[] | null = null): Promise<string> {
-        if (deviceIds && deviceIds.constructor !== Array) {
-            throw new ArgumentException("deviceIds");
-        }
-        const filter: Types.MessageFilter = {
-            deviceIds: deviceIds
-        }
+    async registerP2PDistanceStream(callback: (err: string | null, payload: Types.P2PDistanceUpdateResponse) => void, deviceIds: number[] | Types.MessageFilter | null = null, streamOptions: Partial<Types.RateLimitOptions> | null = null, signal: AbortSignal | null = null): Promise<string> {
+        const filter: Types.MessageFilter = toMessageFilter(deviceIds);
         return this.register(
             EVENT_TYPES["P2P_DISTANCE_UPDATE"],
             filter,
-            callback
+            callback,
+            null,
+            streamOptions,
+            signal
         );
     }
 
@@ -263,20 +372,20 @@ export class EventChannel {
      * To get the full state whenever you want, use @see{EventChannel#getBeaconState}.
      *
      * @param {(err: String, payload: Object) => void} callback
-     * @param {Number[]} [deviceIds] Devices to get updates for. If null then
-     * all devides from the site.
+     * @param {Number[] | Types.MessageFilter} [deviceIds] Devices to get
+     * updates for, or a filter with a `where` expression. If null then all
+     * devides from the site.
+     * @param {AbortSignal} [signal] Cancels the registration.
      */
-    async registerInitialBeaconState(callback: (err: string | null, payload: Types.BeaconInitialStateResponse) => void, deviceIds: number[] | null = null): Promise<string> {
-        if (deviceIds && deviceIds.constructor !== Array) {
-            throw new ArgumentException("deviceIds");
-        }
-        const filter: Types.MessageFilter = {
-            deviceIds: deviceIds
-        }
+    async registerInitialBeaconState(callback: (err: string | null, payload: Types.BeaconInitialStateResponse) => void, deviceIds: number[] | Types.MessageFilter | null = null, signal: AbortSignal | null = null): Promise<string> {
+        const filter: Types.MessageFilter = toMessageFilter(deviceIds);
         return this.register(
             EVENT_TYPES["BEACON_STATE"],
             filter,
-            callback
+            callback,
+            null,
+            null,
+            signal
         );
     }
 
@@ -284,20 +393,22 @@ export class EventChannel {
      * Register to incremental updates for tags' state on a given site.
      *
      * @param {(err: String, payload: Object) => void} callback
-     * @param {Number[]} [deviceIds] Devices to get updates for. If null then
-     * all devides from the site.
+     * @param {Number[] | Types.MessageFilter} [deviceIds] Devices to get
+     * updates for, or a filter with a `where` expression. If null then all
+     * devides from the site.
+     * @param {Types.RateLimitOptions} [streamOptions] Rate limit per
+     * beacon, held back diffs are merged.
+     * @param {AbortSignal} [signal] Cancels the registration.
      */
-    async registerBeaconDiffStream(callback: (err: string | null, payload: Types.BeaconDiffResponse) => void, deviceIds: number[] | null = null): Promise<string> {
-        if (deviceIds && deviceIds.constructor !== Array) {
-            throw new ArgumentException("deviceIds");
-        }
-        const filter: Types.MessageFilter = {
-            deviceIds: deviceIds
-        }
+    async registerBeaconDiffStream(callback: (err: string | null, payload: Types.BeaconDiffResponse) => void, deviceIds: number[] | Types.MessageFilter | null = null, streamOptions: Partial<Types.RateLimitOptions> | null = null, signal: AbortSignal | null = null): Promise<string> {
+        const filter: Types.MessageFilter = toMessageFilter(deviceIds);
         return this.register(
             EVENT_TYPES["BEACON_DIFF"],
             filter,
-            callback
+            callback,
+            null,
+            streamOptions,
+            signal
         );
     }
 
@@ -310,23 +421,23 @@ export class EventChannel {
      * To get the full state whenever you want, use @see{EventChannel#getTagState}.
      *
      * @param {(err: String, payload: Object) => void} callback
-     * @param {Number[]} [deviceIds] Devices to get updates for. If null then
-     * all devides from the site.
+     * @param {Number[] | Types.MessageFilter} [deviceIds] Devices to get
+     * updates for, or a filter with a `where` expression. If null then all
+     * devides from the site.
+     * @param {AbortSignal} [signal] Cancels the registration.
      */
-    async registerInitialTagState(callback: (err: string | null, payload: Types.TagInitialStateResponse) => void, deviceIds: number[] | null = null): Promise<string> {
-        if (deviceIds && deviceIds.constructor !== Array) {
-            throw new ArgumentException("deviceIds");
-        }
-        const filter: Types.MessageFilter = {
-            deviceIds: deviceIds
-        }
+    async registerInitialTagState(callback: (err: string | null, payload: Types.TagInitialStateResponse) => void, deviceIds: number[] | Types.MessageFilter | null = null, signal: AbortSignal | null = null): Promise<string> {
+        const filter: Types.MessageFilter = toMessageFilter(deviceIds);
         return this.register(
             EVENT_TYPES["TAG_STATE"],
             filter,
-            callback
+            callback,
+            null,
+            null,
+            signal
         );
     }
-    async getLayout(minorId: number | null = null) : Promise<Types.GetLayoutResponse>{
+    async getLayout(minorId: number | null = null, signal: AbortSignal | null = null) : Promise<Types.GetLayoutResponse>{
         const payload: Types.GetLayoutRequest = {
             minorId: minorId
         };
@@ -335,11 +446,11 @@ export class EventChannel {
             action: "getLayout",
             payload: payload
         };
-        const response: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null);
+        const response: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null, null, signal);
         return response?.payload as Types.GetLayoutResponse;
     }
 
-    async fillPolygon(masterPolygon: Types.LayoutItem, slavePolygons: Types.LayoutItem[]):Promise<Types.LayoutItem[]>{
+    async fillPolygon(masterPolygon: Types.LayoutItem, slavePolygons: Types.LayoutItem[], signal: AbortSignal | null = null):Promise<Types.LayoutItem[]>{
         
         let masterPoly: Types.Polygon = {
             x: Math.round(masterPolygon.maxX - (masterPolygon.maxX - masterPolygon.minX) / 2),
@@ -363,15 +474,18 @@ export class EventChannel {
             action: "fillPolygon",
             payload: payload
         };
-        const response: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null);
+        const response: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null, null, signal);
         let resp: Types.FillPolygonResponse = response?.payload as Types.FillPolygonResponse;
         let responseItems = [];
         for(let i = 0; i < resp.slavePolygons.length; i++){
             let responseItem: Types.Polygon | undefined = resp.slavePolygons[i];
             if (responseItem == null) continue;
             let newItem = JSON.parse(JSON.stringify(slavePolygons[i]));
-            let xArray = responseItem.polygonPoints.map(a => responseItem?.x ?? 0 + a.x);
-            let yArray = responseItem.polygonPoints.map(a => responseItem?.y ?? 0 + a.y);
+            // Points are relative to the polygon's center.
+            const centerX = responseItem.x ?? 0;
+            const centerY = responseItem.y ?? 0;
+            let xArray = responseItem.polygonPoints.map(a => centerX + a.x);
+            let yArray = responseItem.polygonPoints.map(a => centerY + a.y);
             newItem.minX = Math.min(...xArray);
             newItem.maxX = Math.max(...xArray);
             newItem.minY = Math.min(...yArray);
@@ -382,10 +496,9 @@ export class EventChannel {
         return responseItems;
     }
 
-    async saveLayout(majorId: number, majorNumber: number, comment: string, floors: Types.LayoutFloor[], latitude: number | null = null, longitude: number | null = null, azimuthAngle: number | null = null) : Promise<Types.SaveLayoutResponse>{
-        let uuid = getUniqueId();
+    async saveLayout(majorId: number | null, majorNumber: number | null, comment: string, floors: Types.LayoutFloor[], latitude: number | null = null, longitude: number | null = null, azimuthAngle: number | null = null, commandOptions: Partial<Types.CommandOptions> | null = null) : Promise<Types.SaveLayoutResponse>{
         let request: Types.SaveLayoutRequest = {
-            guid: "93243b0e-6fbf-4a68-a6c1-6da4b4e3c3e4",
+            guid: getUniqueId(true),
             layout: {
                 account: this._connection.account,
                 site: this._connection.site,
@@ -406,16 +519,32 @@ export class EventChannel {
                 reloadSite: true
             }
         };
-        const msg: Types.Request = {
-            uniqueId: uuid,
-            action: "savelayout",
-            payload: request
-        };
-        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null);
+        const payload: Types.CloudResponse | undefined = await this._sendCommand("savelayout", request, commandOptions);
         return payload?.payload as Types.SaveLayoutResponse;
     }
 
-    async calibratePositions(beaconPositions: Types.BeaconPosition[], tagPoints: number[] | null, callback: (payload: Types.CalibratePositionsResponse) => void): Promise<void> {
+    /**
+     * Calibrate the beacons' positions. The cloud responds to the request
+     * right away and sends the result when it has been computed, progress is
+     * reported to `onProgress` as the request is sent, accepted and
+     * completed.
+     *
+     * @param {Types.BeaconPosition[]} beaconPositions Current positions.
+     * @param {number[]} [tagPoints] IDs of the tag points to use.
+     * @param {Types.CalibrationOptions | Function} [options] Progress
+     * listener and abort signal, or a callback of the result.
+     * @returns {Promise<Types.CalibratePositionsResponse>} Resolves with the
+     * result, rejects with ConnectionClosedError if the connection closes
+     * before it.
+     * @memberof EventChannel
+     * @preserve
+     */
+    async calibratePositions(beaconPositions: Types.BeaconPosition[], tagPoints: number[] | null = null, options: Partial<Types.CalibrationOptions> | ((payload: Types.CalibratePositionsResponse) => void) | null = null): Promise<Types.CalibratePositionsResponse> {
+        const callback = typeof options === "function" ? options : null;
+        const { onProgress = null, signal = null } = typeof options === "function" ? {} : options || {};
+        this._validateConnection();
+        throwIfAborted(signal);
+
         let uuid = getUniqueId();
 
         if(tagPoints == null) tagPoints = [];
@@ -433,72 +562,121 @@ export class EventChannel {
             payload: request
         };
         const responseAction = "calibratePositionsResponse";
-        let unregisterCallback = (payload: Types.CalibratePositionsResponse) => {
+        const sentAt = Date.now();
+        const report = (stage: Types.CalibrationStage) => onProgress?.({ stage, elapsed: Date.now() - sentAt });
+
+        const result = new Promise<Types.CalibratePositionsResponse>((resolve, reject) => {
+            this._connection.registerServerCallback(responseAction, uuid, (payload: object) => {
+                this._connection.unregisterServerCallback(responseAction, uuid);
+                resolve(payload as Types.CalibratePositionsResponse);
+            }, reject);
+        });
+        // Failed requests don't wait for the result.
+        result.catch(() => {});
+
+        let response: Types.CalibratePositionsResponse;
+        try {
+            const accepted = this._connection.sendRequest(msg, null, null, signal);
+            report("sent");
+            await accepted;
+            report("accepted");
+            response = await withAbortSignal(result, signal);
+        } catch (e) {
             this._connection.unregisterServerCallback(responseAction, uuid);
-            callback(payload);
-        };
-
-        this._connection.registerServerCallback(responseAction,uuid,unregisterCallback);
-        await this._connection.sendRequest(msg, null);
+            throw e;
+        }
+        report("completed");
+        callback?.(response);
+        return response;
     }
 
     /**
      * Register to incremental updates for tags' state on a given site.
      *
      * @param {(err: String, payload: Object) => void} callback
-     * @param {Number[]} [deviceIds] Devices to get updates for. If null then
-     * all devides from the site.
+     * @param {Number[] | Types.MessageFilter} [deviceIds] Devices to get
+     * updates for, or a filter with a `where` expression. If null then all
+     * devides from the site.
+     * @param {Types.RateLimitOptions} [streamOptions] Rate limit per
+     * tag, held back diffs are merged.
+     * @param {AbortSignal} [signal] Cancels the registration.
      */
-    async registerTagDiffStream(callback: (err: string | null, payload: Types.TagDiffResponse) => void, deviceIds: number[] | null = null): Promise<string> {
-        if (deviceIds && deviceIds.constructor !== Array) {
-            throw new ArgumentException("deviceIds");
-        }
-        const filter: Types.MessageFilter = {
-            deviceIds: deviceIds
-        }
+    async registerTagDiffStream(callback: (err: string | null, payload: Types.TagDiffResponse) => void, deviceIds: number[] | Types.MessageFilter | null = null, streamOptions: Partial<Types.RateLimitOptions> | null = null, signal: AbortSignal | null = null): Promise<string> {
+        const filter: Types.MessageFilter = toMessageFilter(deviceIds);
         return this.register(
             EVENT_TYPES["TAG_DIFF"],
             filter,
-            callback
+            callback,
+            null,
+            streamOptions,
+            signal
         );
     }
 
-    async registerInitialAlertState(callback: (err: string | null, payload: Types.AlertInitialStateResponse) => void, deviceIds: number[] | null = null): Promise<string> {
-        if (deviceIds && deviceIds.constructor !== Array) {
-            throw new ArgumentException("deviceIds");
-        }
-        const filter: Types.MessageFilter = {
-            deviceIds: deviceIds
+    /**
+     * Register to initial full state for alerts on a given site.
+     *
+     * The callback will be invoked when first registered and when the connection
+     * is re-established. Otherwise updates are tracked via incremental updates.
+     *
+     * @param {(err: String, payload: Object) => void} callback
+     * @param {Number[] | Types.MessageFilter} [deviceIds] Devices to get
+     * updates for, or a filter with a `where` expression. If null then all
+     * devides from the site.
+     * @param {Types.DateRange[]} [dateRanges] Time ranges of the alerts, if
+     * null then the last ALERT_STATE_DEFAULT_DAYS days.
+     * @param {AbortSignal} [signal] Cancels the registration.
+     */
+    async registerInitialAlertState(callback: (err: string | null, payload: Types.AlertInitialStateResponse) => void, deviceIds: number[] | Types.MessageFilter | null = null, dateRanges: Types.DateRange[] | null = null, signal: AbortSignal | null = null): Promise<string> {
+        if (dateRanges && dateRanges.constructor !== Array) {
+            throw new ArgumentException("dateRanges");
         }
+        const filter: Types.AlertStateFilter = toMessageFilter(deviceIds);
+        if (dateRanges) filter.dateRanges = dateRanges;
         return this.register(
             EVENT_TYPES["ALERT_STATE"],
             filter,
-            callback
+            callback,
+            null,
+            null,
+            signal
         );
     }
 
-    async registerAlertDiffStream(callback: (err: string | null, payload: Types.AlertDiffResponse) => void, deviceIds: number[] | null = null): Promise<string> {
-        if (deviceIds && deviceIds.constructor !== Array) {
-            throw new ArgumentException("deviceIds");
-        }
-        const filter: Types.MessageFilter = {
-            deviceIds: deviceIds
-        }
+    /**
+     * Register to incremental updates for alerts on a given site.
+     *
+     * @param {(err: String, payload: Object) => void} callback
+     * @param {Number[] | Types.MessageFilter} [deviceIds] Devices to get
+     * updates for, or a filter with a `where` expression. If null then all
+     * devides from the site.
+     * @param {Types.RateLimitOptions} [streamOptions] Rate limit per
+     * alert, held back diffs are merged.
+     * @param {AbortSignal} [signal] Cancels the registration.
+     */
+    async registerAlertDiffStream(callback: (err: string | null, payload: Types.AlertDiffResponse) => void, deviceIds: number[] | Types.MessageFilter | null = null, streamOptions: Partial<Types.RateLimitOptions> | null = null, signal: AbortSignal | null = null): Promise<string> {
+        const filter: Types.MessageFilter = toMessageFilter(deviceIds);
         return this.register(
             EVENT_TYPES["ALERT_DIFF"],
             filter,
-            callback
+            callback,
+            null,
+            streamOptions,
+            signal
         );
     }
 
-    async registerLayoutChanges(callback: (err: string | null, payload: Types.LayoutUpdateItem) => void): Promise<string> {
+    async registerLayoutChanges(callback: (err: string | null, payload: Types.LayoutUpdateItem) => void, signal: AbortSignal | null = null): Promise<string> {
         const filter: Types.MessageFilter = {
             deviceIds: null
         }
         return this.register(
             EVENT_TYPES.LAYOUT_UPDATE,
             filter,
-            callback
+            callback,
+            null,
+            null,
+            signal
         );
     }
 
@@ -506,20 +684,22 @@ export class EventChannel {
      * Register to contact tracing updates.
      *
      * @param {(err: String, payload: Object) => void} callback
-     * @param {number[]} [deviceIds] Devices to get updates for. If null then
-     * all devides from the site.
+     * @param {Number[] | Types.MessageFilter} [deviceIds] Devices to get
+     * updates for, or a filter with a `where` expression. If null then all
+     * devides from the site.
+     * @param {Types.RateLimitOptions} [streamOptions] Rate limit per
+     * tag pair.
+     * @param {AbortSignal} [signal] Cancels the registration.
      */
-    async registerContactTracingUpdate(callback: (err: string | null, payload: Types.ContactTracingUpdateResponse) => void, deviceIds: number[] | null = null): Promise<string> {
-        if (deviceIds && deviceIds.constructor !== Array) {
-            throw new ArgumentException("deviceIds");
-        }
-        const filter: Types.MessageFilter = {
-            deviceIds: deviceIds
-        }
+    async registerContactTracingUpdate(callback: (err: string | null, payload: Types.ContactTracingUpdateResponse) => void, deviceIds: number[] | Types.MessageFilter | null = null, streamOptions: Partial<Types.RateLimitOptions> | null = null, signal: AbortSignal | null = null): Promise<string> {
+        const filter: Types.MessageFilter = toMessageFilter(deviceIds);
         return this.register(
             EVENT_TYPES["CONTACT_TRACE_UPDATE"],
             filter,
-            callback
+            callback,
+            null,
+            streamOptions,
+            signal
         );
     }
 
@@ -529,36 +709,47 @@ export class EventChannel {
      *  - Measured distance from beacon to tag in millimeters.
      *
      * @param {(err: String, payload: Object) => void} callback
-     * @param {Number[]} [tagDeviceIds] Tag devices to get updates for. Null
-     * for all tag devices.
+     * @param {Number[] | Types.TwrDataFilter} [tagDeviceIds] Tag devices to
+     * get updates for, or a filter with a `where` expression evaluated for
+     * the tags. Null for all tag devices.
      * @param {Number[]} [beaconDeviceIds] Beacon devices to get measurements
      * from. Null for all beacons.
+     * @param {Types.RateLimitOptions} [streamOptions] Rate limit per
+     * tag and beacon pair.
+     * @param {AbortSignal} [signal] Cancels the registration.
      */
-    async registerTwrStream(callback: (err: string | null, payload: Types.TwrDataResponse) => void, tagDeviceIds: number[] | null = null, beaconDeviceIds: number[] | null = null): Promise<string> {
-        if (tagDeviceIds && tagDeviceIds.constructor !== Array) {
+    async registerTwrStream(callback: (err: string | null, payload: Types.TwrDataResponse) => void, tagDeviceIds: number[] | Partial<Types.TwrDataFilter> | null = null, beaconDeviceIds: number[] | null = null, streamOptions: Partial<Types.RateLimitOptions> | null = null, signal: AbortSignal | null = null): Promise<string> {
+        if (tagDeviceIds && typeof tagDeviceIds !== "object") {
             throw new ArgumentException("tagDeviceIds");
         }
         if (beaconDeviceIds && beaconDeviceIds.constructor !== Array) {
             throw new ArgumentException("beaconDeviceIds");
         }
+        const filter: Partial<Types.TwrDataFilter> = Array.isArray(tagDeviceIds)
+            ? { tagDeviceIds }
+            : tagDeviceIds || {};
         const twrFilter: Types.TwrDataFilter = {
-            deviceIds: null,
-            tagDeviceIds: tagDeviceIds,
-            beaconDeviceIds: beaconDeviceIds
+            ...filter,
+            deviceIds: filter.deviceIds ?? null,
+            tagDeviceIds: filter.tagDeviceIds ?? null,
+            beaconDeviceIds: beaconDeviceIds ?? filter.beaconDeviceIds ?? null
         };
         return this.register(
             EVENT_TYPES["TWR_DATA"],
             twrFilter,
-            callback
+            callback,
+            null,
+            streamOptions,
+            signal
         );
     }
-    async getAvailableBeacons() : Promise<Types.AvailableBeaconsResponse | null>{
+    async getAvailableBeacons(signal: AbortSignal | null = null) : Promise<Types.AvailableBeaconsResponse | null>{
         const msg: Types.Request = {
             uniqueId: getUniqueId(),
             action: "getAvailableBeacons",
             payload: {}
         };
-        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null);
+        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null, null, signal);
 
         if (payload == null) return null;
         let response : Types.AvailableBeaconsResponse = [];
@@ -576,47 +767,49 @@ export class EventChannel {
     /**
      * Reset tag's tripmeter.
      *
+     * @param {Types.CommandOptions} [commandOptions] Idempotency key,
+     * outbox expiry and abort signal.
      * @memberof EventChannel
      * @preserve
      */
-    async resetTagTripmeter(deviceId: number): Promise<void> {
-        await this.modifyTag(deviceId, null, true);
+    async resetTagTripmeter(deviceId: number, commandOptions: Partial<Types.CommandOptions> | null = null): Promise<void> {
+        await this.modifyTag(deviceId, null, true, commandOptions);
     }
     /**
      * Modify tag's name.
      *
+     * @param {Types.CommandOptions} [commandOptions] Idempotency key,
+     * outbox expiry and abort signal.
      * @memberof EventChannel
      * @preserve
      */
-    async renameTag(deviceId: number, newName: string): Promise<void> {
-        await this.modifyTag(deviceId, newName, false);
+    async renameTag(deviceId: number, newName: string, commandOptions: Partial<Types.CommandOptions> | null = null): Promise<void> {
+        await this.modifyTag(deviceId, newName, false, commandOptions);
     }
     /**
      * Modify tag's name and/or reset tripmeter.
      *
+     * @param {Types.CommandOptions} [commandOptions] Idempotency key,
+     * outbox expiry and abort signal.
      * @memberof EventChannel
      * @preserve
      */
-    async modifyTag(deviceId: number, newName: string | null, resetTripmeter: boolean): Promise<void> {
-        const msg: Types.Request = {
-            uniqueId: getUniqueId(),
-            action: "modifyTag",
-            payload: {
-                device: deviceId,
-                newName: newName,
-                resetTripmeter: resetTripmeter
-            }
-        };
-        await this._connection.sendRequest(msg, null);
+    async modifyTag(deviceId: number, newName: string | null, resetTripmeter: boolean, commandOptions: Partial<Types.CommandOptions> | null = null): Promise<void> {
+        await this._sendCommand("modifyTag", {
+            device: deviceId,
+            newName: newName,
+            resetTripmeter: resetTripmeter
+        }, commandOptions);
     }
 
     /**
      * Fetch image by id. For example image of tag or tag group.
      *
+     * @param {AbortSignal} [signal] Cancels the request.
      * @memberof EventChannel
      * @preserve
      */
-    async getImage(imageId: number): Promise<Types.GetImageResponse | null> {
+    async getImage(imageId: number, signal: AbortSignal | null = null): Promise<Types.GetImageResponse | null> {
         this._validateConnection();
         const msg: Types.Request = {
             uniqueId: getUniqueId(),
@@ -625,7 +818,7 @@ export class EventChannel {
                 imageId:imageId
             }
         };
-        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null);
+        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null, null, signal);
 
         if (payload == null) return null;
         let image : Types.GetImageResponse = {
@@ -638,17 +831,18 @@ export class EventChannel {
     /**
      * Fetch site's workflows. Also removed flows are returned
      *
+     * @param {AbortSignal} [signal] Cancels the request.
      * @memberof EventChannel
      * @preserve
      */
-    async getWorkflows(): Promise<Types.Workflow[] | null> {
+    async getWorkflows(signal: AbortSignal | null = null): Promise<Types.Workflow[] | null> {
         this._validateConnection();
         const msg: Types.Request = {
             uniqueId: getUniqueId(),
             action: "getWorkflows",
             payload: {}
         };
-        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null);
+        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null, null, signal);
 
         if (payload == null) return null;
     
@@ -657,10 +851,11 @@ export class EventChannel {
     /**
      * Fetch results from specified workflow.
      *
+     * @param {AbortSignal} [signal] Cancels the request.
      * @memberof EventChannel
      * @preserve
      */
-    async getWorkflowResults(flowId: number, start: string | null, stop: string | null): Promise<Types.WorkflowResult[] | null> {
+    async getWorkflowResults(flowId: number, start: string | null, stop: string | null, signal: AbortSignal | null = null): Promise<Types.WorkflowResult[] | null> {
         this._validateConnection();
         const msg: Types.Request = {
             uniqueId: getUniqueId(),
@@ -671,7 +866,7 @@ export class EventChannel {
                 stop: stop
             }
         };
-        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null);
+        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null, null, signal);
 
         if (payload == null) return null;
 
@@ -684,15 +879,19 @@ export class EventChannel {
      * is re-established.
      *
      * @param {(err: String, payload: Object) => void} callback
+     * @param {AbortSignal} [signal] Cancels the registration.
      */
-    async registerSiteInformation(callback: (err: string | null, payload: Types.SiteInformationResponse) => void): Promise<string> {
+    async registerSiteInformation(callback: (err: string | null, payload: Types.SiteInformationResponse) => void, signal: AbortSignal | null = null): Promise<string> {
         const filter: Types.MessageFilter = {
             deviceIds: null
         }
         return this.register(
             EVENT_TYPES["SITE_INFO"],
             filter,
-            callback
+            callback,
+            null,
+            null,
+            signal
         );
     }
 
@@ -701,19 +900,28 @@ export class EventChannel {
      * Provide filters for site and request-specific filters and a callback to
      * be invoked with response filtered with the provided filters.
      *
+     * Registrations of the same stream share one cloud subscription whose
+     * filter covers all of them, see StreamMultiplexer.
+     *
      * @param {string} eventType Type of the event to be registered.
      * @param {Object} filters Request specific filters for request.
      * @param {(err: String, payload: Object) => void} callback Callback
      * when a filtered message is received.
      * @param {string} requestUuid The unique ID to use to track the request.
      * If null then a new one is generated.
+     * @param {Types.StreamOptions} [streamOptions] Per device rate limit,
+     * minimum movement of locations and batching of the messages. When
+     * batching, the callback is invoked with an array of payloads.
+     * @param {AbortSignal} [signal] Cancels the registration, a registration
+     * completed after the abort is undone.
      * @returns {Promise} Promise that resolves or rejects when backend verifies
      * or rejects the registration.
      * @memberof EventChannel
      * @preserve
      */
-    async register(eventType: string, filters: Types.MessageFilter, callback: (err: string | null, payload: object) => void, requestUuid: string | null = null): Promise<string> {
+    async register(eventType: string, filters: Types.MessageFilter, callback: (err: string | null, payload: object) => void, requestUuid: string | null = null, streamOptions: Partial<Types.StreamOptions> | null = null, signal: AbortSignal | null = null): Promise<string> {
         this._validateConnection();
+        throwIfAborted(signal);
 
         // Create UUID to track event and request or use provided one.
         const uuid: string = requestUuid || getUniqueId();
@@ -722,245 +930,48 @@ export class EventChannel {
             eventType: eventType,
             filter: filters,
             callback: callback,
-            uuid: uuid
+            uuid: uuid,
+            streamOptions: streamOptions
         };
 
+        // Throttle and batch the messages if requested. The processor of a
+        // re-registered event is reused so held back messages aren't lost.
+        let streamProcessor: StreamProcessor | null = this._streamProcessors[uuid] || null;
+        if (!streamProcessor && hasStreamOptions(streamOptions)) {
+            streamProcessor = new StreamProcessor(eventType, streamOptions, callback);
+        }
+        const deliver: (err: string | null, payload: object) => void = streamProcessor
+            ? streamProcessor.process.bind(streamProcessor)
+            : callback;
+
         // The type of the server response message, need to track this
         // to later unregister it.
         let registeredResponseType: string | null = null;
-        let unregisterRequest: Types.Request | null = null;
 
         // Set default filter object.
         regRequest.filter = regRequest.filter || { deviceIds: null };
 
         switch (regRequest.eventType) {
             case EVENT_TYPES["LOCATION_UPDATE"]:
-                {
-                    validateOptions(regRequest.filter, ["deviceIds"], null);
-                    registeredResponseType = "locationUpdate";
-
-                    const filteredLocationUpdateCallback = getFilteredCallback(
-                        LocationUpdateFilter as typeof BaseFilter,
-                        regRequest.callback,
-                        regRequest.filter,
-                        this._dependencyContainer
-                    );
-
-                    this._connection.registerServerCallback(
-                        registeredResponseType,
-                        uuid,
-                        filteredLocationUpdateCallback.process.bind(
-                            filteredLocationUpdateCallback
-                        )
-                    );
-
-                    const locationUpdateRequest: Types.Request = {
-                        uniqueId: uuid,
-                        action: "registerTagLocation",
-                        payload: regRequest.filter,
-                    };
-
-                    await this._connection.sendRequest(locationUpdateRequest);
-
-                    unregisterRequest = {
-                        ...locationUpdateRequest,
-                        action: "unregisterTagLocation",
-                    };
-                }
-
-                break;
             case EVENT_TYPES["P2P_DISTANCE_UPDATE"]:
-                {
-                    validateOptions(regRequest.filter, ["deviceIds"], null);
-                    registeredResponseType = "p2pDistanceUpdate";
-
-
-                    const filteredP2pDistanceUpdateCallback = getFilteredCallback(
-                        P2pDistanceUpdateFilter as typeof BaseFilter,
-                        regRequest.callback,
-                        regRequest.filter,
-                        this._dependencyContainer
-                    );
-
-                    this._connection.registerServerCallback(
-                        registeredResponseType,
-                        uuid,
-                        filteredP2pDistanceUpdateCallback.process.bind(
-                            filteredP2pDistanceUpdateCallback
-                        )
-                    );
-
-                    const p2pDistanceUpdateRequest: Types.Request = {
-                        uniqueId: uuid,
-                        action: "registerP2PDistanceStream",
-                        payload: regRequest.filter,
-                    };
-
-                    await this._connection.sendRequest(p2pDistanceUpdateRequest);
-
-                    unregisterRequest = {
-                        ...p2pDistanceUpdateRequest,
-                        action: "unregisterP2PDistanceStream",
-                    };
-                }
-                break;
             case EVENT_TYPES["TAG_DIFF"]:
-                {
-                    validateOptions(regRequest.filter, ["deviceIds"], null);
-                    registeredResponseType = "tagDiffStream";
-
-                    const filteredTagDiffCallback = getFilteredCallback(
-                        TagDiffStreamFilter as typeof BaseFilter,
-                        regRequest.callback,
-                        regRequest.filter,
-                        this._dependencyContainer
-                    );
-
-                    this._connection.registerServerCallback(
-                        registeredResponseType,
-                        uuid,
-                        filteredTagDiffCallback.process.bind(
-                            filteredTagDiffCallback
-                        )
-                    );
-
-                    const tagChangeRequest: Types.Request = {
-                        uniqueId: uuid,
-                        action: "registerTagDiffStream",
-                        payload: regRequest.filter,
-                    };
-
-                    await this._connection.sendRequest(tagChangeRequest);
-
-                    unregisterRequest = {
-                        ...tagChangeRequest,
-                        action: "unregisterTagDiffStream",
-                    };
-                }
-
-                break;
-                case EVENT_TYPES["BEACON_DIFF"]:
-                    {
-                        validateOptions(regRequest.filter, ["deviceIds"], null);
-                        registeredResponseType = "beaconDiffStream";
-    
-                        const filteredBeaconDiffCallback = getFilteredCallback(
-                            BeaconDiffStreamFilter as typeof BaseFilter,
-                            regRequest.callback,
-                            regRequest.filter,
-                            this._dependencyContainer
-                        );
-    
-                        this._connection.registerServerCallback(
-                            registeredResponseType,
-                            uuid,
-                            filteredBeaconDiffCallback.process.bind(
-                                filteredBeaconDiffCallback
-                            )
-                        );
-    
-                        const beaconChangeRequest: Types.Request = {
-                            uniqueId: uuid,
-                            action: "registerToBeaconChangeStream",
-                            payload: regRequest.filter,
-                        };
-    
-                        await this._connection.sendRequest(beaconChangeRequest);
-    
-                        unregisterRequest = {
-                            ...beaconChangeRequest,
-                            action: "unregisterBeaconChangeStream",
-                        };
-                    }
-    
-                    break;
+            case EVENT_TYPES["BEACON_DIFF"]:
             case EVENT_TYPES["ALERT_DIFF"]:
-                {
-                    validateOptions(regRequest.filter, ["deviceIds"], null);
-                    registeredResponseType = "alertDiffStream";
-
-                    const filteredAlertDiffCallback = getFilteredCallback(
-                        AlertDiffStreamFilter as typeof BaseFilter,
-                        regRequest.callback,
-                        regRequest.filter,
-                        this._dependencyContainer
-                    );
-
-                    this._connection.registerServerCallback(
-                        registeredResponseType,
-                        uuid,
-                        filteredAlertDiffCallback.process.bind(
-                            filteredAlertDiffCallback
-                        )
-                    );
-
-                    const alertChangeRequest: Types.Request = {
-                        uniqueId: uuid,
-                        action: "registerAlertDiffStream",
-                        payload: {
-                            alertTypeGroups: [1,2,4]
-                        }
-                    };
-
-                    await this._connection.sendRequest(alertChangeRequest);
-
-                    unregisterRequest = {
-                        ...alertChangeRequest,
-                        action: "unregisterAlertDiffStream",
-                    };
-                }
-
-                break;
             case EVENT_TYPES["TWR_DATA"]:
-                {
-                    validateOptions(
-                        regRequest.filter,
-                        ["deviceIds", "tagDeviceIds", "beaconDeviceIds"],
-                        null
-                    );
-                    registeredResponseType = "twrStreamData";
-
-                    const filteredCallback = getFilteredCallback(
-                        TwrDataFilter as typeof BaseFilter,
-                        regRequest.callback,
-                        regRequest.filter,
-                        this._dependencyContainer
-                    );
-                   
-                    this._connection.registerServerCallback(
-                        registeredResponseType,
-                        uuid,
-                        filteredCallback.process.bind(filteredCallback)
-                    );
-
-                    const request: Types.Request= {
-                        uniqueId: uuid,
-                        action: "registerTwrStream",
-                        payload: regRequest.filter,
-                    };
-                    
-                    await this._connection.sendRequest(request);
-
-                    unregisterRequest = {
-                        ...request,
-                        action: "unregisterTwrStream",
-                    };
-                }
-
-                break;
             case EVENT_TYPES["CONTACT_TRACE_UPDATE"]:
+            case EVENT_TYPES["LAYOUT_UPDATE"]:
                 {
-                    validateOptions(
-                        regRequest.filter,
-                        ["deviceIds"], // TODO: Beacon serial number?
-                        null
-                    );
-
-                    registeredResponseType = "contactTracingUpdate";
+                    const stream = STREAMS[regRequest.eventType] as StreamEntry;
+                    if (stream.filterFields) {
+                        validateOptions(regRequest.filter, [...stream.filterFields, ...EXPRESSION_FILTER_FIELDS], null);
+                    }
+                    registeredResponseType = stream.responseType;
 
+                    // Messages of the shared cloud subscription are filtered
+                    // per registration.
                     const filteredCallback = getFilteredCallback(
-                        ContactTracingUpdateFilter as typeof BaseFilter,
-                        regRequest.callback,
+                        stream.filterClass,
+                        deliver,
                         regRequest.filter,
                         this._dependencyContainer
                     );
@@ -971,62 +982,72 @@ export class EventChannel {
                         filteredCallback.process.bind(filteredCallback)
                     );
 
-                    const request: Types.Request = {
-                        uniqueId: uuid,
-                        action: "registerContactTracingStream",
-                        payload: regRequest.filter,
-                    };
-
-                    await this._connection.sendRequest(request);
+                    // Registration completed after the abort is undone.
+                    const eventType = regRequest.eventType;
+                    try {
+                        await withAbortSignal(
+                            this._multiplexer.add(stream, uuid, regRequest.filter),
+                            signal,
+                            () => { this._multiplexer.remove(eventType, uuid).catch(() => {}); }
+                        );
+                    } catch (e) {
+                        this._connection.unregisterServerCallback(registeredResponseType, uuid);
+                        throw e;
+                    }
 
-                    unregisterRequest = {
-                        ...request,
-                        action: "unregisterContactTracingStream",
-                    };
+                    if (regRequest.filter.where) {
+                        await this._seedKnownState(eventType, regRequest.filter.deviceIds, filteredCallback.filterObj);
+                    }
                 }
+
                 break;
             case EVENT_TYPES["TAG_STATE"]:
                 {
-                    validateOptions(regRequest.filter, ["deviceIds"], null);
+                    validateOptions(regRequest.filter, ["deviceIds", ...EXPRESSION_FILTER_FIELDS], null);
                     registeredResponseType = "initialTagState";
 
-                    const initialResponse: Types.TagInitialStateResponse | null = await this.getTagState(regRequest.filter.deviceIds);
+                    const initialResponse: Types.TagInitialStateResponse | null = await this.getTagState(regRequest.filter, signal);
 
                     // Register to future tag state messages.
                     // New is sent when for example socket is re-established.
                     registeredResponseType = "initialTagState";
 
-                    if (initialResponse != null) regRequest.callback(null, initialResponse);
+                    if (initialResponse != null) deliver(null, initialResponse);
                 }
 
                 break;
             case EVENT_TYPES["BEACON_STATE"]:
                 {
-                    validateOptions(regRequest.filter, ["deviceIds"], null);
+                    validateOptions(regRequest.filter, ["deviceIds", ...EXPRESSION_FILTER_FIELDS], null);
                     registeredResponseType = "initialBeaconState";
 
-                    const initialResponse: Types.BeaconInitialStateResponse | null = await this.getBeaconState(regRequest.filter.deviceIds);
+                    const initialResponse: Types.BeaconInitialStateResponse | null = await this.getBeaconState(regRequest.filter, signal);
 
                     // Register to future tag state messages.
                     // New is sent when for example socket is re-established.
                     registeredResponseType = "initialBeaconState";
 
-                    if (initialResponse != null) regRequest.callback(null, initialResponse);
+                    if (initialResponse != null) deliver(null, initialResponse);
                 }
     
                 break;
             case EVENT_TYPES["ALERT_STATE"]:
                 {
-                    validateOptions(regRequest.filter, ["deviceIds"], null);
+                    validateOptions(regRequest.filter, ["deviceIds", "dateRanges", ...EXPRESSION_FILTER_FIELDS], null);
                     registeredResponseType = "initialAlertState";
 
-                    const initialResponse: Types.AlertInitialStateResponse | null = await this.getAlertState(regRequest.filter.deviceIds);
+                    const { dateRanges, ...alertFilter } = regRequest.filter as Types.AlertStateFilter;
+                    const initialResponse: Types.AlertInitialStateResponse | null = await this.getAlertState(
+                        alertFilter,
+                        dateRanges ?? null,
+                        signal
+                    );
 
                     // Register to future tag state messages.
                     // New is sent when for example socket is re-established.
                     registeredResponseType = "initialAlertState";
 
-                    if (initialResponse != null) regRequest.callback(null, initialResponse);
+                    if (initialResponse != null) deliver(null, initialResponse);
                 }
 
             break;
@@ -1034,42 +1055,17 @@ export class EventChannel {
                 {
                     registeredResponseType = "getSite";
 
-                    const initialResponse: Types.CloudResponse | undefined = await this.getSite();
+                    const initialResponse: Types.CloudResponse | undefined = await this.getSite(signal);
 
                     // Register to future tag state messages.
                     // New is sent when for example socket is re-established.
                     registeredResponseType = "getSite";
                     if (initialResponse != null){
                         const response: Types.SiteInformationResponse = initialResponse.payload as Types.SiteInformationResponse;
-                        regRequest.callback(null, response);
+                        deliver(null, response);
                     }
                    
                 }
-                break;
-            case EVENT_TYPES.LAYOUT_UPDATE:
-                registeredResponseType = "siteLayoutChanged";
-                const filteredCallback = getFilteredCallback(
-                    EmptyFilter as typeof BaseFilter,
-                    regRequest.callback,
-                    regRequest.filter,
-                    this._dependencyContainer
-                );
-
-                this._connection.registerServerCallback(registeredResponseType, uuid, filteredCallback.process.bind(filteredCallback));
-
-                const request: Types.Request = {
-                    uniqueId: uuid,
-                    action: "registerLayoutChanges",
-                    payload: regRequest.filter,
-                };
-
-                await this._connection.sendRequest(request);
-
-                unregisterRequest = {
-                    ...request,
-                    action: "unregisterLayoutChanges",
-                };
-
                 break;
             default:
                 throw Error(
@@ -1081,32 +1077,6 @@ export class EventChannel {
 
         this._logger.log(`Registered event ${regRequest.eventType} with uuid ${uuid}`);
 
-        // TODO: Do away with this in backend! Should be valid to have two
-        // identical events registered.
-        {
-            // Warn if user creates two events with identical filters,
-            // because of how backend does filtering unregistering removes
-            // all events with that filter.
-            const filtersSerialized = JSON.stringify(regRequest.filter);
-            const identicalEntries = Object.entries(this._registeredEvents)
-                .filter(
-                    ([, values]) =>
-                        values.eventType === regRequest.eventType &&
-                        JSON.stringify(values.args.filter) === filtersSerialized
-                )
-                .map(([uuid]) => uuid);
-
-            if (identicalEntries && identicalEntries.length) {
-                this._logger.warn(
-                    "Multiple events with identical types and filters added! " +
-                        "Currently if one of these is unregistered they are all " +
-                        `unregisted! Events: ${JSON.stringify(
-                            identicalEntries
-                        )}`
-                );
-            }
-        }
-
         // Track the event so it can be unregistered or re-registered if socket
         // is re-established.
         this._registeredEvents[uuid] = new RegisteredEvent(
@@ -1114,64 +1084,71 @@ export class EventChannel {
             registeredResponseType,
             callback,
             regRequest,
-            unregisterRequest
+            null
         );
+        if (streamProcessor) this._streamProcessors[uuid] = streamProcessor;
 
         return uuid;
     }
     /**
      * Fetch initial state for beacons on the site.
      *
+     * @param {Number[] | Types.MessageFilter} [deviceIds] Devices to get the
+     * state of, or a filter with a `where` expression. If null then all
+     * devices from the site.
+     * @param {AbortSignal} [signal] Cancels the request.
      * @memberof EventChannel
      * @preserve
      */
-    async getBeaconState(deviceIds: number[] | null = null): Promise<Types.BeaconInitialStateResponse | null> {
+    async getBeaconState(deviceIds: number[] | Types.MessageFilter | null = null, signal: AbortSignal | null = null): Promise<Types.BeaconInitialStateResponse | null> {
         this._validateConnection();
+        const filter = new BeaconInitialStateFilter(toMessageFilter(deviceIds));
         const msg: Types.Request = {
             uniqueId: "getInitialBeaconState",
             action: "getInitialBeaconState",
             payload: {}
         };
-        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null, "initialBeaconState");
+        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null, "initialBeaconState", signal);
         if (payload == null) return null;
         this._logger.log("Beacons: " + payload);
-        const filter = new BeaconInitialStateFilter({
-            deviceIds
-        });
         return filter.filter(payload);
     }
     /**
      * Fetch initial state for tags on the site.
      *
+     * @param {Number[] | Types.MessageFilter} [deviceIds] Devices to get the
+     * state of, or a filter with a `where` expression. If null then all
+     * devices from the site.
+     * @param {AbortSignal} [signal] Cancels the request.
      * @memberof EventChannel
      * @preserve
      */
-    async getTagState(deviceIds: number[] | null = null): Promise<Types.TagInitialStateResponse | null> {
+    async getTagState(deviceIds: number[] | Types.MessageFilter | null = null, signal: AbortSignal | null = null): Promise<Types.TagInitialStateResponse | null> {
         this._validateConnection();
+        const messageFilter: Types.MessageFilter = toMessageFilter(deviceIds);
+        const filter = new TagInitialStateFilter(messageFilter);
         const msg: Types.Request = {
             uniqueId: "getInitialTagState",
             action: "initialTagState",
             payload: {
-                deviceIds
+                deviceIds: messageFilter.deviceIds
             }
         };
-        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null, "initialTagState");
+        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null, "initialTagState", signal);
 
         if(payload == null) return null;
         // Parse the encoded message.
-        const filter = new TagInitialStateFilter({
-            deviceIds,
-        });
         return filter.filter(payload);
     }
 
     /**
      * Fetch site's blueprint.
      *
+     * @param {AbortSignal} [signal] Cancels the request.
      * @memberof EventChannel
      * @preserve
      */
-     async getBlueprint(fileId: number) {
+     async getBlueprint(fileId: number, signal: AbortSignal | null = null) {
         this._validateConnection();
         const msg: Types.Request = {
             uniqueId: getUniqueId(),
@@ -1180,90 +1157,142 @@ export class EventChannel {
                 fileId: fileId
             }
         };
-        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null);
+        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null, null, signal);
         return payload;
     }
     /**
      * Send request for tag(s) to play their buzzer/led..
      *
+     * @param {Types.CommandOptions} [commandOptions] Idempotency key,
+     * outbox expiry and abort signal.
+     * @memberof EventChannel
+     * @preserve
+     */
+    async sendTagBuzzer(request: Types.TagBuzzerRequest, commandOptions: Partial<Types.CommandOptions> | null = null){
+        const payload: Types.CloudResponse | undefined = await this._sendCommand("playTagBuzzer", request, commandOptions);
+        return payload;
+    }
+    /**
+     * Send signal to specified flash.
+     *
+     * @param {Types.CommandOptions} [commandOptions] Idempotency key,
+     * outbox expiry and abort signal.
      * @memberof EventChannel
      * @preserve
      */
-    async sendTagBuzzer(request: Types.TagBuzzerRequest){
+     async sendSignal(deviceId: number, modules: Types.SignalModuleRequest[], commandOptions: Partial<Types.CommandOptions> | null = null) {
+        const payload: Types.CloudResponse | undefined = await this._sendCommand("sendSignal", {
+            deviceId: deviceId,
+            modules: modules
+        }, commandOptions);
+        return payload;
+    }
+
+    /**
+     * Acknowledge alerts, marking them as seen.
+     *
+     * @param {number[]} alarmIds IDs of the alerts.
+     * @param {AbortSignal} [signal] Cancels the request.
+     * @memberof EventChannel
+     * @preserve
+     */
+    async acknowledgeAlerts(alarmIds: number[], signal: AbortSignal | null = null): Promise<void> {
+        if (!Array.isArray(alarmIds) || !alarmIds.length || alarmIds.some((id) => !Number.isInteger(id))) {
+            throw new ArgumentException("alarmIds");
+        }
         this._validateConnection();
-        
         const msg: Types.Request = {
             uniqueId: getUniqueId(),
-            action: "playTagBuzzer",
-            payload: request
+            action: "acknowledgeAlerts",
+            payload: {
+                alarmIds: alarmIds
+            }
         };
-        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null);
-        return payload;
+        await this._connection.sendRequest(msg, null, null, signal);
     }
+
     /**
-     * Send signal to specified flash.
+     * React to an alert, i.e. mark it handled. The alert's reacted property
+     * is updated in the alert diff stream.
      *
+     * @param {number} alarmId ID of the alert.
+     * @param {string} [comment] Comment to save with the reaction.
+     * @param {AbortSignal} [signal] Cancels the request.
      * @memberof EventChannel
      * @preserve
      */
-     async sendSignal(deviceId: number, modules: Types.SignalModuleRequest[]) {
+    async reactToAlert(alarmId: number, comment: string | null = null, signal: AbortSignal | null = null): Promise<void> {
+        if (!Number.isInteger(alarmId)) {
+            throw new ArgumentException("alarmId");
+        }
         this._validateConnection();
         const msg: Types.Request = {
             uniqueId: getUniqueId(),
-            action: "sendSignal",
+            action: "reactToAlert",
             payload: {
-                deviceId: deviceId,
-                modules: modules
+                alarmId: alarmId,
+                comment: comment
             }
         };
-        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null);
-        return payload;
+        await this._connection.sendRequest(msg, null, null, signal);
     }
 
     /**
      * Fetch initial state for alerts on the site.
      *
+     * @param {Number[] | Types.MessageFilter} [deviceIds] Devices to get
+     * alerts for, or a filter with a `where` expression. If null then all
+     * devices from the site.
+     * @param {Types.DateRange[]} [dateRanges] Time ranges of the alerts, if
+     * null then the last ALERT_STATE_DEFAULT_DAYS days.
+     * @param {AbortSignal} [signal] Cancels the request.
      * @memberof EventChannel
      * @preserve
      */
-     async getAlertState(deviceIds: number[] | null = null): Promise<Types.AlertInitialStateResponse | null> {
+     async getAlertState(deviceIds: number[] | Types.MessageFilter | null = null, dateRanges: Types.DateRange[] | null = null, signal: AbortSignal | null = null): Promise<Types.AlertInitialStateResponse | null> {
         this._validateConnection();
-        var tenDaysAgo = new Date();
-        tenDaysAgo.setDate(tenDaysAgo.getDate()-10);
+        const filter = new AlertInitialStateFilter(toMessageFilter(deviceIds));
+
+        if (!dateRanges) {
+            const start = new Date();
+            start.setDate(start.getDate() - ALERT_STATE_DEFAULT_DAYS);
+            dateRanges = [{ start, end: new Date() }];
+        }
+        const toIsoString = (date: Date | string) =>
+            date instanceof Date ? date.toISOString() : new Date(date).toISOString();
+
         const msg: Types.Request = {
             uniqueId: "getInitialAlertState",
             action: "initialAlertState",
             payload: {
-                dateRanges: [{
-                    start: tenDaysAgo.toISOString(),
-                    end: new Date().toISOString()
-                }]
+                dateRanges: dateRanges.map(({ start, end }) => ({
+                    start: toIsoString(start),
+                    end: toIsoString(end)
+                }))
             }
         };
-        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null, "initialAlertState");
+        const payload: Types.CloudResponse | undefined = await this._connection.sendRequest(msg, null, "initialAlertState", signal);
 
         if(payload == null) return null;
         // Parse the encoded message.
-        const filter = new AlertInitialStateFilter({
-            deviceIds,
-        });
         return filter.filter(payload);
     }
 
     /**
      * Fetch site layout.
      *
+     * @param {AbortSignal} [signal] Cancels the request.
      * @memberof EventChannel
      * @preserve
      */
-         async getSite() {
+         async getSite(signal: AbortSignal | null = null) {
             this._validateConnection();
             const msg: Types.Request = {
                 uniqueId: getUniqueId(),
                 action: "getSite",
                 payload: {}
             };
-            const payload = await this._connection.sendRequest(msg,null);
+            const payload = await this._connection.sendRequest(msg, null, null, signal);
     
             return payload;
         }
@@ -1271,11 +1300,13 @@ export class EventChannel {
 
     /**
      * @param {{ deviceIds?: number[], start: number, stop?: number }} options
+     * @param {AbortSignal} [signal] Cancels the request.
      */
     async getContactTracingHistory(
-        { deviceIds = null, start, stop = null } = {
+        { deviceIds = null, start, stop = null }: { deviceIds?: number[] | null, start: number, stop?: number | null } = {
             start: Date.now() - 24 * 60 * 60 * 1000,
-        }
+        },
+        signal: AbortSignal | null = null
     ) {
         this._validateConnection();
 
@@ -1294,7 +1325,7 @@ export class EventChannel {
                 stop,
             },
         };
-        const payload = await this._connection.sendRequest(msg);
+        const payload = await this._connection.sendRequest(msg, null, null, signal);
 
         return payload;
     }
@@ -1304,29 +1335,21 @@ export class EventChannel {
      * is the one returned by register function.
      *
      * @param {string} uuid UUID for the registered event.
+     * @param {AbortSignal} [signal] Stops waiting for the cloud, the event is
+     * unregistered locally regardless.
      * @memberof EventChannel
      * @preserve
      */
-    async unregister(uuid: string) {
+    async unregister(uuid: string, signal: AbortSignal | null = null) {
     
         const event: RegisteredEvent | undefined = this._registeredEvents[uuid];
         if (!event) return false;
 
         const eventType = event.eventType;
         const responseType = event.responseType;
-        const unregisterRequest = event.unregisterRequest;
-
-        if (unregisterRequest) {
-            // Send an unregistration request to backend.
-            if (this._connection) {
-                unregisterRequest.uniqueId = getUniqueId();
-                if (this._connection.connected) {
-                    await this._connection.sendRequest(unregisterRequest);
-                }
-            }
-        }
 
         delete this._registeredEvents[uuid];
+        this._disposeStreamProcessor(uuid);
 
         // Unregister from handler, if it exists.
         // No handler means the socket is temporarily down, no need to
@@ -1335,21 +1358,169 @@ export class EventChannel {
             this._connection.unregisterServerCallback(responseType, uuid);
         }
 
+        // Narrow or unregister the shared cloud subscription, the other
+        // registrations keep receiving their messages.
+        if (STREAMS[eventType]) {
+            await withAbortSignal(this._multiplexer.remove(eventType, uuid), signal);
+        }
+
         this._logger.log(`Unregistered event ${eventType} with UUID ${uuid}`);
 
         return true;
     }
 
+    /**
+     * Register to an event and consume it as an async iterable or with typed
+     * listeners instead of a callback. Breaking out of the loop or disposing
+     * the subscription unregisters the event.
+     *
+     * @param {string} eventType Type of the event to be registered.
+     * @param {Object} filters Request specific filters for request.
+     * @param {Types.SubscriptionOptions} [options] Buffer size, overflow
+     * policy and the signal that disposes the subscription.
+     * @param {Types.StreamOptions} [streamOptions] Throttling and batching,
+     * with batching the subscription yields arrays of payloads.
+     * @returns {Subscription} Subscription, registration is started
+     * immediately and its `ready` resolves with the UUID.
+     * @memberof EventChannel
+     * @preserve
+     */
+    subscribe<T>(eventType: string, filters: Types.MessageFilter, options: Partial<Types.SubscriptionOptions> | null = null, streamOptions: Partial<Types.StreamOptions> | null = null): Subscription<T> {
+        return new Subscription<T>(
+            (callback) => this.register(eventType, filters, callback as unknown as (err: string | null, payload: object) => void, null, streamOptions),
+            (uuid) => this.unregister(uuid),
+            options,
+            this._logger
+        );
+    }
+
+    /** Location updates as a subscription, @see {@link EventChannel#registerLocationUpdate} */
+    locationUpdates(filters: Types.MessageFilter | null = null, options: Partial<Types.SubscriptionOptions> | null = null): Subscription<Types.LocationUpdateResponse> {
+        return this.subscribe(EVENT_TYPES["LOCATION_UPDATE"], filters || { deviceIds: null }, options);
+    }
+
+    /** Initial tag states as a subscription, @see {@link EventChannel#registerInitialTagState} */
+    tagStates(filters: Types.MessageFilter | null = null, options: Partial<Types.SubscriptionOptions> | null = null): Subscription<Types.TagInitialStateResponse> {
+        return this.subscribe(EVENT_TYPES["TAG_STATE"], filters || { deviceIds: null }, options);
+    }
+
+    /** Tag diffs as a subscription, @see {@link EventChannel#registerTagDiffStream} */
+    tagDiffs(filters: Types.MessageFilter | null = null, options: Partial<Types.SubscriptionOptions> | null = null): Subscription<Types.TagDiffResponse> {
+        return this.subscribe(EVENT_TYPES["TAG_DIFF"], filters || { deviceIds: null }, options);
+    }
+
+    /** Initial alert states as a subscription, @see {@link EventChannel#registerInitialAlertState} */
+    alertStates(filters: Types.MessageFilter | null = null, options: Partial<Types.SubscriptionOptions> | null = null): Subscription<Types.AlertInitialStateResponse> {
+        return this.subscribe(EVENT_TYPES["ALERT_STATE"], filters || { deviceIds: null }, options);
+    }
+
+    /** Alert diffs as a subscription, @see {@link EventChannel#registerAlertDiffStream} */
+    alertDiffs(filters: Types.MessageFilter | null = null, options: Partial<Types.SubscriptionOptions> | null = null): Subscription<Types.AlertDiffResponse> {
+        return this.subscribe(EVENT_TYPES["ALERT_DIFF"], filters || { deviceIds: null }, options);
+    }
+
+    /** Initial beacon states as a subscription, @see {@link EventChannel#registerInitialBeaconState} */
+    beaconStates(filters: Types.MessageFilter | null = null, options: Partial<Types.SubscriptionOptions> | null = null): Subscription<Types.BeaconInitialStateResponse> {
+        return this.subscribe(EVENT_TYPES["BEACON_STATE"], filters || { deviceIds: null }, options);
+    }
+
+    /** Beacon diffs as a subscription, @see {@link EventChannel#registerBeaconDiffStream} */
+    beaconDiffs(filters: Types.MessageFilter | null = null, options: Partial<Types.SubscriptionOptions> | null = null): Subscription<Types.BeaconDiffResponse> {
+        return this.subscribe(EVENT_TYPES["BEACON_DIFF"], filters || { deviceIds: null }, options);
+    }
+
+    /** TWR measurements as a subscription, @see {@link EventChannel#registerTwrStream} */
+    twrData(filters: Types.TwrDataFilter | null = null, options: Partial<Types.SubscriptionOptions> | null = null): Subscription<Types.TwrDataResponse> {
+        return this.subscribe(
+            EVENT_TYPES["TWR_DATA"],
+            filters || { deviceIds: null, tagDeviceIds: null, beaconDeviceIds: null },
+            options
+        );
+    }
+
+    /** P2P distances as a subscription, @see {@link EventChannel#registerP2PDistanceStream} */
+    p2pDistances(filters: Types.MessageFilter | null = null, options: Partial<Types.SubscriptionOptions> | null = null): Subscription<Types.P2PDistanceUpdateResponse> {
+        return this.subscribe(EVENT_TYPES["P2P_DISTANCE_UPDATE"], filters || { deviceIds: null }, options);
+    }
+
+    /** Contact tracing updates as a subscription, @see {@link EventChannel#registerContactTracingUpdate} */
+    contactTracingUpdates(filters: Types.MessageFilter | null = null, options: Partial<Types.SubscriptionOptions> | null = null): Subscription<Types.ContactTracingUpdateResponse> {
+        return this.subscribe(EVENT_TYPES["CONTACT_TRACE_UPDATE"], filters || { deviceIds: null }, options);
+    }
+
+    /** Layout changes as a subscription, @see {@link EventChannel#registerLayoutChanges} */
+    layoutChanges(options: Partial<Types.SubscriptionOptions> | null = null): Subscription<Types.LayoutUpdateItem> {
+        return this.subscribe(EVENT_TYPES["LAYOUT_UPDATE"], { deviceIds: null }, options);
+    }
+
+    /** Site information as a subscription, @see {@link EventChannel#registerSiteInformation} */
+    siteInformation(options: Partial<Types.SubscriptionOptions> | null = null): Subscription<Types.SiteInformationResponse> {
+        return this.subscribe(EVENT_TYPES["SITE_INFO"], { deviceIds: null }, options);
+    }
+
+    /**
+     * Get connection health metrics: request latency histograms per action,
+     * pending requests, message and byte rates per event, reconnection
+     * history and token refresh outcomes.
+     *
+     * @returns {Types.ChannelStats}
+     * @memberof EventChannel
+     * @preserve
+     */
+    getStats(): Types.ChannelStats {
+        return this._connection.getStats();
+    }
+
+    /**
+     * Add a listener that is invoked with the connection metrics every
+     * 'statsInterval' milliseconds.
+     *
+     * @param {(stats: Types.ChannelStats) => void} listener
+     * @param {AbortSignal} [signal] Removes the listener when aborted.
+     * @returns {string} UUID to remove the listener with.
+     * @memberof EventChannel
+     * @preserve
+     */
+    onStats(listener: (stats: Types.ChannelStats) => void, signal: AbortSignal | null = null): string {
+        const uuid = this._statsEmitter.on("stats", listener);
+        if (signal?.aborted) {
+            this.removeListener(uuid);
+            return uuid;
+        }
+        signal?.addEventListener("abort", () => this.removeListener(uuid));
+        if (!this._statsInterval && this._options.statsInterval > 0) {
+            this._statsInterval = setInterval(
+                () => this._statsEmitter.emit("stats", this.getStats()),
+                this._options.statsInterval
+            );
+        }
+        return uuid;
+    }
+
+    /**
+     * Remove a listener added with onStats.
+     *
+     * @param {string} uuid
+     * @memberof EventChannel
+     * @preserve
+     */
+    removeListener(uuid: string): boolean {
+        const removed = this._statsEmitter.off(uuid);
+        if (!this._statsEmitter.listenerCount("stats")) this._stopStatsInterval();
+        return removed;
+    }
+
     /**
      * Send a raw request to cloud.
      *
      * @param {string} action Request type.
      * @param {Object} payload Request payload object.
+     * @param {AbortSignal} [signal] Cancels the request.
      * @memberof EventChannel
      * @preserve
      */
-    async sendMessageRaw(action: string, payload: Types.Request): Promise<Types.CloudResponse> {
-        return await this._connection.sendMessageRaw(action, payload);
+    async sendMessageRaw(action: string, payload: Types.Request, signal: AbortSignal | null = null): Promise<Types.CloudResponse> {
+        return await this._connection.sendMessageRaw(action, payload, signal);
     }
 
     /**
@@ -1361,13 +1532,16 @@ export class EventChannel {
      *
      * @param {string} action Action of server sent message to bind to.
      * @param {(err: string, payload: object) => void} callback
+     * @param {AbortSignal} [signal] Removes the listener when aborted.
      */
-    registerToServerMessageRaw(action: string, callback: (payload: object) => void): string {
+    registerToServerMessageRaw(action: string, callback: (payload: object) => void, signal: AbortSignal | null = null): string {
         const uuid = getUniqueId();
+        if (signal?.aborted) return uuid;
         this._connection.registerServerCallback(action, uuid, (payload: object) =>
             // For compability and future-proofing, use Node-convention here too.
             callback(payload)
         );
+        signal?.addEventListener("abort", () => this.unregisterServerMessageRaw(action, uuid));
         return uuid;
     }
 
@@ -1391,7 +1565,63 @@ export class EventChannel {
     // failed socket.
     _validateConnection() {
         if (!this._connection.connected) {
-            throw Error("Authenticated connection does not exists");
+            throw new ConnectionClosedError("Authenticated connection does not exists");
+        }
+    }
+
+    // Send a command that changes state in cloud. Goes through the outbox if
+    // enabled, so it's queued while disconnected.
+    async _sendCommand(action: string, payload: object, commandOptions: Partial<Types.CommandOptions> | null): Promise<Types.CloudResponse | undefined> {
+        if (this._outbox) {
+            return this._outbox.send(action, payload, commandOptions);
+        }
+
+        this._validateConnection();
+        const msg: Types.Request = {
+            uniqueId: commandOptions?.idempotencyKey || getUniqueId(),
+            action: action,
+            payload: payload
+        };
+        return this._connection.sendRequest(msg, null, null, commandOptions?.signal ?? null);
+    }
+
+    /**
+     * Outbox for commands issued while disconnected, null unless enabled
+     * with the 'outbox' option.
+     *
+     * @readonly
+     * @memberof EventChannel
+     */
+    get outbox(): Outbox | null {
+        return this._outbox;
+    }
+
+    // Start the known state of a diff stream's filter from the initial
+    // state, so diffs without the fields of the expression can be matched.
+    // The registration stands without it, failures are only logged.
+    async _seedKnownState(eventType: string, deviceIds: number[] | null, filter: BaseFilter): Promise<void> {
+        try {
+            let state: { [deviceId: number]: object | undefined } | null = null;
+            if (eventType === EVENT_TYPES["TAG_DIFF"]) {
+                state = await this.getTagState(deviceIds);
+            } else if (eventType === EVENT_TYPES["BEACON_DIFF"]) {
+                state = await this.getBeaconState(deviceIds);
+            }
+            if (state) filter.seedKnownState(state);
+        } catch (e) {
+            this._logger.warn(`Failed to load the initial state for the filter of ${eventType}: ${e}`);
         }
     }
+
+    _stopStatsInterval(): void {
+        if (this._statsInterval != null) clearInterval(this._statsInterval);
+        this._statsInterval = null;
+    }
+
+    _disposeStreamProcessor(uuid: string | null): void {
+        const streamProcessor = uuid ? this._streamProcessors[uuid] : undefined;
+        if (!streamProcessor || !uuid) return;
+        streamProcessor.dispose();
+        delete this._streamProcessors[uuid];
+    }
 }
@@ -0,0 +1,135 @@
+import { isPointInPolygon } from "../geofence/geometry.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import * as Types from "../types.js";
+
+type Predicate = (context: Types.FilterContext) => boolean;
+
+// Fields of the filter objects besides the cloud's device filters.
+export const EXPRESSION_FILTER_FIELDS = ["where", "tagGroups"];
+
+const toArray = <T>(value: T | T[]): T[] => (Array.isArray(value) ? value : [value]);
+
+function toIdSet(value: unknown, path: string): Set<number> {
+    const ids = toArray(value);
+    if (!ids.every((id) => typeof id === "number")) throw new ArgumentException(path);
+    return new Set(ids as number[]);
+}
+
+const isNumber = (value: unknown): value is number => typeof value === "number" && !isNaN(value);
+
+// Compile one condition of an expression.
+function compileCondition(key: string, value: any, tagGroups: { [groupId: number]: number[] } | null, path: string): Predicate {
+    switch (key) {
+        case "and":
+        case "or": {
+            if (!Array.isArray(value)) throw new ArgumentException(path);
+            const predicates = value.map((e, i) => compileExpression(e, tagGroups, `${path}[${i}]`));
+            return key === "and"
+                ? (c) => predicates.every((p) => p(c))
+                : (c) => predicates.some((p) => p(c));
+        }
+        case "not": {
+            const predicate = compileExpression(value, tagGroups, path);
+            return (c) => !predicate(c);
+        }
+        case "predicate":
+            if (typeof value !== "function") throw new ArgumentException(path);
+            return (c) => !!value(c);
+        case "devices": {
+            const ids = toIdSet(value, path);
+            return (c) => c.deviceId != null && ids.has(c.deviceId);
+        }
+        case "floor": {
+            const ids = toIdSet(value, path);
+            return (c) => ids.has(c.item["floorId"]);
+        }
+        case "area": {
+            const ids = toIdSet(value, path);
+            return (c) => {
+                const areas = c.item["areas"] ?? c.item["areaIds"];
+                return Array.isArray(areas) && areas.some((a) => ids.has(a));
+            };
+        }
+        case "group": {
+            const members = new Set<number>();
+            for (const groupId of toIdSet(value, path)) {
+                const deviceIds = tagGroups?.[groupId];
+                if (!Array.isArray(deviceIds)) throw new ArgumentException(`tagGroups[${groupId}]`);
+                deviceIds.forEach((id) => members.add(id));
+            }
+            return (c) => c.deviceId != null && members.has(c.deviceId);
+        }
+        case "boundingBox": {
+            if (!value || ![value.minX, value.minY, value.maxX, value.maxY].every(isNumber)) {
+                throw new ArgumentException(path);
+            }
+            const { minX, minY, maxX, maxY } = value;
+            return ({ item: { x, y } }) => isNumber(x) && isNumber(y) &&
+                x >= minX && x <= maxX && y >= minY && y <= maxY;
+        }
+        case "polygon": {
+            if (!Array.isArray(value) || value.length < 3 || !value.every((p) => p && isNumber(p.x) && isNumber(p.y))) {
+                throw new ArgumentException(path);
+            }
+            return ({ item: { x, y } }) => isNumber(x) && isNumber(y) && isPointInPolygon({ x, y }, value);
+        }
+        case "battery": {
+            if (!value || typeof value !== "object") throw new ArgumentException(path);
+            const statuses = value.status != null ? toIdSet(value.status, `${path}.status`) : null;
+            const { minVoltage, maxVoltage } = value;
+            if ((minVoltage != null && !isNumber(minVoltage)) || (maxVoltage != null && !isNumber(maxVoltage))) {
+                throw new ArgumentException(path);
+            }
+            return ({ item }) => {
+                if (statuses && !statuses.has(item["batteryStatus"])) return false;
+                if (minVoltage == null && maxVoltage == null) return true;
+                // Tags report batteryVoltage, beacons voltage.
+                const voltage = item["batteryVoltage"] ?? item["voltage"];
+                return isNumber(voltage) &&
+                    (minVoltage == null || voltage >= minVoltage) &&
+                    (maxVoltage == null || voltage <= maxVoltage);
+            };
+        }
+        case "online":
+            if (typeof value !== "boolean") throw new ArgumentException(path);
+            return ({ item }) => (item["isOnline"] ?? item["online"]) === value;
+        case "deviceModel": {
+            const models = toIdSet(value, path);
+            return ({ item }) => models.has(item["deviceModel"]);
+        }
+        case "changed": {
+            const fields = toArray(value);
+            if (!fields.every((f) => typeof f === "string")) throw new ArgumentException(path);
+            return ({ changedFields }) => fields.some((f) => changedFields.includes(f));
+        }
+    }
+    throw new ArgumentException(path);
+}
+
+function compileExpression(expression: Types.FilterExpression, tagGroups: { [groupId: number]: number[] } | null, path: string): Predicate {
+    if (typeof expression === "function") return (c) => !!expression(c);
+    if (!expression || typeof expression !== "object" || Array.isArray(expression)) {
+        throw new ArgumentException(path);
+    }
+
+    const predicates = Object.keys(expression).map((key) =>
+        compileCondition(key, (expression as { [key: string]: unknown })[key], tagGroups, `${path}.${key}`));
+    if (predicates.length === 1) return predicates[0] as Predicate;
+    return (c) => predicates.every((p) => p(c));
+}
+
+/**
+ * Compile a filter expression to a predicate of the devices in the
+ * messages. Conditions of an expression object must all match, e.g.
+ * `{ floor: 1, online: true }`, and can be combined with `and`, `or` and
+ * `not`. A condition on a field the message doesn't have doesn't match.
+ *
+ * @param {Types.FilterExpression | null} expression
+ * @param {Object} [tagGroups] Members of the tag groups by group ID.
+ * @returns {Types.FilterPredicate | null} Null without an expression.
+ * @throws {ArgumentException} If the expression is invalid.
+ */
+export function compileFilterExpression(expression: Types.FilterExpression | null | undefined, tagGroups: { [groupId: number]: number[] } | null = null): Types.FilterPredicate | null {
+    if (expression == null) return null;
+    return compileExpression(expression, tagGroups, "where");
+}
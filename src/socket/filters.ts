@@ -1,5 +1,6 @@
 import { ArgumentException, NotImplementedError } from "../utils/exceptions.js";
 import { parseTagLiveData, parseAlertLiveData, parseBeaconLiveData, parseBeaconDiffData } from "../utils/messagepack.js";
+import { compileFilterExpression } from "./filterexpression.js";
 import * as Types from "../types.js";
 import { Dependencies } from "./models.js";
 
@@ -21,6 +22,23 @@ export function getFilteredCallback(filterClass: typeof BaseFilter, callback: (e
     return filteredCallback;
 }
 
+/**
+ * Filter of a register or get state call from its device IDs, or a filter
+ * object with e.g. a `where` expression.
+ *
+ * @param {number[] | Types.MessageFilter | null} deviceIds
+ * @param {string} [argName] Name of the argument in errors.
+ * @returns {Types.MessageFilter}
+ */
+export function toMessageFilter(deviceIds: number[] | Types.MessageFilter | null, argName: string = "deviceIds"): Types.MessageFilter {
+    if (deviceIds == null) return { deviceIds: null };
+    if (Array.isArray(deviceIds)) return { deviceIds };
+    if (typeof deviceIds !== "object" || (deviceIds.deviceIds != null && !Array.isArray(deviceIds.deviceIds))) {
+        throw new ArgumentException(argName);
+    }
+    return { ...deviceIds, deviceIds: deviceIds.deviceIds ?? null };
+}
+
 export class FilteredCallback {
 	public callback: (err: string | null, payload: object | null) => void;
 	public filterObj: BaseFilter;
@@ -92,20 +110,58 @@ export class FilteredCallback {
  * @abstract
  */
 export class BaseFilter {
+	public _where: Types.FilterPredicate | null;
+	public _knownState: Map<number, object>;
+
     /**
      * Implementation of a filter for specific use-case.
      *
      * @abstract
      * @param {Object} payload
      * @memberof FilteredCallback
+     * @throws {ArgumentException} If the filter's expression is invalid.
      */
-     constructor(_: Types.MessageFilter) {
-       
+    constructor(filters: Types.MessageFilter) {
+        this._where = compileFilterExpression(filters?.where, filters?.tagGroups ?? null);
+        this._knownState = new Map();
     }
     // eslint-disable-next-line no-unused-vars
     filter(_: object): object | null {
         throw new NotImplementedError();
     }
+
+    // Whether the device's item in the message matches the expression.
+    _matches(deviceId: number | null, item: object, changedFields: string[] | null = null): boolean {
+        if (!this._where) return true;
+        return this._where({
+            deviceId,
+            item,
+            changedFields: changedFields ?? Object.keys(item)
+        });
+    }
+
+    /**
+     * Set the known state of the devices for matching diffs, e.g. from the
+     * initial state. Fields already known from diffs are newer and kept.
+     *
+     * @param {Object} state Items by device ID.
+     * @memberof BaseFilter
+     */
+    seedKnownState(state: { [deviceId: number]: object | undefined }): void {
+        for (const [deviceId, item] of Object.entries(state)) {
+            if (!item) continue;
+            this._knownState.set(+deviceId, { ...item, ...this._knownState.get(+deviceId) });
+        }
+    }
+
+    // Whether the device's diff matches the expression, evaluated with the
+    // last known values of the fields that didn't change.
+    _matchesDiff(deviceId: number, diff: object): boolean {
+        if (!this._where) return true;
+        const state = { ...this._knownState.get(deviceId), ...diff };
+        this._knownState.set(deviceId, state);
+        return this._matches(deviceId, state, Object.keys(diff));
+    }
 }
 
 export class EmptyFilter extends BaseFilter {
@@ -139,7 +195,7 @@ export class TwrDataFilter extends BaseFilter {
         if (!tagDeviceId || !beaconDeviceId) return null;
         if (this._filter.tagDeviceIds && !this._filter.tagDeviceIds.includes(tagDeviceId)) return null;
         if (this._filter.beaconDeviceIds && !this._filter.beaconDeviceIds.includes(beaconDeviceId)) return null;
-        
+        if (!this._matches(tagDeviceId, payload)) return null;
 
         return payload;
     }
@@ -159,12 +215,14 @@ export class ContactTracingUpdateFilter extends BaseFilter {
         if (!payload) return null;
         if (!Array.isArray(payload)) return null;
         if (!payload.length) return null;
-        if (this._filter.deviceIds == null) return payload;
+        const { deviceIds } = this._filter;
+        if (deviceIds == null && !this._where) return payload;
 
         const filteredResponse: Types.ContactTracingUpdateResponse = [];
         for(var index in payload){
             let obj: Types.ContactTracingUpdateItem | undefined = payload[index];
-            if (!obj || (!this._filter.deviceIds.includes(obj.tag1) && !this._filter.deviceIds.includes(obj.tag2))) continue;
+            if (!obj || (deviceIds && !deviceIds.includes(obj.tag1) && !deviceIds.includes(obj.tag2))) continue;
+            if (!this._matches(obj.tag1, obj) && !this._matches(obj.tag2, obj)) continue;
             filteredResponse.push(obj);
         }
         return filteredResponse;
@@ -187,12 +245,13 @@ export class LocationUpdateFilter extends BaseFilter {
         const payloadEntries = Object.entries(payload);
         if (!payloadEntries.length) return null;
 
-        if (!this._filter.deviceIds) return payload;
+        if (!this._filter.deviceIds && !this._where) return payload;
 
         const filteredResponse: Types.LocationUpdateResponse = {};
         for(var deviceId in payload){
             let obj: Types.LocationUpdateItem | undefined = payload[deviceId];
             if (!obj || (this._filter.deviceIds && !this._filter.deviceIds.includes(+deviceId))) continue;
+            if (!this._matches(+deviceId, obj)) continue;
             filteredResponse[+deviceId] = obj;
         }
 
@@ -212,13 +271,15 @@ export class P2pDistanceUpdateFilter extends BaseFilter {
     /** @inheritdoc */
     filter(payload: Types.P2PDistanceUpdateResponse): Types.P2PDistanceUpdateResponse | null {
         if (!payload) return null;
-        if (!this._filter.deviceIds) return payload;
+        const { deviceIds } = this._filter;
+        if (!deviceIds && !this._where) return payload;
 
         const filteredResponse: Types.P2PDistanceUpdateResponse = [];
 
         for(var index in payload){
             let obj: Types.P2PDistanceUpdateItem | undefined = payload[index];
-            if (!obj || (!this._filter.deviceIds.includes(obj.tag1) && !this._filter.deviceIds.includes(obj.tag2))) continue;
+            if (!obj || (deviceIds && !deviceIds.includes(obj.tag1) && !deviceIds.includes(obj.tag2))) continue;
+            if (!this._matches(obj.tag1, obj) && !this._matches(obj.tag2, obj)) continue;
             filteredResponse.push(obj);
         }
 
@@ -240,7 +301,8 @@ export class TagDiffStreamFilter extends BaseFilter {
     filter(payload: Types.TagDiffResponse): Types.TagDiffResponse | null {
         if (!payload.tags && !payload.removedTags) return null;
 
-        if (!this._filter.deviceIds) return payload;
+        const { deviceIds } = this._filter;
+        if (!deviceIds && !this._where) return payload;
 
         const filteredResponse: Types.TagDiffResponse = {
             tags: null,
@@ -249,22 +311,27 @@ export class TagDiffStreamFilter extends BaseFilter {
 
         if (payload.tags){
             for(var deviceId in payload.tags){
-                if (!this._filter.deviceIds.includes(+deviceId)) continue;
-                if(filteredResponse.tags == null) filteredResponse.tags = {};
+                if (deviceIds && !deviceIds.includes(+deviceId)) continue;
                 let obj: Types.TagDiffItem | undefined = payload.tags[deviceId];
-                if (obj) filteredResponse.tags[+deviceId] = obj;
+                if (!obj || !this._matchesDiff(+deviceId, obj)) continue;
+                if(filteredResponse.tags == null) filteredResponse.tags = {};
+                filteredResponse.tags[+deviceId] = obj;
             }
         }
         
+        // Removed tags have no state to match the expression with.
         if (payload.removedTags){
             for (var index in payload.removedTags){
                 let deviceId: string | undefined = payload.removedTags[index];
-                if (!deviceId || !this._filter.deviceIds.includes(+deviceId)) continue;
+                if (!deviceId || (deviceIds && !deviceIds.includes(+deviceId))) continue;
+                this._knownState.delete(+deviceId);
                 if (filteredResponse.removedTags == null) filteredResponse.removedTags = [];
                 filteredResponse.removedTags.push(deviceId);
             }
         }
 
+        // Nothing left of the message.
+        if (this._where && !filteredResponse.tags && !filteredResponse.removedTags) return null;
         return filteredResponse;
     }
 }
@@ -281,19 +348,19 @@ export class BeaconDiffStreamFilter extends BaseFilter {
     /** @inheritdoc */
     filter(beaconDiff: object): Types.BeaconDiffResponse | null {
         // Parse encoded response.
-        let filteredResponse: Types.BeaconDiffResponse = {};
-        if (!beaconDiff) return filteredResponse;
-        
-        let response: Types.BeaconDiffResponse = parseBeaconDiffData(beaconDiff.toString());
-        if (this._filter.deviceIds == null) return response;
-        for(var deviceId in response){
+        if (!beaconDiff) return {};
+
+        // Beacons outside the filter are skipped while decoding.
+        const response: Types.BeaconDiffResponse = parseBeaconDiffData(beaconDiff.toString(), this._filter.deviceIds ?? null);
+        if (!this._where) return response;
+
+        const filteredResponse: Types.BeaconDiffResponse = {};
+        for (var deviceId in response) {
             let obj: Types.BeaconDiff | undefined = response[deviceId];
-            if (!obj || !this._filter.deviceIds.includes(+deviceId)) continue;
+            if (!obj || !this._matchesDiff(+deviceId, obj)) continue;
             filteredResponse[deviceId] = obj;
         }
-      
         return filteredResponse;
-        
     }
 }
 
@@ -320,6 +387,7 @@ export class AlertDiffStreamFilter extends BaseFilter {
                 const alert : Types.AlertDiff | undefined = payload.alerts[alarmId];
                 if(alert == null) continue;
                 if (this._filter.deviceIds && !this._filter.deviceIds.includes(alert.deviceId)) continue;
+                if (!this._matches(alert.deviceId, alert)) continue;
                 if(filteredResponse.alerts == null) filteredResponse.alerts = {};
                 filteredResponse.alerts[alarmId] = {
                     alarmId: alert.alarmId,
@@ -363,13 +431,14 @@ export class TagInitialStateFilter extends BaseFilter {
     /** @inheritdoc */
     filter(initialState: Types.CloudResponse): Types.TagInitialStateResponse | null {
         // Parse encoded response.
-        let filteredResponse: Types.TagInitialStateResponse = {};
-        if (!initialState) return filteredResponse;
-        let response: Types.TagInitialStateResponse = parseTagLiveData(initialState.payload);
-        if (this._filter.deviceIds == null) return response;
-        for(var deviceId in response){
+        if (!initialState) return {};
+        const response: Types.TagInitialStateResponse = parseTagLiveData(initialState.payload, this._filter.deviceIds ?? null);
+        if (!this._where) return response;
+
+        const filteredResponse: Types.TagInitialStateResponse = {};
+        for (var deviceId in response) {
             let obj: Types.InitialTagState | undefined = response[deviceId];
-            if (!obj || !this._filter.deviceIds.includes(+deviceId)) continue;
+            if (!obj || !this._matches(+deviceId, obj)) continue;
             filteredResponse[deviceId] = obj;
         }
         return filteredResponse;
@@ -388,13 +457,14 @@ export class BeaconInitialStateFilter extends BaseFilter {
     /** @inheritdoc */
     filter(initialState: Types.CloudResponse): Types.BeaconInitialStateResponse | null {
         // Parse encoded response.
-        let filteredResponse: Types.BeaconInitialStateResponse = {};
-        if (!initialState) return filteredResponse;
-        let response: Types.BeaconInitialStateResponse = parseBeaconLiveData(initialState.payload);
-        if (this._filter.deviceIds == null) return response;
-        for(var deviceId in response){
+        if (!initialState) return {};
+        const response: Types.BeaconInitialStateResponse = parseBeaconLiveData(initialState.payload, this._filter.deviceIds ?? null);
+        if (!this._where) return response;
+
+        const filteredResponse: Types.BeaconInitialStateResponse = {};
+        for (var deviceId in response) {
             let obj: Types.InitialBeaconState | undefined = response[deviceId];
-            if (!obj || !this._filter.deviceIds.includes(+deviceId)) continue;
+            if (!obj || !this._matches(+deviceId, obj)) continue;
             filteredResponse[deviceId] = obj;
         }
         return filteredResponse;
@@ -413,13 +483,14 @@ export class AlertInitialStateFilter extends BaseFilter {
     /** @inheritdoc */
     filter(initialState: Types.CloudResponse): Types.AlertInitialStateResponse | null {
         // Parse encoded response.
-        let filteredResponse: Types.AlertInitialStateResponse = {};
-        if (!initialState) return filteredResponse;
-        let response: Types.AlertInitialStateResponse = parseAlertLiveData(initialState.payload);
-        if (this._filter.deviceIds == null) return response;
-        for(var alertId in response){
+        if (!initialState) return {};
+        const response: Types.AlertInitialStateResponse = parseAlertLiveData(initialState.payload, this._filter.deviceIds ?? null);
+        if (!this._where) return response;
+
+        const filteredResponse: Types.AlertInitialStateResponse = {};
+        for (var alertId in response) {
             let obj: Types.InitialAlertState | undefined = response[alertId];
-            if (!obj || !this._filter.deviceIds.includes(obj.deviceId)) continue;
+            if (!obj || !this._matches(obj.deviceId, obj)) continue;
             filteredResponse[alertId] = obj;
         }
         return filteredResponse;
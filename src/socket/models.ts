@@ -60,15 +60,17 @@ export class RegisteredEvent {
 export class TrackedRequest {
 	public sentAt: number;
 	public timeout: number;
+	public action: string | null;
 	public _resolve: (value: Object | null) => void;
-	public _reject: (err: string) => void;
+	public _reject: (err: Error) => void;
 
     /**
      * @param {(value?: Object) => void} resolve
-     * @param {(err: String) => void} reject
+     * @param {(err: Error) => void} reject
      * @param {number} timeout
+     * @param {string} [action] Action of the request, for the errors.
      */
-    constructor(resolve: (value: Object | null) => void, reject: (err: String) => void, timeout: number) {
+    constructor(resolve: (value: Object | null) => void, reject: (err: Error) => void, timeout: number, action: string | null = null) {
         if (typeof resolve !== "function")
             throw new ArgumentException("resolve");
         if (typeof reject !== "function") throw new ArgumentException("reject");
@@ -76,6 +78,7 @@ export class TrackedRequest {
 
         this.sentAt = Date.now();
         this.timeout = timeout;
+        this.action = action;
         this._resolve = resolve;
         this._reject = reject;
     }
@@ -84,7 +87,7 @@ export class TrackedRequest {
         this._resolve(value);
     }
 
-    reject(error: string) {
+    reject(error: Error) {
         this._reject(error);
     }
 
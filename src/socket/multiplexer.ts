@@ -0,0 +1,240 @@
+import { ArgumentException } from "../utils/exceptions.js";
+import { getUniqueId } from "../utils/utils.js";
+import * as Types from "../types.js";
+
+// Cloud subscription of a stream and the local registrations sharing it.
+type MultiplexedStream = {
+    definition: Types.StreamDefinition,
+    // Filters of the registrations by their UUID.
+    subscribers: Map<string, Types.MessageFilter>,
+    // Payload of the cloud registration, null if not registered.
+    cloudFilter: object | null,
+    updating: Promise<void>
+};
+
+/**
+ * Combine the device filters of the subscribers, a field is null when any
+ * subscriber wants all devices.
+ *
+ * @param {Types.StreamDefinition} definition
+ * @param {Types.MessageFilter[]} filters
+ * @returns {Object}
+ */
+export function mergeStreamFilters(definition: Types.StreamDefinition, filters: Types.MessageFilter[]): object {
+    if (definition.payload) return definition.payload;
+
+    const merged: { [field: string]: number[] | null } = {};
+    for (const field of definition.deviceFields) {
+        let ids: Set<number> | null = new Set();
+        for (const filter of filters) {
+            const value: number[] | null | undefined = (filter as any)[field];
+            if (!Array.isArray(value)) {
+                ids = null;
+                break;
+            }
+            value.forEach((id) => ids?.add(id));
+        }
+        merged[field] = ids ? Array.from(ids).sort((a, b) => a - b) : null;
+    }
+    return merged;
+}
+
+/**
+ * Shares one cloud subscription per stream between the registrations of the
+ * same event type.
+ *
+ * The cloud pushes a stream's messages to every registration of the
+ * connection and unregistering removes all registrations with the same
+ * filter, so the streams are registered once with the combined filters of
+ * the local registrations. The cloud filter is widened or narrowed as
+ * registrations come and go, messages are filtered per registration
+ * locally.
+ *
+ * @export
+ * @class StreamMultiplexer
+ */
+export class StreamMultiplexer {
+	public _send: (msg: Types.Request) => Promise<Types.CloudResponse | undefined>;
+	public _isConnected: () => boolean;
+	public _logger: Types.ConsoleLogger | null;
+	public _streams: Map<string, MultiplexedStream>;
+
+    /**
+     * Creates an instance of StreamMultiplexer.
+     *
+     * @param {(msg: Types.Request) => Promise} send Sends a request and
+     * resolves with the response.
+     * @param {() => boolean} isConnected
+     * @param {import("../constants/constants").Logger} [logger]
+     * @memberof StreamMultiplexer
+     */
+    constructor(send: (msg: Types.Request) => Promise<Types.CloudResponse | undefined>, isConnected: () => boolean, logger: Types.ConsoleLogger | null = null) {
+        if (!send || typeof send !== "function") {
+            throw new ArgumentException("send");
+        }
+        if (!isConnected || typeof isConnected !== "function") {
+            throw new ArgumentException("isConnected");
+        }
+
+        this._send = send;
+        this._isConnected = isConnected;
+        this._logger = logger;
+
+        // Streams mapped by event type.
+        this._streams = new Map();
+    }
+
+    /**
+     * Add a registration to the stream, widening the cloud filter if needed.
+     * The registration isn't added if the cloud rejects the new filter.
+     *
+     * @param {Types.StreamDefinition} definition Stream of the event type.
+     * @param {string} uuid UUID of the registration.
+     * @param {Types.MessageFilter} filter Filter of the registration.
+     * @returns {Promise} Resolves when the cloud filter covers the
+     * registration.
+     * @memberof StreamMultiplexer
+     */
+    async add(definition: Types.StreamDefinition, uuid: string, filter: Types.MessageFilter): Promise<void> {
+        const stream = this._getStream(definition);
+        stream.subscribers.set(uuid, filter);
+        try {
+            await this._update(stream);
+        } catch (e) {
+            stream.subscribers.delete(uuid);
+            // Later registrations may have succeeded meanwhile.
+            this._update(stream).catch(() => {});
+            throw e;
+        }
+    }
+
+    /**
+     * Add a registration without updating the cloud filter, so the
+     * registrations of a replaced connection are all covered by the first
+     * update when they are registered again.
+     *
+     * @param {Types.StreamDefinition} definition Stream of the event type.
+     * @param {string} uuid UUID of the registration.
+     * @param {Types.MessageFilter} filter Filter of the registration.
+     * @memberof StreamMultiplexer
+     */
+    restore(definition: Types.StreamDefinition, uuid: string, filter: Types.MessageFilter): void {
+        this._getStream(definition).subscribers.set(uuid, filter);
+    }
+
+    /**
+     * Remove a registration from the stream, narrowing the cloud filter or
+     * unregistering the stream when it was the last one.
+     *
+     * @param {string} eventType
+     * @param {string} uuid UUID of the registration.
+     * @returns {Promise} Resolves when the cloud filter has been updated.
+     * @memberof StreamMultiplexer
+     */
+    async remove(eventType: string, uuid: string): Promise<void> {
+        const stream = this._streams.get(eventType);
+        if (!stream || !stream.subscribers.delete(uuid)) return;
+
+        try {
+            await this._update(stream);
+        } catch (e) {
+            // Extra devices are filtered out locally.
+            this._logger?.exception(`Failed to update ${eventType} subscription`, `${e}`);
+        }
+    }
+
+    /**
+     * Forget the cloud subscriptions, e.g. when the connection was replaced
+     * and they are registered again. Registrations are removed as well.
+     *
+     * @memberof StreamMultiplexer
+     */
+    reset(): void {
+        this._streams.clear();
+    }
+
+    /**
+     * Filter of the stream's cloud subscription.
+     *
+     * @param {string} eventType
+     * @returns {Object | null} Null if the stream isn't registered.
+     * @memberof StreamMultiplexer
+     */
+    getCloudFilter(eventType: string): object | null {
+        return this._streams.get(eventType)?.cloudFilter ?? null;
+    }
+
+    /**
+     * Number of registrations sharing the stream.
+     *
+     * @param {string} eventType
+     * @returns {number}
+     * @memberof StreamMultiplexer
+     */
+    getSubscriberCount(eventType: string): number {
+        return this._streams.get(eventType)?.subscribers.size ?? 0;
+    }
+
+    // Stream of the event type, created when missing.
+    _getStream(definition: Types.StreamDefinition): MultiplexedStream {
+        let stream = this._streams.get(definition.eventType);
+        if (!stream) {
+            stream = {
+                definition,
+                subscribers: new Map(),
+                cloudFilter: null,
+                updating: Promise.resolve()
+            };
+            this._streams.set(definition.eventType, stream);
+        }
+        return stream;
+    }
+
+    // Queue a cloud filter update after the previous ones.
+    _update(stream: MultiplexedStream): Promise<void> {
+        const update = stream.updating.then(() => this._sync(stream));
+        stream.updating = update.catch(() => {});
+        return update;
+    }
+
+    // Bring the cloud subscription in line with the current registrations.
+    async _sync(stream: MultiplexedStream): Promise<void> {
+        const { definition } = stream;
+        const desired = stream.subscribers.size
+            ? mergeStreamFilters(definition, Array.from(stream.subscribers.values()))
+            : null;
+        const current = stream.cloudFilter;
+        if (JSON.stringify(desired) === JSON.stringify(current)) return;
+
+        if (!this._isConnected()) {
+            // Subscriptions of a broken connection are registered again.
+            stream.cloudFilter = null;
+            if (!stream.subscribers.size) this._streams.delete(definition.eventType);
+            return;
+        }
+
+        // Register the new filter before dropping the old one, so no
+        // messages are missed in between.
+        if (desired) {
+            await this._send({
+                uniqueId: getUniqueId(),
+                action: definition.registerAction,
+                payload: desired
+            });
+            stream.cloudFilter = desired;
+        }
+        if (current) {
+            stream.cloudFilter = desired;
+            await this._send({
+                uniqueId: getUniqueId(),
+                action: definition.unregisterAction,
+                payload: current
+            });
+        }
+
+        if (!stream.subscribers.size && this._streams.get(definition.eventType) === stream) {
+            this._streams.delete(definition.eventType);
+        }
+        this._logger?.debug(`Subscription of ${definition.eventType} updated to ${JSON.stringify(desired)}`, null);
+    }
+}
@@ -0,0 +1,474 @@
+import { DEFAULT_OPTIONS } from "../constants/constants.js";
+import {
+    DEFAULT_AUTH_ORIGIN,
+    DEFAULT_API_HTTP_ORIGIN,
+} from "../constants/paths.js";
+import { getUniqueId, validateAccountAndSite } from "../utils/utils.js";
+import { combineLoggers } from "../utils/logging.js";
+import { TypedEmitter } from "../utils/emitter.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import { ClientCredentialsTokenProvider } from "../http/tokenprovider.js";
+import { EventChannel } from "./eventhandler.js";
+import * as Types from "../types.js";
+
+const DEFAULT_MULTI_SITE_OPTIONS: Types.MultiSiteClientOptions = {
+    httpOrigin: DEFAULT_API_HTTP_ORIGIN,
+    authOrigin: DEFAULT_AUTH_ORIGIN,
+    channelOptions: null,
+    tokenStore: null
+};
+
+// Open site and its channel.
+type SiteEntry = {
+    channel: EventChannel,
+    health: Types.SiteHealth
+};
+
+// Event registered to all sites.
+type MultiSiteRegistration = {
+    eventType: string,
+    filter: Types.MessageFilter,
+    callback: (err: string | null, event: Types.SiteEvent<object>) => void
+};
+
+/**
+ * Manages channels to multiple sites with one set of client credentials.
+ *
+ * A single token is fetched and refreshed for all sites and handed to every
+ * channel, instead of each channel fetching its own and running its own refresh
+ * timer. Each site still has its own EventChannel, so broken connections are
+ * reopened and events re-registered per site as usual.
+ *
+ * Events registered with the client are registered to every open site and to
+ * sites opened later, and the callback receives the payload tagged with the
+ * site it came from.
+ *
+ * @export
+ * @class MultiSiteClient
+ */
+export class MultiSiteClient {
+	public _tokenProvider: ClientCredentialsTokenProvider;
+	public _options: Types.MultiSiteClientOptions;
+	public _channelOptions: Types.UserOptions;
+	public _logger: Types.ConsoleLogger;
+	public _sites: Map<number, SiteEntry>;
+	public _registrations: Record<string, MultiSiteRegistration>;
+	public _token: string | null;
+	public _tokenExpiration: number;
+	public _tokenRequest: Promise<string> | null;
+	public _tokenRefreshTimeout: ReturnType<typeof setTimeout> | null;
+	public _emitter: TypedEmitter<Types.MultiSiteEvents>;
+
+    /**
+     * Creates an instance of MultiSiteClient.
+     *
+     * @param {number} clientId clientId of the application.
+     * @param {string} clientSecret clientSecret of the application.
+     * @param {Types.MultiSiteClientOptions} [options] Origins and the options
+     * for the site channels.
+     * @memberof MultiSiteClient
+     */
+    constructor(clientId: number, clientSecret: string, options: Partial<Types.MultiSiteClientOptions> | null = null) {
+        if (!clientId || typeof clientId !== "number") {
+            throw new ArgumentException("clientId");
+        }
+        if (!clientSecret || typeof clientSecret !== "string") {
+            throw new ArgumentException("clientSecret");
+        }
+
+        this._options = {
+            ...DEFAULT_MULTI_SITE_OPTIONS,
+            ...options
+        };
+        this._channelOptions = {
+            ...DEFAULT_OPTIONS,
+            ...this._options.channelOptions
+        };
+
+        this._logger = combineLoggers(this._channelOptions.loggers);
+
+        // Open sites mapped by site ID.
+        this._sites = new Map();
+
+        // Events registered to all sites, mapped by UUID.
+        this._registrations = {};
+
+        // Shared token state.
+        this._tokenProvider = new ClientCredentialsTokenProvider(
+            clientId,
+            clientSecret,
+            { store: this._options.tokenStore },
+            this._logger
+        );
+        this._token = null;
+        this._tokenExpiration = 0;
+        this._tokenRequest = null;
+        this._tokenRefreshTimeout = null;
+
+        this._emitter = new TypedEmitter(this._logger);
+
+        this._getToken = this._getToken.bind(this);
+    }
+
+    /**
+     * Open a channel to the site, or get the already open one. Events
+     * registered with the client are registered to the new channel.
+     *
+     * @param {number} account Site's account.
+     * @param {number} site Site's ID.
+     * @returns {Promise<EventChannel>} Resolves when the channel is connected.
+     * @memberof MultiSiteClient
+     */
+    async openSite(account: number, site: number): Promise<EventChannel> {
+        validateAccountAndSite(account, site);
+
+        const existing = this._sites.get(site);
+        if (existing) {
+            if (existing.health.account !== account) {
+                throw Error(`Site ${site} is already open with account ${existing.health.account}`);
+            }
+            return existing.channel;
+        }
+
+        const health: Types.SiteHealth = {
+            account,
+            site,
+            state: "connecting",
+            connectedAt: null,
+            disconnectedAt: null,
+            disconnects: 0
+        };
+        const userOnConnect = this._channelOptions.onConnect;
+        const userOnClose = this._channelOptions.onClose;
+        const channelOptions: Types.UserOptions = {
+            ...this._channelOptions,
+            // Token is refreshed by the client for all channels.
+            automaticTokenRenewal: false,
+            onConnect: () => {
+                this._setSiteState(entry, "connected");
+                if (typeof userOnConnect === "function") userOnConnect();
+            },
+            onClose: () => {
+                if (entry.health.state !== "closed") {
+                    this._setSiteState(
+                        entry,
+                        this._channelOptions.reopenBrokenConnection ? "reconnecting" : "closed"
+                    );
+                }
+                if (typeof userOnClose === "function") userOnClose();
+            }
+        };
+
+        const entry: SiteEntry = {
+            channel: new EventChannel(account, site, channelOptions, this._options.httpOrigin),
+            health
+        };
+        this._sites.set(site, entry);
+        this._emitHealth();
+
+        try {
+            await entry.channel.connectPersistent(this._getToken, this._options.authOrigin);
+            this._setSiteState(entry, "connected");
+
+            for (const [uuid, registration] of Object.entries(this._registrations)) {
+                await this._registerToSite(entry, uuid, registration);
+            }
+        } catch (e) {
+            // Don't leave a half-open site behind.
+            await this.closeSite(site);
+            throw e;
+        }
+
+        this._logger.log(`Opened site ${site}`);
+        return entry.channel;
+    }
+
+    /**
+     * Close the channel to the site.
+     *
+     * @param {number} site Site's ID.
+     * @returns {Promise<boolean>} True if the site was open.
+     * @memberof MultiSiteClient
+     */
+    async closeSite(site: number): Promise<boolean> {
+        const entry = this._sites.get(site);
+        if (!entry) return false;
+
+        this._sites.delete(site);
+        this._setSiteState(entry, "closed");
+
+        try {
+            await entry.channel.close();
+        } catch (e: any) {
+            this._logger.exception(`Error while closing site ${site}`, e.toString());
+        }
+
+        // Stop refreshing the token when nothing uses it.
+        if (!this._sites.size) this._clearToken();
+
+        this._emitHealth();
+        return true;
+    }
+
+    /**
+     * Close all sites.
+     *
+     * @memberof MultiSiteClient
+     */
+    async close(): Promise<void> {
+        for (const site of Array.from(this._sites.keys())) {
+            await this.closeSite(site);
+        }
+        this._clearToken();
+    }
+
+    /**
+     * Get the channel of an open site, e.g. to send requests to it.
+     *
+     * @param {number} site Site's ID.
+     * @memberof MultiSiteClient
+     */
+    getChannel(site: number): EventChannel | null {
+        return this._sites.get(site)?.channel ?? null;
+    }
+
+    /**
+     * IDs of the open sites.
+     *
+     * @readonly
+     * @memberof MultiSiteClient
+     */
+    get sites(): number[] {
+        return Array.from(this._sites.keys());
+    }
+
+    /**
+     * Register to an event on all open sites and on sites opened later.
+     * Works like EventChannel#register, but the callback receives the payload
+     * wrapped with the account and site it came from.
+     *
+     * @param {string} eventType Event type, one of EVENT_TYPES.
+     * @param {Object} filters Event filters.
+     * @param {(err: string, event: Types.SiteEvent<Object>) => void} callback
+     * @returns {Promise<string>} UUID to unregister the event with.
+     * @memberof MultiSiteClient
+     */
+    async register(eventType: string, filters: Types.MessageFilter, callback: (err: string | null, event: Types.SiteEvent<object>) => void): Promise<string> {
+        if (!callback || typeof callback !== "function") {
+            throw new ArgumentException("callback");
+        }
+
+        const uuid: string = getUniqueId();
+        const registration: MultiSiteRegistration = {
+            eventType,
+            filter: filters || { deviceIds: null },
+            callback
+        };
+
+        const registered: SiteEntry[] = [];
+        try {
+            for (const entry of this._sites.values()) {
+                await this._registerToSite(entry, uuid, registration);
+                registered.push(entry);
+            }
+        } catch (e) {
+            // Register to all sites or none.
+            for (const entry of registered) {
+                await entry.channel.unregister(uuid);
+            }
+            throw e;
+        }
+
+        this._registrations[uuid] = registration;
+        return uuid;
+    }
+
+    /**
+     * Unregister an event registered with 'register()' from all sites.
+     *
+     * @param {string} uuid UUID returned by register.
+     * @memberof MultiSiteClient
+     */
+    async unregister(uuid: string): Promise<boolean> {
+        if (!this._registrations[uuid]) return false;
+        delete this._registrations[uuid];
+
+        for (const entry of this._sites.values()) {
+            await entry.channel.unregister(uuid);
+        }
+        return true;
+    }
+
+    /**
+     * Get the connection state of every site and the aggregate status.
+     * Status is "healthy" when all sites are connected, "degraded" when some
+     * are, "down" when none are and "idle" without open sites.
+     *
+     * @memberof MultiSiteClient
+     */
+    getHealth(): Types.MultiSiteHealth {
+        const sites: Types.SiteHealth[] = Array.from(this._sites.values()).map(
+            (entry) => ({ ...entry.health })
+        );
+        const total = sites.length;
+        const connected = sites.filter((s) => s.state === "connected").length;
+
+        let status: Types.MultiSiteHealthStatus;
+        if (!total) {
+            status = "idle";
+        } else if (connected === total) {
+            status = "healthy";
+        } else if (connected) {
+            status = "degraded";
+        } else {
+            status = "down";
+        }
+
+        return { status, total, connected, sites };
+    }
+
+    /**
+     * Add a listener that is invoked with the aggregate health whenever a
+     * site is opened, closed, disconnected or reconnected.
+     *
+     * @param {(health: Types.MultiSiteHealth) => void} listener
+     * @returns {string} UUID to remove the listener with.
+     * @memberof MultiSiteClient
+     */
+    onHealthChange(listener: (health: Types.MultiSiteHealth) => void): string {
+        return this._emitter.on("health", listener);
+    }
+
+    /**
+     * Remove a listener added with onHealthChange.
+     *
+     * @param {string} uuid
+     * @memberof MultiSiteClient
+     */
+    removeListener(uuid: string): boolean {
+        return this._emitter.off(uuid);
+    }
+
+    // Register the event to a site with the same UUID as on other sites.
+    async _registerToSite(entry: SiteEntry, uuid: string, registration: MultiSiteRegistration): Promise<void> {
+        const { account, site } = entry.health;
+        const { eventType, callback } = registration;
+
+        await entry.channel.register(
+            eventType,
+            { ...registration.filter },
+            (err: string | null, payload: object) =>
+                callback(err, { account, site, eventType, payload }),
+            uuid
+        );
+    }
+
+    _setSiteState(entry: SiteEntry, state: Types.SiteConnectionState): void {
+        const health = entry.health;
+        if (health.state === state) return;
+
+        if (state === "connected") {
+            health.connectedAt = Date.now();
+        } else if (health.state === "connected") {
+            health.disconnectedAt = Date.now();
+            if (state !== "closed") health.disconnects++;
+        }
+        health.state = state;
+
+        // Closed sites are removed and emitted by closeSite.
+        if (state !== "closed") this._emitHealth();
+    }
+
+    _emitHealth(): void {
+        this._emitter.emit("health", this.getHealth());
+    }
+
+    // Get the shared token, fetching it only if there's no valid one. Passed
+    // to the channels as the getToken callback.
+    async _getToken(): Promise<string> {
+        if (this._token && Date.now() < this._tokenExpiration) {
+            return this._token;
+        }
+        return this._fetchToken();
+    }
+
+    // Get a token other than the current one, concurrent calls share the
+    // same request.
+    _fetchToken(): Promise<string> {
+        if (this._tokenRequest) return this._tokenRequest;
+
+        const request = async () => {
+            try {
+                const token = await this._tokenProvider.getCachedToken(
+                    this._options.authOrigin,
+                    this._token
+                );
+
+                this._token = token.accessToken;
+                this._tokenExpiration = token.expiresAt ?? Infinity;
+                const refreshTime = this._tokenProvider.getRefreshTime(token);
+                if (refreshTime !== null) {
+                    this._scheduleTokenRefresh(Math.max(0, refreshTime - Date.now()));
+                }
+
+                return token.accessToken;
+            } finally {
+                this._tokenRequest = null;
+            }
+        };
+
+        this._tokenRequest = request();
+        return this._tokenRequest;
+    }
+
+    // Refresh the token when half of its lifetime has passed and hand it
+    // to every channel.
+    _scheduleTokenRefresh(milliSecondsUntilRefresh: number): void {
+        if (this._tokenRefreshTimeout != null) clearTimeout(this._tokenRefreshTimeout);
+
+        this._tokenRefreshTimeout = setTimeout(async () => {
+            this._tokenRefreshTimeout = null;
+            try {
+                const token = await this._fetchToken();
+                await this._distributeToken(token);
+            } catch (e: any) {
+                this._logger.exception(
+                    "Error while fetching new token, trying again later",
+                    e.toString()
+                );
+                if (this._sites.size) {
+                    this._scheduleTokenRefresh(
+                        this._channelOptions.tokenRefreshFailureRetryTimeout
+                    );
+                }
+            }
+        }, milliSecondsUntilRefresh);
+    }
+
+    // Re-authenticate the connected channels with the token. Disconnected
+    // ones use it when they reconnect.
+    async _distributeToken(token: string): Promise<void> {
+        for (const entry of Array.from(this._sites.values())) {
+            const connection = entry.channel._connection;
+            if (connection.connected) {
+                try {
+                    await connection._refreshToken(this._options.authOrigin, async () => token);
+                    continue;
+                } catch (e: any) {
+                    this._logger.exception(
+                        `Error while refreshing token of site ${entry.health.site}`,
+                        e.toString()
+                    );
+                }
+            }
+            connection._lastJwtUsed = token;
+        }
+    }
+
+    _clearToken(): void {
+        if (this._tokenRefreshTimeout != null) clearTimeout(this._tokenRefreshTimeout);
+        this._tokenRefreshTimeout = null;
+        this._token = null;
+        this._tokenExpiration = 0;
+    }
+}
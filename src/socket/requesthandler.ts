@@ -1,6 +1,13 @@
-import { WS_MSG_CONSTANTS } from "../constants/constants.js";
-import { ArgumentException } from "../utils/exceptions.js";
+import { WS_CLOSURE_CODES, WS_MSG_CONSTANTS } from "../constants/constants.js";
+import { getAbortError } from "../utils/abort.js";
+import {
+    ArgumentException,
+    CloudRequestError,
+    ConnectionClosedError,
+    TimeoutError
+} from "../utils/exceptions.js";
 import { Dependencies, TrackedRequest } from "./models.js";
+import { ConnectionStats } from "./stats.js";
 import * as Types from "../types.js";
 
 /**
@@ -20,6 +27,9 @@ export class RequestHandler {
 	public _requestHandlers: Record<string, TrackedRequest>;
 	public _serverMessageHandlers: Record<string, Types.ServerMessageHandler[]>;
 	public _timeoutCheckTimeout: ReturnType<typeof setTimeout> | null;
+	public _livenessCheckTimeout: ReturnType<typeof setTimeout> | null;
+	public _lastMessageAt: number;
+	public _stats: ConnectionStats | null;
 	public _onCloseCallback: (() => void) | null;
 	public _reconnectCallback: () => void;
 	public _clientOnCloseCallback: any;
@@ -39,9 +49,10 @@ export class RequestHandler {
      * @param {Function} reconnectCallback Callback to call when socket
      * should be reconnected.
      * @param {import("./models").Dependencies} dependencyContainer
+     * @param {ConnectionStats} [stats] Collector for connection metrics.
      * @memberof RequestHandler
      */
-    constructor(socket: WebSocket, options: Types.UserOptions, reconnectCallback: () => void, dependencyContainer: Dependencies) {
+    constructor(socket: WebSocket, options: Types.UserOptions, reconnectCallback: () => void, dependencyContainer: Dependencies, stats: ConnectionStats | null = null) {
         const readyState: number = socket.readyState;
         if (!Number.isInteger(readyState) || readyState != 1) {
             throw new ArgumentException("socket");
@@ -54,6 +65,12 @@ export class RequestHandler {
         // Timeout id for the periodical check.
         this._timeoutCheckTimeout = null;
 
+        // Liveness watchdog, connection is considered stale when nothing
+        // has been received in 'livenessTimeout' ms.
+        this._livenessCheckTimeout = null;
+        this._lastMessageAt = Date.now();
+        this._stats = stats;
+
         // Socket closure callback.
         this._onCloseCallback = null;
 
@@ -81,6 +98,7 @@ export class RequestHandler {
         // Bind callbacks to this class.
         this._bindSocketCallbacks();
         this._checkTimeouts = this._checkTimeouts.bind(this);
+        this._checkLiveness = this._checkLiveness.bind(this);
 
         // Schedule periodical timeout check if timeout period has been defined.
         if (this._defaultTimeout) {
@@ -89,6 +107,13 @@ export class RequestHandler {
                 this._timeoutCheckInterval
             );
         }
+
+        if (options.livenessTimeout) {
+            this._livenessCheckTimeout = setTimeout(
+                this._checkLiveness,
+                options.livenessTimeout
+            );
+        }
     }
 
     _bindSocketCallbacks() {
@@ -107,6 +132,7 @@ export class RequestHandler {
 
     // Handle socket closure.
     _onClose(e: CloseEvent) {
+        this._options.frameRecorder?.recordFrame("close", e.reason || "", e.code);
         this._logger?.log(
             `Socket closed with code ${e.code}, ${e.reason ? ` ${e.reason}` : ""}`
         );
@@ -117,11 +143,24 @@ export class RequestHandler {
         }
 
         // Reject all waiting handlers to that they are not left hanging forever.
-        this._rejectAllWaitingHandlers("socket closed");
+        const closedError = new ConnectionClosedError(`Socket closed with code ${e.code}`, e.code, e.reason || null);
+        this._rejectAllWaitingHandlers(closedError);
+
+        // Listeners waiting for a one-off message won't get it.
+        for (const handlers of Object.values(this._serverMessageHandlers)) {
+            for (const { onClose } of handlers) {
+                if (onClose) setTimeout(onClose.bind(null, closedError), 0);
+            }
+        }
 
         this._requestHandlers = {};
         this._serverMessageHandlers = {};
         if (this._timeoutCheckTimeout != null) clearTimeout(this._timeoutCheckTimeout);
+        if (this._livenessCheckTimeout != null) clearTimeout(this._livenessCheckTimeout);
+
+        if (!this._onCloseCallback) {
+            this._stats?.recordConnectionEvent("disconnected", e.code, e.reason || null);
+        }
 
         // When onClose is present, user has explicitly called close
         // and callback is registered to complete the promise.
@@ -147,11 +186,14 @@ export class RequestHandler {
     // Handle message from server.
     _onMessage(ev: MessageEvent) {
         const { data } = ev;
+        this._options.frameRecorder?.recordFrame("in", data);
+        this._lastMessageAt = Date.now();
 
         // Respond to server ping.
         if (data === WS_MSG_CONSTANTS["PING_MSG"]) {
+            this._stats?.recordMessage(null, 0);
             this._logger?.debug("<- PING", null);
-            this._socket.send(WS_MSG_CONSTANTS["PONG_MSG"]);
+            this._send(WS_MSG_CONSTANTS["PONG_MSG"]);
             return;
         }
 
@@ -165,6 +207,7 @@ export class RequestHandler {
             }
             return;
         }
+        this._stats?.recordMessage(cloudResponse.action || "response", data.length);
         const statusOk = cloudResponse.status === WS_MSG_CONSTANTS["CLOUD_RESPONSE_OK"];
 
         // For special cases, don't check for handler.
@@ -226,7 +269,7 @@ export class RequestHandler {
                 } else {
                     setTimeout(() => {
                         try {
-                            handler.reject(cloudResponse.status);
+                            handler.reject(new CloudRequestError(handler.action, cloudResponse.status, cloudResponse.payload ?? null));
                         } catch (e) {
                             
                             if (e instanceof Error) {
@@ -279,7 +322,11 @@ export class RequestHandler {
             if (handlerData.hasTimedOut(Date.now())) {
                 setTimeout(() => {
                     try {
-                        handlerData.reject("timeout");
+                        handlerData.reject(new TimeoutError(
+                            `Request ${handlerData.action} timed out after ${handlerData.timeout} ms`,
+                            handlerData.action,
+                            handlerData.timeout
+                        ));
                     } catch (e) {
                         if (e instanceof Error) {
                             this._logger?.exception("Error while rejecting timed out handler",e.message);
@@ -304,8 +351,44 @@ export class RequestHandler {
         }
     }
 
-    // Reject all waiting request promises with a given message.
-    _rejectAllWaitingHandlers(error: string): void {
+    // Close the connection if nothing has been received within the liveness
+    // timeout, the socket may be half-open and silently not delivering.
+    _checkLiveness() {
+        this._livenessCheckTimeout = null;
+        const timeout = this._options.livenessTimeout;
+        if (!timeout) return;
+
+        const silentFor = Date.now() - this._lastMessageAt;
+        if (silentFor < timeout) {
+            this._livenessCheckTimeout = setTimeout(
+                this._checkLiveness,
+                timeout - silentFor
+            );
+            return;
+        }
+
+        this._logger?.warn(`Nothing received in ${silentFor} ms, closing stale connection`);
+        this._stats?.recordConnectionEvent("stale", null, `Nothing received in ${silentFor} ms`);
+
+        // Closing handshake of a half-open socket never completes, handle the
+        // closure right away and reconnect.
+        const socket: any = this._socket;
+        socket.onclose = null;
+        socket.onerror = null;
+        this._onClose({ code: WS_CLOSURE_CODES["NO_STATUS"], reason: "Liveness timeout" } as CloseEvent);
+        try {
+            if (typeof socket.terminate === "function") {
+                socket.terminate();
+            } else {
+                socket.close();
+            }
+        } catch (e) {
+            // Socket is already broken.
+        }
+    }
+
+    // Reject all waiting request promises with a given error.
+    _rejectAllWaitingHandlers(error: Error): void {
         for (const [, handlerData] of Object.entries(this._requestHandlers)) {
             setTimeout(() => {
                 try {
@@ -320,6 +403,13 @@ export class RequestHandler {
         }
     }
 
+    // Send a raw frame through the socket.
+    _send(data: string): void {
+        this._socket.send(data);
+        this._options.frameRecorder?.recordFrame("out", data);
+        this._stats?.recordSent(data.length);
+    }
+
     /**
      * Send a single-shot request to server, returns promise that resolves
      * on valid response and rejects on timeout or error.
@@ -330,23 +420,49 @@ export class RequestHandler {
      * @param {number} timeout Custom timeout in ms, will override default.
      * @param {string} serverResponseType If present, overrides UUID and uniqueId
      * that is expected for the server response. For special cases.
+     * @param {AbortSignal} [signal] Stops waiting for the response and
+     * rejects when aborted.
      */
-    sendRequest(msg: Types.Request, timeout:number | null = null, serverResponseType:string | null = null): Promise<Types.CloudResponse> {
+    sendRequest(msg: Types.Request, timeout:number | null = null, serverResponseType:string | null = null, signal: AbortSignal | null = null): Promise<Types.CloudResponse> {
         return new Promise((res, rej) => {
-           
+            if (signal?.aborted) {
+                rej(getAbortError(signal));
+                return;
+            }
+            const handlerKey: string = serverResponseType || msg.uniqueId;
+
             // Attach information and request and reject callbacks to message.
+            const sentAt = Date.now();
             const trackingData = new TrackedRequest(
-                res,
-                rej,
-                timeout || this._defaultTimeout
+                (value: Object | null) => {
+                    signal?.removeEventListener("abort", onAbort);
+                    this._stats?.recordRequest(msg.action, Date.now() - sentAt, "ok");
+                    res(value as Types.CloudResponse);
+                },
+                (err: Error) => {
+                    signal?.removeEventListener("abort", onAbort);
+                    this._stats?.recordRequest(msg.action, Date.now() - sentAt, err instanceof TimeoutError ? "timeout" : "failed");
+                    rej(err);
+                },
+                timeout || this._defaultTimeout,
+                msg.action
             );
 
+            // The response is ignored after the abort.
+            const onAbort = () => {
+                if (this._requestHandlers[handlerKey] === trackingData) {
+                    delete this._requestHandlers[handlerKey];
+                }
+                rej(getAbortError(signal as AbortSignal));
+            };
+            signal?.addEventListener("abort", onAbort);
+
             // Add the request and metadata to collection to track it
             // until it times out or response arrives.
-            this._requestHandlers[serverResponseType || msg.uniqueId] = trackingData;
+            this._requestHandlers[handlerKey] = trackingData;
 
             // Send serialized message through socket.
-            this._socket.send(JSON.stringify(msg));
+            this._send(JSON.stringify(msg));
 
             this._logger?.debug(`Sent request with uuid ${msg.uniqueId}`, null);
         });
@@ -363,14 +479,17 @@ export class RequestHandler {
      * used to later remove the listener.
      * @param {import("./filters").FilteredCallback} callback Callback to be
      * invoked when a relevant message is received.
+     * @param {(error: Error) => void} [onClose] Called if the socket closes
+     * while registered, the callback isn't re-registered.
      */
-    registerServerCallback(action: string, uuid: string, callback: (payload: object) => void): void {
+    registerServerCallback(action: string, uuid: string, callback: (payload: object) => void, onClose: ((error: Error) => void) | null = null): void {
         if (!action) throw Error(`Invalid action '${action}'`);
         if (!uuid) throw Error(`Invalid uuid '${uuid}'`);
 
         const handlerValue: Types.ServerMessageHandler = {
             callback: callback,
             uuid: uuid,
+            onClose: onClose
         };
 
         if (
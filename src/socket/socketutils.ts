@@ -1,4 +1,5 @@
-import { AuthenticateResult, ConsoleLogger, UserOptions } from "../types.js";
+import { AuthenticationError, ConnectionClosedError } from "../utils/exceptions.js";
+import { AuthenticateResult, ConsoleLogger, FrameRecorder, UserOptions } from "../types.js";
 
 /**
  * Wraps WebSocket connect as a Promise.
@@ -17,7 +18,7 @@ export function connectWebsocket(socket: WebSocket): Promise<void> {
             socket.onclose = null;
             socket.onerror = null;
             // @ts-ignore
-            reject(`Error while connecting: '${err.message}'`);
+            reject(new ConnectionClosedError(`Error while connecting: '${err.message}'`));
         };
 
         socket.onclose = (ev: CloseEvent) => {
@@ -26,11 +27,13 @@ export function connectWebsocket(socket: WebSocket): Promise<void> {
             socket.onerror = null;
             const code = ev.code;
             const reason = ev.reason;
-            reject(
+            reject(new ConnectionClosedError(
                 `Failed to connect, code ${code}${
                     reason ? `, reason ${reason}` : ""
-                }`
-            );
+                }`,
+                code,
+                reason || null
+            ));
         };
     });
 }
@@ -40,21 +43,23 @@ export function connectWebsocket(socket: WebSocket): Promise<void> {
  * Authenticate and validate connection to Noccela cloud.
  * @param {WebSocket} socket WebSocket object.
  * @param {string} token JWT token.
+ * @param {FrameRecorder} [frameRecorder] Recorder for the raw frames.
  */
-export function authenticate(socket: WebSocket, token: string): Promise<AuthenticateResult> {
+export function authenticate(socket: WebSocket, token: string, frameRecorder: FrameRecorder | null = null): Promise<AuthenticateResult> {
     return new Promise<AuthenticateResult>((resolve, reject) => {
         socket.onmessage = msg => {
             socket.onmessage = null;
             socket.onclose = null;
 
             const { data } = msg;
+            frameRecorder?.recordFrame("in", data);
 
             let initialMessage;
 
             try {
                 initialMessage = JSON.parse(data);
             } catch (e) {
-                reject(`Failed to parse first message from cloud: ${e}`);
+                reject(new AuthenticationError(`Failed to parse first message from cloud: ${e}`));
                 return;
             }
 
@@ -72,24 +77,27 @@ export function authenticate(socket: WebSocket, token: string): Promise<Authenti
                 }
                 resolve(response);
             } else {
-                reject(
+                reject(new AuthenticationError(
                     `Got uknown initial message ${data} after authentication`
-                );
+                ));
             }
         };
 
         socket.onclose = (ev: CloseEvent) => {
             socket.onmessage = null;
             socket.onclose = null;
-            reject(
+            frameRecorder?.recordFrame("close", ev.reason || "", ev.code);
+            reject(new AuthenticationError(
                 `Invalid token? Closure code ${ev.code}${
                     ev.reason ? `, ${ev.reason}` : ""
-                }`
-            );
+                }`,
+                ev.code
+            ));
         };
 
         // Send the JWT token through socket to cloud and await response.
         socket.send(token);
+        frameRecorder?.recordFrame("out", token);
     });
 }
 
@@ -0,0 +1,227 @@
+import * as Types from "../types.js";
+
+// Upper bounds of the request latency histogram buckets in milliseconds.
+export const LATENCY_BUCKETS = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, Infinity];
+
+// Window for message and byte rates in milliseconds.
+const RATE_WINDOW = 60000;
+
+// Number of connection events and token refresh outcomes to keep.
+const HISTORY_SIZE = 50;
+
+type LatencyData = {
+    count: number,
+    failed: number,
+    timedOut: number,
+    total: number,
+    min: number | null,
+    max: number | null,
+    buckets: number[]
+};
+
+type RateData = {
+    messages: number,
+    bytes: number,
+    // Messages and bytes per second, oldest first.
+    window: { second: number, messages: number, bytes: number }[]
+};
+
+function pushLimited<T>(array: T[], item: T): void {
+    array.push(item);
+    if (array.length > HISTORY_SIZE) array.shift();
+}
+
+/**
+ * Collects connection health metrics of a channel: request latencies,
+ * message rates, reconnections and token refreshes. Kept over reconnections.
+ *
+ * @export
+ * @class ConnectionStats
+ */
+export class ConnectionStats {
+	public _requests: Map<string, LatencyData>;
+	public _messages: Map<string, RateData>;
+	public _sentMessages: number;
+	public _sentBytes: number;
+	public _lastMessageAt: number | null;
+	public _reconnects: number;
+	public _connectionEvents: Types.ConnectionEvent[];
+	public _tokenRefreshSucceeded: number;
+	public _tokenRefreshFailed: number;
+	public _tokenRefreshHistory: Types.TokenRefreshOutcome[];
+
+    constructor() {
+        this._requests = new Map();
+        this._messages = new Map();
+        this._sentMessages = 0;
+        this._sentBytes = 0;
+        this._lastMessageAt = null;
+        this._reconnects = 0;
+        this._connectionEvents = [];
+        this._tokenRefreshSucceeded = 0;
+        this._tokenRefreshFailed = 0;
+        this._tokenRefreshHistory = [];
+    }
+
+    /**
+     * Record a completed request.
+     *
+     * @param {string} action Request action.
+     * @param {number} latency Milliseconds from sending to the response.
+     * @param {"ok" | "failed" | "timeout"} outcome
+     * @memberof ConnectionStats
+     */
+    recordRequest(action: string, latency: number, outcome: "ok" | "failed" | "timeout"): void {
+        let data = this._requests.get(action);
+        if (!data) {
+            data = {
+                count: 0,
+                failed: 0,
+                timedOut: 0,
+                total: 0,
+                min: null,
+                max: null,
+                buckets: LATENCY_BUCKETS.map(() => 0)
+            };
+            this._requests.set(action, data);
+        }
+
+        if (outcome === "timeout") {
+            data.timedOut++;
+            return;
+        }
+        if (outcome === "failed") data.failed++;
+
+        // Latency is tracked for every response, failed ones included.
+        data.count++;
+        data.total += latency;
+        data.min = data.min === null ? latency : Math.min(data.min, latency);
+        data.max = data.max === null ? latency : Math.max(data.max, latency);
+        const bucket = LATENCY_BUCKETS.findIndex((le) => latency <= le);
+        data.buckets[bucket] = (data.buckets[bucket] || 0) + 1;
+    }
+
+    /**
+     * Record traffic from cloud, pings included.
+     *
+     * @param {string | null} action Message action, null for pings.
+     * @param {number} bytes Message length.
+     * @memberof ConnectionStats
+     */
+    recordMessage(action: string | null, bytes: number): void {
+        const now = Date.now();
+        this._lastMessageAt = now;
+        if (action === null) return;
+
+        let data = this._messages.get(action);
+        if (!data) {
+            data = { messages: 0, bytes: 0, window: [] };
+            this._messages.set(action, data);
+        }
+        data.messages++;
+        data.bytes += bytes;
+
+        const second = Math.floor(now / 1000);
+        const last = data.window[data.window.length - 1];
+        if (last && last.second === second) {
+            last.messages++;
+            last.bytes += bytes;
+        } else {
+            data.window.push({ second, messages: 1, bytes });
+        }
+        this._pruneWindow(data, now);
+    }
+
+    recordSent(bytes: number): void {
+        this._sentMessages++;
+        this._sentBytes += bytes;
+    }
+
+    /**
+     * Record a change in the connection.
+     *
+     * @param {Types.ConnectionEventType} type
+     * @param {number} [code] WebSocket closure code.
+     * @param {string} [reason] Closure reason or error.
+     * @memberof ConnectionStats
+     */
+    recordConnectionEvent(type: Types.ConnectionEventType, code: number | null = null, reason: string | null = null): void {
+        if (type === "reconnected") this._reconnects++;
+        pushLimited(this._connectionEvents, { timestamp: Date.now(), type, code, reason });
+    }
+
+    recordTokenRefresh(ok: boolean, error: string | null = null): void {
+        if (ok) {
+            this._tokenRefreshSucceeded++;
+        } else {
+            this._tokenRefreshFailed++;
+        }
+        pushLimited(this._tokenRefreshHistory, { timestamp: Date.now(), ok, error });
+    }
+
+    get lastMessageAt(): number | null {
+        return this._lastMessageAt;
+    }
+
+    /**
+     * Get a snapshot of the metrics.
+     *
+     * @param {boolean} connected Current connection state.
+     * @param {number} pendingRequests Requests waiting for a response.
+     * @returns {Types.ChannelStats}
+     * @memberof ConnectionStats
+     */
+    getStats(connected: boolean, pendingRequests: number): Types.ChannelStats {
+        const now = Date.now();
+
+        const requests: { [action: string]: Types.RequestLatencyStats } = {};
+        for (const [action, data] of this._requests.entries()) {
+            requests[action] = {
+                count: data.count,
+                failed: data.failed,
+                timedOut: data.timedOut,
+                min: data.min,
+                max: data.max,
+                mean: data.count ? data.total / data.count : null,
+                buckets: LATENCY_BUCKETS.map((le, i) => ({ le, count: data.buckets[i] || 0 }))
+            };
+        }
+
+        const messages: { [action: string]: Types.MessageRateStats } = {};
+        for (const [action, data] of this._messages.entries()) {
+            this._pruneWindow(data, now);
+            const windowMessages = data.window.reduce((sum, s) => sum + s.messages, 0);
+            const windowBytes = data.window.reduce((sum, s) => sum + s.bytes, 0);
+            messages[action] = {
+                messages: data.messages,
+                bytes: data.bytes,
+                messagesPerSecond: windowMessages / (RATE_WINDOW / 1000),
+                bytesPerSecond: windowBytes / (RATE_WINDOW / 1000)
+            };
+        }
+
+        return {
+            timestamp: now,
+            connected,
+            lastMessageAt: this._lastMessageAt,
+            pendingRequests,
+            requests,
+            messages,
+            sent: { messages: this._sentMessages, bytes: this._sentBytes },
+            reconnects: this._reconnects,
+            connectionEvents: this._connectionEvents.map((e) => ({ ...e })),
+            tokenRefresh: {
+                succeeded: this._tokenRefreshSucceeded,
+                failed: this._tokenRefreshFailed,
+                history: this._tokenRefreshHistory.map((o) => ({ ...o }))
+            }
+        };
+    }
+
+    _pruneWindow(data: RateData, now: number): void {
+        const oldest = Math.floor((now - RATE_WINDOW) / 1000);
+        while (data.window.length && (data.window[0] as { second: number }).second <= oldest) {
+            data.window.shift();
+        }
+    }
+}
@@ -0,0 +1,344 @@
+import { EVENT_TYPES } from "../constants/constants.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import * as Types from "../types.js";
+
+export const DEFAULT_STREAM_OPTIONS: Types.StreamOptions = {
+    minInterval: null,
+    minMovement: null,
+    batchInterval: null,
+    batchSize: null
+};
+
+// Splits payloads of an event type into items by device and builds payloads
+// back from the items.
+type StreamAdapter = {
+    // Items keyed by device and keys of removed items.
+    split(payload: any): { items: [string, any][], removed: string[] },
+    // Combine a held back item with a newer one.
+    merge(previous: any, next: any): any,
+    // Payloads to deliver for the items.
+    build(items: [string, any][], removed: string[]): object[]
+};
+
+const latest = (_: any, next: any) => next;
+const mergeFields = (previous: any, next: any) => ({ ...previous, ...next });
+
+function fromEntries(items: [string, any][]): { [key: string]: any } {
+    const result: { [key: string]: any } = {};
+    for (const [key, item] of items) result[key] = item;
+    return result;
+}
+
+// Payload is an object keyed by device ID.
+function dictionaryAdapter(merge: (previous: any, next: any) => any): StreamAdapter {
+    return {
+        split: (payload) => ({ items: Object.entries(payload), removed: [] }),
+        merge,
+        build: (items) => items.length ? [fromEntries(items)] : []
+    };
+}
+
+// Payload is a diff with changed items keyed by device ID and removed IDs.
+function diffAdapter(itemsKey: string, removedKey: string): StreamAdapter {
+    return {
+        split: (payload) => ({
+            items: Object.entries(payload[itemsKey] || {}),
+            removed: (payload[removedKey] || []).map((id: any) => `${id}`)
+        }),
+        merge: mergeFields,
+        build: (items, removed) => items.length || removed.length
+            ? [{
+                [itemsKey]: items.length ? fromEntries(items) : null,
+                [removedKey]: removed.length ? removed : null
+            }]
+            : []
+    };
+}
+
+// Payload is an array of items.
+function arrayAdapter(getKey: (item: any) => string): StreamAdapter {
+    return {
+        split: (payload) => ({
+            items: (payload as any[]).map((item) => [getKey(item), item] as [string, any]),
+            removed: []
+        }),
+        merge: latest,
+        build: (items) => items.length ? [items.map(([, item]) => item)] : []
+    };
+}
+
+// Payload is a single item.
+function itemAdapter(getKey: (item: any) => string): StreamAdapter {
+    return {
+        split: (payload) => ({ items: [[getKey(payload), payload]], removed: [] }),
+        merge: latest,
+        build: (items) => items.map(([, item]) => item)
+    };
+}
+
+const STREAM_ADAPTERS: { [eventType: string]: StreamAdapter } = {
+    [EVENT_TYPES.LOCATION_UPDATE]: dictionaryAdapter(latest),
+    [EVENT_TYPES.TAG_STATE]: dictionaryAdapter(latest),
+    [EVENT_TYPES.ALERT_STATE]: dictionaryAdapter(latest),
+    [EVENT_TYPES.BEACON_STATE]: dictionaryAdapter(latest),
+    [EVENT_TYPES.BEACON_DIFF]: dictionaryAdapter(mergeFields),
+    [EVENT_TYPES.TAG_DIFF]: diffAdapter("tags", "removedTags"),
+    [EVENT_TYPES.ALERT_DIFF]: diffAdapter("alerts", "removedAlerts"),
+    [EVENT_TYPES.TWR_DATA]: itemAdapter((item) => `${item.tId}:${item.bId}`),
+    [EVENT_TYPES.P2P_DISTANCE_UPDATE]: arrayAdapter((item) => `${item.tag1}:${item.tag2}:${item.beacon}`),
+    [EVENT_TYPES.CONTACT_TRACE_UPDATE]: arrayAdapter((item) => `${item.tag1}:${item.tag2}`),
+    [EVENT_TYPES.SITE_INFO]: itemAdapter(() => ""),
+    [EVENT_TYPES.LAYOUT_UPDATE]: itemAdapter(() => "")
+};
+
+/**
+ * Validate stream options and fill in the defaults.
+ *
+ * @param {Types.StreamOptions} options
+ * @returns {Types.StreamOptions}
+ */
+export function getStreamOptions(options: Partial<Types.StreamOptions> | null): Types.StreamOptions {
+    const streamOptions: Types.StreamOptions = {
+        ...DEFAULT_STREAM_OPTIONS,
+        ...options
+    };
+    for (const [key, value] of Object.entries(streamOptions)) {
+        if (value !== null && !(typeof value === "number" && value > 0)) {
+            throw new ArgumentException(key);
+        }
+    }
+    if (streamOptions.batchSize !== null && !Number.isInteger(streamOptions.batchSize)) {
+        throw new ArgumentException("batchSize");
+    }
+    return streamOptions;
+}
+
+/**
+ * Check if any of the stream options is set.
+ *
+ * @param {Types.StreamOptions} options
+ */
+export function hasStreamOptions(options: Partial<Types.StreamOptions> | null): boolean {
+    return !!options && Object.values(options).some((value) => value != null);
+}
+
+/**
+ * Throttles, coalesces and batches the filtered messages of a registered
+ * event before they are passed to the user's callback.
+ *
+ * Payloads are split into items by device, or by device pair for P2P and
+ * contact tracing updates. With `minInterval` an item is delivered at most
+ * once per interval, updates in between are held back and combined so the
+ * latest values are delivered when the interval has passed. With
+ * `minMovement` location updates that haven't moved far enough from the last
+ * delivered position are dropped, other streams ignore it as their updates
+ * change more than the position. Removed tags and alerts are never held
+ * back.
+ *
+ * With `batchSize` or `batchInterval` the callback is invoked with an array
+ * of payloads instead of a single payload.
+ *
+ * The processor is kept when the event is re-registered after a reconnection,
+ * so held back and batched messages aren't lost.
+ *
+ * @export
+ * @class StreamProcessor
+ */
+export class StreamProcessor {
+	public _options: Types.StreamOptions;
+	public _adapter: StreamAdapter;
+	public _filterMovement: boolean;
+	public _callback: (err: string | null, payload: object) => void;
+	public _lastDelivered: Map<string, number>;
+	public _lastPositions: Map<string, Types.LocationUpdateItem>;
+	public _pending: Map<string, { item: any, due: number }>;
+	public _pendingTimer: ReturnType<typeof setTimeout> | null;
+	public _batch: object[];
+	public _batchTimer: ReturnType<typeof setTimeout> | null;
+
+    /**
+     * Creates an instance of StreamProcessor.
+     *
+     * @param {string} eventType Type of the registered event.
+     * @param {Types.StreamOptions} options
+     * @param {(err: String, payload: Object) => void} callback User's
+     * callback.
+     * @memberof StreamProcessor
+     */
+    constructor(eventType: string, options: Partial<Types.StreamOptions> | null, callback: (err: string | null, payload: object) => void) {
+        const adapter = STREAM_ADAPTERS[eventType];
+        if (!adapter) {
+            throw new ArgumentException("eventType");
+        }
+        if (!callback || typeof callback !== "function") {
+            throw new ArgumentException("callback");
+        }
+
+        this._options = getStreamOptions(options);
+        this._adapter = adapter;
+        this._callback = callback;
+        this._filterMovement = eventType === EVENT_TYPES.LOCATION_UPDATE &&
+            this._options.minMovement !== null;
+
+        // Per item time of the last delivery and last delivered position.
+        this._lastDelivered = new Map();
+        this._lastPositions = new Map();
+
+        // Items held back by the rate limit.
+        this._pending = new Map();
+        this._pendingTimer = null;
+
+        this._batch = [];
+        this._batchTimer = null;
+    }
+
+    /**
+     * Process a filtered message, has the signature of the user's callback.
+     *
+     * @param {string} err
+     * @param {Object} payload
+     * @memberof StreamProcessor
+     */
+    process(err: string | null, payload: object): void {
+        if (err) {
+            this._callback(err, payload);
+            return;
+        }
+
+        const now = Date.now();
+        const { minInterval } = this._options;
+        const { items, removed } = this._adapter.split(payload);
+
+        const deliverNow: [string, any][] = [];
+        for (const [key, item] of items) {
+            // Movement of a held back item is checked when it's due.
+            const pending = this._pending.get(key);
+            if (pending) {
+                pending.item = this._adapter.merge(pending.item, item);
+                continue;
+            }
+            if (!this._hasMoved(key, item)) continue;
+
+            const lastDelivered = this._lastDelivered.get(key);
+            if (minInterval === null || lastDelivered === undefined || now - lastDelivered >= minInterval) {
+                this._delivered(key, item, now);
+                deliverNow.push([key, item]);
+            } else {
+                this._pending.set(key, { item, due: lastDelivered + minInterval });
+            }
+        }
+
+        for (const key of removed) {
+            this._forget(key);
+        }
+
+        this._deliver(deliverNow, removed);
+        this._schedulePending();
+    }
+
+    /**
+     * Deliver everything held back and batched.
+     *
+     * @memberof StreamProcessor
+     */
+    flush(): void {
+        this._flushPending(Infinity);
+        this._flushBatch();
+    }
+
+    /**
+     * Stop the timers and drop held back and batched messages.
+     *
+     * @memberof StreamProcessor
+     */
+    dispose(): void {
+        if (this._pendingTimer) clearTimeout(this._pendingTimer);
+        if (this._batchTimer) clearTimeout(this._batchTimer);
+        this._pendingTimer = null;
+        this._batchTimer = null;
+        this._pending.clear();
+        this._batch = [];
+    }
+
+    // Check if a location moved enough from the last position passed on.
+    _hasMoved(key: string, item: any): boolean {
+        if (!this._filterMovement || !item ||
+            typeof item.x !== "number" || typeof item.y !== "number") {
+            return true;
+        }
+
+        const last = this._lastPositions.get(key);
+        if (!last) return true;
+
+        const distance = Math.hypot(
+            item.x - last.x,
+            item.y - last.y,
+            (item.z || 0) - (last.z || 0)
+        );
+        return distance >= (this._options.minMovement as number);
+    }
+
+    _delivered(key: string, item: any, now: number): void {
+        this._lastDelivered.set(key, now);
+        if (this._filterMovement) this._lastPositions.set(key, item);
+    }
+
+    _forget(key: string): void {
+        this._pending.delete(key);
+        this._lastDelivered.delete(key);
+        this._lastPositions.delete(key);
+    }
+
+    _schedulePending(): void {
+        if (this._pendingTimer || !this._pending.size) return;
+
+        const due = Math.min(...Array.from(this._pending.values()).map((p) => p.due));
+        this._pendingTimer = setTimeout(() => {
+            this._pendingTimer = null;
+            this._flushPending(Date.now());
+            this._schedulePending();
+        }, Math.max(0, due - Date.now()));
+    }
+
+    _flushPending(now: number): void {
+        const items: [string, any][] = [];
+        for (const [key, pending] of Array.from(this._pending.entries())) {
+            if (pending.due > now) continue;
+            this._pending.delete(key);
+            if (!this._hasMoved(key, pending.item)) continue;
+            this._delivered(key, pending.item, Math.min(now, Date.now()));
+            items.push([key, pending.item]);
+        }
+        this._deliver(items, []);
+    }
+
+    _deliver(items: [string, any][], removed: string[]): void {
+        const { batchSize, batchInterval } = this._options;
+        for (const payload of this._adapter.build(items, removed)) {
+            if (batchSize === null && batchInterval === null) {
+                this._callback(null, payload);
+                continue;
+            }
+
+            this._batch.push(payload);
+            if (batchSize !== null && this._batch.length >= batchSize) {
+                this._flushBatch();
+            } else if (batchInterval !== null && !this._batchTimer) {
+                this._batchTimer = setTimeout(() => {
+                    this._batchTimer = null;
+                    this._flushBatch();
+                }, batchInterval);
+            }
+        }
+    }
+
+    _flushBatch(): void {
+        if (this._batchTimer) clearTimeout(this._batchTimer);
+        this._batchTimer = null;
+        if (!this._batch.length) return;
+
+        const batch = this._batch;
+        this._batch = [];
+        this._callback(null, batch);
+    }
+}
@@ -0,0 +1,245 @@
+import { TypedEmitter } from "../utils/emitter.js";
+import { getAbortError } from "../utils/abort.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import * as Types from "../types.js";
+
+export const DEFAULT_SUBSCRIPTION_OPTIONS: Types.SubscriptionOptions = {
+    bufferSize: 1000,
+    overflow: "drop-oldest",
+    signal: null
+};
+
+/**
+ * Registered event that can be consumed as an async iterable or with typed
+ * listeners, instead of a callback.
+ *
+ * The event is registered when the subscription is created, `ready` resolves
+ * with its UUID. Breaking out of a `for await` loop or calling `dispose()`
+ * unregisters it.
+ *
+ * Messages are buffered for iteration, up to `bufferSize` messages. When the
+ * consumer falls behind, either the oldest buffered or the newest message is
+ * dropped, depending on the `overflow` policy, and emitted as "drop". A
+ * subscription that is consumed only with "data" listeners doesn't buffer.
+ *
+ * An error from the stream is emitted as "error" and thrown from the iterator,
+ * which ends the iteration.
+ *
+ * Aborting the `signal` option disposes the subscription.
+ *
+ * @export
+ * @class Subscription
+ */
+export class Subscription<T> implements AsyncIterable<T> {
+	public uuid: string | null;
+	public ready: Promise<string>;
+	public dropped: number;
+	public _options: Types.SubscriptionOptions;
+	public _unregister: (uuid: string) => Promise<unknown>;
+	public _emitter: TypedEmitter<Types.SubscriptionEvents<T>>;
+	public _buffer: T[];
+	public _waiting: { resolve: (result: IteratorResult<T>) => void, reject: (e: Error) => void } | null;
+	public _error: Error | null;
+	public _iterating: boolean;
+	public _disposed: boolean;
+
+    /**
+     * Creates an instance of Subscription.
+     *
+     * @param {(callback: Function) => Promise<string>} register Registers
+     * the callback, resolves with UUID.
+     * @param {(uuid: string) => Promise} unregister Unregisters the UUID.
+     * @param {Types.SubscriptionOptions} [options] Buffering options.
+     * @param {import("../constants/constants").Logger} [logger]
+     * @memberof Subscription
+     */
+    constructor(register: (callback: (err: string | null, payload: T) => void) => Promise<string>, unregister: (uuid: string) => Promise<unknown>, options: Partial<Types.SubscriptionOptions> | null = null, logger: Types.ConsoleLogger | null = null) {
+        this._options = {
+            ...DEFAULT_SUBSCRIPTION_OPTIONS,
+            ...options
+        };
+        if (!(this._options.bufferSize > 0)) {
+            throw new ArgumentException("bufferSize");
+        }
+        if (this._options.overflow !== "drop-oldest" && this._options.overflow !== "drop-newest") {
+            throw new ArgumentException("overflow");
+        }
+
+        this.uuid = null;
+        this.dropped = 0;
+        this._unregister = unregister;
+        this._emitter = new TypedEmitter(logger);
+        this._buffer = [];
+        this._waiting = null;
+        this._error = null;
+        this._iterating = false;
+        this._disposed = false;
+
+        const signal = this._options.signal;
+        const registration: Promise<string> = signal?.aborted
+            ? Promise.reject(getAbortError(signal))
+            : register(this._onMessage.bind(this));
+        this.ready = registration.then(
+            (uuid: string) => {
+                this.uuid = uuid;
+                // Disposed while registering.
+                if (this._disposed) this._unregister(uuid).catch(() => {});
+                return uuid;
+            },
+            (e: any) => {
+                // Iteration, even if started later, ends with the error.
+                this._iterating = true;
+                this._fail(e instanceof Error ? e : Error(`${e}`));
+                throw e;
+            }
+        );
+        // Registration errors are delivered through the iterator and listeners.
+        this.ready.catch(() => {});
+
+        if (signal && !signal.aborted) {
+            signal.addEventListener("abort", () => {
+                this.dispose().catch(() => {});
+            });
+        }
+    }
+
+    /**
+     * Add a listener for messages ("data"), stream errors ("error"), dropped
+     * messages ("drop") or disposal ("end").
+     *
+     * @returns {string} UUID to remove the listener with.
+     * @memberof Subscription
+     */
+    on<K extends keyof Types.SubscriptionEvents<T>>(event: K, listener: (payload: Types.SubscriptionEvents<T>[K]) => void): string {
+        return this._emitter.on(event, listener);
+    }
+
+    /**
+     * Remove a listener added with on.
+     *
+     * @param {string} uuid
+     * @memberof Subscription
+     */
+    off(uuid: string): boolean {
+        return this._emitter.off(uuid);
+    }
+
+    /**
+     * Unregister the event and end the iteration. Buffered messages can still
+     * be iterated.
+     *
+     * @memberof Subscription
+     */
+    async dispose(): Promise<void> {
+        if (this._disposed) return;
+        this._disposed = true;
+
+        this._resolveWaiting({ value: undefined, done: true });
+        this._emitter.emit("end", null);
+
+        let uuid: string | null = null;
+        try {
+            uuid = await this.ready;
+        } catch (e) {
+            // Never registered.
+        }
+        if (uuid !== null) await this._unregister(uuid);
+    }
+
+    /**
+     * Number of buffered messages.
+     *
+     * @readonly
+     * @memberof Subscription
+     */
+    get buffered(): number {
+        return this._buffer.length;
+    }
+
+    get disposed(): boolean {
+        return this._disposed;
+    }
+
+    [Symbol.asyncIterator](): AsyncIterator<T> {
+        this._iterating = true;
+        return {
+            next: () => this._next(),
+            return: async (): Promise<IteratorResult<T>> => {
+                this._buffer = [];
+                await this.dispose();
+                return { value: undefined, done: true };
+            }
+        };
+    }
+
+    _next(): Promise<IteratorResult<T>> {
+        if (this._buffer.length) {
+            return Promise.resolve({ value: this._buffer.shift() as T, done: false });
+        }
+        if (this._error) {
+            const error = this._error;
+            this._error = null;
+            return Promise.reject(error);
+        }
+        if (this._disposed) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => {
+            this._waiting = { resolve, reject };
+        });
+    }
+
+    _onMessage(err: string | null, payload: T): void {
+        if (this._disposed) return;
+
+        if (err) {
+            this._fail(Error(err));
+            return;
+        }
+
+        this._emitter.emit("data", payload);
+        if (this._iterating || !this._emitter.listenerCount("data")) {
+            this._enqueue(payload);
+        }
+    }
+
+    _enqueue(payload: T): void {
+        if (this._waiting) {
+            this._resolveWaiting({ value: payload, done: false });
+            return;
+        }
+
+        if (this._buffer.length >= this._options.bufferSize) {
+            this.dropped++;
+            if (this._options.overflow === "drop-newest") {
+                this._emitter.emit("drop", payload);
+                return;
+            }
+            this._emitter.emit("drop", this._buffer.shift() as T);
+        }
+        this._buffer.push(payload);
+    }
+
+    // Deliver the error to listeners and the iterator. Iteration ends with
+    // the error, so the event is unregistered.
+    _fail(error: Error): void {
+        this._emitter.emit("error", error);
+        if (!this._iterating) return;
+
+        if (this._waiting) {
+            const { reject } = this._waiting;
+            this._waiting = null;
+            reject(error);
+        } else {
+            this._error = error;
+        }
+        this.dispose().catch(() => {});
+    }
+
+    _resolveWaiting(result: IteratorResult<T>): void {
+        if (!this._waiting) return;
+        const { resolve } = this._waiting;
+        this._waiting = null;
+        resolve(result);
+    }
+}
@@ -0,0 +1,365 @@
+import { EventChannel } from "../socket/eventhandler.js";
+import { TypedEmitter } from "../utils/emitter.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import * as Types from "../types.js";
+
+const DEFAULT_STORE_OPTIONS: Types.SiteStateStoreOptions = {
+    tags: true,
+    alerts: true,
+    beacons: true,
+    deviceIds: null
+};
+
+// Compare two property values, arrays (like tag areas) by their content.
+function valuesEqual(a: unknown, b: unknown): boolean {
+    if (a === b) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((v, i) => valuesEqual(v, b[i]));
+    }
+    if (a && b && typeof a === "object" && typeof b === "object") {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+    return false;
+}
+
+function clone<T>(obj: T): T {
+    return JSON.parse(JSON.stringify(obj));
+}
+
+/**
+ * Keeps an always-consistent in-memory model of the tags, alerts and beacons
+ * on the channel's site.
+ *
+ * The store registers to the initial state and diff streams of the channel
+ * and merges the incremental updates into the full state. When the connection
+ * is re-established the channel re-registers the events, which invokes the
+ * initial state callbacks again and the store resyncs from the full state,
+ * emitting changes for everything that happened while disconnected.
+ *
+ * @export
+ * @class SiteStateStore
+ */
+export class SiteStateStore {
+	public _channel: EventChannel;
+	public _options: Types.SiteStateStoreOptions;
+	public _logger: Types.ConsoleLogger;
+	public _tags: Map<number, Types.InitialTagState>;
+	public _alerts: Map<number, Types.InitialAlertState>;
+	public _beacons: Map<number, Types.InitialBeaconState>;
+	public _registrations: string[];
+	public _emitter: TypedEmitter<Types.SiteStateEvents>;
+
+    /**
+     * Creates an instance of SiteStateStore.
+     *
+     * @param {EventChannel} channel Channel to register the streams with.
+     * @param {Types.SiteStateStoreOptions} [options] Which entities to track
+     * and optional device filter.
+     * @memberof SiteStateStore
+     */
+    constructor(channel: EventChannel, options: Partial<Types.SiteStateStoreOptions> | null = null) {
+        if (!channel || !(channel instanceof EventChannel)) {
+            throw new ArgumentException("channel");
+        }
+
+        this._channel = channel;
+        this._options = {
+            ...DEFAULT_STORE_OPTIONS,
+            ...options
+        };
+        this._logger = channel._logger;
+
+        this._tags = new Map();
+        this._alerts = new Map();
+        this._beacons = new Map();
+
+        // UUIDs of the events registered to the channel.
+        this._registrations = [];
+
+        this._emitter = new TypedEmitter(this._logger);
+    }
+
+    /**
+     * Register to the initial state and diff streams. Resolves when the
+     * initial state has been loaded.
+     *
+     * @memberof SiteStateStore
+     */
+    async start(): Promise<void> {
+        if (this._registrations.length) return;
+
+        const deviceIds = this._options.deviceIds;
+        try {
+            if (this._options.tags) {
+                this._registrations.push(
+                    await this._channel.registerInitialTagState(
+                        this._handle("tag", this._onTagState.bind(this)),
+                        deviceIds
+                    ),
+                    await this._channel.registerTagDiffStream(
+                        this._handle("tag", this._onTagDiff.bind(this)),
+                        deviceIds
+                    )
+                );
+            }
+            if (this._options.alerts) {
+                this._registrations.push(
+                    await this._channel.registerInitialAlertState(
+                        this._handle("alert", this._onAlertState.bind(this)),
+                        deviceIds
+                    ),
+                    await this._channel.registerAlertDiffStream(
+                        this._handle("alert", this._onAlertDiff.bind(this)),
+                        deviceIds
+                    )
+                );
+            }
+            if (this._options.beacons) {
+                this._registrations.push(
+                    await this._channel.registerInitialBeaconState(
+                        this._handle("beacon", this._onBeaconState.bind(this)),
+                        deviceIds
+                    ),
+                    await this._channel.registerBeaconDiffStream(
+                        this._handle("beacon", this._onBeaconDiff.bind(this)),
+                        deviceIds
+                    )
+                );
+            }
+        } catch (e) {
+            // Don't leave half of the streams registered.
+            await this.stop();
+            throw e;
+        }
+    }
+
+    /**
+     * Unregister from all streams. The current state is kept.
+     *
+     * @memberof SiteStateStore
+     */
+    async stop(): Promise<void> {
+        const registrations = this._registrations;
+        this._registrations = [];
+        for (const uuid of registrations) {
+            await this._channel.unregister(uuid);
+        }
+    }
+
+    /**
+     * Fetch the full state from cloud and replace the current state with it.
+     * Normally not needed, as the store resyncs automatically after reconnecting.
+     *
+     * @memberof SiteStateStore
+     */
+    async resync(): Promise<void> {
+        const deviceIds = this._options.deviceIds;
+        if (this._options.tags) {
+            const tags = await this._channel.getTagState(deviceIds);
+            if (tags != null) this._onTagState(tags);
+        }
+        if (this._options.alerts) {
+            const alerts = await this._channel.getAlertState(deviceIds);
+            if (alerts != null) this._onAlertState(alerts);
+        }
+        if (this._options.beacons) {
+            const beacons = await this._channel.getBeaconState(deviceIds);
+            if (beacons != null) this._onBeaconState(beacons);
+        }
+    }
+
+    /**
+     * Add a listener that is invoked for every added, updated or removed
+     * tag, alert or beacon.
+     *
+     * @param {(change: Types.SiteStateChange<Object>) => void} listener
+     * @returns {string} UUID to remove the listener with.
+     * @memberof SiteStateStore
+     */
+    onChange(listener: (change: Types.SiteStateChange<object>) => void): string {
+        return this._emitter.on("change", listener);
+    }
+
+    /**
+     * Add a listener that is invoked after the state of an entity type has
+     * been replaced with the full state from cloud.
+     *
+     * @param {(entity: Types.SiteStateEntity) => void} listener
+     * @returns {string} UUID to remove the listener with.
+     * @memberof SiteStateStore
+     */
+    onResync(listener: (entity: Types.SiteStateEntity) => void): string {
+        return this._emitter.on("resync", listener);
+    }
+
+    /**
+     * Remove a listener added with onChange or onResync.
+     *
+     * @param {string} uuid
+     * @memberof SiteStateStore
+     */
+    removeListener(uuid: string): boolean {
+        return this._emitter.off(uuid);
+    }
+
+    getTag(deviceId: number): Types.InitialTagState | null {
+        const tag = this._tags.get(deviceId);
+        return tag ? clone(tag) : null;
+    }
+
+    getAlert(alarmId: number): Types.InitialAlertState | null {
+        const alert = this._alerts.get(alarmId);
+        return alert ? clone(alert) : null;
+    }
+
+    getBeacon(deviceId: number): Types.InitialBeaconState | null {
+        const beacon = this._beacons.get(deviceId);
+        return beacon ? clone(beacon) : null;
+    }
+
+    /**
+     * Get a point-in-time copy of the whole state. The snapshot is not
+     * affected by later updates.
+     *
+     * @memberof SiteStateStore
+     */
+    getSnapshot(): Types.SiteStateSnapshot {
+        const snapshot: Types.SiteStateSnapshot = {
+            timestamp: Date.now(),
+            tags: {},
+            alerts: {},
+            beacons: {}
+        };
+        for (const [id, tag] of this._tags) snapshot.tags[id] = clone(tag);
+        for (const [id, alert] of this._alerts) snapshot.alerts[id] = clone(alert);
+        for (const [id, beacon] of this._beacons) snapshot.beacons[id] = clone(beacon);
+        return snapshot;
+    }
+
+    // Wrap a payload handler as a Node-style callback for the channel.
+    _handle<T>(entity: Types.SiteStateEntity, handler: (payload: T) => void): (err: string | null, payload: T) => void {
+        return (err: string | null, payload: T) => {
+            if (err) {
+                this._logger.error(`Error in ${entity} stream: ${err}`);
+                return;
+            }
+            handler(payload);
+        };
+    }
+
+    _onTagState(payload: Types.TagInitialStateResponse): void {
+        this._replace("tag", this._tags, payload);
+    }
+
+    _onTagDiff(payload: Types.TagDiffResponse): void {
+        for (const [deviceId, diff] of Object.entries(payload.tags || {})) {
+            this._merge("tag", this._tags, +deviceId, diff);
+        }
+        for (const deviceId of payload.removedTags || []) {
+            this._remove("tag", this._tags, +deviceId);
+        }
+    }
+
+    _onAlertState(payload: Types.AlertInitialStateResponse): void {
+        this._replace("alert", this._alerts, payload);
+    }
+
+    _onAlertDiff(payload: Types.AlertDiffResponse): void {
+        for (const [alarmId, diff] of Object.entries(payload.alerts || {})) {
+            this._merge("alert", this._alerts, +alarmId, diff);
+        }
+        for (const alarmId of payload.removedAlerts || []) {
+            this._remove("alert", this._alerts, +alarmId);
+        }
+    }
+
+    _onBeaconState(payload: Types.BeaconInitialStateResponse): void {
+        this._replace("beacon", this._beacons, payload);
+    }
+
+    _onBeaconDiff(payload: Types.BeaconDiffResponse): void {
+        for (const [deviceId, diff] of Object.entries(payload)) {
+            this._merge("beacon", this._beacons, +deviceId, diff);
+        }
+    }
+
+    // Replace the state with a full state, emitting changes against the
+    // previous state.
+    _replace<T extends object>(entity: Types.SiteStateEntity, map: Map<number, T>, fullState: object): void {
+        const entries: [string, T][] = Object.entries(fullState);
+        const ids = new Set(entries.map(([id]) => +id));
+
+        for (const id of Array.from(map.keys())) {
+            if (!ids.has(id)) this._remove(entity, map, id);
+        }
+        for (const [id, state] of entries) {
+            this._merge(entity, map, +id, state, true);
+        }
+
+        this._emitter.emit("resync", entity);
+    }
+
+    // Merge a partial state into the entity or replace it with a full state,
+    // emitting the change against the previous state.
+    _merge<T extends object>(entity: Types.SiteStateEntity, map: Map<number, T>, id: number, partial: Partial<T>, replace: boolean = false): void {
+        const previous: T | undefined = map.get(id);
+        const current = (replace ? {} : { ...previous }) as T;
+        const changedFields: string[] = [];
+
+        for (const [field, value] of Object.entries(partial)) {
+            // Missing values in diffs mean "no change", nulls are values.
+            if (value === undefined) continue;
+            (current as any)[field] = value;
+            const previousValue = previous ? (previous as any)[field] : undefined;
+            if (previous && valuesEqual(previousValue, value)) continue;
+            changedFields.push(field);
+        }
+        if (replace && previous) {
+            // Fields missing from the full state are removed.
+            for (const field of Object.keys(previous)) {
+                if (!(field in current)) changedFields.push(field);
+            }
+        }
+
+        if (previous && !changedFields.length) return;
+        map.set(id, current);
+
+        this._emitter.emit("change", {
+            entity,
+            type: previous ? "updated" : "added",
+            id,
+            changedFields,
+            previous: previous ? clone(previous) : null,
+            current: clone(current),
+            timestamp: Date.now()
+        });
+    }
+
+    _remove<T extends object>(entity: Types.SiteStateEntity, map: Map<number, T>, id: number): void {
+        const previous: T | undefined = map.get(id);
+        if (!previous) return;
+        map.delete(id);
+
+        this._emitter.emit("change", {
+            entity,
+            type: "removed",
+            id,
+            changedFields: Object.keys(previous),
+            previous: clone(previous),
+            current: null,
+            timestamp: Date.now()
+        });
+    }
+
+    get tagCount(): number {
+        return this._tags.size;
+    }
+
+    get alertCount(): number {
+        return this._alerts.size;
+    }
+
+    get beaconCount(): number {
+        return this._beacons.size;
+    }
+}
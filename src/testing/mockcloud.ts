@@ -0,0 +1,847 @@
+import * as http from "http";
+import WebSocket from "ws";
+import { WS_MSG_CONSTANTS } from "../constants/constants.js";
+import { AUTH_TOKEN_ENDPOINT, NCC_PATHS } from "../constants/paths.js";
+import { ArgumentException } from "../utils/exceptions.js";
+import {
+    encodeAlertLiveData,
+    encodeBeaconDiffData,
+    encodeBeaconLiveData,
+    encodeTagLiveData
+} from "../utils/messagepack.js";
+import { getUniqueId } from "../utils/utils.js";
+import * as Types from "../types.js";
+
+const DEFAULT_MOCK_OPTIONS: Types.MockCloudOptions = {
+    port: 0,
+    host: "127.0.0.1",
+    tokenLifetime: 3600,
+    closeOnTokenExpiration: true,
+    pingInterval: null,
+    cloudVersion: "mock"
+};
+
+// Closure code used when the token is invalid or expires.
+export const MOCK_INVALID_TOKEN_CLOSURE_CODE = 4001;
+
+// Registration request actions mapped to the server messages they enable.
+const STREAM_ACTIONS: Record<string, { serverAction: string, unregisterAction: string }> = {
+    registerTagLocation: { serverAction: "locationUpdate", unregisterAction: "unregisterTagLocation" },
+    registerP2PDistanceStream: { serverAction: "p2pDistanceUpdate", unregisterAction: "unregisterP2PDistanceStream" },
+    registerTagDiffStream: { serverAction: "tagDiffStream", unregisterAction: "unregisterTagDiffStream" },
+    registerToBeaconChangeStream: { serverAction: "beaconDiffStream", unregisterAction: "unregisterBeaconChangeStream" },
+    registerAlertDiffStream: { serverAction: "alertDiffStream", unregisterAction: "unregisterAlertDiffStream" },
+    registerTwrStream: { serverAction: "twrStreamData", unregisterAction: "unregisterTwrStream" },
+    registerContactTracingStream: { serverAction: "contactTracingUpdate", unregisterAction: "unregisterContactTracingStream" },
+    registerLayoutChanges: { serverAction: "siteLayoutChanged", unregisterAction: "unregisterLayoutChanges" }
+};
+
+function base64Url(obj: object): string {
+    return Buffer.from(JSON.stringify(obj))
+        .toString("base64")
+        .replace(/=+$/, "")
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_");
+}
+
+function filterByDeviceIds<T extends object>(state: T, deviceIds: number[] | null | undefined): T {
+    if (!deviceIds) return state;
+    const result: any = {};
+    for (const [deviceId, value] of Object.entries(state)) {
+        if (deviceIds.includes(+deviceId)) result[deviceId] = value;
+    }
+    return result;
+}
+
+// Single authenticated (or authenticating) WebSocket connection.
+class MockConnection {
+	public id: string;
+	public socket: any;
+	public account: number;
+	public site: number;
+	public token: string | null;
+	public subscriptions: { serverAction: string, filter: string }[];
+	public expirationTimeout: ReturnType<typeof setTimeout> | null;
+	public frozen: boolean;
+
+    constructor(socket: any, account: number, site: number) {
+        this.id = getUniqueId();
+        this.socket = socket;
+        this.account = account;
+        this.site = site;
+        this.token = null;
+        this.subscriptions = [];
+        this.expirationTimeout = null;
+        this.frozen = false;
+    }
+
+    get authenticated(): boolean {
+        return this.token !== null;
+    }
+
+    isSubscribed(serverAction: string): boolean {
+        return this.subscriptions.some((s) => s.serverAction === serverAction);
+    }
+}
+
+/**
+ * In-process stand-in for Noccela cloud for offline testing, NodeJS only.
+ *
+ * Serves the OAuth2 token endpoint, the realtime domain endpoint and the
+ * realtime WebSocket API using the same protocol the library expects from
+ * the real cloud. The scripting methods allow tests to push events, delay,
+ * fail or drop responses and kill sockets to exercise reconnection and
+ * token refreshing.
+ *
+ * Use `authOrigin` and `apiOrigin` as the authentication server domain and
+ * HTTP origin for EventChannel.
+ *
+ * @export
+ * @class MockCloudServer
+ */
+export class MockCloudServer {
+	public _options: Types.MockCloudOptions;
+	public _server: http.Server | null;
+	public _wss: any;
+	public _port: number;
+	public _clients: Map<number, string>;
+	public _tokens: Map<string, { issued: number, expiration: number }>;
+	public _connections: Map<string, MockConnection>;
+	public _frozenConnections: Set<MockConnection>;
+	public _handlers: Record<string, Types.MockCloudRequestHandler>;
+	public _httpHandlers: Record<string, Types.MockHttpHandler>;
+	public _rules: Types.MockCloudResponseRule[];
+	public _requestWaiters: { action: string, resolve: (req: Types.MockCloudRequest) => void }[];
+	public _pingInterval: ReturnType<typeof setInterval> | null;
+	public _timeouts: Set<ReturnType<typeof setTimeout>>;
+	public requests: Types.MockCloudRequest[];
+	public httpRequests: Types.MockHttpRequest[];
+	public tagState: Types.TagInitialStateResponse;
+	public alertState: Types.AlertInitialStateResponse;
+	public beaconState: Types.BeaconInitialStateResponse;
+	public tokenRequestCount: number;
+	public pongCount: number;
+
+    /**
+     * Creates an instance of MockCloudServer.
+     *
+     * @param {Types.MockCloudOptions} [options] Options that override defaults.
+     * Port 0 picks a free port.
+     * @memberof MockCloudServer
+     */
+    constructor(options: Partial<Types.MockCloudOptions> | null = null) {
+        this._options = {
+            ...DEFAULT_MOCK_OPTIONS,
+            ...options
+        };
+        this._server = null;
+        this._wss = null;
+        this._port = this._options.port;
+
+        this._clients = new Map();
+        this._tokens = new Map();
+        this._connections = new Map();
+        this._frozenConnections = new Set();
+        this._handlers = {};
+        this._httpHandlers = {};
+        this._rules = [];
+        this._requestWaiters = [];
+        this._pingInterval = null;
+        this._timeouts = new Set();
+
+        // Scriptable state and counters inspected by tests.
+        this.requests = [];
+        this.httpRequests = [];
+        this.tagState = {};
+        this.alertState = {};
+        this.beaconState = {};
+        this.tokenRequestCount = 0;
+        this.pongCount = 0;
+    }
+
+    /**
+     * Start listening.
+     *
+     * @returns Promise that resolves when the server is listening.
+     * @memberof MockCloudServer
+     */
+    async start(): Promise<void> {
+        if (this._server) return;
+
+        this._wss = new WebSocket.Server({ noServer: true });
+        this._server = http.createServer(this._onHttpRequest.bind(this));
+        this._server.on("upgrade", this._onUpgrade.bind(this));
+
+        await new Promise<void>((res, rej) => {
+            this._server?.once("error", rej);
+            this._server?.listen(this._options.port, this._options.host, () => {
+                const address = this._server?.address();
+                if (address && typeof address === "object") {
+                    this._port = address.port;
+                }
+                res();
+            });
+        });
+
+        if (this._options.pingInterval) {
+            this._pingInterval = setInterval(
+                () => this.ping(),
+                this._options.pingInterval
+            );
+        }
+    }
+
+    /**
+     * Close all connections and stop listening.
+     *
+     * @memberof MockCloudServer
+     */
+    async stop(): Promise<void> {
+        if (!this._server) return;
+
+        if (this._pingInterval != null) clearInterval(this._pingInterval);
+        this._pingInterval = null;
+        for (const timeout of this._timeouts) clearTimeout(timeout);
+        this._timeouts.clear();
+
+        this.killSockets();
+
+        const server = this._server;
+        this._server = null;
+        await new Promise<void>((res) => this._wss.close(() => res()));
+        await new Promise<void>((res) => server.close(() => res()));
+        this._wss = null;
+    }
+
+    get authOrigin(): string {
+        return `http://${this._options.host}:${this._port}`;
+    }
+
+    get apiOrigin(): string {
+        return `http://${this._options.host}:${this._port}`;
+    }
+
+    get connectionCount(): number {
+        return Array.from(this._connections.values()).filter(
+            (c) => c.authenticated
+        ).length;
+    }
+
+    /**
+     * Allow a client to fetch tokens with client credentials flow.
+     *
+     * @param {number} clientId
+     * @param {string} clientSecret
+     * @memberof MockCloudServer
+     */
+    addClient(clientId: number, clientSecret: string): void {
+        if (!clientId || typeof clientId !== "number") {
+            throw new ArgumentException("clientId");
+        }
+        this._clients.set(clientId, clientSecret);
+    }
+
+    /**
+     * Issue a new access token directly, without the token endpoint.
+     *
+     * @param {number} [lifetime] Lifetime in seconds, defaults to the option.
+     * @returns {string} Encoded JWT.
+     * @memberof MockCloudServer
+     */
+    issueToken(lifetime: number = this._options.tokenLifetime, subject: string = "mock"): string {
+        const issued: number = Math.floor(Date.now() / 1000);
+        const expiration: number = issued + lifetime;
+        const token = [
+            base64Url({ alg: "HS256", typ: "JWT" }),
+            base64Url({ sub: subject, iat: issued, exp: expiration, jti: getUniqueId(true) }),
+            getUniqueId(false, 43)
+        ].join(".");
+        this._tokens.set(token, { issued, expiration });
+        return token;
+    }
+
+    /**
+     * Invalidate all issued tokens. Open connections are not closed, but
+     * new connections and token refreshes with old tokens fail.
+     *
+     * @memberof MockCloudServer
+     */
+    revokeTokens(): void {
+        this._tokens.clear();
+    }
+
+    /**
+     * Set a custom handler for a request action. The handler's return value
+     * is sent as the response payload, if it throws the error message is
+     * sent as the response status. Overrides the built-in handlers.
+     *
+     * @param {string} action Request action.
+     * @param {Types.MockCloudRequestHandler | null} handler Null to remove.
+     * @memberof MockCloudServer
+     */
+    onRequest(action: string, handler: Types.MockCloudRequestHandler | null): void {
+        if (handler) {
+            this._handlers[action] = handler;
+        } else {
+            delete this._handlers[action];
+        }
+    }
+
+    /**
+     * Set a handler for an authenticated HTTP endpoint. The handler's return
+     * value is sent as the response, status defaults to 200. Requests
+     * without a valid token get 401.
+     *
+     * @param {string} method HTTP method.
+     * @param {string} path Path without the query.
+     * @param {Types.MockHttpHandler | null} handler Null to remove.
+     * @memberof MockCloudServer
+     */
+    onHttpRequest(method: string, path: string, handler: Types.MockHttpHandler | null): void {
+        const key = `${method.toUpperCase()} ${path}`;
+        if (handler) {
+            this._httpHandlers[key] = handler;
+        } else {
+            delete this._httpHandlers[key];
+        }
+    }
+
+    /**
+     * Delay responses to requests.
+     *
+     * @param {string | null} action Request action, null for all requests.
+     * @param {number} delay Delay in milliseconds.
+     * @param {number} [count] How many responses to delay.
+     * @memberof MockCloudServer
+     */
+    delayResponses(action: string | null, delay: number, count: number = Infinity): void {
+        this._rules.push({ action, delay, drop: false, status: null, remaining: count });
+    }
+
+    /**
+     * Never respond to requests, so they time out in the client.
+     *
+     * @param {string | null} action Request action, null for all requests.
+     * @param {number} [count] How many responses to drop.
+     * @memberof MockCloudServer
+     */
+    dropResponses(action: string | null, count: number = Infinity): void {
+        this._rules.push({ action, delay: 0, drop: true, status: null, remaining: count });
+    }
+
+    /**
+     * Respond to requests with a failure status.
+     *
+     * @param {string | null} action Request action, null for all requests.
+     * @param {string} status Status returned instead of "ok".
+     * @param {number} [count] How many responses to fail.
+     * @memberof MockCloudServer
+     */
+    failResponses(action: string | null, status: string, count: number = Infinity): void {
+        this._rules.push({ action, delay: 0, drop: false, status, remaining: count });
+    }
+
+    /**
+     * Remove all rules added with delayResponses, dropResponses and failResponses.
+     *
+     * @memberof MockCloudServer
+     */
+    clearResponseRules(): void {
+        this._rules = [];
+    }
+
+    /**
+     * Send a server message to every connection subscribed to it.
+     *
+     * @param {string} action Server message action, e.g. "locationUpdate".
+     * @param {*} payload Message payload.
+     * @param {boolean} [onlySubscribed] If false, send to all authenticated
+     * connections.
+     * @param {number} [site] Send only to connections of this site.
+     * @returns {number} Number of connections the message was sent to.
+     * @memberof MockCloudServer
+     */
+    push(action: string, payload: any, onlySubscribed: boolean = true, site: number | null = null): number {
+        let sent = 0;
+        for (const connection of this._connections.values()) {
+            if (!connection.authenticated) continue;
+            if (site !== null && connection.site !== site) continue;
+            if (onlySubscribed && !connection.isSubscribed(action)) continue;
+            this._send(connection, { uniqueId: "", action, status: WS_MSG_CONSTANTS["CLOUD_RESPONSE_OK"], payload });
+            sent++;
+        }
+        return sent;
+    }
+
+    pushLocationUpdate(payload: Types.LocationUpdateResponse, site: number | null = null): number {
+        return this.push("locationUpdate", payload, true, site);
+    }
+
+    pushTagDiff(payload: Types.TagDiffResponse, site: number | null = null): number {
+        return this.push("tagDiffStream", payload, true, site);
+    }
+
+    pushAlertDiff(payload: Types.AlertDiffResponse, site: number | null = null): number {
+        return this.push("alertDiffStream", payload, true, site);
+    }
+
+    pushBeaconDiff(payload: Types.BeaconDiffResponse, site: number | null = null): number {
+        return this.push("beaconDiffStream", encodeBeaconDiffData(payload), true, site);
+    }
+
+    pushTwrData(payload: Types.TwrDataResponse, site: number | null = null): number {
+        return this.push("twrStreamData", payload, true, site);
+    }
+
+    /**
+     * Send the current tag state as an unsolicited, MessagePack encoded
+     * 'initialTagState' message to all connections.
+     *
+     * @memberof MockCloudServer
+     */
+    pushInitialTagState(): number {
+        return this.push("initialTagState", encodeTagLiveData(this.tagState), false);
+    }
+
+    /**
+     * Send a ping to all authenticated connections. The client responds
+     * with pong, which increments pongCount.
+     *
+     * @memberof MockCloudServer
+     */
+    ping(): void {
+        for (const connection of this._connections.values()) {
+            if (!connection.authenticated) continue;
+            connection.socket.send(WS_MSG_CONSTANTS["PING_MSG"]);
+        }
+    }
+
+    /**
+     * Close all WebSockets.
+     *
+     * @param {boolean} [graceful] If true, close with a closing handshake,
+     * otherwise terminate the connections abruptly.
+     * @param {number} [code] Closure code for graceful closure.
+     * @param {number} [site] Close only the connections of this site.
+     * @memberof MockCloudServer
+     */
+    killSockets(graceful: boolean = false, code: number = 1001, site: number | null = null): void {
+        const connections = [
+            ...Array.from(this._connections.values()),
+            ...Array.from(this._frozenConnections)
+        ];
+        for (const connection of connections) {
+            if (site !== null && connection.site !== site) continue;
+            this._dropConnection(connection);
+            if (graceful) {
+                connection.socket.close(code, "Closed by mock");
+            } else {
+                connection.socket.terminate();
+            }
+        }
+    }
+
+    /**
+     * Stop sending and receiving anything on the WebSockets without closing
+     * them, like a half-open connection that silently stops delivering.
+     *
+     * @param {number} [site] Freeze only the connections of this site.
+     * @memberof MockCloudServer
+     */
+    freezeSockets(site: number | null = null): void {
+        for (const connection of Array.from(this._connections.values())) {
+            if (site !== null && connection.site !== site) continue;
+            this._dropConnection(connection);
+            connection.frozen = true;
+            this._frozenConnections.add(connection);
+        }
+    }
+
+    /**
+     * Resolve with the next request with the given action, or with a request
+     * that has already been received if such exists.
+     *
+     * @param {string} action Request action.
+     * @param {number} [timeout] Milliseconds until the promise rejects.
+     * @memberof MockCloudServer
+     */
+    waitForRequest(action: string, timeout: number = 5000, includeReceived: boolean = true): Promise<Types.MockCloudRequest> {
+        if (includeReceived) {
+            const received = this.requests.find((r) => r.action === action);
+            if (received) return Promise.resolve(received);
+        }
+
+        return new Promise((res, rej) => {
+            const waiter = {
+                action,
+                resolve: (req: Types.MockCloudRequest) => {
+                    this._clearTimeout(timer);
+                    res(req);
+                }
+            };
+            const timer = this._setTimeout(() => {
+                this._requestWaiters = this._requestWaiters.filter((w) => w !== waiter);
+                rej(Error(`Timeout while waiting for request ${action}`));
+            }, timeout);
+            this._requestWaiters.push(waiter);
+        });
+    }
+
+    /**
+     * Resolve when the given number of authenticated connections is open.
+     *
+     * @param {number} count
+     * @param {number} [timeout]
+     * @memberof MockCloudServer
+     */
+    async waitForConnections(count: number, timeout: number = 5000): Promise<void> {
+        const end = Date.now() + timeout;
+        while (this.connectionCount < count) {
+            if (Date.now() > end) {
+                throw Error(`Timeout while waiting for ${count} connections`);
+            }
+            await new Promise<void>((res) => this._setTimeout(res, 20));
+        }
+    }
+
+    _setTimeout(callback: () => void, ms: number): ReturnType<typeof setTimeout> {
+        const timeout = setTimeout(() => {
+            this._timeouts.delete(timeout);
+            callback();
+        }, ms);
+        this._timeouts.add(timeout);
+        return timeout;
+    }
+
+    _clearTimeout(timeout: ReturnType<typeof setTimeout>): void {
+        clearTimeout(timeout);
+        this._timeouts.delete(timeout);
+    }
+
+    _isValidToken(token: string): boolean {
+        const tokenData = this._tokens.get(token);
+        return !!tokenData && tokenData.expiration * 1000 > Date.now();
+    }
+
+    _onHttpRequest(req: http.IncomingMessage, res: http.ServerResponse): void {
+        const url = new URL(req.url || "/", this.apiOrigin);
+
+        const respond = (statusCode: number, body: object) => {
+            res.writeHead(statusCode, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(body));
+        };
+
+        if (url.pathname === AUTH_TOKEN_ENDPOINT && req.method === "POST") {
+            let body = "";
+            req.on("data", (chunk) => (body += chunk));
+            req.on("end", () => {
+                this.tokenRequestCount++;
+                const params = new URLSearchParams(body);
+                const clientId = Number(params.get("client_id"));
+                const secret = this._clients.get(clientId);
+                if (params.get("grant_type") !== "client_credentials") {
+                    respond(400, { error: "unsupported_grant_type" });
+                } else if (secret === undefined || secret !== params.get("client_secret")) {
+                    respond(400, { error: "invalid_client" });
+                } else {
+                    const lifetime = this._options.tokenLifetime;
+                    respond(200, {
+                        access_token: this.issueToken(lifetime, `${clientId}`),
+                        expires_in: lifetime,
+                        token_type: "Bearer"
+                    });
+                }
+            });
+            return;
+        }
+
+        if (url.pathname === NCC_PATHS["NODE_DOMAIN"] && req.method === "GET") {
+            const authorization = req.headers["authorization"] || "";
+            const token = authorization.replace(/^Bearer /, "");
+            if (!this._isValidToken(token)) {
+                respond(401, { error: "unauthorized" });
+            } else {
+                respond(200, { domain: `${this._options.host}:${this._port}` });
+            }
+            return;
+        }
+
+        const handler = this._httpHandlers[`${req.method} ${url.pathname}`];
+        if (handler) {
+            this._handleHttpRequest(req, res, url, handler);
+            return;
+        }
+
+        respond(404, { error: "not found" });
+    }
+
+    _handleHttpRequest(req: http.IncomingMessage, res: http.ServerResponse, url: URL, handler: Types.MockHttpHandler): void {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", async () => {
+            const headers: { [name: string]: string } = {};
+            for (const [name, value] of Object.entries(req.headers)) {
+                if (typeof value === "string") headers[name] = value;
+            }
+            const query: { [name: string]: string } = {};
+            url.searchParams.forEach((value, name) => { query[name] = value; });
+
+            let parsedBody: any = null;
+            try {
+                parsedBody = body.length ? JSON.parse(body) : null;
+            } catch (e) {
+                parsedBody = body;
+            }
+
+            const request: Types.MockHttpRequest = {
+                method: req.method || "GET",
+                path: url.pathname,
+                query,
+                headers,
+                body: parsedBody
+            };
+            this.httpRequests.push(request);
+
+            const token = (headers["authorization"] || "").replace(/^Bearer /, "");
+            let response: Partial<Types.MockHttpResponse>;
+            if (!this._isValidToken(token)) {
+                response = { status: 401, body: { error: "unauthorized" } };
+            } else {
+                try {
+                    response = await handler(request);
+                } catch (e: any) {
+                    response = { status: 500, body: { error: `${e}` } };
+                }
+            }
+
+            res.writeHead(response.status || 200, {
+                "Content-Type": "application/json",
+                ...response.headers
+            });
+            res.end(response.body === undefined ? "" : JSON.stringify(response.body));
+        });
+    }
+
+    _onUpgrade(req: http.IncomingMessage, socket: any, head: Buffer): void {
+        const url = new URL(req.url || "/", this.apiOrigin);
+        if (url.pathname !== NCC_PATHS["REALTIME_API"]) {
+            socket.destroy();
+            return;
+        }
+
+        this._wss.handleUpgrade(req, socket, head, (ws: any) => {
+            const connection = new MockConnection(
+                ws,
+                Number(url.searchParams.get("account")),
+                Number(url.searchParams.get("site"))
+            );
+            this._connections.set(connection.id, connection);
+
+            ws.on("message", (data: any) => this._onMessage(connection, data.toString()));
+            ws.on("close", () => this._dropConnection(connection));
+            ws.on("error", () => this._dropConnection(connection));
+        });
+    }
+
+    _dropConnection(connection: MockConnection): void {
+        if (connection.expirationTimeout != null) {
+            this._clearTimeout(connection.expirationTimeout);
+        }
+        connection.expirationTimeout = null;
+        this._connections.delete(connection.id);
+        if (connection.socket.readyState !== WebSocket.OPEN) {
+            this._frozenConnections.delete(connection);
+        }
+    }
+
+    // Close the connection when its token expires, like the cloud does.
+    _scheduleExpiration(connection: MockConnection, token: string): void {
+        if (!this._options.closeOnTokenExpiration) return;
+        const tokenData = this._tokens.get(token);
+        if (!tokenData) return;
+
+        if (connection.expirationTimeout != null) {
+            this._clearTimeout(connection.expirationTimeout);
+        }
+        connection.expirationTimeout = this._setTimeout(() => {
+            this._dropConnection(connection);
+            connection.socket.close(MOCK_INVALID_TOKEN_CLOSURE_CODE, "Token expired");
+        }, tokenData.expiration * 1000 - Date.now());
+    }
+
+    _onMessage(connection: MockConnection, data: string): void {
+        if (connection.frozen) return;
+
+        // First message is the JWT.
+        if (!connection.authenticated) {
+            if (!this._isValidToken(data)) {
+                this._dropConnection(connection);
+                connection.socket.close(MOCK_INVALID_TOKEN_CLOSURE_CODE, "Invalid token");
+                return;
+            }
+            connection.token = data;
+            this._scheduleExpiration(connection, data);
+
+            const tokenData = this._tokens.get(data);
+            this._send(connection, {
+                uniqueId: "authSuccess",
+                action: null,
+                status: WS_MSG_CONSTANTS["CLOUD_RESPONSE_OK"],
+                payload: {
+                    tokenExpiration: tokenData?.expiration,
+                    tokenIssued: tokenData?.issued,
+                    cloudVersion: this._options.cloudVersion
+                }
+            });
+            return;
+        }
+
+        if (data === WS_MSG_CONSTANTS["PONG_MSG"]) {
+            this.pongCount++;
+            return;
+        }
+
+        let message: Types.Request;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            return;
+        }
+
+        const request: Types.MockCloudRequest = {
+            receivedAt: Date.now(),
+            connectionId: connection.id,
+            uniqueId: message.uniqueId,
+            action: message.action,
+            payload: message.payload
+        };
+        this.requests.push(request);
+
+        const waiters = this._requestWaiters.filter((w) => w.action === request.action);
+        this._requestWaiters = this._requestWaiters.filter((w) => w.action !== request.action);
+        for (const waiter of waiters) waiter.resolve(request);
+
+        this._handleRequest(connection, request).catch(() => {
+            // Connection closed while responding, nothing to do.
+        });
+    }
+
+    async _handleRequest(connection: MockConnection, request: Types.MockCloudRequest): Promise<void> {
+        const ok: string = WS_MSG_CONSTANTS["CLOUD_RESPONSE_OK"];
+        const response = (payload: any, status: string = ok) => ({
+            uniqueId: request.uniqueId,
+            action: request.action,
+            status,
+            payload
+        });
+
+        // Build the messages the cloud would send for this request.
+        let messages: object[];
+        const handler = this._handlers[request.action];
+        if (handler) {
+            try {
+                messages = [response(await handler(request))];
+            } catch (e) {
+                messages = [response(null, e instanceof Error ? e.message : `${e}`)];
+            }
+        } else {
+            messages = this._builtInResponse(connection, request, response);
+        }
+
+        // Apply the first matching scripted rule.
+        const rule = this._rules.find(
+            (r) => r.remaining > 0 && (r.action === null || r.action === request.action)
+        );
+        if (rule) {
+            rule.remaining--;
+            if (rule.drop) return;
+            if (rule.status !== null) {
+                messages = [response(null, rule.status)];
+            }
+            if (rule.delay) {
+                await new Promise<void>((res) => this._setTimeout(res, rule.delay));
+            }
+        }
+
+        for (const message of messages) {
+            if (!this._connections.has(connection.id)) return;
+            this._send(connection, message);
+        }
+    }
+
+    _builtInResponse(connection: MockConnection, request: Types.MockCloudRequest, response: (payload: any, status?: string) => object): object[] {
+        const payload = request.payload || {};
+        const ok: string = WS_MSG_CONSTANTS["CLOUD_RESPONSE_OK"];
+        const serverMessage = (action: string, serverPayload: any) => ({
+            uniqueId: "",
+            action,
+            status: ok,
+            payload: serverPayload
+        });
+
+        switch (request.action) {
+            case "refreshToken": {
+                const token: string = payload.token;
+                if (!this._isValidToken(token)) {
+                    return [response(null, "invalid token")];
+                }
+                const tokenData = this._tokens.get(token);
+                connection.token = token;
+                this._scheduleExpiration(connection, token);
+                return [response({
+                    tokenExpiration: tokenData?.expiration,
+                    tokenIssued: tokenData?.issued,
+                    cloudVersion: this._options.cloudVersion
+                })];
+            }
+            case "initialTagState":
+                // Acknowledged with the request's ID, state arrives as a
+                // separate server message.
+                return [
+                    response(null),
+                    serverMessage(
+                        "initialTagState",
+                        encodeTagLiveData(filterByDeviceIds(this.tagState, payload.deviceIds))
+                    )
+                ];
+            case "initialAlertState":
+                return [
+                    response(null),
+                    serverMessage("initialAlertState", encodeAlertLiveData(this.alertState))
+                ];
+            case "getInitialBeaconState":
+                return [
+                    serverMessage("initialBeaconState", encodeBeaconLiveData(this.beaconState))
+                ];
+        }
+
+        const stream = STREAM_ACTIONS[request.action];
+        if (stream) {
+            connection.subscriptions.push({
+                serverAction: stream.serverAction,
+                filter: JSON.stringify(payload)
+            });
+            return [response(null)];
+        }
+
+        const unregisteredStream = Object.values(STREAM_ACTIONS).find(
+            (s) => s.unregisterAction === request.action
+        );
+        if (unregisteredStream) {
+            // Like the real cloud, removes all registrations with identical
+            // filters.
+            const filter = JSON.stringify(payload);
+            connection.subscriptions = connection.subscriptions.filter(
+                (s) => s.serverAction !== unregisteredStream.serverAction || s.filter !== filter
+            );
+            return [response(null)];
+        }
+
+        return [response(null)];
+    }
+
+    _send(connection: MockConnection, message: object): void {
+        if (connection.socket.readyState !== WebSocket.OPEN) return;
+        connection.socket.send(JSON.stringify(message));
+    }
+}
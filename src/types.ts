@@ -35,7 +35,12 @@ export type AuthenticateResult = {
     tokenRefreshFailureRetryTimeout: number,
     registrationAttemptsUntilIgnored: number,
     waitForFailedReRegistration: number,
-    getWsAddress: ((lbDomain: string, account: number, site: number, token: string) => Promise<string>) | null
+    getWsAddress: ((lbDomain: string, account: number, site: number, token: string) => Promise<string>) | null,
+    createWebSocket: ((address: string) => WebSocket) | null,
+    frameRecorder: FrameRecorder | null,
+    livenessTimeout: number | null,
+    statsInterval: number,
+    outbox: Partial<OutboxOptions> | null
   };
 
   export type Request = {
@@ -380,7 +385,52 @@ export type TagRestrictionForMultiTagStep = {
   };
 
   export interface MessageFilter {
-    deviceIds: number[] | null
+    deviceIds: number[] | null,
+    // Expression the devices of the messages must match, evaluated locally.
+    where?: FilterExpression | null,
+    // Members of the tag groups used in `group` expressions, by group ID.
+    tagGroups?: { [groupId: number]: number[] } | null
+  };
+
+  // Device a filter expression is evaluated for.
+  export type FilterContext = {
+    deviceId: number | null,
+    // Item of the device in the message, with the last known values of
+    // the diff streams.
+    item: { [field: string]: any },
+    // Fields in the message, the changed fields of the diff streams.
+    changedFields: string[]
+  };
+
+  export type FilterPredicate = (context: FilterContext) => boolean;
+
+  // Conditions of one expression must all match.
+  export type FilterExpression = FilterPredicate | {
+    and?: FilterExpression[],
+    or?: FilterExpression[],
+    not?: FilterExpression,
+    devices?: number[],
+    floor?: number | number[],
+    // Any of the areas.
+    area?: number | number[],
+    group?: number | number[],
+    boundingBox?: { minX: number, minY: number, maxX: number, maxY: number },
+    polygon?: PolygonPoint[],
+    battery?: { status?: number | number[], minVoltage?: number, maxVoltage?: number },
+    online?: boolean,
+    deviceModel?: number | number[],
+    // Any of the fields changed.
+    changed?: string | string[],
+    predicate?: FilterPredicate
+  };
+
+  export interface AlertStateFilter extends MessageFilter {
+    dateRanges?: DateRange[]
+  };
+
+  export type DateRange = {
+    start: Date | string,
+    end: Date | string
   };
 
   export interface TwrDataFilter extends MessageFilter {
@@ -479,7 +529,8 @@ export type TagRestrictionForMultiTagStep = {
     eventType: string,
     filter: MessageFilter,
     callback: (err: string | null, payload: object) => void,
-    uuid: string | null
+    uuid: string | null,
+    streamOptions: Partial<StreamOptions> | null
   };
   export type TagBuzzerRequest = {
     devices: number[] | null, // If null all tags will be played
@@ -525,7 +576,7 @@ export type TagRestrictionForMultiTagStep = {
     comment: string
   };
 
-  export interface DetailedSiteLayoutInformation {
+  export interface DetailedSiteLayoutInformation extends SiteLayoutInformation {
     start: Date | null,
     stop: Date | null,
   };
@@ -717,5 +768,1098 @@ export type TagRestrictionForMultiTagStep = {
 
   export type ServerMessageHandler = {
     callback: (payload: object) => void,
-    uuid: string
+    uuid: string,
+    onClose: ((error: Error) => void) | null
+  };
+
+  export type SiteStateStoreOptions = {
+    tags: boolean,
+    alerts: boolean,
+    beacons: boolean,
+    deviceIds: number[] | null
+  };
+
+  export type SiteStateEntity = "tag" | "alert" | "beacon";
+
+  export type SiteStateChange<T> = {
+    entity: SiteStateEntity,
+    type: "added" | "updated" | "removed",
+    id: number,
+    changedFields: string[],
+    previous: T | null,
+    current: T | null,
+    timestamp: number
+  };
+
+  export type SiteStateSnapshot = {
+    timestamp: number,
+    tags: Dictionary<InitialTagState>,
+    alerts: Dictionary<InitialAlertState>,
+    beacons: Dictionary<InitialBeaconState>
+  };
+
+  export type SiteStateEvents = {
+    change: SiteStateChange<object>,
+    resync: SiteStateEntity
+  };
+
+  export type MockCloudOptions = {
+    port: number,
+    host: string,
+    tokenLifetime: number,
+    closeOnTokenExpiration: boolean,
+    pingInterval: number | null,
+    cloudVersion: string
+  };
+
+  export type MockCloudRequest = {
+    receivedAt: number,
+    connectionId: string,
+    uniqueId: string,
+    action: string,
+    payload: any
+  };
+
+  export type MockCloudRequestHandler = (request: MockCloudRequest) => any | Promise<any>;
+
+  export type MockCloudResponseRule = {
+    action: string | null,
+    delay: number,
+    drop: boolean,
+    status: string | null,
+    remaining: number
+  };
+
+  export type RecordedFrameDirection = "in" | "out" | "open" | "close";
+
+  export type RecordedFrame = {
+    t: number,
+    c: number,
+    d: RecordedFrameDirection,
+    data: string,
+    code?: number
+  };
+
+  export type FrameRecorder = {
+    recordFrame: (direction: RecordedFrameDirection, data: string, code?: number) => void
+  };
+
+  export type ReplayOptions = {
+    speed: number,
+    requestMatchTimeout: number | null,
+    loggers: ConsoleLogger[]
+  };
+
+  export type MultiSiteClientOptions = {
+    httpOrigin: string,
+    authOrigin: string,
+    channelOptions: Partial<UserOptions> | null,
+    // Shares the token with other processes, e.g. createFileTokenStore.
+    tokenStore: TokenStore | null
+  };
+
+  export type SiteConnectionState = "connecting" | "connected" | "reconnecting" | "closed";
+
+  export type SiteHealth = {
+    account: number,
+    site: number,
+    state: SiteConnectionState,
+    connectedAt: number | null,
+    disconnectedAt: number | null,
+    disconnects: number
+  };
+
+  export type MultiSiteHealthStatus = "healthy" | "degraded" | "down" | "idle";
+
+  export type MultiSiteHealth = {
+    status: MultiSiteHealthStatus,
+    total: number,
+    connected: number,
+    sites: SiteHealth[]
+  };
+
+  export type SiteEvent<T> = {
+    account: number,
+    site: number,
+    eventType: string,
+    payload: T
+  };
+
+  export type MultiSiteEvents = {
+    health: MultiSiteHealth
+  };
+
+  export type GeofenceZone = {
+    id: string,
+    name: string | null,
+    floorId: number | null,
+    points: PolygonPoint[],
+    itemId: number | null
+  };
+
+  export type GeofenceOptions = {
+    hysteresis: number,
+    uncertaintyFactor: number,
+    maxUncertainty: number | null,
+    dwellThresholds: number[],
+    dwellCheckInterval: number,
+    followLayoutChanges: boolean,
+    layoutItemFilter: ((item: LayoutItem, layer: LayoutLayer, floor: LayoutFloor) => boolean) | null,
+    loggers: ConsoleLogger[]
+  };
+
+  export type GeofenceEventType = "enter" | "exit" | "dwell";
+
+  export type GeofenceEvent = {
+    type: GeofenceEventType,
+    deviceId: number,
+    zoneId: string,
+    zoneName: string | null,
+    floorId: number | null,
+    x: number | null,
+    y: number | null,
+    timestamp: number,
+    duration: number,
+    dwellThreshold: number | null
+  };
+
+  export type GeofenceEvents = {
+    enter: GeofenceEvent,
+    exit: GeofenceEvent,
+    dwell: GeofenceEvent
+  };
+
+  export type SubscriptionOverflowPolicy = "drop-oldest" | "drop-newest";
+
+  export type SubscriptionOptions = {
+    bufferSize: number,
+    overflow: SubscriptionOverflowPolicy,
+    // Disposes the subscription when aborted.
+    signal: AbortSignal | null
+  };
+
+  export type SubscriptionEvents<T> = {
+    data: T,
+    error: Error,
+    drop: T,
+    end: null
+  };
+
+  export type AlertManagerOptions = {
+    deviceIds: number[] | null,
+    dateRanges: DateRange[] | null,
+    clearedHistorySize: number
+  };
+
+  export type AlertLifecycleState = "new" | "reacted" | "cleared";
+
+  export type ManagedAlert = {
+    alarmId: number,
+    deviceId: number,
+    alarmType: string,
+    state: AlertLifecycleState,
+    raisedAt: number | null,
+    firstSeenAt: number,
+    reactedAt: number | null,
+    clearedAt: number | null,
+    timeToReact: number | null,
+    data: InitialAlertState
+  };
+
+  export type AlertLifecycleEvent = {
+    type: AlertLifecycleState,
+    alert: ManagedAlert
+  };
+
+  export type AlertMetrics = {
+    active: number,
+    unreacted: number,
+    reacted: number,
+    cleared: number,
+    averageTimeToReact: number | null,
+    maxTimeToReact: number | null
+  };
+
+  export type AlertManagerEvents = {
+    new: AlertLifecycleEvent,
+    reacted: AlertLifecycleEvent,
+    cleared: AlertLifecycleEvent
+  };
+
+  export type RateLimitOptions = {
+    // Deliver at most one update per device or item in this many
+    // milliseconds, keeping the latest.
+    minInterval: number | null
+  };
+
+  export type ThrottleOptions = RateLimitOptions & {
+    // Drop location updates that moved less than this from the last
+    // delivered position. Only applies to location updates.
+    minMovement: number | null
+  };
+
+  export type BatchOptions = {
+    // Deliver payloads as arrays, at most this many milliseconds apart.
+    batchInterval: number | null,
+    // Deliver payloads as arrays of this many payloads.
+    batchSize: number | null
+  };
+
+  export type StreamOptions = ThrottleOptions & BatchOptions;
+
+  export type LatencyBucket = {
+    // Upper bound of the bucket in milliseconds.
+    le: number,
+    count: number
+  };
+
+  export type RequestLatencyStats = {
+    count: number,
+    failed: number,
+    timedOut: number,
+    min: number | null,
+    max: number | null,
+    mean: number | null,
+    buckets: LatencyBucket[]
+  };
+
+  export type MessageRateStats = {
+    messages: number,
+    bytes: number,
+    messagesPerSecond: number,
+    bytesPerSecond: number
+  };
+
+  export type ConnectionEventType = "disconnected" | "reconnected" | "reconnect-failed" | "stale";
+
+  export type ConnectionEvent = {
+    timestamp: number,
+    type: ConnectionEventType,
+    code: number | null,
+    reason: string | null
+  };
+
+  export type TokenRefreshOutcome = {
+    timestamp: number,
+    ok: boolean,
+    error: string | null
+  };
+
+  export type ChannelStats = {
+    timestamp: number,
+    connected: boolean,
+    lastMessageAt: number | null,
+    pendingRequests: number,
+    requests: { [action: string]: RequestLatencyStats },
+    messages: { [action: string]: MessageRateStats },
+    sent: { messages: number, bytes: number },
+    reconnects: number,
+    connectionEvents: ConnectionEvent[],
+    tokenRefresh: {
+      succeeded: number,
+      failed: number,
+      history: TokenRefreshOutcome[]
+    }
+  };
+
+  export type ChannelStatsEvents = {
+    stats: ChannelStats
+  };
+
+  export type OutboxEntry = {
+    // Idempotency key, also sent as the request's uniqueId.
+    key: string,
+    action: string,
+    payload: object,
+    queuedAt: number,
+    expiresAt: number
+  };
+
+  export type OutboxStore = {
+    load(): OutboxEntry[] | Promise<OutboxEntry[]>,
+    save(entries: OutboxEntry[]): void | Promise<void>
+  };
+
+  export type OutboxOptions = {
+    // Milliseconds a queued command is kept before it's rejected.
+    expiry: number,
+    // Maximum number of queued commands.
+    maxSize: number,
+    // Persistence for queued commands, e.g. createFileOutboxStore.
+    store: OutboxStore | null
+  };
+
+  export type CommandOptions = {
+    // Commands with the same key are executed only once.
+    idempotencyKey: string | null,
+    // Overrides the outbox expiry for this command.
+    expiry: number | null,
+    // Cancels the command, a queued command is removed from the outbox.
+    signal: AbortSignal | null
+  };
+
+  export type OutboxEventType = "queued" | "sent" | "failed" | "expired";
+
+  export type OutboxEvent = {
+    type: OutboxEventType,
+    entry: OutboxEntry,
+    error: string | null
+  };
+
+  export type OutboxEvents = {
+    queued: OutboxEvent,
+    sent: OutboxEvent,
+    failed: OutboxEvent,
+    expired: OutboxEvent
+  };
+
+  export type CachedToken = {
+    accessToken: string,
+    // Local time the token was fetched.
+    issuedAt: number,
+    // Local time the token expires, corrected for clock skew. Null if
+    // it never expires.
+    expiresAt: number | null
+  };
+
+  export type TokenStore = {
+    load(key: string): CachedToken | null | Promise<CachedToken | null>,
+    save(key: string, token: CachedToken): void | Promise<void>
+  };
+
+  export type TokenProviderOptions = {
+    // Fraction of the lifetime after which a new token is fetched.
+    refreshRatio: number,
+    // Persistence shared with other processes, e.g. createFileTokenStore.
+    store: TokenStore | null,
+    // Providers with the same key share the cached token. Client
+    // credentials are keyed by origin and client id when not set.
+    cacheKey: string | null
+  };
+
+  export type TokenResult = {
+    accessToken: string,
+    // Lifetime in seconds, null if unknown.
+    expiresIn: number | null
+  };
+
+  export type HttpMethod = "GET" | "POST" | "PUT" | "PATCH" | "DELETE";
+
+  export type QueryValue = string | number | boolean | null | undefined | (string | number | boolean)[];
+
+  // Describes a REST endpoint, see defineEndpoint. Types carries the query,
+  // body and response types and is never set.
+  export type RestEndpoint<TQuery = { [name: string]: QueryValue }, TBody = undefined, TResponse = any> = {
+    method: HttpMethod,
+    // Path with {name} placeholders for path parameters.
+    path: string,
+    types?: { query: TQuery, body: TBody, response: TResponse }
+  };
+
+  export type RestRequest<TQuery = { [name: string]: QueryValue }, TBody = undefined> = {
+    // Values for the path placeholders.
+    params: { [name: string]: string | number } | null,
+    query: TQuery | null,
+    // Sent as JSON.
+    body: TBody | null,
+    headers: { [name: string]: string } | null,
+    // Override the client options for this request.
+    timeout: number | null,
+    retries: number | null
+  };
+
+  export type RestClientOptions = {
+    httpOrigin: string,
+    authOrigin: string,
+    // Milliseconds before an attempt is aborted.
+    timeout: number,
+    // Retries after 5xx, 429 and network errors. Only 429 is retried for
+    // POST and PATCH, as the request may have been handled.
+    retries: number,
+    // Bounds for the exponential backoff, Retry-After takes precedence.
+    retryDelayMin: number,
+    retryDelayMax: number
+  };
+
+  export type PaginationOptions = {
+    pageSize: number,
+    // Offset paging, stops at the first page shorter than pageSize.
+    offsetParam: string,
+    limitParam: string,
+    // Cursor paging if set, the next cursor is read from cursorField and
+    // paging stops when it's missing.
+    cursorParam: string | null,
+    cursorField: string,
+    // Field with the items, null if the response is the array.
+    itemsField: string | null
+  };
+
+  export type MockHttpRequest = {
+    method: string,
+    path: string,
+    query: { [name: string]: string },
+    headers: { [name: string]: string },
+    body: any
+  };
+
+  export type MockHttpResponse = {
+    status: number,
+    headers: { [name: string]: string } | null,
+    body: any
+  };
+
+  export type MockHttpHandler = (request: MockHttpRequest) => Partial<MockHttpResponse> | Promise<Partial<MockHttpResponse>>;
+
+  export type GeoPosition = {
+    latitude: number,
+    longitude: number
+  };
+
+  // Where the layout's origin is and which way it's rotated, as in
+  // GetLayoutResponse.
+  export type GeoAnchor = {
+    latitude: number,
+    longitude: number,
+    // Compass bearing of the local Y axis in degrees, clockwise from north.
+    azimuthAngle: number
+  };
+
+  export type GeoReferenceOptions = {
+    // Local units in a meter, layout coordinates are millimetres.
+    unitsPerMeter: number,
+    // Local Y axis grows towards south, like in screen coordinates.
+    invertY: boolean
+  };
+
+  export type GeoJsonPosition = [number, number] | [number, number, number];
+
+  export type GeoJsonGeometry =
+    { type: "Point", coordinates: GeoJsonPosition } |
+    { type: "Polygon", coordinates: GeoJsonPosition[][] };
+
+  export type GeoJsonFeature = {
+    type: "Feature",
+    id?: string | number,
+    geometry: GeoJsonGeometry,
+    properties: { [name: string]: any }
+  };
+
+  export type GeoJsonFeatureCollection = {
+    type: "FeatureCollection",
+    features: GeoJsonFeature[]
+  };
+
+  // Local position of a device, e.g. LocationUpdateItem or InitialTagState.
+  export type LocalPosition = {
+    x: number,
+    y: number,
+    z?: number | null,
+    timestamp?: number | null,
+    floorId?: number | null,
+    uncertaintyDistance?: number | null
+  };
+
+  export type LayoutEntityType = "floor" | "layer" | "item";
+
+  export type LayoutEntityChange = {
+    type: LayoutEntityType,
+    // Negative for entities created in the editor.
+    id: number,
+    // Floor of a layer or layer of an item, null for floors.
+    parentId: number | null,
+    // The entity without its children when created, the changed fields
+    // when updated.
+    values: { [field: string]: any }
+  };
+
+  export type LayoutEntityRef = {
+    type: LayoutEntityType,
+    id: number
+  };
+
+  export type LayoutChangeset = {
+    // Parents are created before their children.
+    create: LayoutEntityChange[],
+    update: LayoutEntityChange[],
+    // Children of removed entities are removed with them and not listed.
+    remove: LayoutEntityRef[]
+  };
+
+  export type Bounds = {
+    minX: number,
+    minY: number,
+    maxX: number,
+    maxY: number
+  };
+
+  export type LayoutValidationIssue = {
+    type: LayoutEntityType,
+    id: number,
+    floorId: number,
+    message: string
+  };
+
+  export type LayoutEditorOptions = {
+    // Area the items of a floor must be within, null to not check. Default
+    // is the extent of the floor's image items.
+    getFloorBounds: ((floor: LayoutFloor) => Bounds | null) | null
+  };
+
+  export type RangeMeasurement = {
+    // Position of the beacon.
+    x: number,
+    y: number,
+    z: number,
+    // Measured distance to the beacon in the same units.
+    distance: number
+  };
+
+  export type MultilaterationOptions = {
+    dimensions: 2 | 3,
+    // Height of the tag when solving in 2D.
+    z: number,
+    maxIterations: number,
+    // Stop when the position changes less than this between iterations.
+    tolerance: number
+  };
+
+  export type MultilaterationResult = {
+    x: number,
+    y: number,
+    z: number,
+    // Solved minus measured distance, in the order of the measurements.
+    residuals: number[],
+    rms: number,
+    // Dilution of precision of the beacon geometry, Infinity if degenerate.
+    dop: number,
+    iterations: number,
+    converged: boolean
+  };
+
+  export type TwrBeacon = {
+    deviceId: number,
+    x: number,
+    y: number,
+    z: number,
+    floorId?: number | null
+  };
+
+  export type TwrPositioningOptions = {
+    // Measurements of a tag this many milliseconds apart are solved together.
+    windowSize: number,
+    dimensions: 2 | 3,
+    // Beacons required for a position, null for dimensions + 1.
+    minBeacons: number | null,
+    // Height of the tags when solving in 2D.
+    tagHeight: number,
+    // Standard deviation of a single distance measurement.
+    measurementNoise: number,
+    // Smooth the positions with a constant velocity Kalman filter.
+    smoothing: boolean,
+    // Standard deviation of the tags' acceleration, in units per second squared.
+    processNoise: number,
+    // Position error that halves the quality.
+    referenceError: number,
+    maxIterations: number,
+    loggers: ConsoleLogger[]
+  };
+
+  export type TwrPosition = {
+    deviceId: number,
+    location: LocationUpdateItem,
+    // Multilateration result before smoothing.
+    raw: { x: number, y: number, z: number },
+    // Residuals by beacon device ID.
+    residuals: { [beaconId: string]: number },
+    rms: number,
+    dop: number,
+    // 0 to 1, higher is better.
+    quality: number,
+    beaconCount: number,
+    converged: boolean
+  };
+
+  export type TwrPositioningEvents = {
+    position: TwrPosition,
+    locationUpdate: LocationUpdateResponse
+  };
+
+  export type ContactRecord = {
+    // Tags of the pair, tag1 is the smaller device ID.
+    tag1: number,
+    tag2: number,
+    start: number,
+    stop: number,
+    distance: number | null,
+    beacon: number | null,
+    level: string,
+    source: string
+  };
+
+  export type ContactSession = {
+    tag1: number,
+    tag2: number,
+    start: number,
+    stop: number,
+    // Time in contact, overlapping records counted once.
+    duration: number,
+    closestDistance: number | null,
+    levels: string[],
+    contacts: ContactRecord[]
+  };
+
+  export type ExposureRule = {
+    // Level of the contacts the rule applies to, null for all.
+    level: string | null,
+    minDuration: number,
+    // Contacts further apart don't count, null for any distance. Contacts
+    // without a distance only count when null.
+    maxDistance: number | null
+  };
+
+  export type ContactTracingOptions = {
+    // Contacts of a pair less than this many milliseconds apart belong to
+    // the same session.
+    mergeGap: number,
+    rules: ExposureRule[],
+    loggers: ConsoleLogger[]
+  };
+
+  export type ExposureQuery = {
+    // Include contacts of contacts up to this many hops from the index tag.
+    maxHops: number,
+    start: number | null,
+    stop: number | null
+  };
+
+  export type ContactExposure = {
+    deviceId: number,
+    hops: number,
+    // Tag that exposed this one and the chain from the index tag.
+    sourceDeviceId: number,
+    path: number[],
+    exposedAt: number,
+    // Time in contact in the time range, over all sessions of the pair.
+    duration: number,
+    closestDistance: number | null,
+    rule: ExposureRule,
+    // Session in which the exposure was reached.
+    session: ContactSession
+  };
+
+  export type ExposureReport = {
+    indexDeviceId: number,
+    generatedAt: number,
+    start: number | null,
+    stop: number | null,
+    maxHops: number,
+    rules: ExposureRule[],
+    exposures: ContactExposure[]
+  };
+
+  export type ContactTracingEvents = {
+    session: ContactSession
+  };
+
+  export type TrajectorySample = {
+    timestamp: number,
+    x: number,
+    y: number,
+    floorId: number | null,
+    areas: number[],
+    // As reported by the tag, null if unknown.
+    speed: number | null,
+    odometer: number | null
+  };
+
+  export type TrajectoryOptions = {
+    // Samples older than this many milliseconds from the latest sample of
+    // any tag are removed, with the tags that have no samples left.
+    retention: number,
+    // A sample is valid for at most this many milliseconds, longer gaps are
+    // not counted.
+    maxGap: number,
+    // Moving slower than this, in units per second, is idle.
+    idleSpeed: number,
+    loggers: ConsoleLogger[]
+  };
+
+  export type TimeWindow = {
+    start: number | null,
+    stop: number | null
+  };
+
+  export type ActivityState = "moving" | "idle";
+
+  export type ActivityPeriod = {
+    state: ActivityState,
+    start: number,
+    stop: number,
+    distance: number
+  };
+
+  export type TagAnalytics = {
+    deviceId: number,
+    start: number | null,
+    stop: number | null,
+    sampleCount: number,
+    // Travelled along the positions, in site units.
+    distance: number,
+    // Difference of the tag's odometer readings, null if not reported.
+    odometerDistance: number | null,
+    maxSpeed: number | null,
+    movingTime: number,
+    idleTime: number,
+    // Milliseconds spent by area and floor ID.
+    areas: { [areaId: string]: number },
+    floors: { [floorId: string]: number },
+    periods: ActivityPeriod[]
+  };
+
+  export type HeatmapOptions = {
+    cellSize: number,
+    // Area of the grid, default is the extent of the positions.
+    bounds: Bounds | null,
+    deviceIds: number[] | null
+  };
+
+  export type HeatmapGrid = {
+    floorId: number,
+    start: number | null,
+    stop: number | null,
+    cellSize: number,
+    originX: number,
+    originY: number,
+    columns: number,
+    rows: number,
+    // Milliseconds spent in each cell, row by row from the origin.
+    cells: number[],
+    maxValue: number
+  };
+
+  export type WorkflowActionKind = "ledBuzzer" | "sms" | "customAlert" | "renameTag" | "sleep" |
+    "clearGroup" | "email" | "signalFlash" | "startStep" | "setTagGroup";
+
+  export type TypedWorkflowAction =
+    { kind: "ledBuzzer", action: LedOrBuzzerAction } |
+    { kind: "sms", action: SmsAction } |
+    { kind: "customAlert", action: CustomAlertAction } |
+    { kind: "renameTag", action: RenameTagAction } |
+    { kind: "sleep", action: FlowSleepAction } |
+    { kind: "clearGroup", action: ClearGroupAction } |
+    { kind: "email", action: EmailAction } |
+    { kind: "signalFlash", action: SignalFlashAction } |
+    { kind: "startStep", action: StartStepAction } |
+    { kind: "setTagGroup", action: SetTagGroupAction };
+
+  export type WorkflowNode = {
+    id: number,
+    name: string,
+    // Condition step or an action, unknown if the step has neither.
+    kind: "step" | "action" | "unknown",
+    step: WorkflowStep,
+    actions: TypedWorkflowAction[],
+    outgoing: WorkflowLink[],
+    incoming: WorkflowLink[]
+  };
+
+  export type WorkflowIssueType = "dangling-link" | "missing-step" | "no-entry" | "unreachable" | "cycle";
+
+  export type WorkflowIssue = {
+    type: WorkflowIssueType,
+    severity: "error" | "warning",
+    stepIds: number[],
+    message: string
+  };
+
+  export type DurationStats = {
+    count: number,
+    min: number,
+    max: number,
+    mean: number,
+    median: number,
+    p90: number
+  };
+
+  export type WorkflowStepStats = {
+    stepId: number,
+    name: string,
+    // Times the step was reached and finished.
+    count: number,
+    completed: number,
+    // Share of the runs that reached the step.
+    reachRate: number,
+    duration: DurationStats | null
+  };
+
+  export type WorkflowTimelineEntry = {
+    guid: string,
+    stepId: number,
+    stepName: string,
+    start: number,
+    stop: number | null,
+    duration: number | null,
+    area: number | null
+  };
+
+  export type WorkflowTagTimeline = {
+    deviceId: number,
+    name: string | null,
+    runs: number,
+    entries: WorkflowTimelineEntry[]
+  };
+
+  export type WorkflowAnalytics = {
+    runCount: number,
+    // Runs that reached a step without outgoing links, null without the
+    // workflow.
+    completedRuns: number | null,
+    completionRate: number | null,
+    runDuration: DurationStats | null,
+    steps: WorkflowStepStats[],
+    tags: WorkflowTagTimeline[]
+  };
+
+  export type ParsedArgs = {
+    positionals: string[],
+    options: { [name: string]: string | boolean }
+  };
+
+  export type CliProfile = {
+    clientId: number,
+    clientSecret: string,
+    account: number,
+    site: number,
+    authOrigin: string,
+    apiOrigin: string
+  };
+
+  export type CliIO = {
+    stdout: (text: string) => void,
+    stderr: (text: string) => void,
+    env: { [name: string]: string | undefined },
+    // Call the handler on interrupt, e.g. SIGINT. Returns a function that
+    // removes the handler.
+    onInterrupt: ((handler: () => void) => () => void) | null,
+    readFile: ((path: string) => Promise<string>) | null
+  };
+
+  export type ForwardedEvent = {
+    id: string,
+    // Event type from EVENT_TYPES.
+    eventType: string,
+    account: number | null,
+    site: number | null,
+    // Set when the payload was split by device.
+    deviceId: number | null,
+    timestamp: number,
+    payload: any
+  };
+
+  export type EventSink = {
+    // Unique name, identifies the sink's spooled events.
+    name: string,
+    // Deliver a batch of events, rejects if any of them wasn't delivered.
+    send(events: ForwardedEvent[]): Promise<void>,
+    close?: () => Promise<void>
+  };
+
+  // Return the event to forward, modified or replaced, or null to skip it.
+  export type SinkTransform = (event: ForwardedEvent) => ForwardedEvent | null;
+
+  export type SinkOptions = {
+    // Event types from EVENT_TYPES forwarded to the sink, null for all.
+    eventTypes: string[] | null,
+    transform: SinkTransform | null,
+    // Maximum number of events sent at once.
+    batchSize: number,
+    // Milliseconds to wait for a batch to fill before it's sent.
+    batchInterval: number
+  };
+
+  export type SpoolStore = {
+    load(): { [sink: string]: ForwardedEvent[] } | Promise<{ [sink: string]: ForwardedEvent[] }>,
+    save(spool: { [sink: string]: ForwardedEvent[] }): void | Promise<void>
+  };
+
+  export type EventForwarderOptions = {
+    // Forward updates keyed by device ID, e.g. LOCATION_UPDATE, as an event
+    // per device.
+    splitByDevice: boolean,
+    // Maximum number of undelivered events per sink, the oldest are dropped.
+    maxSpoolSize: number,
+    retryIntervalMin: number,
+    retryIntervalMax: number,
+    // Persistence for undelivered events, e.g. createFileSpoolStore.
+    store: SpoolStore | null,
+    loggers: ConsoleLogger[]
+  };
+
+  export type ForwarderSubscription = {
+    eventType: string,
+    filter: MessageFilter | TwrDataFilter | null
+  };
+
+  export type SinkDeliveryEvent = {
+    sink: string,
+    events: ForwardedEvent[],
+    // Failed delivery attempts in a row.
+    attempts: number,
+    error: string | null
+  };
+
+  export type EventForwarderEvents = {
+    delivered: SinkDeliveryEvent,
+    failed: SinkDeliveryEvent,
+    dropped: SinkDeliveryEvent
+  };
+
+  export type WebhookSinkOptions = {
+    name: string,
+    method: string,
+    headers: { [name: string]: string },
+    // Milliseconds until a request is aborted.
+    timeout: number
+  };
+
+  // Subset of an MQTT.js client.
+  export type MqttClient = {
+    publish(topic: string, message: string, options: { qos: 0 | 1 | 2, retain: boolean }, callback: (error?: Error | null) => void): unknown
+  };
+
+  export type MqttSinkOptions = {
+    name: string,
+    // Template with {account}, {site}, {eventType} and {deviceId}, or a
+    // function of the event.
+    topic: string | ((event: ForwardedEvent) => string),
+    qos: 0 | 1 | 2,
+    retain: boolean
+  };
+
+  export type NdjsonFileSinkOptions = {
+    name: string,
+    // Size in bytes after which the file is rotated.
+    maxBytes: number,
+    // Number of rotated files kept, path.1 being the newest.
+    maxFiles: number
+  };
+
+  export type StreamDefinition = {
+    eventType: string,
+    // Type of the server messages.
+    responseType: string,
+    registerAction: string,
+    unregisterAction: string,
+    // Filter fields allowed in registrations, null to skip validation.
+    filterFields: string[] | null,
+    // Device ID lists combined from the registrations for the cloud filter.
+    deviceFields: string[],
+    // Fixed payload of the cloud registration instead of the filter.
+    payload: object | null
+  };
+
+  // Field indices of MessagePack encoded records. Later versions only add
+  // fields, so records with extra fields decode with older schemas.
+  export type MsgPackSchema = {
+    version: number,
+    fields: { [field: string]: number }
+  };
+
+  export type CalibrationStage = "sent" | "accepted" | "completed";
+
+  export type CalibrationProgress = {
+    stage: CalibrationStage,
+    // Milliseconds since the request was sent.
+    elapsed: number
+  };
+
+  export type CalibrationOptions = {
+    onProgress: ((progress: CalibrationProgress) => void) | null,
+    signal: AbortSignal | null
+  };
+
+  export type BeaconHealthOptions = {
+    deviceIds: number[] | null,
+    // Milliseconds between the checks, each also fetching the last contacts
+    // of the beacons.
+    checkInterval: number,
+    // Beacon is stale when nothing has been heard of it in this many
+    // milliseconds.
+    silenceTimeout: number,
+    // Online beacon is flagged when it hasn't been in TWR measurements in
+    // this many milliseconds, null to not follow the TWR stream.
+    rangingTimeout: number | null,
+    // Voltage under which the battery is low.
+    lowVoltage: number,
+    // Flag the battery when the trend reaches lowVoltage in this many
+    // milliseconds.
+    predictionHorizon: number,
+    voltageHistorySize: number,
+    // Voltage samples required to compute the trend.
+    minTrendSamples: number,
+    incidentHistorySize: number,
+    loggers: ConsoleLogger[]
+  };
+
+  export type BeaconHealthStatus = "healthy" | "degraded" | "down";
+
+  export type BeaconHealthIssue = "offline" | "stale" | "notRanging" | "lowBattery";
+
+  export type BeaconIncident = {
+    start: number,
+    // Null while the beacon is still offline.
+    end: number | null,
+    duration: number | null
+  };
+
+  export type BeaconHealth = {
+    deviceId: number,
+    status: BeaconHealthStatus,
+    issues: BeaconHealthIssue[],
+    online: boolean | null,
+    charging: boolean | null,
+    voltage: number | null,
+    lastSeenAt: number | null,
+    lastRangingAt: number | null,
+    trackedSince: number,
+    // Milliseconds online and offline since tracking started.
+    onlineTime: number,
+    offlineTime: number,
+    // Fraction of the time online, null until the state is known.
+    uptime: number | null,
+    incidentCount: number,
+    // Latest offline incidents, oldest first.
+    incidents: BeaconIncident[],
+    // Volts per hour while not charging, null without enough samples.
+    voltageTrend: number | null,
+    predictedLowBatteryAt: number | null
+  };
+
+  export type BeaconHealthChangeEvent = {
+    deviceId: number,
+    previousStatus: BeaconHealthStatus,
+    status: BeaconHealthStatus,
+    addedIssues: BeaconHealthIssue[],
+    removedIssues: BeaconHealthIssue[],
+    beacon: BeaconHealth
+  };
+
+  export type BeaconHealthEvents = {
+    change: BeaconHealthChangeEvent
+  };
+
+  export type BeaconHealthSummary = {
+    // Site of the attached channel, null when not attached.
+    account: number | null,
+    site: number | null,
+    timestamp: number,
+    beacons: number,
+    healthy: number,
+    degraded: number,
+    down: number,
+    issues: { [issue in BeaconHealthIssue]: number },
+    averageUptime: number | null,
+    openIncidents: number,
+    // Beacons that aren't healthy, most severe first.
+    unhealthy: number[]
   };
@@ -0,0 +1,68 @@
+import { AbortError, NccError, TimeoutError } from "./exceptions.js";
+
+/**
+ * Error to reject with when the signal is aborted. The signal of
+ * `AbortSignal.timeout()` rejects with TimeoutError, a reason that is
+ * already an NccError as is and anything else with AbortError.
+ *
+ * @param {AbortSignal} signal Aborted signal.
+ */
+export function getAbortError(signal: AbortSignal): Error {
+    const reason: any = (signal as any).reason;
+    if (reason instanceof NccError) return reason;
+    if (reason?.name === "TimeoutError") {
+        return new TimeoutError(reason.message || "The operation timed out");
+    }
+    return new AbortError(reason ?? null);
+}
+
+/**
+ * Throw if the signal has already been aborted.
+ *
+ * @param {AbortSignal} [signal]
+ */
+export function throwIfAborted(signal: AbortSignal | null | undefined): void {
+    if (signal?.aborted) throw getAbortError(signal);
+}
+
+/**
+ * Reject when the signal is aborted before the promise settles. The
+ * operation itself isn't cancelled, `cleanup` is called with its result if
+ * it succeeds after the abort, e.g. to undo a registration.
+ *
+ * @param {Promise} promise Operation to wait for.
+ * @param {AbortSignal} [signal]
+ * @param {(value) => void} [cleanup] Undo the operation completed after
+ * the abort.
+ */
+export function withAbortSignal<T>(promise: Promise<T>, signal: AbortSignal | null | undefined, cleanup: ((value: T) => void) | null = null): Promise<T> {
+    if (!signal) return promise;
+
+    return new Promise<T>((resolve, reject) => {
+        let aborted = false;
+        const onAbort = () => {
+            aborted = true;
+            reject(getAbortError(signal));
+        };
+        if (signal.aborted) {
+            onAbort();
+        } else {
+            signal.addEventListener("abort", onAbort);
+        }
+
+        promise.then(
+            (value: T) => {
+                signal.removeEventListener("abort", onAbort);
+                if (aborted) {
+                    cleanup?.(value);
+                } else {
+                    resolve(value);
+                }
+            },
+            (e: any) => {
+                signal.removeEventListener("abort", onAbort);
+                reject(e);
+            }
+        );
+    });
+}
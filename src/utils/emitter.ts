@@ -0,0 +1,115 @@
+import { ArgumentException } from "./exceptions.js";
+import { getUniqueId } from "./utils.js";
+import * as Types from "../types.js";
+
+/**
+ * Minimal event emitter with typed event names and payloads that works both
+ * in browser and NodeJS.
+ *
+ * Listeners are identified with the UUID returned when they are added, in the
+ * same way as events registered with EventChannel.
+ *
+ * @export
+ * @class TypedEmitter
+ */
+export class TypedEmitter<TEvents extends object> {
+	public _listeners: Record<string, { event: keyof TEvents, listener: (payload: any) => void }>;
+	public _logger: Types.ConsoleLogger | null;
+
+    /**
+     * @param {import("../constants/constants").Logger} logger Logger for
+     * exceptions thrown by listeners.
+     */
+    constructor(logger: Types.ConsoleLogger | null = null) {
+        this._listeners = {};
+        this._logger = logger;
+    }
+
+    /**
+     * Add a listener for an event.
+     *
+     * @param {string} event Name of the event.
+     * @param {(payload: Object) => void} listener Callback invoked with the
+     * event payload.
+     * @returns {string} UUID that can be used to remove the listener.
+     * @memberof TypedEmitter
+     */
+    on<K extends keyof TEvents>(event: K, listener: (payload: TEvents[K]) => void): string {
+        if (!listener || typeof listener !== "function") {
+            throw new ArgumentException("listener");
+        }
+
+        const uuid: string = getUniqueId();
+        this._listeners[uuid] = { event, listener };
+        return uuid;
+    }
+
+    /**
+     * Add a listener that is removed after it has been invoked once.
+     *
+     * @see {@link TypedEmitter#on}
+     */
+    once<K extends keyof TEvents>(event: K, listener: (payload: TEvents[K]) => void): string {
+        const uuid: string = this.on(event, (payload: TEvents[K]) => {
+            this.off(uuid);
+            listener(payload);
+        });
+        return uuid;
+    }
+
+    /**
+     * Remove a listener.
+     *
+     * @param {string} uuid UUID returned when the listener was added.
+     * @returns {boolean} True if the listener existed.
+     * @memberof TypedEmitter
+     */
+    off(uuid: string): boolean {
+        if (!this._listeners[uuid]) return false;
+        delete this._listeners[uuid];
+        return true;
+    }
+
+    /**
+     * Invoke all listeners of the event synchronously. Exceptions thrown by
+     * listeners are logged and do not prevent other listeners from running.
+     *
+     * @param {string} event Name of the event.
+     * @param {Object} payload Payload passed to listeners.
+     * @memberof TypedEmitter
+     */
+    emit<K extends keyof TEvents>(event: K, payload: TEvents[K]): void {
+        for (const entry of Object.values(this._listeners)) {
+            if (entry.event !== event) continue;
+            try {
+                entry.listener(payload);
+            } catch (e) {
+                this._logger?.exception(
+                    `Exception in listener for ${String(event)}`,
+                    e instanceof Error ? e.message : `${e}`
+                );
+            }
+        }
+    }
+
+    /**
+     * Number of listeners for the event.
+     *
+     * @param {string} event Name of the event.
+     * @memberof TypedEmitter
+     */
+    listenerCount<K extends keyof TEvents>(event: K): number {
+        return Object.values(this._listeners).filter(
+            (entry) => entry.event === event
+        ).length;
+    }
+
+    /**
+     * Remove all listeners.
+     *
+     * @memberof TypedEmitter
+     */
+    removeAllListeners(): void {
+        this._listeners = {};
+    }
+}
@@ -1,3 +1,5 @@
+import * as Types from "../types.js";
+
 export class NotImplementedError extends Error {
     constructor() {
         super("Not implemented");
@@ -9,3 +11,130 @@ export class ArgumentException extends Error {
         super(`Invalid argument ${argName}`);
     }
 }
+
+/**
+ * Base class of the errors of failed operations, the subclasses can be told
+ * apart with instanceof or the `code`.
+ */
+export class NccError extends Error {
+    public code: string;
+
+    constructor(message: string, code: string) {
+        super(message);
+        // Keep instanceof working when compiled to ES5.
+        Object.setPrototypeOf(this, new.target.prototype);
+        this.name = "NccError";
+        this.code = code;
+    }
+}
+
+export class TimeoutError extends NccError {
+    public action: string | null;
+    public timeout: number | null;
+
+    constructor(message: string, action: string | null = null, timeout: number | null = null) {
+        super(message, "timeout");
+        this.name = "TimeoutError";
+        this.action = action;
+        this.timeout = timeout;
+    }
+}
+
+export class ConnectionClosedError extends NccError {
+    public closeCode: number | null;
+    public reason: string | null;
+
+    constructor(message: string, closeCode: number | null = null, reason: string | null = null) {
+        super(message, "connectionClosed");
+        this.name = "ConnectionClosedError";
+        this.closeCode = closeCode;
+        this.reason = reason;
+    }
+}
+
+export class AuthenticationError extends NccError {
+    public closeCode: number | null;
+
+    constructor(message: string, closeCode: number | null = null) {
+        super(message, "authenticationFailed");
+        this.name = "AuthenticationError";
+        this.closeCode = closeCode;
+    }
+}
+
+// Cloud responded to a request with a status other than OK.
+export class CloudRequestError extends NccError {
+    public action: string | null;
+    public status: string;
+    public payload: any;
+
+    constructor(action: string | null, status: string, payload: any = null) {
+        super(`Request ${action} failed with status ${status}`, "requestFailed");
+        this.name = "CloudRequestError";
+        this.action = action;
+        this.status = status;
+        this.payload = payload;
+    }
+}
+
+export class DecodeError extends NccError {
+    constructor(message: string) {
+        super(message, "decodeFailed");
+        this.name = "DecodeError";
+    }
+}
+
+// Operation was cancelled with an AbortSignal, `reason` is the signal's.
+export class AbortError extends NccError {
+    public reason: any;
+
+    constructor(reason: any = null) {
+        super("The operation was aborted", "aborted");
+        this.name = "AbortError";
+        this.reason = reason;
+    }
+}
+
+export class HttpError extends NccError {
+    public method: string;
+    public url: string;
+    public status: number;
+    public statusText: string;
+    public headers: { [name: string]: string };
+    public body: any;
+
+    constructor(method: string, url: string, status: number, statusText: string, headers: { [name: string]: string }, body: any) {
+        super(statusText || `StatusCode ${status}`, "httpError");
+        this.name = "HttpError";
+        this.method = method;
+        this.url = url;
+        this.status = status;
+        this.statusText = statusText;
+        this.headers = headers;
+        this.body = body;
+    }
+}
+
+export class RequestTimeoutError extends TimeoutError {
+    constructor(method: string, url: string, timeout: number) {
+        super(`${method} ${url} timed out after ${timeout} ms`, null, timeout);
+        this.name = "RequestTimeoutError";
+    }
+}
+
+export class LayoutValidationError extends Error {
+    public issues: Types.LayoutValidationIssue[];
+
+    constructor(issues: Types.LayoutValidationIssue[]) {
+        super(`Invalid layout: ${issues.map((i) => `${i.type} ${i.id}: ${i.message}`).join(", ")}`);
+        this.name = "LayoutValidationError";
+        this.issues = issues;
+    }
+}
+
+export class UsageError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
@@ -0,0 +1,20 @@
+import { promises as fsPromises } from "fs";
+
+// NodeJS only helpers for the file based stores.
+
+/**
+ * Write a value as JSON so that a crash never leaves a partial file. The
+ * JSON is written to a temporary file of this process and renamed over the
+ * file, so processes sharing the file don't overwrite each other's
+ * temporary file.
+ *
+ * @param {string} path Path to the file.
+ * @param {*} value Value to write.
+ * @param {number} [mode] Permissions of the file.
+ * @returns {Promise}
+ */
+export async function writeJsonFile(path: string, value: unknown, mode: number = 0o666): Promise<void> {
+    const tempPath = `${path}.${process.pid}.tmp`;
+    await fsPromises.writeFile(tempPath, JSON.stringify(value), { encoding: "utf8", mode });
+    await fsPromises.rename(tempPath, path);
+}
@@ -12,3 +12,20 @@ export const consoleLogger: Types.ConsoleLogger = {
     }),
     debug: (msg: string, ...objs) => console.debug(addPrefix(msg), ...objs)
 };
+
+/**
+ * Create a logger that passes the messages to every given logger.
+ *
+ * @param {Types.ConsoleLogger[]} loggers Loggers from the options, missing
+ * ones are skipped.
+ * @returns {Types.ConsoleLogger}
+ */
+export function combineLoggers(loggers: Types.ConsoleLogger[]): Types.ConsoleLogger {
+    return {
+        log: (msg: string) => loggers.forEach((l) => l && l.log(msg)),
+        warn: (msg: string) => loggers.forEach((l) => l && l.warn(msg)),
+        error: (msg: string) => loggers.forEach((l) => l && l.error(msg)),
+        exception: (msg: string, e: string | null) => loggers.forEach((l) => l && l.exception(msg, e)),
+        debug: (msg: string) => loggers.forEach((l) => l && l.debug(msg, null))
+    };
+}
@@ -1,8 +1,323 @@
 import msgpack from "@ygoe/msgpack";
-import { getAtob } from "./ponyfills.js";
+import { DecodeError } from "./exceptions.js";
+import { getBase64Decoder, getBtoa } from "./ponyfills.js";
 import * as Types from "../types";
 
-const atob = getAtob();
+const base64ToBytes = getBase64Decoder();
+
+// The decoder reads floats from the underlying buffer without the view's
+// offset, pooled Buffers and sub-arrays are copied first.
+function deserialize(bytes: Uint8Array): any {
+    try {
+        return msgpack.deserialize(bytes.byteOffset ? new Uint8Array(bytes) : bytes);
+    } catch (e) {
+        throw new DecodeError(`Invalid MessagePack data: ${e instanceof Error ? e.message : e}`);
+    }
+}
+
+// MessagePack loses all information about property names, so the records
+// are arrays with the fields at fixed indices. Index 0 of a tag record is
+// the device ID.
+export const TAG_STATE_SCHEMA_V1: Types.MsgPackSchema = {
+    version: 1,
+    fields: {
+        name: 1,
+        batteryVoltage: 2,
+        batteryStatus: 3,
+        status: 4,
+        areas: 5,
+        wire: 6,
+        reed: 7,
+        isOnline: 8,
+        timestamp: 9,
+        x: 10,
+        y: 11,
+        accelerometer: 12,
+        floorId: 13,
+        signalLost: 14,
+        powerSave: 15,
+        deviceModel: 16,
+        fwVersion: 17,
+        strokeCount: 18,
+        z: 19,
+        uncertaintyDistance: 20,
+        odometer: 21,
+        tripmeter: 22,
+        speed: 23
+    }
+};
+
+export const ALERT_STATE_SCHEMA_V1: Types.MsgPackSchema = {
+    version: 1,
+    fields: {
+        alarmId: 0,
+        deviceId: 1,
+        alarmType: 2,
+        x: 3,
+        y: 4,
+        z: 5,
+        timestamp: 6,
+        reacted: 7,
+        floorId: 8,
+        areaNames: 12,
+        customTitle: 17
+    }
+};
+
+export const BEACON_STATE_SCHEMA_V1: Types.MsgPackSchema = {
+    version: 1,
+    fields: {
+        online: 0,
+        charging: 1,
+        voltage: 2
+    }
+};
+
+// Schemas used by the filters, the latest known versions.
+export const TAG_STATE_SCHEMA = TAG_STATE_SCHEMA_V1;
+export const ALERT_STATE_SCHEMA = ALERT_STATE_SCHEMA_V1;
+export const BEACON_STATE_SCHEMA = BEACON_STATE_SCHEMA_V1;
+
+/**
+ * Create the next version of a schema with added fields.
+ *
+ * @param {Types.MsgPackSchema} schema Previous version.
+ * @param {Object} fields Indices of the added fields.
+ * @returns {Types.MsgPackSchema}
+ */
+export function extendSchema(schema: Types.MsgPackSchema, fields: { [field: string]: number }): Types.MsgPackSchema {
+    return {
+        version: schema.version + 1,
+        fields: { ...schema.fields, ...fields }
+    };
+}
+
+/**
+ * Pick the schema's fields from a decoded record. Fields the record is too
+ * short for are undefined and extra fields are ignored. Records encoded as
+ * maps are read by field name.
+ *
+ * @param {*} record Decoded record.
+ * @param {Types.MsgPackSchema} schema
+ * @returns {Object}
+ */
+export function applySchema<T>(record: unknown, schema: Types.MsgPackSchema): T {
+    const fields = getSchemaFields(schema);
+    const result: { [field: string]: unknown } = {};
+    if (Array.isArray(record)) {
+        for (const [name, index] of fields) {
+            result[name] = record[index];
+        }
+    } else if (record && typeof record === "object") {
+        for (const [name] of fields) {
+            result[name] = (record as { [field: string]: unknown })[name];
+        }
+    }
+    return result as unknown as T;
+}
+
+// Names and indices of the schema's fields, listed once per schema.
+const schemaFields: WeakMap<Types.MsgPackSchema, [string, number][]> = new WeakMap();
+
+function getSchemaFields(schema: Types.MsgPackSchema): [string, number][] {
+    let fields = schemaFields.get(schema);
+    if (!fields) {
+        fields = Object.keys(schema.fields).map(
+            (name): [string, number] => [name, schema.fields[name] as number]
+        );
+        schemaFields.set(schema, fields);
+    }
+    return fields;
+}
+
+/**
+ * Reads MessagePack values one at a time, values that are not needed are
+ * skipped without decoding them.
+ *
+ * @export
+ * @class MsgPackReader
+ */
+export class MsgPackReader {
+	public _bytes: Uint8Array;
+	public _pos: number;
+
+    /**
+     * Creates an instance of MsgPackReader.
+     *
+     * @param {Uint8Array} bytes MessagePack encoded data.
+     * @memberof MsgPackReader
+     */
+    constructor(bytes: Uint8Array) {
+        this._bytes = bytes;
+        this._pos = 0;
+    }
+
+    /**
+     * Whether all of the data has been read.
+     *
+     * @returns {boolean}
+     * @memberof MsgPackReader
+     */
+    isAtEnd(): boolean {
+        return this._pos >= this._bytes.length;
+    }
+
+    /**
+     * Read the header of a map, nil is read as an empty map.
+     *
+     * @returns {number} Number of entries.
+     * @memberof MsgPackReader
+     */
+    readMapHeader(): number {
+        const byte = this._readByte();
+        if (byte >= 0x80 && byte <= 0x8f) return byte - 0x80;
+        if (byte === 0xde) return this._readUInt(2);
+        if (byte === 0xdf) return this._readUInt(4);
+        if (byte === 0xc0) return 0;
+        throw new DecodeError(`Expected a MessagePack map at ${this._pos - 1}`);
+    }
+
+    /**
+     * Read the header of an array.
+     *
+     * @returns {number} Number of items.
+     * @memberof MsgPackReader
+     */
+    readArrayHeader(): number {
+        const byte = this._readByte();
+        if (byte >= 0x90 && byte <= 0x9f) return byte - 0x90;
+        if (byte === 0xdc) return this._readUInt(2);
+        if (byte === 0xdd) return this._readUInt(4);
+        throw new DecodeError(`Expected a MessagePack array at ${this._pos - 1}`);
+    }
+
+    /**
+     * Read a map key as a string, like the keys of a decoded object.
+     *
+     * @returns {string}
+     * @memberof MsgPackReader
+     */
+    readKey(): string {
+        const bytes = this._bytes;
+        const byte = bytes[this._pos] as number;
+        if (byte <= 0x7f) {
+            this._pos++;
+            return `${byte}`;
+        }
+        if (byte >= 0xa0 && byte <= 0xbf) {
+            // Device and alert IDs are short ASCII strings.
+            const end = this._pos + 1 + byte - 0xa0;
+            let key = "";
+            for (let i = this._pos + 1; i < end; i++) {
+                const code = bytes[i] as number;
+                if (code >= 0x80) return `${this.readValue()}`;
+                key += String.fromCharCode(code);
+            }
+            this._pos = end;
+            return key;
+        }
+        return `${this.readValue()}`;
+    }
+
+    /**
+     * Decode the next value.
+     *
+     * @returns {*}
+     * @memberof MsgPackReader
+     */
+    readValue(): unknown {
+        const start = this._pos;
+        this.skip();
+        return deserialize(this._bytes.subarray(start, this._pos));
+    }
+
+    /**
+     * Decode a field of the next record without moving past it.
+     *
+     * @param {number} index Index of the field in array records.
+     * @param {string} field Name of the field in map records.
+     * @returns {*} Undefined if the record doesn't have the field.
+     * @memberof MsgPackReader
+     */
+    peekField(index: number, field: string): unknown {
+        const start = this._pos;
+        try {
+            const byte = this._bytes[start] as number;
+            if ((byte >= 0x90 && byte <= 0x9f) || byte === 0xdc || byte === 0xdd) {
+                const length = this.readArrayHeader();
+                if (index >= length) return undefined;
+                for (let i = 0; i < index; i++) this.skip();
+                return this.readValue();
+            }
+            const record = this.readValue();
+            return record && typeof record === "object"
+                ? (record as { [field: string]: unknown })[field]
+                : undefined;
+        } finally {
+            this._pos = start;
+        }
+    }
+
+    /**
+     * Move past the next value without decoding it.
+     *
+     * @memberof MsgPackReader
+     */
+    skip(): void {
+        const byte = this._readByte();
+        if (byte <= 0x7f || byte >= 0xe0) return;  // fixint
+        if (byte <= 0x8f) return this._skipValues((byte - 0x80) * 2);  // fixmap
+        if (byte <= 0x9f) return this._skipValues(byte - 0x90);  // fixarray
+        if (byte <= 0xbf) return this._skipBytes(byte - 0xa0);  // fixstr
+
+        switch (byte) {
+            case 0xc0: case 0xc2: case 0xc3: return;
+            case 0xc4: case 0xd9: return this._skipBytes(this._readUInt(1));  // bin 8, str 8
+            case 0xc5: case 0xda: return this._skipBytes(this._readUInt(2));
+            case 0xc6: case 0xdb: return this._skipBytes(this._readUInt(4));
+            case 0xc7: return this._skipBytes(this._readUInt(1) + 1);  // ext 8
+            case 0xc8: return this._skipBytes(this._readUInt(2) + 1);
+            case 0xc9: return this._skipBytes(this._readUInt(4) + 1);
+            case 0xcc: case 0xd0: return this._skipBytes(1);
+            case 0xcd: case 0xd1: return this._skipBytes(2);
+            case 0xca: case 0xce: case 0xd2: return this._skipBytes(4);
+            case 0xcb: case 0xcf: case 0xd3: return this._skipBytes(8);
+            case 0xd4: return this._skipBytes(2);  // fixext 1
+            case 0xd5: return this._skipBytes(3);
+            case 0xd6: return this._skipBytes(5);
+            case 0xd7: return this._skipBytes(9);
+            case 0xd8: return this._skipBytes(17);
+            case 0xdc: return this._skipValues(this._readUInt(2));  // array 16
+            case 0xdd: return this._skipValues(this._readUInt(4));
+            case 0xde: return this._skipValues(this._readUInt(2) * 2);  // map 16
+            case 0xdf: return this._skipValues(this._readUInt(4) * 2);
+        }
+        throw new DecodeError(`Invalid MessagePack byte code 0x${byte.toString(16)} at ${this._pos - 1}`);
+    }
+
+    _readByte(): number {
+        const byte = this._bytes[this._pos++];
+        if (byte === undefined) throw new DecodeError("Unexpected end of MessagePack data");
+        return byte;
+    }
+
+    _readUInt(size: number): number {
+        let value = 0;
+        for (let i = 0; i < size; i++) {
+            value = value * 256 + this._readByte();
+        }
+        return value;
+    }
+
+    _skipBytes(count: number): void {
+        this._pos += count;
+        if (this._pos > this._bytes.length) throw new DecodeError("Unexpected end of MessagePack data");
+    }
+
+    _skipValues(count: number): void {
+        for (let i = 0; i < count; i++) this.skip();
+    }
+}
 
 /**
  * Parse and decode Base64 encoded MsgPack message from cloud.
@@ -10,125 +325,179 @@ const atob = getAtob();
  * @param {string} baseMsg Base64 encoded message.
  */
 export function parseMsgPack(baseMsg: string): object {
-    const bytes: string = atob(baseMsg);
-    const arrayBuffer: ArrayBuffer = new ArrayBuffer(bytes.length);
-    const intArray: Uint8Array = new Uint8Array(arrayBuffer);
+    const payload = deserialize(base64ToBytes(baseMsg));
+    return payload;
+}
 
-    for (let i = 0; i < bytes.length; i++) {
-        intArray[i] = bytes.charCodeAt(i);
+// Decode the entries of a map encoded message. Entries not accepted by
+// `include` are skipped without decoding them.
+function decodeEntries(msg: string, include: ((key: string, reader: MsgPackReader) => boolean) | null): [string, unknown][] {
+    if (!include) {
+        const payload: object | null = parseMsgPack(msg);
+        return payload ? Object.entries(payload) : [];
     }
 
-    const payload = msgpack.deserialize(intArray);
-    return payload;
+    const reader = new MsgPackReader(base64ToBytes(msg));
+    const entries: [string, unknown][] = [];
+    const count = reader.readMapHeader();
+    for (let i = 0; i < count; i++) {
+        const key = reader.readKey();
+        if (include(key, reader)) {
+            entries.push([key, reader.readValue()]);
+        } else {
+            reader.skip();
+        }
+    }
+    return entries;
+}
+
+// Include only the given devices of a message keyed by device ID.
+function includeDevices(deviceIds: number[] | null): ((key: string) => boolean) | null {
+    if (!deviceIds) return null;
+    const included = new Set(deviceIds);
+    return (key) => included.has(+key);
 }
 
-export function parseBeaconLiveData(msg: string): Types.BeaconInitialStateResponse{
-    const payload:object = parseMsgPack(msg);
+/**
+ * Decode the initial state of beacons.
+ *
+ * @param {string} msg Base64 encoded message.
+ * @param {number[] | null} [deviceIds] Beacons to decode, null for all.
+ * @param {Types.MsgPackSchema} [schema]
+ * @returns {Types.BeaconInitialStateResponse}
+ */
+export function parseBeaconLiveData(msg: string, deviceIds: number[] | null = null, schema: Types.MsgPackSchema = BEACON_STATE_SCHEMA): Types.BeaconInitialStateResponse {
     const result: Types.BeaconInitialStateResponse = {};
-    const deviceIds: string[] = Object.keys(payload);
-    if (!deviceIds || !deviceIds.length) return result;
-
-    for (const [deviceId, beaconData] of Object.entries(payload)) {
-        const did: number = +deviceId;
-        const beaconObj: Types.InitialBeaconState = {
-            online: beaconData[0],
-            charging : beaconData[1],
-            voltage : beaconData[2],
-        };
-        result[did] = beaconObj;
+    for (const [deviceId, beaconData] of decodeEntries(msg, includeDevices(deviceIds))) {
+        result[+deviceId] = applySchema<Types.InitialBeaconState>(beaconData, schema);
     }
     return result;
 }
-export function parseBeaconDiffData(msg: string): Types.BeaconDiffResponse{
-    const payload:object = parseMsgPack(msg);
-    const result: Types.BeaconDiffResponse = {};
-    const deviceIds: string[] = Object.keys(payload);
-    if (!deviceIds || !deviceIds.length) return result;
 
-    for (const [deviceId, beaconData] of Object.entries(payload)) {
-        const did: number = +deviceId;
-        const beaconObj: Types.BeaconDiff = {};
-        if (beaconData[0] != null) beaconObj.online = beaconData[0];
-        if (beaconData[1] != null) beaconObj.charging = beaconData[1];
-        if (beaconData[2] != null) beaconObj.voltage = beaconData[2];
-        result[did] = beaconObj;
+/**
+ * Decode changes of beacons, fields that didn't change are left out.
+ *
+ * @param {string} msg Base64 encoded message.
+ * @param {number[] | null} [deviceIds] Beacons to decode, null for all.
+ * @param {Types.MsgPackSchema} [schema]
+ * @returns {Types.BeaconDiffResponse}
+ */
+export function parseBeaconDiffData(msg: string, deviceIds: number[] | null = null, schema: Types.MsgPackSchema = BEACON_STATE_SCHEMA): Types.BeaconDiffResponse {
+    const result: Types.BeaconDiffResponse = {};
+    for (const [deviceId, beaconData] of decodeEntries(msg, includeDevices(deviceIds))) {
+        const beaconObj: { [field: string]: unknown } = applySchema(beaconData, schema);
+        for (const field in beaconObj) {
+            if (beaconObj[field] == null) delete beaconObj[field];
+        }
+        result[+deviceId] = beaconObj as Types.BeaconDiff;
     }
     return result;
 }
-export function parseTagLiveData(msg: string): Types.TagInitialStateResponse {
-    const payload:object = parseMsgPack(msg);
 
+/**
+ * Decode the initial state of tags.
+ *
+ * @param {string} msg Base64 encoded message.
+ * @param {number[] | null} [deviceIds] Tags to decode, null for all.
+ * @param {Types.MsgPackSchema} [schema]
+ * @returns {Types.TagInitialStateResponse}
+ */
+export function parseTagLiveData(msg: string, deviceIds: number[] | null = null, schema: Types.MsgPackSchema = TAG_STATE_SCHEMA): Types.TagInitialStateResponse {
     const result: Types.TagInitialStateResponse = {};
-    const tagMacs: string[] = Object.keys(payload);
-    if (!tagMacs || !tagMacs.length) return result;
-
-    // Create tag status objects from decoded MessagePack payload.
-    // MessagePack loses all information about property names, so the array
-    // indices are hard-coded.
-    for (const [deviceId, tagData] of Object.entries(payload)) {
-        const did: number = +deviceId;
-        const tagObj: Types.InitialTagState = {
-            name: tagData[1],
-            batteryVoltage : tagData[2],
-            batteryStatus : tagData[3],
-            status : tagData[4],
-            areas : tagData[5],
-            wire : tagData[6],
-            reed : tagData[7],
-            isOnline : tagData[8],
-            timestamp : tagData[9],
-            x : tagData[10],
-            y : tagData[11],
-            z : tagData[19],
-            accelerometer : tagData[12],
-            floorId : tagData[13],
-            signalLost : tagData[14],
-            powerSave : tagData[15],
-            deviceModel : tagData[16],
-            fwVersion : tagData[17],
-            strokeCount: tagData[18],
-            uncertaintyDistance: tagData[20],
-            odometer: tagData[21],
-            tripmeter: tagData[22],
-            speed: tagData[23]
-        };
-        
-        // Append to result.
-        result[did] = tagObj;
+    for (const [deviceId, tagData] of decodeEntries(msg, includeDevices(deviceIds))) {
+        result[+deviceId] = applySchema<Types.InitialTagState>(tagData, schema);
     }
-
     return result;
 }
 
-export function parseAlertLiveData(msg: string): Types.AlertInitialStateResponse {
-    const payload:object = parseMsgPack(msg);
+/**
+ * Decode the initial state of alerts.
+ *
+ * @param {string} msg Base64 encoded message.
+ * @param {number[] | null} [deviceIds] Include only the alerts of these
+ * devices, null for all.
+ * @param {Types.MsgPackSchema} [schema]
+ * @returns {Types.AlertInitialStateResponse}
+ */
+export function parseAlertLiveData(msg: string, deviceIds: number[] | null = null, schema: Types.MsgPackSchema = ALERT_STATE_SCHEMA): Types.AlertInitialStateResponse {
+    let include: ((key: string, reader: MsgPackReader) => boolean) | null = null;
+    if (deviceIds) {
+        // Alerts are keyed by alert ID, peek at the device of each.
+        const included = new Set(deviceIds);
+        const index = schema.fields["deviceId"] as number;
+        include = (_, reader) => included.has(reader.peekField(index, "deviceId") as number);
+    }
 
     const result: Types.AlertInitialStateResponse = {};
-    const alertIds: string[] = Object.keys(payload);
-    if (!alertIds || !alertIds.length) return result;
-
-    // Create tag status objects from decoded MessagePack payload.
-    // MessagePack loses all information about property names, so the array
-    // indices are hard-coded.
-    for (const [alertId, alertData] of Object.entries(payload)) {
-        const aid: number = +alertId;
-        const alertObj: Types.InitialAlertState = {
-            alarmId: alertData[0],
-		    deviceId: alertData[1],
-            alarmType: alertData[2],
-		    x: alertData[3],
-            y: alertData[4],
-            z: alertData[5],
-            timestamp: alertData[6],
-            reacted: alertData[7],
-		    floorId: alertData[8],
-            areaNames: alertData[12],
-            customTitle: alertData[17]
-        };
-        
-        // Append to result.
-        result[aid] = alertObj;
+    for (const [alertId, alertData] of decodeEntries(msg, include)) {
+        result[+alertId] = applySchema<Types.InitialAlertState>(alertData, schema);
     }
-
     return result;
 }
+
+/**
+ * Encode a payload as Base64 encoded MsgPack message, the inverse of
+ * parseMsgPack.
+ *
+ * @param {Object} payload Payload to encode.
+ */
+export function encodeMsgPack(payload: object): string {
+    const bytes: Uint8Array = msgpack.serialize(payload);
+    let binary: string = "";
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i] as number);
+    }
+    return getBtoa()(binary);
+}
+
+/**
+ * Encode an object as a record of the schema, the inverse of applySchema.
+ * Indices without a field are null.
+ *
+ * @param {Object} obj
+ * @param {Types.MsgPackSchema} schema
+ * @returns {Array}
+ */
+export function encodeRecord(obj: object, schema: Types.MsgPackSchema): unknown[] {
+    const { fields } = schema;
+    const length = Math.max(-1, ...Object.values(fields)) + 1;
+    const record: unknown[] = new Array(length).fill(null);
+    for (const field in fields) {
+        record[fields[field] as number] = (obj as { [field: string]: unknown })[field] ?? null;
+    }
+    return record;
+}
+
+export function encodeBeaconLiveData(beacons: Types.BeaconInitialStateResponse, schema: Types.MsgPackSchema = BEACON_STATE_SCHEMA): string {
+    const payload: Record<string, unknown[]> = {};
+    for (const [deviceId, beacon] of Object.entries(beacons)) {
+        payload[deviceId] = encodeRecord(beacon, schema);
+    }
+    return encodeMsgPack(payload);
+}
+
+export function encodeBeaconDiffData(beacons: Types.BeaconDiffResponse, schema: Types.MsgPackSchema = BEACON_STATE_SCHEMA): string {
+    const payload: Record<string, unknown[]> = {};
+    for (const [deviceId, beacon] of Object.entries(beacons)) {
+        payload[deviceId] = encodeRecord(beacon, schema);
+    }
+    return encodeMsgPack(payload);
+}
+
+export function encodeTagLiveData(tags: Types.TagInitialStateResponse, schema: Types.MsgPackSchema = TAG_STATE_SCHEMA): string {
+    const payload: Record<string, unknown[]> = {};
+    for (const [deviceId, tag] of Object.entries(tags)) {
+        const tagData = encodeRecord(tag, schema);
+        tagData[0] = +deviceId;
+        payload[deviceId] = tagData;
+    }
+    return encodeMsgPack(payload);
+}
+
+export function encodeAlertLiveData(alerts: Types.AlertInitialStateResponse, schema: Types.MsgPackSchema = ALERT_STATE_SCHEMA): string {
+    const payload: Record<string, unknown[]> = {};
+    for (const [alertId, alert] of Object.entries(alerts)) {
+        payload[alertId] = encodeRecord(alert, schema);
+    }
+    return encodeMsgPack(payload);
+}
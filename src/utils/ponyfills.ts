@@ -1,6 +1,7 @@
 // Fetch a function for current environment.
 // i.e. returns matching functions for NodeJs.
 
+import { DecodeError } from "./exceptions.js";
 import { isNodeJs } from "./utils.js";
 
 // atob
@@ -12,9 +13,87 @@ export function getAtob(): (s: string) => string {
     }
 }
 
+// btoa
+export function getBtoa(): (s: string) => string {
+    if (isNodeJs()) {
+        return str => Buffer.from(str, "binary").toString("base64");
+    } else {
+        return btoa;
+    }
+}
+
+// SHA-256 digest of the string as hex.
+export async function sha256Hex(value: string): Promise<string> {
+    if (isNodeJs()) {
+        // Kept out of the browser bundle.
+        const { createHash } = await import(/* webpackIgnore: true */ "crypto");
+        return createHash("sha256").update(value, "utf8").digest("hex");
+    }
+    const digest: ArrayBuffer = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(value));
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Base64 to bytes, without going through a binary string.
+export function getBase64Decoder(): (s: string) => Uint8Array {
+    if (isNodeJs()) {
+        return str => Buffer.from(str, "base64");
+    }
+    // Native in newer browsers.
+    const fromBase64: ((s: string) => Uint8Array) | undefined = (Uint8Array as any).fromBase64;
+    return typeof fromBase64 === "function"
+        ? str => fromBase64.call(Uint8Array, str)
+        : decodeBase64;
+}
+
+const BASE64_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+// Values of the Base64 characters by char code, 255 for other characters.
+let base64Lookup: Uint8Array | null = null;
+
+/**
+ * Decode a Base64 string to bytes with a lookup table, used when Buffer is
+ * not available. URL safe characters and whitespace are accepted.
+ *
+ * @param {string} str Base64 encoded string.
+ * @returns {Uint8Array}
+ */
+export function decodeBase64(str: string): Uint8Array {
+    if (!base64Lookup) {
+        base64Lookup = new Uint8Array(256).fill(255);
+        for (let i = 0; i < BASE64_ALPHABET.length; i++) {
+            base64Lookup[BASE64_ALPHABET.charCodeAt(i)] = i;
+        }
+        base64Lookup[45] = 62;  // -
+        base64Lookup[95] = 63;  // _
+    }
+
+    let end = str.length;
+    while (end > 0 && str.charCodeAt(end - 1) === 61) end--;  // =
+
+    const bytes = new Uint8Array(Math.floor(end * 3 / 4));
+    let buffer = 0;
+    let bits = 0;
+    let length = 0;
+    for (let i = 0; i < end; i++) {
+        const code = str.charCodeAt(i);
+        const value = code < 256 ? base64Lookup[code] as number : 255;
+        if (value === 255) {
+            if (code === 32 || code === 9 || code === 10 || code === 13) continue;
+            throw new DecodeError(`Invalid Base64 character at ${i}`);
+        }
+        buffer = ((buffer << 6) | value) & 0xffffff;
+        bits += 6;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes[length++] = (buffer >> bits) & 0xff;
+        }
+    }
+    return length === bytes.length ? bytes : bytes.subarray(0, length);
+}
+
 // WebSocket
 export async function getWebSocket():Promise<typeof WebSocket> {
     return await (isNodeJs()
         ? import("ws").then(wsModule => wsModule.default)
         : Promise.resolve(WebSocket));
-}
+}
\ No newline at end of file
@@ -0,0 +1,129 @@
+import { ArgumentException } from "../utils/exceptions.js";
+import { WorkflowGraph } from "./workflowgraph.js";
+import * as Types from "../types.js";
+
+// Linear interpolation between the closest ranks.
+function percentile(sorted: number[], p: number): number {
+    const rank = (sorted.length - 1) * p;
+    const lower = sorted[Math.floor(rank)] as number;
+    const upper = sorted[Math.ceil(rank)] as number;
+    return lower + (upper - lower) * (rank - Math.floor(rank));
+}
+
+/**
+ * Compute count, minimum, maximum, mean, median and 90th percentile.
+ *
+ * @param {number[]} values
+ * @returns {Types.DurationStats | null} Null if there are no values.
+ */
+export function getDurationStats(values: number[]): Types.DurationStats | null {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        count: sorted.length,
+        min: sorted[0] as number,
+        max: sorted[sorted.length - 1] as number,
+        mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+        median: percentile(sorted, 0.5),
+        p90: percentile(sorted, 0.9)
+    };
+}
+
+/**
+ * Analyse workflow results into per-step duration statistics, completion
+ * rates and per-tag timelines.
+ *
+ * A step's duration is from its start to its stop, steps that haven't
+ * stopped are counted as reached but not in the durations. With the workflow
+ * graph, a run is completed when it reached a final step and the steps that
+ * were never reached are included with zero counts.
+ *
+ * @param {Types.WorkflowResult[]} results Results from getWorkflowResults.
+ * @param {WorkflowGraph} [graph] Graph of the workflow.
+ * @returns {Types.WorkflowAnalytics}
+ */
+export function analyzeWorkflowResults(results: Types.WorkflowResult[], graph: WorkflowGraph | null = null): Types.WorkflowAnalytics {
+    if (!Array.isArray(results)) throw new ArgumentException("results");
+    if (graph !== null && !(graph instanceof WorkflowGraph)) throw new ArgumentException("graph");
+
+    const steps = new Map<number, { name: string, count: number, completed: number, runs: number, durations: number[] }>();
+    const getStep = (id: number, name: string) => {
+        let step = steps.get(id);
+        if (!step) {
+            step = { name, count: 0, completed: 0, runs: 0, durations: [] };
+            steps.set(id, step);
+        }
+        return step;
+    };
+    graph?.getSteps().forEach((node) => getStep(node.id, node.name));
+
+    const finalStepIds = new Set(graph ? graph.getFinalSteps().map((n) => n.id) : []);
+    const timelines = new Map<number, Types.WorkflowTagTimeline>();
+    const runDurations: number[] = [];
+    let completedRuns = 0;
+
+    for (const result of results) {
+        const resultSteps = [...result.steps || []].sort((a, b) => a.ts - b.ts);
+        const entries: Types.WorkflowTimelineEntry[] = [];
+        const reached = new Set<number>();
+        let end = result.ts;
+
+        for (const stepResult of resultSteps) {
+            const stats = getStep(stepResult.id, stepResult.name);
+            const stop = stepResult.stopTs ?? null;
+            const duration = stop !== null ? stop - stepResult.ts : null;
+
+            stats.count++;
+            if (!reached.has(stepResult.id)) stats.runs++;
+            reached.add(stepResult.id);
+            if (duration !== null) {
+                stats.completed++;
+                stats.durations.push(duration);
+            }
+            end = Math.max(end, stop ?? stepResult.ts);
+
+            entries.push({
+                guid: result.guid,
+                stepId: stepResult.id,
+                stepName: stepResult.name,
+                start: stepResult.ts,
+                stop,
+                duration,
+                area: stepResult.area ?? null
+            });
+        }
+
+        runDurations.push(end - result.ts);
+        if (Array.from(reached).some((id) => finalStepIds.has(id))) completedRuns++;
+
+        (result.tags || []).forEach((deviceId, i) => {
+            let timeline = timelines.get(deviceId);
+            if (!timeline) {
+                timeline = { deviceId, name: result.tagNames?.[i] ?? null, runs: 0, entries: [] };
+                timelines.set(deviceId, timeline);
+            }
+            timeline.runs++;
+            timeline.entries.push(...entries);
+        });
+    }
+
+    const runCount = results.length;
+    return {
+        runCount,
+        completedRuns: graph ? completedRuns : null,
+        completionRate: graph && runCount ? completedRuns / runCount : null,
+        runDuration: getDurationStats(runDurations),
+        steps: Array.from(steps.entries()).map(([stepId, s]) => ({
+            stepId,
+            name: s.name,
+            count: s.count,
+            completed: s.completed,
+            reachRate: runCount ? s.runs / runCount : 0,
+            duration: getDurationStats(s.durations)
+        })),
+        tags: Array.from(timelines.values()).map((t) => ({
+            ...t,
+            entries: t.entries.sort((a, b) => a.start - b.start)
+        }))
+    };
+}
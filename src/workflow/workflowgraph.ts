@@ -0,0 +1,309 @@
+import { ArgumentException } from "../utils/exceptions.js";
+import * as Types from "../types.js";
+
+// Fields of WorkflowStepAction holding the action of each kind.
+const ACTION_KINDS: Types.WorkflowActionKind[] = [
+    "ledBuzzer", "sms", "customAlert", "renameTag", "sleep",
+    "clearGroup", "email", "signalFlash", "startStep", "setTagGroup"
+];
+
+/**
+ * Get the typed actions of a workflow step, in the order of the kinds.
+ *
+ * @param {Types.WorkflowStep} step
+ * @returns {Types.TypedWorkflowAction[]}
+ */
+export function getStepActions(step: Types.WorkflowStep): Types.TypedWorkflowAction[] {
+    const action: any = step?.action;
+    if (!action) return [];
+    return ACTION_KINDS
+        .filter((kind) => action[kind] != null)
+        .map((kind) => ({ kind, action: action[kind] }) as Types.TypedWorkflowAction);
+}
+
+/**
+ * Navigable graph of a workflow's steps and links.
+ *
+ * Steps started by a startStep action are treated as successors of the
+ * action. Entry steps are condition steps without incoming links, the flow
+ * can start from any of them.
+ *
+ * @export
+ * @class WorkflowGraph
+ */
+export class WorkflowGraph {
+	public _workflow: Types.Workflow;
+	public _nodes: Map<number, Types.WorkflowNode>;
+	public _danglingLinks: Types.WorkflowLink[];
+
+    /**
+     * Creates an instance of WorkflowGraph.
+     *
+     * @param {Types.Workflow} workflow Workflow from getWorkflows.
+     * @memberof WorkflowGraph
+     */
+    constructor(workflow: Types.Workflow) {
+        if (!workflow || !workflow.flow || !Array.isArray(workflow.flow.steps)) {
+            throw new ArgumentException("workflow");
+        }
+        this._workflow = workflow;
+
+        // Nodes mapped by step ID.
+        this._nodes = new Map();
+        for (const step of workflow.flow.steps) {
+            const actions = getStepActions(step);
+            this._nodes.set(step.id, {
+                id: step.id,
+                name: step.name,
+                kind: step.step ? "step" : step.action ? "action" : "unknown",
+                step,
+                actions,
+                outgoing: [],
+                incoming: []
+            });
+        }
+
+        // Links with a missing end.
+        this._danglingLinks = [];
+        for (const link of workflow.flow.links || []) {
+            const from = this._nodes.get(link.from);
+            const to = this._nodes.get(link.to);
+            if (!from || !to) {
+                this._danglingLinks.push(link);
+                continue;
+            }
+            from.outgoing.push(link);
+            to.incoming.push(link);
+        }
+    }
+
+    get id(): number {
+        return this._workflow.id;
+    }
+
+    get name(): string {
+        return this._workflow.name;
+    }
+
+    /**
+     * Get all steps in the order of the workflow.
+     *
+     * @returns {Types.WorkflowNode[]}
+     * @memberof WorkflowGraph
+     */
+    getSteps(): Types.WorkflowNode[] {
+        return Array.from(this._nodes.values());
+    }
+
+    /**
+     * Get a step by its ID.
+     *
+     * @param {number} stepId
+     * @returns {Types.WorkflowNode | null}
+     * @memberof WorkflowGraph
+     */
+    getStep(stepId: number): Types.WorkflowNode | null {
+        return this._nodes.get(stepId) || null;
+    }
+
+    /**
+     * Get a step by its name, as referred to by startStep actions.
+     *
+     * @param {string} name
+     * @returns {Types.WorkflowNode | null}
+     * @memberof WorkflowGraph
+     */
+    getStepByName(name: string): Types.WorkflowNode | null {
+        return this.getSteps().find((n) => n.name === name) || null;
+    }
+
+    /**
+     * Get the steps that can follow a step, through links or startStep
+     * actions.
+     *
+     * @param {number} stepId
+     * @returns {Types.WorkflowNode[]}
+     * @memberof WorkflowGraph
+     */
+    getSuccessors(stepId: number): Types.WorkflowNode[] {
+        const node = this._nodes.get(stepId);
+        if (!node) return [];
+
+        const successors: Types.WorkflowNode[] = [];
+        const add = (next: Types.WorkflowNode | null | undefined) => {
+            if (next && !successors.includes(next)) successors.push(next);
+        };
+        node.outgoing.forEach((link) => add(this._nodes.get(link.to)));
+        node.actions.forEach((a) => {
+            if (a.kind === "startStep") add(this.getStepByName(a.action.stepName));
+        });
+        return successors;
+    }
+
+    /**
+     * Get the steps that a step can follow.
+     *
+     * @param {number} stepId
+     * @returns {Types.WorkflowNode[]}
+     * @memberof WorkflowGraph
+     */
+    getPredecessors(stepId: number): Types.WorkflowNode[] {
+        return this.getSteps().filter((n) => this.getSuccessors(n.id).some((s) => s.id === stepId));
+    }
+
+    /**
+     * Get the condition steps without incoming links.
+     *
+     * @returns {Types.WorkflowNode[]}
+     * @memberof WorkflowGraph
+     */
+    getEntrySteps(): Types.WorkflowNode[] {
+        return this.getSteps().filter((n) => n.kind === "step" && !n.incoming.length);
+    }
+
+    /**
+     * Get the steps without successors, reaching one completes the flow.
+     *
+     * @returns {Types.WorkflowNode[]}
+     * @memberof WorkflowGraph
+     */
+    getFinalSteps(): Types.WorkflowNode[] {
+        return this.getSteps().filter((n) => !this.getSuccessors(n.id).length);
+    }
+
+    /**
+     * Get the IDs of the steps reachable from the entry steps.
+     *
+     * @returns {Set<number>}
+     * @memberof WorkflowGraph
+     */
+    getReachableStepIds(): Set<number> {
+        const reachable = new Set<number>();
+        const queue = this.getEntrySteps();
+        while (queue.length) {
+            const node = queue.shift() as Types.WorkflowNode;
+            if (reachable.has(node.id)) continue;
+            reachable.add(node.id);
+            queue.push(...this.getSuccessors(node.id));
+        }
+        return reachable;
+    }
+
+    /**
+     * Find the cycles: groups of steps that can be reached from each other,
+     * including steps that follow themselves.
+     *
+     * @returns {number[][]} Step IDs of each cycle.
+     * @memberof WorkflowGraph
+     */
+    getCycles(): number[][] {
+        // Tarjan's strongly connected components.
+        const index = new Map<number, number>();
+        const lowLink = new Map<number, number>();
+        const stack: number[] = [];
+        const onStack = new Set<number>();
+        const cycles: number[][] = [];
+
+        const visit = (id: number) => {
+            index.set(id, index.size);
+            lowLink.set(id, index.get(id) as number);
+            stack.push(id);
+            onStack.add(id);
+
+            for (const next of this.getSuccessors(id)) {
+                if (!index.has(next.id)) {
+                    visit(next.id);
+                    lowLink.set(id, Math.min(lowLink.get(id) as number, lowLink.get(next.id) as number));
+                } else if (onStack.has(next.id)) {
+                    lowLink.set(id, Math.min(lowLink.get(id) as number, index.get(next.id) as number));
+                }
+            }
+
+            if (lowLink.get(id) !== index.get(id)) return;
+            const component: number[] = [];
+            let member: number;
+            do {
+                member = stack.pop() as number;
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== id);
+
+            if (component.length > 1 || this.getSuccessors(id).some((n) => n.id === id)) {
+                cycles.push(component.reverse());
+            }
+        };
+
+        for (const id of Array.from(this._nodes.keys())) {
+            if (!index.has(id)) visit(id);
+        }
+        return cycles;
+    }
+
+    /**
+     * Check the graph for links to missing steps, startStep actions of
+     * missing steps, unreachable steps and cycles.
+     *
+     * Dangling links and missing steps are errors, the flow can't be run as
+     * designed. Unreachable steps and cycles are warnings, they may be
+     * intended, e.g. a flow that repeats.
+     *
+     * @returns {Types.WorkflowIssue[]}
+     * @memberof WorkflowGraph
+     */
+    validate(): Types.WorkflowIssue[] {
+        const issues: Types.WorkflowIssue[] = [];
+
+        for (const link of this._danglingLinks) {
+            const missing = [link.from, link.to].filter((id) => !this._nodes.has(id));
+            issues.push({
+                type: "dangling-link",
+                severity: "error",
+                stepIds: [link.from, link.to].filter((id) => this._nodes.has(id)),
+                message: `Link from ${link.from} to ${link.to} refers to missing step ${missing.join(", ")}`
+            });
+        }
+
+        for (const node of this.getSteps()) {
+            for (const a of node.actions) {
+                if (a.kind !== "startStep" || this.getStepByName(a.action.stepName)) continue;
+                issues.push({
+                    type: "missing-step",
+                    severity: "error",
+                    stepIds: [node.id],
+                    message: `Step ${node.id} starts missing step "${a.action.stepName}"`
+                });
+            }
+        }
+
+        if (this._nodes.size && !this.getEntrySteps().length) {
+            issues.push({
+                type: "no-entry",
+                severity: "error",
+                stepIds: [],
+                message: "Workflow has no condition step without incoming links to start from"
+            });
+        } else {
+            const reachable = this.getReachableStepIds();
+            const unreachable = this.getSteps().filter((n) => !reachable.has(n.id)).map((n) => n.id);
+            if (unreachable.length) {
+                issues.push({
+                    type: "unreachable",
+                    severity: "warning",
+                    stepIds: unreachable,
+                    message: `Steps ${unreachable.join(", ")} can't be reached from the entry steps`
+                });
+            }
+        }
+
+        for (const cycle of this.getCycles()) {
+            issues.push({
+                type: "cycle",
+                severity: "warning",
+                stepIds: cycle,
+                message: `Steps ${cycle.join(", ")} form a cycle`
+            });
+        }
+
+        return issues;
+    }
+}
@@ -0,0 +1,123 @@
+import "regenerator-runtime/runtime";
+import msgpack from "@ygoe/msgpack";
+import { decodeBase64, getBase64Decoder } from "../../src/utils/ponyfills";
+import {
+    encodeTagLiveData,
+    encodeAlertLiveData,
+    parseMsgPack,
+    parseTagLiveData,
+    parseAlertLiveData
+} from "../../src/utils/messagepack";
+
+// Benchmarks of decoding the initial state messages, run with
+// `npm run benchmark`. Prints operations per second of each case.
+
+const TAG_COUNT = 5000;
+const MIN_DURATION = 300;
+
+const tag = (n) => ({
+    name: `Tag ${n}`,
+    batteryVoltage: 3.7,
+    batteryStatus: 0,
+    status: 0,
+    areas: [1, 2],
+    wire: false,
+    reed: false,
+    isOnline: true,
+    timestamp: 1600000000000 + n,
+    x: n * 1.5,
+    y: n * 0.5,
+    z: 1.2,
+    accelerometer: false,
+    floorId: 1,
+    signalLost: false,
+    powerSave: false,
+    deviceModel: 3,
+    fwVersion: "1.2.3",
+    strokeCount: 0,
+    uncertaintyDistance: 0.3,
+    odometer: 1000,
+    tripmeter: 10,
+    speed: 0.5
+});
+
+// Decoding before the schema based parsers.
+function legacyParseMsgPack(baseMsg) {
+    const bytes = Buffer.from(baseMsg, "base64").toString("binary");
+    const intArray = new Uint8Array(new ArrayBuffer(bytes.length));
+    for (let i = 0; i < bytes.length; i++) {
+        intArray[i] = bytes.charCodeAt(i);
+    }
+    return msgpack.deserialize(intArray);
+}
+
+function legacyParseTagLiveData(msg) {
+    const result = {};
+    for (const [deviceId, tagData] of Object.entries(legacyParseMsgPack(msg))) {
+        result[+deviceId] = {
+            name: tagData[1], batteryVoltage: tagData[2], batteryStatus: tagData[3], status: tagData[4],
+            areas: tagData[5], wire: tagData[6], reed: tagData[7], isOnline: tagData[8], timestamp: tagData[9],
+            x: tagData[10], y: tagData[11], z: tagData[19], accelerometer: tagData[12], floorId: tagData[13],
+            signalLost: tagData[14], powerSave: tagData[15], deviceModel: tagData[16], fwVersion: tagData[17],
+            strokeCount: tagData[18], uncertaintyDistance: tagData[20], odometer: tagData[21],
+            tripmeter: tagData[22], speed: tagData[23]
+        };
+    }
+    return result;
+}
+
+// Run `fn` repeatedly for at least MIN_DURATION milliseconds.
+function measure(fn) {
+    fn();
+    let iterations = 0;
+    const start = Date.now();
+    let elapsed = 0;
+    while (elapsed < MIN_DURATION) {
+        fn();
+        iterations++;
+        elapsed = Date.now() - start;
+    }
+    return iterations * 1000 / elapsed;
+}
+
+describe("MessagePack benchmarks", () => {
+    const tags = {};
+    const alerts = {};
+    for (let n = 1; n <= TAG_COUNT; n++) {
+        tags[n] = tag(n);
+        alerts[n] = {
+            alarmId: n, deviceId: n, alarmType: "SOS", x: 1, y: 2, z: 0, timestamp: "2020-01-01T00:00:00Z",
+            reacted: null, floorId: 1, areaNames: ["Hall"], customTitle: null
+        };
+    }
+    const tagMsg = encodeTagLiveData(tags);
+    const alertMsg = encodeAlertLiveData(alerts);
+    const fewDevices = [1, 100, 1000, 2500, 4999];
+    const results = [];
+
+    const bench = (name, fn) => test(name, () => {
+        results.push([name, Math.round(measure(fn))]);
+    });
+
+    afterAll(() => {
+        const width = Math.max(...results.map(([name]) => name.length));
+        const lines = results.map(([name, ops]) => `${name.padEnd(width)}  ${`${ops}`.padStart(8)} ops/s`);
+        process.stdout.write(`\n${TAG_COUNT} tags, ${tagMsg.length} Base64 characters\n${lines.join("\n")}\n\n`);
+    });
+
+    test("should decode the same state as before", () => {
+        expect(parseMsgPack(tagMsg)).toEqual(legacyParseMsgPack(tagMsg));
+        expect(parseTagLiveData(tagMsg)).toEqual(legacyParseTagLiveData(tagMsg));
+        expect(Object.keys(parseTagLiveData(tagMsg, fewDevices))).toEqual(fewDevices.map(String));
+    });
+
+    const nativeDecoder = getBase64Decoder();
+    bench("base64, binary string", () => Buffer.from(tagMsg, "base64").toString("binary"));
+    bench("base64, native", () => nativeDecoder(tagMsg));
+    bench("base64, lookup table", () => decodeBase64(tagMsg));
+    bench("tags, legacy", () => legacyParseTagLiveData(tagMsg));
+    bench("tags, all", () => parseTagLiveData(tagMsg));
+    bench("tags, 5 devices", () => parseTagLiveData(tagMsg, fewDevices));
+    bench("alerts, all", () => parseAlertLiveData(alertMsg));
+    bench("alerts, 5 devices", () => parseAlertLiveData(alertMsg, fewDevices));
+});
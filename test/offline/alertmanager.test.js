@@ -0,0 +1,124 @@
+import "regenerator-runtime/runtime";
+import { AlertManager } from "../../src/alerts/alertmanager";
+import { connectToMockCloud, createMockCloud, waitAsync } from "../test-shared";
+
+function alert(alarmId, reacted = null, timestamp = "2020-09-13T12:26:40.000Z") {
+    return {
+        alarmId,
+        deviceId: 100 + alarmId,
+        alarmType: "buttonPressed",
+        x: 1,
+        y: 2,
+        z: 0,
+        timestamp,
+        reacted,
+        floorId: 1,
+        areaNames: null,
+        customTitle: null
+    };
+}
+
+describe("alert manager", () => {
+    let cloud;
+    let ncc;
+    let manager;
+    let events;
+
+    beforeEach(async () => {
+        cloud = await createMockCloud();
+        cloud.alertState = { 1: alert(1), 2: alert(2, "2020-09-13T12:27:40.000Z") };
+        ncc = await connectToMockCloud(cloud);
+        manager = new AlertManager(ncc);
+        events = [];
+        for (const type of ["new", "reacted", "cleared"]) {
+            manager.on(type, ({ alert }) => events.push(`${type} ${alert.alarmId}`));
+        }
+    });
+
+    afterEach(async () => {
+        await manager.stop();
+        await ncc.close();
+        await cloud.stop();
+    });
+
+    test("should load alerts with states and time to react", async () => {
+        await manager.start();
+
+        expect(events).toEqual(["new 1", "new 2", "reacted 2"]);
+        expect(manager.getAlerts("new").map((a) => a.alarmId)).toEqual([1]);
+        expect(manager.getAlert(2)).toMatchObject({
+            state: "reacted",
+            raisedAt: Date.parse("2020-09-13T12:26:40.000Z"),
+            timeToReact: 60000
+        });
+    });
+
+    test("should follow lifecycle from diff stream", async () => {
+        await manager.start();
+        events = [];
+
+        cloud.pushAlertDiff({ alerts: { 3: alert(3) }, removedAlerts: null });
+        await waitAsync(50);
+        cloud.pushAlertDiff({ alerts: { 3: alert(3, "2020-09-13T12:28:40.000Z") }, removedAlerts: null });
+        await waitAsync(50);
+        cloud.pushAlertDiff({ alerts: null, removedAlerts: [3, 2] });
+        await waitAsync(50);
+
+        expect(events).toEqual(["new 3", "reacted 3", "cleared 3", "cleared 2"]);
+        expect(manager.getAlert(3).state).toEqual("cleared");
+        expect(manager.getMetrics()).toEqual({
+            active: 1,
+            unreacted: 1,
+            reacted: 0,
+            cleared: 2,
+            averageTimeToReact: 90000,
+            maxTimeToReact: 120000
+        });
+    });
+
+    test("should clear alerts removed while disconnected", async () => {
+        await manager.start();
+        events = [];
+
+        cloud.alertState = { 2: alert(2, "2020-09-13T12:27:40.000Z") };
+        cloud.killSockets();
+        await cloud.waitForConnections(1);
+        await waitAsync(300);
+
+        expect(events).toEqual(["cleared 1"]);
+    });
+
+    test("should query initial state with date ranges", async () => {
+        manager = new AlertManager(ncc, {
+            dateRanges: [{ start: new Date(Date.UTC(2020, 0, 1)), end: "2020-02-01T00:00:00Z" }]
+        });
+        await manager.start();
+
+        const request = await cloud.waitForRequest("initialAlertState");
+        expect(request.payload.dateRanges).toEqual([
+            { start: "2020-01-01T00:00:00.000Z", end: "2020-02-01T00:00:00.000Z" }
+        ]);
+    });
+
+    test("should send acknowledge and react requests", async () => {
+        await manager.start();
+        cloud.onRequest("reactToAlert", (request) => {
+            const { alarmId } = request.payload;
+            setTimeout(() => cloud.pushAlertDiff({
+                alerts: { [alarmId]: alert(alarmId, new Date().toISOString()) },
+                removedAlerts: null
+            }), 10);
+            return null;
+        });
+
+        await manager.acknowledge([1]);
+        expect((await cloud.waitForRequest("acknowledgeAlerts")).payload).toEqual({ alarmIds: [1] });
+
+        await manager.react(1, "Checked");
+        expect((await cloud.waitForRequest("reactToAlert")).payload).toEqual({ alarmId: 1, comment: "Checked" });
+        await waitAsync(100);
+
+        expect(manager.getAlert(1).state).toEqual("reacted");
+        await expect(manager.react(null)).rejects.toThrow();
+    });
+});
@@ -0,0 +1,159 @@
+import "regenerator-runtime/runtime";
+import { BeaconHealthMonitor } from "../../src/beacons/beaconhealthmonitor";
+import { connectToMockCloud, createMockCloud, waitAsync } from "../test-shared";
+
+const HOUR = 3600000;
+
+describe("beacon health monitor", () => {
+    let cloud;
+    let ncc;
+    let monitor;
+    let events;
+
+    beforeEach(async () => {
+        cloud = await createMockCloud();
+        ncc = await connectToMockCloud(cloud);
+        events = [];
+    });
+
+    afterEach(async () => {
+        await monitor?.detach();
+        await ncc.close();
+        await cloud.stop();
+        monitor = null;
+    });
+
+    function createMonitor(options = null) {
+        monitor = new BeaconHealthMonitor({ loggers: [], ...options });
+        monitor.on("change", ({ deviceId, status, addedIssues, removedIssues }) => {
+            events.push({ deviceId, status, addedIssues, removedIssues });
+        });
+        return monitor;
+    }
+
+    test("should track uptime and offline incidents", () => {
+        createMonitor({ rangingTimeout: null });
+
+        monitor.processState(1, { online: true }, 0);
+        monitor.processState(1, { online: false }, HOUR);
+        monitor.processState(1, { online: true }, 2 * HOUR);
+        monitor.processState(1, { online: false }, 3 * HOUR);
+        monitor.check(4 * HOUR);
+
+        expect(monitor.getBeacon(1)).toMatchObject({
+            status: "down",
+            issues: ["offline"],
+            onlineTime: 2 * HOUR,
+            offlineTime: 2 * HOUR,
+            uptime: 0.5,
+            incidentCount: 2,
+            incidents: [
+                { start: HOUR, end: 2 * HOUR, duration: HOUR },
+                { start: 3 * HOUR, end: null, duration: null }
+            ]
+        });
+        expect(events).toEqual([
+            { deviceId: 1, status: "down", addedIssues: ["offline"], removedIssues: [] },
+            { deviceId: 1, status: "healthy", addedIssues: [], removedIssues: ["offline"] },
+            { deviceId: 1, status: "down", addedIssues: ["offline"], removedIssues: [] }
+        ]);
+    });
+
+    test("should predict low battery from the voltage trend", () => {
+        createMonitor({ rangingTimeout: null, silenceTimeout: 100 * HOUR, lowVoltage: 3.5, predictionHorizon: 24 * HOUR });
+
+        // 0.01 V per hour, reaches 3.5 V 46 hours after the last sample.
+        for (let i = 0; i < 5; i++) {
+            monitor.processState(1, { online: true, voltage: 4 - i * 0.01 }, i * HOUR);
+        }
+        let beacon = monitor.getBeacon(1);
+        expect(beacon.voltageTrend).toBeCloseTo(-0.01);
+        expect(beacon.predictedLowBatteryAt).toBeCloseTo(50 * HOUR, -3);
+        expect(beacon.issues).toEqual([]);
+
+        monitor.check(31 * HOUR);
+        expect(monitor.getBeacon(1).issues).toEqual(["lowBattery"]);
+        expect(events).toEqual([
+            { deviceId: 1, status: "degraded", addedIssues: ["lowBattery"], removedIssues: [] }
+        ]);
+
+        // Charging starts a new trend.
+        monitor.processState(1, { charging: true, voltage: 4.1 }, 32 * HOUR);
+        beacon = monitor.getBeacon(1);
+        expect(beacon.voltageTrend).toBeNull();
+        expect(beacon.status).toEqual("healthy");
+    });
+
+    test("should flag beacons that stop reporting or ranging", () => {
+        createMonitor({ silenceTimeout: 10000, rangingTimeout: 5000 });
+
+        monitor.processState(1, { online: true }, 0);
+        monitor.processState(2, { online: true }, 0);
+        monitor.processRanging([{ tId: 10, bId: 1, t: 0, d: 1000 }], 4000);
+        monitor.check(6000);
+        expect(monitor.getBeacon(1).issues).toEqual([]);
+        expect(monitor.getBeacon(2)).toMatchObject({ status: "degraded", issues: ["notRanging"] });
+
+        monitor.processContacts([{ deviceId: 1, deviceModel: "beacon", lastContact: 12 }], 13000);
+        monitor.check(13000);
+        expect(monitor.getBeacon(1)).toMatchObject({ status: "degraded", lastSeenAt: 12000, issues: ["notRanging"] });
+        expect(monitor.getBeacon(2)).toMatchObject({ status: "down", issues: ["stale", "notRanging"] });
+
+        monitor.processRanging({ tId: 10, bId: 2, t: 0, d: 1000 }, 14000);
+        expect(monitor.getBeacon(2)).toMatchObject({ status: "healthy", lastSeenAt: 14000, issues: [] });
+        expect(events.filter((e) => e.deviceId === 2).map((e) => e.status)).toEqual(["degraded", "down", "healthy"]);
+    });
+
+    test("should follow the streams and summarize the site", async () => {
+        cloud.beaconState = {
+            1: { online: true, charging: false, voltage: 3.9 },
+            2: { online: true, charging: false, voltage: 3.2 },
+            3: { online: false, charging: null, voltage: null }
+        };
+        cloud.onRequest("getAvailableBeacons", () => [
+            { deviceId: 1, deviceModel: "beacon", lastContact: Date.now() },
+            { deviceId: 2, deviceModel: "beacon", lastContact: Date.now() },
+            { deviceId: 3, deviceModel: "beacon", lastContact: null }
+        ]);
+        createMonitor({ rangingTimeout: 200, checkInterval: 50 });
+        await monitor.attach(ncc);
+
+        expect(monitor.getBeacons("down").map((b) => b.deviceId)).toEqual([3]);
+        expect(monitor.getBeacon(2).issues).toEqual(["lowBattery"]);
+
+        cloud.pushBeaconDiff({ 3: { online: true } });
+        await waitAsync(250);
+        cloud.pushTwrData({ tId: 10, bId: 1, t: 0, d: 1000 });
+        await waitAsync(50);
+
+        expect(monitor.getBeacon(1).issues).toEqual([]);
+        expect(monitor.getBeacon(3)).toMatchObject({ online: true, incidentCount: 1, issues: ["notRanging"] });
+        expect(monitor.getSummary()).toMatchObject({
+            account: ncc._connection.account,
+            site: ncc._connection.site,
+            beacons: 3,
+            healthy: 1,
+            degraded: 2,
+            down: 0,
+            issues: { offline: 0, stale: 0, notRanging: 2, lowBattery: 1 },
+            openIncidents: 0,
+            unhealthy: [2, 3]
+        });
+        expect(cloud.requests.filter((r) => r.action === "getAvailableBeacons").length).toBeGreaterThan(1);
+
+        await monitor.detach();
+        expect(Object.keys(ncc._registeredEvents)).toEqual([]);
+        expect(monitor.getSummary()).toMatchObject({ account: null, site: null, beacons: 3 });
+    });
+
+    test("should unregister when attaching fails", async () => {
+        cloud.failResponses("registerToBeaconChangeStream", "forbidden", 1);
+        createMonitor();
+
+        await expect(monitor.attach(ncc)).rejects.toThrow();
+
+        expect(monitor._channel).toBeNull();
+        expect(Object.keys(ncc._registeredEvents)).toEqual([]);
+        expect(cloud.requests.some((r) => r.action === "getAvailableBeacons")).toBeFalsy();
+    });
+});
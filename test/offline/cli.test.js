@@ -0,0 +1,129 @@
+import "regenerator-runtime/runtime";
+import { run, EXIT_CODES } from "../../src/cli/cli";
+import { formatTable } from "../../src/cli/output";
+import { createMockCloud, waitAsync, MOCK_CLIENT_ID, MOCK_CLIENT_SECRET } from "../test-shared";
+
+describe("ncc command", () => {
+    let cloud;
+    let stdout;
+    let stderr;
+
+    function createIO(env = {}, files = {}) {
+        return {
+            stdout: (text) => stdout.push(text),
+            stderr: (text) => stderr.push(text),
+            env,
+            onInterrupt: null,
+            readFile: async (path) => {
+                if (!(path in files)) throw new Error("ENOENT");
+                return files[path];
+            }
+        };
+    }
+
+    function cloudArgs(clientId = MOCK_CLIENT_ID) {
+        return [
+            "--client-id", `${clientId}`, "--client-secret", MOCK_CLIENT_SECRET,
+            "--account", "1", "--site", "1",
+            "--auth-origin", cloud.authOrigin, "--api-origin", cloud.apiOrigin
+        ];
+    }
+
+    beforeEach(async () => {
+        cloud = await createMockCloud();
+        stdout = [];
+        stderr = [];
+    });
+
+    afterEach(async () => {
+        await cloud.stop();
+    });
+
+    test("should print request response as JSON or table", async () => {
+        cloud.onRequest("getSite", () => ({ id: 1, name: "Site" }));
+
+        expect(await run(["getSite", ...cloudArgs()], createIO())).toEqual(EXIT_CODES.OK);
+        expect(JSON.parse(stdout.join(""))).toEqual({ id: 1, name: "Site" });
+
+        stdout = [];
+        expect(await run(["getSite", "--output", "table", ...cloudArgs()], createIO())).toEqual(EXIT_CODES.OK);
+        expect(stdout.join("")).toEqual("id  name\n--  ----\n1   Site\n");
+    });
+
+    test("should send commands with arguments", async () => {
+        expect(await run(["renameTag", "5", "Forklift", ...cloudArgs()], createIO())).toEqual(EXIT_CODES.OK);
+        expect(cloud.requests.find((r) => r.action === "modifyTag").payload).toMatchObject({ device: 5, newName: "Forklift" });
+
+        expect(await run(["sendMessageRaw", "customAction", "{\"a\":1}", ...cloudArgs()], createIO())).toEqual(EXIT_CODES.OK);
+        expect(cloud.requests.find((r) => r.action === "customAction").payload).toEqual({ a: 1 });
+    });
+
+    test("should exit with status codes for failures", async () => {
+        expect(await run(["unknownCommand", ...cloudArgs()], createIO())).toEqual(EXIT_CODES.USAGE);
+        expect(await run(["renameTag", ...cloudArgs()], createIO())).toEqual(EXIT_CODES.USAGE);
+        expect(await run(["getSite"], createIO())).toEqual(EXIT_CODES.USAGE);
+        expect(await run(["getSite", ...cloudArgs(4321)], createIO())).toEqual(EXIT_CODES.CONNECTION_FAILED);
+
+        cloud.failResponses("getSite", "forbidden", 1);
+        expect(await run(["getSite", ...cloudArgs()], createIO())).toEqual(EXIT_CODES.REQUEST_FAILED);
+        expect(stderr[stderr.length - 1]).toEqual("Request getSite failed with status forbidden\n");
+        expect(stdout).toEqual([]);
+    });
+
+    test("should tail events as JSON lines", async () => {
+        const result = run(["tail", "LOCATION_UPDATE", "--devices", "5,6", "--count", "2", ...cloudArgs()], createIO());
+        const request = await cloud.waitForRequest("registerTagLocation", 3000);
+        expect(request.payload.deviceIds).toEqual([5, 6]);
+        await waitAsync(50);
+
+        cloud.pushLocationUpdate({ 5: { x: 1, y: 2, timestamp: 1 } });
+        cloud.pushLocationUpdate({ 6: { x: 3, y: 4, timestamp: 2 } });
+
+        expect(await result).toEqual(EXIT_CODES.OK);
+        const lines = stdout.join("").trim().split("\n").map((l) => JSON.parse(l));
+        expect(lines.map((l) => [l.eventType, Object.keys(l.payload)])).toEqual([
+            ["LOCATION_UPDATE", ["5"]],
+            ["LOCATION_UPDATE", ["6"]]
+        ]);
+    });
+
+    test("should stop tailing when the connection closes", async () => {
+        const result = run(["tail", "TAG_DIFF", ...cloudArgs()], createIO());
+        await cloud.waitForRequest("registerTagDiffStream", 3000);
+        await waitAsync(50);
+
+        cloud.killSockets();
+
+        expect(await result).toEqual(EXIT_CODES.CONNECTION_FAILED);
+        expect(stderr).toEqual(["Connection closed\n"]);
+    });
+
+    test("should resolve credentials from environment and profile", async () => {
+        cloud.onRequest("getSite", () => ({ id: 2 }));
+        const config = JSON.stringify({
+            profiles: { test: { clientId: MOCK_CLIENT_ID, clientSecret: "wrong", account: 1, site: 2 } }
+        });
+        const io = createIO({
+            HOME: "/home/user",
+            NCC_PROFILE: "test",
+            NCC_CLIENT_SECRET: MOCK_CLIENT_SECRET,
+            NCC_AUTH_ORIGIN: cloud.authOrigin,
+            NCC_API_ORIGIN: cloud.apiOrigin
+        }, { "/home/user/.ncc/config.json": config });
+
+        expect(await run(["getSite"], io)).toEqual(EXIT_CODES.OK);
+        expect(JSON.parse(stdout.join(""))).toEqual({ id: 2 });
+
+        // Profile that doesn't exist.
+        expect(await run(["getSite", "--profile", "missing"], io)).toEqual(EXIT_CODES.USAGE);
+    });
+});
+
+describe("Table output", () => {
+    test("should format dictionaries with a key column", () => {
+        expect(formatTable({ 5: { name: "A", pos: [1, 2] }, 6: { name: "B" } })).toEqual(
+            "key  name  pos\n---  ----  -----\n5    A     [1,2]\n6    B\n"
+        );
+        expect(formatTable([])).toEqual("");
+    });
+});
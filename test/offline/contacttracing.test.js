@@ -0,0 +1,205 @@
+import "regenerator-runtime/runtime";
+import { ContactTracer, toContactRecord } from "../../src/contacttracing/contacttracing";
+import {
+    exposureReportToCsv,
+    exposureReportToJson,
+    sessionsToCsv
+} from "../../src/contacttracing/report";
+import { connectToMockCloud, createMockCloud, waitAsync } from "../test-shared";
+
+const MINUTE = 60 * 1000;
+
+function contact(tag1, tag2, start, minutes, distance = 1000, level = "close") {
+    return {
+        cloudTimestamp: start,
+        tagTimestamp: null,
+        tag1,
+        tag2,
+        beacon: null,
+        distance,
+        duration: minutes * MINUTE,
+        start,
+        stop: start + minutes * MINUTE,
+        source: "tag",
+        level
+    };
+}
+
+describe("Contact tracing", () => {
+    let tracer;
+
+    beforeEach(() => {
+        tracer = new ContactTracer({
+            mergeGap: MINUTE,
+            rules: [{ level: null, minDuration: 10 * MINUTE, maxDistance: 2000 }],
+            loggers: []
+        });
+    });
+
+    test("should merge contacts into deduplicated sessions", () => {
+        tracer.addContacts([
+            contact(1, 2, 0, 5, 1500),
+            // Same contact from the other tag's point of view.
+            contact(2, 1, 0, 5, 1500),
+            // Overlapping and within the merge gap.
+            contact(1, 2, 3 * MINUTE, 4, 800),
+            contact(1, 2, 7.5 * MINUTE, 2),
+            // New session after the gap.
+            contact(1, 2, 30 * MINUTE, 1)
+        ]);
+
+        const sessions = tracer.getSessions({ deviceId: 2 });
+        expect(sessions.length).toEqual(2);
+        expect(sessions[0]).toMatchObject({
+            tag1: 1,
+            tag2: 2,
+            start: 0,
+            stop: 9.5 * MINUTE,
+            duration: 9 * MINUTE,
+            closestDistance: 800,
+            levels: ["close"]
+        });
+        expect(sessions[0].contacts.length).toEqual(3);
+        expect(tracer.getSessions({ start: 20 * MINUTE }).length).toEqual(1);
+        expect(tracer.getSessions({ deviceId: 3 })).toEqual([]);
+    });
+
+    test("should extend ongoing contacts", () => {
+        const item = contact(1, 2, 0, 1, 1500);
+        tracer.addContacts([item]);
+        const [session] = tracer.addContacts([{ ...item, stop: 5 * MINUTE, distance: 500 }]);
+
+        expect(session.contacts.length).toEqual(1);
+        expect(session.duration).toEqual(5 * MINUTE);
+        expect(session.closestDistance).toEqual(500);
+        expect(toContactRecord({ ...item, tag2: 1 })).toBeNull();
+    });
+
+    test("should apply exposure rules by level and distance", () => {
+        const leveled = new ContactTracer({
+            rules: [
+                { level: "close", minDuration: 5 * MINUTE, maxDistance: 1000 },
+                { level: "far", minDuration: 30 * MINUTE, maxDistance: null }
+            ],
+            loggers: []
+        });
+        leveled.addContacts([
+            contact(1, 2, 0, 10, 500, "close"),
+            // Too far for the rule's distance.
+            contact(1, 3, 0, 10, 1500, "close"),
+            contact(1, 4, 0, 20, null, "far"),
+            contact(1, 5, 0, 40, null, "far")
+        ]);
+
+        const exposures = leveled.getExposures(1);
+        expect(exposures.map((e) => e.deviceId)).toEqual([2, 5]);
+        expect(exposures[0]).toMatchObject({
+            hops: 1,
+            sourceDeviceId: 1,
+            path: [1, 2],
+            exposedAt: 5 * MINUTE,
+            duration: 10 * MINUTE,
+            closestDistance: 500
+        });
+        expect(exposures[1].rule.level).toEqual("far");
+    });
+
+    test("should add up contact time over the sessions of a pair", () => {
+        const tracer15 = new ContactTracer({
+            mergeGap: MINUTE,
+            rules: [{ level: null, minDuration: 15 * MINUTE, maxDistance: 2000 }],
+            loggers: []
+        });
+        tracer15.addContacts([
+            contact(1, 2, 0, 10),
+            contact(1, 2, 12 * MINUTE, 10),
+            // Outside the time range.
+            contact(1, 3, 0, 10),
+            contact(1, 3, 60 * MINUTE, 10)
+        ]);
+
+        expect(tracer15.getSessions({ deviceId: 2 }).length).toEqual(2);
+        const exposures = tracer15.getExposures(1, { stop: 30 * MINUTE });
+        expect(exposures.map((e) => e.deviceId)).toEqual([2]);
+        expect(exposures[0]).toMatchObject({ exposedAt: 17 * MINUTE, duration: 20 * MINUTE });
+        expect(exposures[0].session.start).toEqual(12 * MINUTE);
+
+        expect(tracer15.getExposures(1).map((e) => e.deviceId)).toEqual([2, 3]);
+    });
+
+    test("should follow transitive exposure chains", () => {
+        tracer.addContacts([
+            contact(1, 2, 0, 20),
+            // Tag 2 is exposed at 10 minutes, only the contact after that counts.
+            contact(2, 3, 0, 10),
+            contact(2, 4, 15 * MINUTE, 15),
+            contact(4, 5, 40 * MINUTE, 15),
+            // Not long enough.
+            contact(4, 6, 40 * MINUTE, 5)
+        ]);
+
+        expect(tracer.getExposures(1).map((e) => e.deviceId)).toEqual([2]);
+
+        const exposures = tracer.getExposures(1, { maxHops: 3 });
+        expect(exposures.map((e) => [e.deviceId, e.hops, e.path])).toEqual([
+            [2, 1, [1, 2]],
+            [4, 2, [1, 2, 4]],
+            [5, 3, [1, 2, 4, 5]]
+        ]);
+        expect(exposures[1].exposedAt).toEqual(25 * MINUTE);
+
+        // Time range of the index tag's infection.
+        expect(tracer.getExposures(1, { maxHops: 3, start: 15 * MINUTE })).toEqual([]);
+    });
+
+    test("should export reports as CSV and JSON", () => {
+        tracer.addContacts([contact(1, 2, 0, 20, 900, "close, very")]);
+
+        const report = tracer.getExposureReport(1, { maxHops: 2 });
+        const csv = exposureReportToCsv(report).split("\r\n");
+        expect(csv[0]).toEqual(
+            "indexDeviceId,deviceId,hops,sourceDeviceId,path,exposedAt,duration,closestDistance,ruleLevel,sessionStart,sessionStop"
+        );
+        expect(csv[1]).toEqual(
+            "1,2,1,1,1>2,1970-01-01T00:10:00.000Z,1200000,900,,1970-01-01T00:00:00.000Z,1970-01-01T00:20:00.000Z"
+        );
+
+        const sessions = sessionsToCsv(tracer.getSessions()).split("\r\n");
+        expect(sessions[1]).toEqual(
+            "1,2,1970-01-01T00:00:00.000Z,1970-01-01T00:20:00.000Z,1200000,900,\"close, very\",1"
+        );
+
+        const json = JSON.parse(exposureReportToJson(report));
+        expect(json).toMatchObject({ indexDeviceId: 1, maxHops: 2, start: null });
+        expect(json.exposures[0].session.contacts).toBeUndefined();
+        expect(JSON.parse(exposureReportToJson(report, true)).exposures[0].session.contacts.length).toEqual(1);
+    });
+
+    test("should merge history and live updates from channel", async () => {
+        const cloud = await createMockCloud();
+        const now = Date.now();
+        const history = [contact(1, 2, now - 20 * MINUTE, 5)];
+        cloud.onRequest("initialContactTracingState", () => history);
+        const ncc = await connectToMockCloud(cloud);
+        const sessions = [];
+        tracer.on("session", (s) => sessions.push(s));
+
+        try {
+            await tracer.attach(ncc, null, now - 60 * MINUTE);
+            const request = cloud.requests.find((r) => r.action === "initialContactTracingState");
+            expect(request.payload.start).toEqual(now - 60 * MINUTE);
+
+            // Ongoing contact continuing the history.
+            cloud.push("contactTracingUpdate", [{ ...history[0], stop: now - 10 * MINUTE }]);
+            await waitAsync(100);
+
+            expect(sessions.length).toEqual(1);
+            expect(sessions[0].duration).toEqual(10 * MINUTE);
+            expect(tracer.getExposures(2).map((e) => e.deviceId)).toEqual([1]);
+        } finally {
+            await tracer.detach();
+            await ncc.close();
+            await cloud.stop();
+        }
+    });
+});
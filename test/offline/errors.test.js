@@ -0,0 +1,148 @@
+import "regenerator-runtime/runtime";
+import { authenticate, connectWebsocket } from "../../src/socket/socketutils";
+import { CallbackTokenProvider } from "../../src/http/tokenprovider";
+import { parseTagLiveData } from "../../src/utils/messagepack";
+import {
+    AbortError,
+    AuthenticationError,
+    CloudRequestError,
+    ConnectionClosedError,
+    DecodeError,
+    NccError,
+    RequestTimeoutError,
+    TimeoutError
+} from "../../src/utils/exceptions";
+import { createAbortController, createMockCloud, connectToMockCloud, waitAsync } from "../test-shared";
+
+describe("Errors", () => {
+    let cloud;
+    let ncc;
+
+    beforeEach(async () => {
+        cloud = await createMockCloud();
+    });
+
+    afterEach(async () => {
+        await ncc?.close();
+        await cloud.stop();
+        ncc = null;
+    });
+
+    test("should reject with the error classes", async () => {
+        ncc = await connectToMockCloud(cloud, { reopenBrokenConnection: false });
+
+        cloud.failResponses("getWorkflows", "forbidden", 1);
+        const error = await ncc.getWorkflows().catch((e) => e);
+        expect(error).toBeInstanceOf(CloudRequestError);
+        expect(error).toBeInstanceOf(NccError);
+        expect(error).toMatchObject({ code: "requestFailed", action: "getWorkflows", status: "forbidden" });
+
+        expect(new RequestTimeoutError("GET", "/", 10)).toBeInstanceOf(TimeoutError);
+        expect(() => parseTagLiveData("wQ==")).toThrow(DecodeError);
+
+        cloud.dropResponses("getSite");
+        const pending = ncc.getSite();
+        cloud.killSockets(false, 1006);
+        await expect(pending).rejects.toBeInstanceOf(ConnectionClosedError);
+        await expect(ncc.getSite()).rejects.toBeInstanceOf(ConnectionClosedError);
+    });
+
+    test("should reject invalid tokens with AuthenticationError", async () => {
+        const socket = { send: () => {} };
+        const authentication = authenticate(socket, "invalid");
+        socket.onclose({ code: 4001, reason: "" });
+        await expect(authentication).rejects.toMatchObject({ name: "AuthenticationError", closeCode: 4001 });
+
+        const connecting = connectWebsocket(socket);
+        socket.onclose({ code: 1006, reason: "" });
+        await expect(connecting).rejects.toBeInstanceOf(ConnectionClosedError);
+
+        const provider = new CallbackTokenProvider(async () => "");
+        await expect(provider.getToken(cloud.authOrigin)).rejects.toBeInstanceOf(AuthenticationError);
+    });
+
+    test("should reject invalid token information and refreshes without a socket", async () => {
+        ncc = await connectToMockCloud(cloud, { reopenBrokenConnection: false });
+        const connection = ncc._connection;
+
+        await expect(connection.connect("")).rejects.toBeInstanceOf(AuthenticationError);
+        expect(() => connection.scheduleTokenRefresh(cloud.authOrigin, 10, 10, async () => "")).toThrow(AuthenticationError);
+
+        cloud.killSockets(false, 1006);
+        await waitAsync(50);
+        connection._socketHandler = null;
+        await expect(connection._sendRefreshedToken(cloud.authOrigin, async () => "")).rejects.toBeInstanceOf(ConnectionClosedError);
+    });
+
+    test("should cancel requests with an AbortSignal", async () => {
+        ncc = await connectToMockCloud(cloud);
+        cloud.dropResponses("getSite");
+
+        const controller = createAbortController();
+        const pending = ncc.getSite(controller.signal);
+        await waitAsync(20);
+        controller.abort("stop");
+        await expect(pending).rejects.toMatchObject({ name: "AbortError", reason: "stop" });
+        expect(ncc.getStats().pendingRequests).toEqual(0);
+
+        await expect(ncc.getSite(createAbortController(50).signal)).rejects.toBeInstanceOf(TimeoutError);
+        await expect(ncc.getTagState(null, controller.signal)).rejects.toBeInstanceOf(AbortError);
+    });
+
+    test("should undo registrations completed after the abort", async () => {
+        ncc = await connectToMockCloud(cloud);
+        cloud.delayResponses("registerTagLocation", 100, 1);
+
+        const controller = createAbortController();
+        const registration = ncc.registerLocationUpdate(() => {}, [1], null, controller.signal);
+        await waitAsync(20);
+        controller.abort();
+        await expect(registration).rejects.toBeInstanceOf(AbortError);
+
+        await cloud.waitForRequest("unregisterTagLocation");
+        expect(ncc._multiplexer.getSubscriberCount("LOCATION_UPDATE")).toEqual(0);
+
+        const subscriptionController = createAbortController();
+        const subscription = ncc.locationUpdates(null, { signal: subscriptionController.signal });
+        await subscription.ready;
+        subscriptionController.abort();
+        await waitAsync(20);
+        expect(subscription.disposed).toBeTruthy();
+        expect(Object.keys(ncc._registeredEvents)).toEqual([]);
+    });
+
+    test("should remove aborted commands from the outbox", async () => {
+        ncc = await connectToMockCloud(cloud, { outbox: {}, reopenBrokenConnection: false });
+        cloud.killSockets();
+        await waitAsync(20);
+
+        const controller = createAbortController();
+        const command = ncc.renameTag(1, "name", { signal: controller.signal });
+        await waitAsync(10);
+        expect(ncc.outbox.size).toEqual(1);
+
+        controller.abort();
+        await expect(command).rejects.toBeInstanceOf(AbortError);
+        expect(ncc.outbox.size).toEqual(0);
+    });
+
+    test("should report the progress of calibration", async () => {
+        ncc = await connectToMockCloud(cloud, { reopenBrokenConnection: false });
+        const result = { beaconPositions: [], tagPointPositions: [], rectangleWidth: null, rectangleHeight: null, ignoredBeaconsFromCalibration: [] };
+
+        const stages = [];
+        const calibration = ncc.calibratePositions([], null, { onProgress: ({ stage }) => stages.push(stage) });
+        await cloud.waitForRequest("calibratePositions");
+        await waitAsync(20);
+        expect(stages).toEqual(["sent", "accepted"]);
+
+        cloud.push("calibratePositionsResponse", result, false);
+        await expect(calibration).resolves.toEqual(result);
+        expect(stages).toEqual(["sent", "accepted", "completed"]);
+
+        const closed = ncc.calibratePositions([], null);
+        await waitAsync(20);
+        cloud.killSockets();
+        await expect(closed).rejects.toBeInstanceOf(ConnectionClosedError);
+    });
+});
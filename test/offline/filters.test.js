@@ -0,0 +1,132 @@
+import "regenerator-runtime/runtime";
+import { compileFilterExpression } from "../../src/socket/filterexpression";
+import { TagDiffStreamFilter } from "../../src/socket/filters";
+import { createMockCloud, connectToMockCloud, waitAsync } from "../test-shared";
+
+const context = (deviceId, item, changedFields = Object.keys(item)) => ({ deviceId, item, changedFields });
+
+describe("Filter expressions", () => {
+    test("should evaluate the conditions", () => {
+        const tag = { floorId: 2, areas: [5, 6], x: 10, y: 20, batteryStatus: 1, batteryVoltage: 3.4, isOnline: true, deviceModel: 7 };
+        const matches = (where, item = tag, deviceId = 1) => compileFilterExpression(where, { 9: [1, 2] })(context(deviceId, item));
+
+        expect(matches({ floor: [1, 2] })).toBeTruthy();
+        expect(matches({ floor: 3 })).toBeFalsy();
+        expect(matches({ area: 6 })).toBeTruthy();
+        expect(matches({ area: 6 }, { areaIds: [6] })).toBeTruthy();
+        expect(matches({ group: 9 })).toBeTruthy();
+        expect(matches({ group: 9 }, tag, 3)).toBeFalsy();
+        expect(matches({ boundingBox: { minX: 0, minY: 0, maxX: 10, maxY: 20 } })).toBeTruthy();
+        expect(matches({ polygon: [{ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 5, y: 50 }] })).toBeFalsy();
+        expect(matches({ battery: { status: [1, 2], maxVoltage: 3.5 } })).toBeTruthy();
+        expect(matches({ battery: { minVoltage: 3.6 } })).toBeFalsy();
+        expect(matches({ battery: { minVoltage: 3 } }, { voltage: 3.2 })).toBeTruthy();
+        expect(matches({ online: false }, { online: false })).toBeTruthy();
+        expect(matches({ deviceModel: 7, online: true })).toBeTruthy();
+        expect(matches({ changed: ["speed", "x"] })).toBeTruthy();
+        expect(matches({ or: [{ floor: 1 }, { not: { online: false } }] })).toBeTruthy();
+        expect(matches({ and: [{ floor: 2 }, ({ item }) => item.x > 10] })).toBeFalsy();
+        expect(matches({ predicate: ({ deviceId }) => deviceId === 1 })).toBeTruthy();
+
+        // Missing fields don't match.
+        expect(matches({ floor: 2 }, { x: 1 })).toBeFalsy();
+    });
+
+    test("should reject invalid expressions", () => {
+        expect(() => compileFilterExpression({ flor: 1 })).toThrow("Invalid argument where.flor");
+        expect(() => compileFilterExpression({ or: [{ area: "a" }] })).toThrow("Invalid argument where.or[0].area");
+        expect(() => compileFilterExpression({ group: 1 })).toThrow("Invalid argument tagGroups[1]");
+        expect(() => compileFilterExpression({ polygon: [{ x: 0, y: 0 }] })).toThrow("Invalid argument where.polygon");
+        expect(compileFilterExpression(null)).toBeNull();
+    });
+
+    test("should match diffs with the last known values", () => {
+        const filter = new TagDiffStreamFilter({ deviceIds: null, where: { floor: 1, changed: "batteryStatus" } });
+        const diff = (tags, removedTags = null) => filter.filter({ tags, removedTags });
+
+        expect(diff({ 1: { floorId: 1, x: 1 }, 2: { floorId: 2, batteryStatus: 1 } })).toBeNull();
+        expect(diff({ 1: { batteryStatus: 2 }, 2: { batteryStatus: 2 } })).toEqual({ tags: { 1: { batteryStatus: 2 } }, removedTags: null });
+        expect(diff({ 1: { floorId: 3, batteryStatus: 1 } })).toBeNull();
+        expect(diff(null, ["1"])).toEqual({ tags: null, removedTags: ["1"] });
+    });
+});
+
+describe("Filtered registrations", () => {
+    let cloud;
+    let ncc;
+
+    const location = (x, floorId) => ({ x, y: 0, z: 0, timestamp: 1, floorId });
+
+    beforeEach(async () => {
+        cloud = await createMockCloud();
+        ncc = await connectToMockCloud(cloud);
+    });
+
+    afterEach(async () => {
+        await ncc.close();
+        await cloud.stop();
+    });
+
+    test("should filter streams and states with expressions", async () => {
+        const received = [];
+        await ncc.registerLocationUpdate((err, payload) => received.push(payload), {
+            deviceIds: [1, 2, 3],
+            where: { or: [{ floor: 1 }, { boundingBox: { minX: 0, minY: 0, maxX: 5, maxY: 5 } }] }
+        });
+        expect(cloud.requests.find((r) => r.action === "registerTagLocation").payload).toEqual({ deviceIds: [1, 2, 3] });
+
+        cloud.pushLocationUpdate({ 1: location(10, 1), 2: location(10, 2), 3: location(3, 2), 4: location(1, 1) });
+        await waitAsync(50);
+        expect(received).toEqual([{ 1: location(10, 1), 3: location(3, 2) }]);
+
+        cloud.tagState = { 5: { name: "Online", isOnline: true }, 6: { name: "Offline", isOnline: false } };
+        const state = await ncc.getTagState({ deviceIds: null, where: { online: false } });
+        expect(Object.keys(state)).toEqual(["6"]);
+
+        await expect(ncc.registerTagDiffStream(() => {}, { deviceIds: null, floors: [1] })).rejects.toThrow("Invalid option floors");
+        await expect(ncc.registerTagDiffStream(() => {}, { deviceIds: null, where: { floors: [1] } })).rejects.toThrow("Invalid argument where.floors");
+    });
+
+    test("should match diffs with the initial state", async () => {
+        cloud.tagState = { 1: { floorId: 1, x: 0 }, 2: { floorId: 2, x: 0 } };
+        cloud.beaconState = {
+            1: { online: true, charging: false, voltage: 3.9 },
+            2: { online: false, charging: false, voltage: 3.9 }
+        };
+        const tags = [];
+        const beacons = [];
+        await ncc.registerTagDiffStream((err, payload) => tags.push(payload), { deviceIds: null, where: { floor: 1 } });
+        await ncc.registerBeaconDiffStream((err, payload) => beacons.push(payload), { deviceIds: null, where: { online: true } });
+
+        cloud.pushTagDiff({ tags: { 1: { x: 5 }, 2: { x: 5 } }, removedTags: null });
+        cloud.pushTagDiff({ tags: { 1: { batteryVoltage: 3.5 } }, removedTags: null });
+        cloud.pushBeaconDiff({ 1: { voltage: 3.8 }, 2: { voltage: 3.8 } });
+        await waitAsync(50);
+
+        expect(tags).toEqual([
+            { tags: { 1: { x: 5 } }, removedTags: null },
+            { tags: { 1: { batteryVoltage: 3.5 } }, removedTags: null }
+        ]);
+        expect(beacons).toEqual([{ 1: { voltage: 3.8 } }]);
+    });
+
+    test("should keep the expression when re-registering", async () => {
+        const received = [];
+        const uuid = await ncc.registerLocationUpdate((err, payload) => received.push(payload), {
+            deviceIds: null,
+            where: ({ item }) => item.x > 5
+        });
+
+        cloud.requests.length = 0;
+        cloud.killSockets();
+        await waitAsync(50);
+        await cloud.waitForConnections(1);
+        await cloud.waitForRequest("registerTagLocation");
+        await waitAsync(50);
+
+        cloud.pushLocationUpdate({ 1: location(10, 1), 2: location(1, 1) });
+        await waitAsync(50);
+        expect(received).toEqual([{ 1: location(10, 1) }]);
+        expect(ncc._registeredEvents[uuid].args.filter.where).toBeInstanceOf(Function);
+    });
+});
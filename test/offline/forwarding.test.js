@@ -0,0 +1,259 @@
+import "regenerator-runtime/runtime";
+import http from "http";
+import os from "os";
+import path from "path";
+import { promises as fsPromises } from "fs";
+import { EventForwarder } from "../../src/forwarding/forwarder";
+import { createWebhookSink, createMqttSink, formatTopic } from "../../src/forwarding/sinks";
+import { createNdjsonFileSink, createFileSpoolStore } from "../../src/forwarding/files";
+import { EVENT_TYPES } from "../../src/constants/constants";
+import { HttpError } from "../../src/utils/exceptions";
+import { createMockCloud, connectToMockCloud, waitAsync } from "../test-shared";
+
+// Sink that keeps the batches, fails while `failing` is set.
+function createMemorySink(name = "memory") {
+    const sink = {
+        name,
+        batches: [],
+        failing: false,
+        async send(events) {
+            if (sink.failing) throw Error("Sink is down");
+            sink.batches.push(events);
+        }
+    };
+    return sink;
+}
+
+function createMemoryStore() {
+    const store = {
+        spool: {},
+        load: () => JSON.parse(JSON.stringify(store.spool)),
+        save: (spool) => { store.spool = JSON.parse(JSON.stringify(spool)); }
+    };
+    return store;
+}
+
+const OPTIONS = { loggers: [], retryIntervalMin: 20, retryIntervalMax: 40 };
+
+describe("Event forwarder", () => {
+    test("should batch, split and transform events per sink", async () => {
+        const forwarder = new EventForwarder(OPTIONS);
+        const all = createMemorySink("all");
+        const locations = createMemorySink("locations");
+        forwarder.addSink(all, { batchSize: 3, batchInterval: 1000 });
+        forwarder.addSink(locations, {
+            eventTypes: [EVENT_TYPES.LOCATION_UPDATE],
+            batchInterval: 0,
+            // Skip device 2 and keep only the coordinates.
+            transform: (event) => (event.deviceId === 2 ? null : { ...event, payload: [event.payload.x, event.payload.y] })
+        });
+
+        forwarder.publish(EVENT_TYPES.LOCATION_UPDATE, { 1: { x: 1, y: 2 }, 2: { x: 3, y: 4 } }, 1, 5);
+        forwarder.publish(EVENT_TYPES.SITE_INFO, { name: "Site" }, 1, 5);
+        await waitAsync(20);
+
+        // Full batch is sent right away.
+        expect(all.batches.map((b) => b.map((e) => [e.eventType, e.deviceId, e.site]))).toEqual([[
+            ["LOCATION_UPDATE", 1, 5],
+            ["LOCATION_UPDATE", 2, 5],
+            ["SITE_INFO", null, 5]
+        ]]);
+        expect(locations.batches.map((b) => b.map((e) => e.payload))).toEqual([[[1, 2]]]);
+        expect(forwarder.getSpoolSize()).toEqual(0);
+
+        await forwarder.close();
+    });
+
+    test("should retry failed batches and keep the spool in the store", async () => {
+        const store = createMemoryStore();
+        const forwarder = new EventForwarder({ ...OPTIONS, store });
+        const sink = createMemorySink();
+        sink.failing = true;
+        const failures = [];
+        forwarder.on("failed", (e) => failures.push(e.attempts));
+        forwarder.addSink(sink, { batchInterval: 0 });
+
+        forwarder.publish(EVENT_TYPES.TAG_DIFF, { tags: null, removedTags: ["3"] });
+        await waitAsync(100);
+
+        expect(failures.slice(0, 2)).toEqual([1, 2]);
+        expect(forwarder.getSpoolSize("memory")).toEqual(1);
+        expect(store.spool.memory.map((e) => e.eventType)).toEqual(["TAG_DIFF"]);
+        await forwarder.close();
+
+        // Restarted with the sink working again.
+        const restarted = new EventForwarder({ ...OPTIONS, store });
+        const recovered = createMemorySink();
+        restarted.addSink(recovered, { batchInterval: 0 });
+        expect(await restarted.flush()).toBeTruthy();
+
+        expect(recovered.batches.map((b) => b.map((e) => e.payload.removedTags))).toEqual([[["3"]]]);
+        expect(store.spool).toEqual({});
+        await restarted.close();
+    });
+
+    test("should coalesce the saves of the spool", async () => {
+        const store = createMemoryStore();
+        let saves = 0;
+        const save = store.save;
+        store.save = async (spool) => {
+            saves++;
+            await waitAsync(10);
+            save(spool);
+        };
+        const forwarder = new EventForwarder({ ...OPTIONS, store });
+        forwarder.addSink(createMemorySink(), { batchSize: 10000, batchInterval: 1000 });
+        await forwarder._ready;
+
+        for (let i = 0; i < 2000; i++) forwarder.publish(EVENT_TYPES.ALERT_DIFF, i);
+        await waitAsync(5);
+        forwarder.publish(EVENT_TYPES.ALERT_DIFF, 2000);
+        await forwarder._saving;
+
+        expect(saves).toEqual(2);
+        expect(store.spool.memory.length).toEqual(2001);
+        await forwarder.close();
+    });
+
+    test("should drop the oldest events when the spool is full", async () => {
+        const forwarder = new EventForwarder({ ...OPTIONS, maxSpoolSize: 2 });
+        const sink = createMemorySink();
+        sink.failing = true;
+        const dropped = [];
+        forwarder.on("dropped", (e) => dropped.push(...e.events.map((ev) => ev.payload)));
+        forwarder.addSink(sink, { batchInterval: 1000 });
+
+        [1, 2, 3].forEach((n) => forwarder.publish(EVENT_TYPES.ALERT_DIFF, n));
+
+        expect(dropped).toEqual([1]);
+        expect(forwarder.getSpoolSize()).toEqual(2);
+        expect(await forwarder.flush()).toBeFalsy();
+        forwarder.removeSink("memory");
+        await forwarder.close();
+    });
+
+    test("should drop batches rejected with a client error", async () => {
+        const forwarder = new EventForwarder(OPTIONS);
+        const sink = createMemorySink();
+        const send = sink.send;
+        const statuses = [429, 400];
+        sink.send = async (events) => {
+            const status = statuses.shift();
+            if (status) throw new HttpError("POST", "http://localhost/ncc", status, "", {}, null);
+            await send(events);
+        };
+        const failures = [];
+        const dropped = [];
+        forwarder.on("failed", (e) => failures.push(e.error));
+        forwarder.on("dropped", (e) => dropped.push(...e.events.map((ev) => ev.payload)));
+        forwarder.addSink(sink, { batchInterval: 0 });
+
+        forwarder.publish(EVENT_TYPES.ALERT_DIFF, 1);
+        await waitAsync(50);
+        forwarder.publish(EVENT_TYPES.ALERT_DIFF, 2);
+        await waitAsync(20);
+
+        // Rate limit is retried, bad request isn't.
+        expect(failures.length).toEqual(1);
+        expect(dropped).toEqual([1]);
+        expect(sink.batches.map((b) => b.map((e) => e.payload))).toEqual([[2]]);
+        expect(forwarder.getSpoolSize()).toEqual(0);
+        await forwarder.close();
+    });
+
+    test("should forward updates of the channel's streams", async () => {
+        const cloud = await createMockCloud();
+        const ncc = await connectToMockCloud(cloud);
+        const forwarder = new EventForwarder(OPTIONS);
+        const sink = createMemorySink();
+        forwarder.addSink(sink, { batchInterval: 0 });
+
+        try {
+            await forwarder.attach(ncc, [{ eventType: EVENT_TYPES.LOCATION_UPDATE, filter: { deviceIds: [7] } }]);
+            cloud.pushLocationUpdate({ 7: { x: 1, y: 2, timestamp: 1 } });
+            await waitAsync(100);
+
+            expect(sink.batches.length).toEqual(1);
+            expect(sink.batches[0][0]).toMatchObject({ eventType: "LOCATION_UPDATE", account: 1, site: 1, deviceId: 7 });
+        } finally {
+            await forwarder.close();
+            await ncc.close();
+            await cloud.stop();
+        }
+    });
+});
+
+describe("Sinks", () => {
+    test("should post batches to a webhook", async () => {
+        const bodies = [];
+        let status = 500;
+        const server = http.createServer((req, res) => {
+            let body = "";
+            req.on("data", (chunk) => (body += chunk));
+            req.on("end", () => {
+                bodies.push({ body: JSON.parse(body), auth: req.headers["authorization"] });
+                res.statusCode = status;
+                res.end();
+            });
+        });
+        await new Promise((res) => server.listen(0, "127.0.0.1", res));
+        const url = `http://127.0.0.1:${server.address().port}/events`;
+
+        try {
+            const sink = createWebhookSink(url, { headers: { Authorization: "Bearer abc" } });
+            const event = { id: "1", eventType: "SITE_INFO", account: 1, site: 1, deviceId: null, timestamp: 1, payload: {} };
+
+            await expect(sink.send([event])).rejects.toMatchObject({ name: "HttpError", status: 500 });
+            status = 200;
+            await sink.send([event, event]);
+
+            expect(bodies.map((b) => [b.body.length, b.auth])).toEqual([[1, "Bearer abc"], [2, "Bearer abc"]]);
+        } finally {
+            await new Promise((res) => server.close(res));
+        }
+    });
+
+    test("should publish events to MQTT topics", async () => {
+        const published = [];
+        const client = {
+            publish: (topic, message, options, callback) => {
+                published.push([topic, JSON.parse(message).deviceId, options.qos]);
+                callback(topic.includes("fail") ? Error("Not authorized") : null);
+            }
+        };
+        const sink = createMqttSink(client, { topic: "ncc/{site}/tags/{deviceId}/location", qos: 0 });
+        const event = (deviceId) => ({ id: "1", eventType: "LOCATION_UPDATE", account: 1, site: 5, deviceId, timestamp: 1, payload: {} });
+
+        await sink.send([event(1), event(2)]);
+        expect(published).toEqual([["ncc/5/tags/1/location", 1, 0], ["ncc/5/tags/2/location", 2, 0]]);
+
+        expect(formatTopic("ncc/{eventType}/{deviceId}/{unknown}", event(null))).toEqual("ncc/LOCATION_UPDATE/all/{unknown}");
+        await expect(createMqttSink(client, { topic: "fail" }).send([event(1)])).rejects.toThrow("Not authorized");
+    });
+
+    test("should rotate NDJSON files and persist the spool", async () => {
+        const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "ncc-forwarding-"));
+        const file = path.join(dir, "events.ndjson");
+        const event = (n) => ({ id: `${n}`, eventType: "TAG_DIFF", account: 1, site: 1, deviceId: n, timestamp: 1, payload: {} });
+        const lineBytes = Buffer.byteLength(JSON.stringify(event(1)) + "\n");
+
+        try {
+            const sink = createNdjsonFileSink(file, { maxBytes: lineBytes * 2, maxFiles: 2 });
+            await sink.send([event(1), event(2), event(3)]);
+            await sink.send([event(4), event(5), event(6), event(7)]);
+
+            const read = async (p) => (await fsPromises.readFile(p, "utf8")).trim().split("\n").map((l) => JSON.parse(l).deviceId);
+            expect(await read(file)).toEqual([7]);
+            expect(await read(`${file}.1`)).toEqual([5, 6]);
+            expect(await read(`${file}.2`)).toEqual([3, 4]);
+            await expect(fsPromises.stat(`${file}.3`)).rejects.toBeDefined();
+
+            const store = createFileSpoolStore(path.join(dir, "spool.json"));
+            expect(await store.load()).toEqual({});
+            await store.save({ file: [event(1)] });
+            expect(await store.load()).toEqual({ file: [event(1)] });
+        } finally {
+            await fsPromises.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
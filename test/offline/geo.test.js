@@ -0,0 +1,167 @@
+import "regenerator-runtime/runtime";
+import { GeoReference } from "../../src/geo/georeference";
+import { layoutToGeoJson, positionsToGeoJson } from "../../src/geo/geojson";
+
+// Helsinki, 60.17N 24.94E.
+const ANCHOR = { latitude: 60.17, longitude: 24.94, azimuthAngle: 0 };
+
+// Meters between two positions, haversine.
+function distance(a, b) {
+    const toRadians = (d) => d * Math.PI / 180;
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371008.8 * Math.asin(Math.sqrt(h));
+}
+
+const LAYOUT = {
+    latitude: ANCHOR.latitude,
+    longitude: ANCHOR.longitude,
+    azimuthAngle: null,
+    floors: [
+        {
+            id: 7,
+            name: "Floor",
+            layers: [
+                {
+                    id: 1,
+                    name: "Areas",
+                    type: 2,
+                    items: [
+                        {
+                            id: 42,
+                            name: "Area",
+                            type: 1,
+                            minX: 0,
+                            maxX: 10000,
+                            minY: 0,
+                            maxY: 10000,
+                            polygonPoints: [
+                                { x: -5000, y: -5000 },
+                                { x: -5000, y: 5000 },
+                                { x: 5000, y: 5000 },
+                                { x: 5000, y: -5000 }
+                            ]
+                        },
+                        {
+                            id: 43,
+                            name: "Beacon",
+                            type: 3,
+                            deviceId: 100,
+                            minX: 19000,
+                            maxX: 21000,
+                            minY: 0,
+                            maxY: 0,
+                            radius: 5000,
+                            polygonPoints: []
+                        }
+                    ]
+                }
+            ]
+        }
+    ]
+};
+
+describe("geo-referencing", () => {
+    test("should convert local coordinates to WGS84", () => {
+        const geo = new GeoReference(ANCHOR);
+
+        expect(geo.toWgs84({ x: 0, y: 0 })).toEqual({ latitude: 60.17, longitude: 24.94 });
+
+        // 1 km north and east.
+        const north = geo.toWgs84({ x: 0, y: 1000000 });
+        const east = geo.toWgs84({ x: 1000000, y: 0 });
+        expect(north.longitude).toBeCloseTo(24.94, 10);
+        expect(north.latitude).toBeGreaterThan(60.17);
+        expect(east.latitude).toBeCloseTo(60.17, 10);
+        // Sphere is within a few meters of the ellipsoid.
+        expect(Math.abs(distance(ANCHOR, north) - 1000)).toBeLessThan(5);
+        expect(Math.abs(distance(ANCHOR, east) - 1000)).toBeLessThan(5);
+    });
+
+    test("should rotate by azimuth", () => {
+        const geo = new GeoReference({ ...ANCHOR, azimuthAngle: 90 });
+
+        // Y axis points east, X axis south.
+        const y = geo.toWgs84({ x: 0, y: 100000 });
+        const x = geo.toWgs84({ x: 100000, y: 0 });
+        expect(y.latitude).toBeCloseTo(60.17, 8);
+        expect(y.longitude).toBeGreaterThan(24.94);
+        expect(x.longitude).toBeCloseTo(24.94, 8);
+        expect(x.latitude).toBeLessThan(60.17);
+
+        const inverted = new GeoReference({ ...ANCHOR, azimuthAngle: 90 }, { invertY: true });
+        expect(inverted.toWgs84({ x: 0, y: -100000 })).toEqual(y);
+    });
+
+    test("should convert both ways", () => {
+        const geo = new GeoReference({ ...ANCHOR, azimuthAngle: 33.3 });
+        for (const point of [{ x: 12345, y: -6789 }, { x: -250000, y: 400000 }]) {
+            const local = geo.toLocal(geo.toWgs84(point));
+            expect(local.x).toBeCloseTo(point.x, 3);
+            expect(local.y).toBeCloseTo(point.y, 3);
+        }
+    });
+
+    test("should require a geo-referenced layout", () => {
+        expect(() => GeoReference.fromLayout({ latitude: null, longitude: null, azimuthAngle: null }))
+            .toThrow("not geo-referenced");
+        expect(() => new GeoReference({ ...ANCHOR, latitude: 91 })).toThrow("latitude");
+    });
+
+    test("should export layout as GeoJSON", () => {
+        const geo = GeoReference.fromLayout(LAYOUT);
+        const collection = layoutToGeoJson(LAYOUT, geo);
+
+        expect(collection.type).toEqual("FeatureCollection");
+        expect(collection.features.map((f) => [f.id, f.geometry.type, f.properties.kind])).toEqual([
+            ["floor:7", "Polygon", "floor"],
+            [42, "Polygon", "item"],
+            [43, "Point", "item"]
+        ]);
+
+        const [floor, area, beacon] = collection.features;
+        const ring = area.geometry.coordinates[0];
+        expect(ring.length).toEqual(5);
+        expect(ring[4]).toEqual(ring[0]);
+        // Counterclockwise.
+        let signedArea = 0;
+        for (let i = 1; i < ring.length; i++) {
+            signedArea += (ring[i][0] - ring[i - 1][0]) * (ring[i][1] + ring[i - 1][1]);
+        }
+        expect(signedArea).toBeLessThan(0);
+        expect(area.properties).toMatchObject({ name: "Area", floorId: 7, layerName: "Areas" });
+
+        expect(beacon.properties).toMatchObject({ deviceId: 100, radius: 5000 });
+        const center = geo.toWgs84({ x: 20000, y: 0 });
+        expect(beacon.geometry.coordinates).toEqual([center.longitude, center.latitude]);
+
+        // Floor covers both items.
+        const lons = floor.geometry.coordinates[0].map((c) => c[0]);
+        expect(Math.max(...lons)).toBeCloseTo(center.longitude, 12);
+    });
+
+    test("should export positions as GeoJSON", () => {
+        const geo = new GeoReference(ANCHOR);
+        const collection = positionsToGeoJson({
+            1: { x: 1000, y: 2000, z: 500, timestamp: 123, floorId: 7, uncertaintyDistance: 300 },
+            2: { x: null, y: null }
+        }, geo);
+
+        expect(collection.features.length).toEqual(1);
+        const [feature] = collection.features;
+        const position = geo.toWgs84({ x: 1000, y: 2000 });
+        expect(feature.geometry).toEqual({
+            type: "Point",
+            coordinates: [position.longitude, position.latitude]
+        });
+        expect(feature.properties).toEqual({
+            deviceId: 1,
+            z: 500,
+            floorId: 7,
+            timestamp: 123,
+            uncertaintyDistance: 300
+        });
+    });
+});
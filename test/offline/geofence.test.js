@@ -0,0 +1,226 @@
+import "regenerator-runtime/runtime";
+import { GeofenceEngine, LAYOUT_ZONE_PREFIX } from "../../src/geofence/geofence";
+import {
+    getLayoutItemPolygon,
+    isPointInPolygon,
+    signedDistanceToPolygon
+} from "../../src/geofence/geometry";
+import { connectToMockCloud, createMockCloud, waitAsync } from "../test-shared";
+
+const SQUARE = [
+    { x: 0, y: 0 },
+    { x: 1000, y: 0 },
+    { x: 1000, y: 1000 },
+    { x: 0, y: 1000 }
+];
+
+// Layout with one 1000x1000 area centered at (1500, 500) on floor 7,
+// points relative to the center.
+const LAYOUT = {
+    floors: [
+        {
+            id: 7,
+            name: "Floor",
+            layers: [
+                {
+                    id: 1,
+                    name: "Areas",
+                    items: [
+                        {
+                            id: 42,
+                            name: "Area 42",
+                            minX: 1000,
+                            maxX: 2000,
+                            minY: 0,
+                            maxY: 1000,
+                            polygonPoints: [
+                                { x: -500, y: -500 },
+                                { x: 500, y: -500 },
+                                { x: 500, y: 500 },
+                                { x: -500, y: 500 }
+                            ]
+                        },
+                        {
+                            id: 43,
+                            name: "Beacon",
+                            minX: 0,
+                            maxX: 0,
+                            minY: 0,
+                            maxY: 0,
+                            polygonPoints: []
+                        }
+                    ]
+                }
+            ]
+        }
+    ]
+};
+
+function location(x, y, floorId = 7, uncertaintyDistance = null) {
+    return { timestamp: Date.now(), x, y, z: 0, floorId, uncertaintyDistance };
+}
+
+describe("geometry", () => {
+    test("should test points in polygon", () => {
+        expect(isPointInPolygon({ x: 500, y: 500 }, SQUARE)).toBeTruthy();
+        expect(isPointInPolygon({ x: 1500, y: 500 }, SQUARE)).toBeFalsy();
+        expect(signedDistanceToPolygon({ x: 100, y: 500 }, SQUARE)).toEqual(100);
+        expect(signedDistanceToPolygon({ x: -50, y: 500 }, SQUARE)).toEqual(-50);
+    });
+
+    test("should convert relative layout polygon to site coordinates", () => {
+        const item = LAYOUT.floors[0].layers[0].items[0];
+        expect(getLayoutItemPolygon(item)).toEqual([
+            { x: 1000, y: 0 },
+            { x: 2000, y: 0 },
+            { x: 2000, y: 1000 },
+            { x: 1000, y: 1000 }
+        ]);
+        const absolute = { ...item, polygonPoints: getLayoutItemPolygon(item) };
+        expect(getLayoutItemPolygon(absolute)).toEqual(absolute.polygonPoints);
+    });
+});
+
+describe("geofence engine", () => {
+    let engine;
+    let events;
+
+    beforeEach(() => {
+        engine = new GeofenceEngine({ loggers: [] });
+        events = [];
+        for (const type of ["enter", "exit", "dwell"]) {
+            engine.on(type, (e) => events.push(`${type} ${e.deviceId} ${e.zoneId}`));
+        }
+    });
+
+    afterEach(async () => {
+        await engine.detach();
+    });
+
+    test("should emit enter and exit for layout and custom zones", () => {
+        expect(engine.loadLayout(LAYOUT)).toEqual(1);
+        engine.addZone("office", SQUARE, 7, "Office");
+
+        engine.processLocationUpdate({ 1: location(500, 500) });
+        engine.processLocationUpdate({ 1: location(1500, 500) });
+        engine.processLocationUpdate({ 1: location(1600, 500) });
+
+        expect(events).toEqual([
+            "enter 1 office",
+            "exit 1 office",
+            `enter 1 ${LAYOUT_ZONE_PREFIX}42`
+        ]);
+        expect(engine.getZonesOfDevice(1)).toEqual([`${LAYOUT_ZONE_PREFIX}42`]);
+        expect(engine.getDevicesInZone(`${LAYOUT_ZONE_PREFIX}42`)).toEqual([1]);
+    });
+
+    test("should keep members of unchanged zones when layout is reloaded", () => {
+        engine.loadLayout(LAYOUT);
+        engine.processLocationUpdate({ 1: location(1500, 500) });
+        events = [];
+
+        const renamed = JSON.parse(JSON.stringify(LAYOUT));
+        renamed.floors[0].layers[0].items[0].name = "Renamed";
+        expect(engine.loadLayout(renamed)).toEqual(1);
+        expect(events).toEqual([]);
+        expect(engine.getZones()[0].name).toEqual("Renamed");
+
+        const moved = JSON.parse(JSON.stringify(LAYOUT));
+        moved.floors[0].layers[0].items[0].minX = 3000;
+        moved.floors[0].layers[0].items[0].maxX = 4000;
+        engine.loadLayout(moved);
+        expect(events).toEqual([`exit 1 ${LAYOUT_ZONE_PREFIX}42`]);
+    });
+
+    test("should track membership per floor", () => {
+        engine.addZone("office", SQUARE, 7);
+        engine.addZone("everywhere", SQUARE);
+
+        engine.processLocationUpdate({ 1: location(500, 500, 7) });
+        engine.processLocationUpdate({ 1: location(500, 500, 8) });
+
+        expect(events).toEqual([
+            "enter 1 office",
+            "enter 1 everywhere",
+            "exit 1 office"
+        ]);
+    });
+
+    test("should suppress jitter with uncertainty hysteresis", () => {
+        engine.addZone("office", SQUARE, 7);
+
+        // Inside by less than the uncertainty, not entered yet.
+        engine.processLocationUpdate({ 1: location(950, 500, 7, 100) });
+        expect(events).toEqual([]);
+
+        engine.processLocationUpdate({ 1: location(850, 500, 7, 100) });
+        // Jitter around the edge.
+        engine.processLocationUpdate({ 1: location(1020, 500, 7, 100) });
+        engine.processLocationUpdate({ 1: location(980, 500, 7, 100) });
+        engine.processLocationUpdate({ 1: location(1050, 500, 7, 100) });
+        expect(events).toEqual(["enter 1 office"]);
+
+        engine.processLocationUpdate({ 1: location(1150, 500, 7, 100) });
+        expect(events).toEqual(["enter 1 office", "exit 1 office"]);
+    });
+
+    test("should ignore too uncertain locations", () => {
+        engine = new GeofenceEngine({ loggers: [], maxUncertainty: 200 });
+        engine.on("enter", (e) => events.push(e.zoneId));
+        engine.addZone("office", SQUARE);
+
+        engine.processLocationUpdate({ 1: location(500, 500, 7, 300) });
+        expect(events).toEqual([]);
+        engine.processLocationUpdate({ 1: location(500, 500, 7, 150) });
+        expect(events).toEqual(["office"]);
+    });
+
+    test("should emit dwell once per threshold", () => {
+        engine = new GeofenceEngine({ loggers: [], dwellThresholds: [2000, 1000] });
+        const dwells = [];
+        engine.on("dwell", (e) => dwells.push(e.dwellThreshold));
+        engine.addZone("office", SQUARE);
+
+        const start = Date.now();
+        engine.processLocationUpdate({ 1: location(500, 500) });
+        engine.checkDwell(start + 500);
+        expect(dwells).toEqual([]);
+
+        engine.checkDwell(start + 1500);
+        engine.checkDwell(start + 1600);
+        expect(dwells).toEqual([1000]);
+
+        engine.checkDwell(start + 5000);
+        expect(dwells).toEqual([1000, 2000]);
+    });
+
+    test("should exit zones of removed zones and devices", () => {
+        engine.addZone("a", SQUARE);
+        engine.addZone("b", SQUARE);
+        engine.processLocationUpdate({ 1: location(500, 500), 2: location(500, 500) });
+        events = [];
+
+        engine.removeZone("a");
+        engine.removeDevice(2);
+
+        expect(events.sort()).toEqual(["exit 1 a", "exit 2 a", "exit 2 b"]);
+    });
+
+    test("should track tags from channel's location stream", async () => {
+        const cloud = await createMockCloud();
+        cloud.onRequest("getLayout", () => LAYOUT);
+        const ncc = await connectToMockCloud(cloud);
+
+        try {
+            await engine.attach(ncc);
+            cloud.pushLocationUpdate({ 5: location(1500, 500) });
+            await waitAsync(100);
+
+            expect(events).toEqual([`enter 5 ${LAYOUT_ZONE_PREFIX}42`]);
+        } finally {
+            await engine.detach();
+            await ncc.close();
+            await cloud.stop();
+        }
+    });
+});
@@ -0,0 +1,192 @@
+import "regenerator-runtime/runtime";
+import { LayoutEditor, diffLayouts, validateLayout } from "../../src/layout/layouteditor";
+import { isSelfIntersecting } from "../../src/geofence/geometry";
+import { LayoutValidationError } from "../../src/utils/exceptions";
+import { connectToMockCloud, createMockCloud } from "../test-shared";
+
+// Floor 1 with a 20x10 m image and a 2x2 m area centered at (5000, 5000).
+function createLayout() {
+    return {
+        latitude: null,
+        longitude: null,
+        azimuthAngle: null,
+        floors: [
+            {
+                id: 1,
+                name: "Ground floor",
+                layers: [
+                    {
+                        id: 10,
+                        name: "Images",
+                        items: [
+                            { id: 100, name: "Plan", fileName: "plan.png", minX: 0, minY: 0, maxX: 20000, maxY: 10000, polygonPoints: [] }
+                        ]
+                    },
+                    {
+                        id: 11,
+                        name: "Areas",
+                        items: [
+                            {
+                                id: 101,
+                                name: "Area",
+                                minX: 4000,
+                                minY: 4000,
+                                maxX: 6000,
+                                maxY: 6000,
+                                polygonPoints: [
+                                    { x: -1000, y: -1000 },
+                                    { x: 1000, y: -1000 },
+                                    { x: 1000, y: 1000 },
+                                    { x: -1000, y: 1000 }
+                                ]
+                            }
+                        ]
+                    }
+                ]
+            }
+        ]
+    };
+}
+
+describe("layout editor", () => {
+    test("should compute a minimal changeset", () => {
+        const original = createLayout().floors;
+        const edited = createLayout().floors;
+
+        edited[0].layers[1].items[0].name = "Renamed";
+        edited[0].layers[1].items.push({ id: -1, name: "New", polygonPoints: [] });
+        edited[0].layers.splice(0, 1);
+
+        expect(diffLayouts(original, edited)).toEqual({
+            create: [{ type: "item", id: -1, parentId: 11, values: { id: -1, name: "New", polygonPoints: [] } }],
+            update: [{ type: "item", id: 101, parentId: 11, values: { name: "Renamed" } }],
+            // Image item is removed with its layer.
+            remove: [{ type: "layer", id: 10 }]
+        });
+        expect(diffLayouts(original, createLayout().floors))
+            .toEqual({ create: [], update: [], remove: [] });
+    });
+
+    test("should validate polygons", () => {
+        const floors = createLayout().floors;
+        const items = floors[0].layers[1].items;
+        const polygon = (id, points) => ({ id, minX: 0, minY: 0, maxX: 0, maxY: 0, polygonPoints: points });
+
+        // Absolute points, as they span the bounding box.
+        items.push({
+            ...polygon(102, [{ x: 0, y: 0 }, { x: 2000, y: 2000 }, { x: 2000, y: 0 }, { x: 0, y: 2000 }]),
+            maxX: 2000,
+            maxY: 2000
+        });
+        items.push(polygon(103, [{ x: 0, y: 0 }, { x: 1000, y: 0 }, { x: 0, y: 0 }]));
+        items.push({
+            ...polygon(104, [{ x: 19000, y: 0 }, { x: 21000, y: 0 }, { x: 21000, y: 1000 }]),
+            minX: 19000,
+            maxX: 21000,
+            maxY: 1000
+        });
+
+        expect(validateLayout(floors).map((i) => [i.id, i.message])).toEqual([
+            [102, "Polygon intersects itself"],
+            [103, "Polygon is not closed, it needs at least three vertices enclosing an area"],
+            [104, "Polygon is outside the floor bounds"]
+        ]);
+        expect(validateLayout(floors, { getFloorBounds: null }).length).toEqual(2);
+
+        expect(isSelfIntersecting([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }])).toBeFalsy();
+    });
+
+    describe("with cloud", () => {
+        let cloud;
+        let ncc;
+        let layout;
+
+        beforeEach(async () => {
+            cloud = await createMockCloud();
+            layout = createLayout();
+            cloud.onRequest("getLayout", () => layout);
+            cloud.onRequest("getSite", () => ({
+                layoutVersions: [
+                    { majorId: 1, majorNumber: 1, minorId: 6, minorNumber: 1, start: null, stop: "2020-09-13T12:26:40.000Z" },
+                    { majorId: 2, majorNumber: 2, minorId: 7, minorNumber: 1, start: "2020-09-13T12:26:40.000Z", stop: null }
+                ]
+            }));
+            ncc = await connectToMockCloud(cloud);
+        });
+
+        afterEach(async () => {
+            await ncc.close();
+            await cloud.stop();
+        });
+
+        test("should edit and save the changes", async () => {
+            const editor = new LayoutEditor(ncc);
+            await editor.load();
+            expect(editor.hasChanges).toBeFalsy();
+
+            const layer = editor.addLayer(1, { name: "Zones" });
+            const item = editor.addItem(layer.id, { name: "Dock" });
+            editor.setItemPolygon(item.id, [{ x: 1000, y: 1000 }, { x: 3000, y: 1000 }, { x: 3000, y: 2000 }]);
+            editor.updateItem(101, { name: "Renamed" });
+            editor.removeItem(100);
+            editor.setAnchor({ latitude: 60, longitude: 25 });
+
+            expect(editor.getItem(item.id)).toMatchObject({
+                minX: 1000,
+                maxX: 3000,
+                polygonPoints: [{ x: -1000, y: -500 }, { x: 1000, y: -500 }, { x: 1000, y: 500 }]
+            });
+
+            // Floor bounds come from the removed image, so nothing is checked.
+            cloud.onRequest("savelayout", () => ({
+                layoutIds: [{ majorId: 2, majorNumber: 2, minorId: 8, minorNumber: 2 }]
+            }));
+            const response = await editor.save("Added dock");
+            expect(response.layoutIds[0].minorId).toEqual(8);
+
+            // Saved as a new version of the current layout.
+            const request = cloud.requests.find((r) => r.action === "savelayout");
+            expect(request.payload.guid).toMatch(/^[0-9a-f-]{36}$/);
+            const { layouts } = request.payload.layout;
+            expect(layouts.update).toEqual([]);
+            expect(layouts.remove).toEqual([]);
+
+            const [created] = layouts.create;
+            expect(created).toMatchObject({ majorId: 2, majorNumber: 2, comment: "Added dock", latitude: 60, longitude: 25 });
+            const [floor] = created.floors;
+            expect(floor.layers.map((l) => [l.id, l.name, l.items.map((i) => [i.id, i.name])])).toEqual([
+                [10, "Images", []],
+                [11, "Areas", [[101, "Renamed"]]],
+                [0, "Zones", [[0, "Dock"]]]
+            ]);
+
+            // Saved version is loaded.
+            expect(editor.hasChanges).toBeFalsy();
+            const loads = cloud.requests.filter((r) => r.action === "getLayout");
+            expect(loads.map((r) => r.payload.minorId)).toEqual([null, 8]);
+        });
+
+        test("should offset filled polygons by their center", async () => {
+            cloud.onRequest("fillPolygon", () => ({
+                slavePolygons: [{ x: 5000, y: 3000, polygonPoints: [{ x: -500, y: -100 }, { x: 500, y: 100 }] }]
+            }));
+
+            const area = layout.floors[0].layers[1].items[0];
+            const [filled] = await ncc.fillPolygon(area, [area]);
+            expect(filled).toMatchObject({ minX: 4500, maxX: 5500, minY: 2900, maxY: 3100 });
+        });
+
+        test("should not send invalid layouts", async () => {
+            const editor = new LayoutEditor(ncc);
+            await editor.load();
+
+            editor.setItemPolygon(101, [{ x: 1000, y: 1000 }, { x: 30000, y: 1000 }, { x: 3000, y: 2000 }]);
+            const error = await editor.save().catch((e) => e);
+
+            expect(error).toBeInstanceOf(LayoutValidationError);
+            expect(error.issues.map((i) => i.id)).toEqual([101]);
+            expect(cloud.requests.some((r) => r.action === "savelayout")).toBeFalsy();
+            expect(await new LayoutEditor(ncc).save().catch((e) => e.message)).toEqual("Layout is not loaded");
+        });
+    });
+});
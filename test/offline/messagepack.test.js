@@ -0,0 +1,122 @@
+import "regenerator-runtime/runtime";
+import msgpack from "@ygoe/msgpack";
+import { decodeBase64 } from "../../src/utils/ponyfills";
+import {
+    MsgPackReader,
+    TAG_STATE_SCHEMA,
+    extendSchema,
+    encodeMsgPack,
+    encodeTagLiveData,
+    encodeAlertLiveData,
+    encodeBeaconDiffData,
+    parseTagLiveData,
+    parseAlertLiveData,
+    parseBeaconDiffData
+} from "../../src/utils/messagepack";
+
+const tag = (n) => ({
+    name: `Tag ${n}`,
+    batteryVoltage: 3.7,
+    batteryStatus: 0,
+    status: 0,
+    areas: [n],
+    wire: false,
+    reed: false,
+    isOnline: true,
+    timestamp: 1600000000000 + n,
+    x: n * 10,
+    y: -n,
+    z: 1.5,
+    accelerometer: true,
+    floorId: 1,
+    signalLost: false,
+    powerSave: false,
+    deviceModel: 3,
+    fwVersion: "1.2.3",
+    strokeCount: 0,
+    uncertaintyDistance: null,
+    odometer: 1000,
+    tripmeter: 10,
+    speed: 0.5
+});
+
+const alert = (alarmId, deviceId) => ({
+    alarmId,
+    deviceId,
+    alarmType: "SOS",
+    x: 1,
+    y: 2,
+    z: 0,
+    timestamp: "2020-01-01T00:00:00Z",
+    reacted: null,
+    floorId: null,
+    areaNames: ["Hall"],
+    customTitle: null
+});
+
+describe("MessagePack decoding", () => {
+    test("should decode Base64 without Buffer", () => {
+        const bytes = Uint8Array.from({ length: 300 }, (_, i) => (i * 37) % 256);
+        for (const length of [0, 1, 2, 3, 4, 299, 300]) {
+            const data = bytes.subarray(0, length);
+            const base64 = Buffer.from(data).toString("base64");
+            expect(decodeBase64(base64)).toEqual(data);
+        }
+        expect(decodeBase64("-_8=")).toEqual(Uint8Array.from([0xfb, 0xff]));
+        expect(() => decodeBase64("ab*d")).toThrow("Invalid Base64 character at 2");
+    });
+
+    test("should skip values of every type", () => {
+        const value = {
+            str: "ä".repeat(40),
+            long: "x".repeat(300),
+            numbers: [1, -1, -100, 200, 70000, -70000, 2 ** 40, -(2 ** 40), 1.5],
+            flags: [true, false, null],
+            bin: new Uint8Array(300),
+            date: new Date(1600000000000),
+            nested: { a: [[1], { b: 2 }], list: new Array(20).fill(0) }
+        };
+        const reader = new MsgPackReader(msgpack.serialize([value, "end"]));
+        expect(reader.readArrayHeader()).toEqual(2);
+        reader.skip();
+        expect(reader.readValue()).toEqual("end");
+        expect(reader.isAtEnd()).toBeTruthy();
+    });
+
+    test("should decode only the filtered devices", () => {
+        const tags = {};
+        for (let n = 1; n <= 50; n++) tags[n] = tag(n);
+        const msg = encodeTagLiveData(tags);
+
+        expect(parseTagLiveData(msg)).toEqual(tags);
+        expect(parseTagLiveData(msg, [3, 40, 99])).toEqual({ 3: tag(3), 40: tag(40) });
+        expect(parseTagLiveData(msg, [])).toEqual({});
+
+        const alerts = { 10: alert(10, 1), 11: alert(11, 2), 12: alert(12, 1) };
+        expect(parseAlertLiveData(encodeAlertLiveData(alerts), [1])).toEqual({ 10: alerts[10], 12: alerts[12] });
+
+        const diff = encodeBeaconDiffData({ 5: { online: false }, 6: { voltage: 3 } });
+        expect(parseBeaconDiffData(diff, [5])).toEqual({ 5: { online: false } });
+    });
+
+    test("should tolerate added fields", () => {
+        // Newer cloud appends fields to the records.
+        const record = (n) => [n, ...Object.keys(TAG_STATE_SCHEMA.fields).map(() => 0), "new", [1, 2]];
+        const fields = TAG_STATE_SCHEMA.fields;
+        const payload = { 1: record(1), 2: record(2) };
+        Object.entries(fields).forEach(([field, index]) => {
+            payload[1][index] = tag(1)[field];
+            payload[2][index] = tag(2)[field];
+        });
+        const msg = encodeMsgPack(payload);
+
+        expect(parseTagLiveData(msg, [2])).toEqual({ 2: tag(2) });
+
+        const schemaV2 = extendSchema(TAG_STATE_SCHEMA, { label: 24, zones: 25 });
+        expect(schemaV2.version).toEqual(TAG_STATE_SCHEMA.version + 1);
+        expect(parseTagLiveData(msg, null, schemaV2)[1]).toEqual({ ...tag(1), label: "new", zones: [1, 2] });
+
+        // Older records are missing the new fields.
+        expect(parseTagLiveData(encodeTagLiveData({ 3: tag(3) }), [3], schemaV2)[3].label).toBeUndefined();
+    });
+});
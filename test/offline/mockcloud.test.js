@@ -0,0 +1,143 @@
+import "regenerator-runtime/runtime";
+import { EventChannel } from "../../src/socket/eventhandler";
+import {
+    MOCK_CLIENT_ID,
+    connectToMockCloud,
+    createMockCloud,
+    waitAsync
+} from "../test-shared";
+
+const TAG = {
+    name: "Tag 1",
+    batteryVoltage: 3.7,
+    batteryStatus: 0,
+    status: 0,
+    areas: [1, 2],
+    wire: false,
+    reed: false,
+    isOnline: true,
+    timestamp: 1600000000000,
+    x: 100,
+    y: 200,
+    z: 0,
+    accelerometer: false,
+    floorId: 1,
+    signalLost: false,
+    powerSave: false,
+    deviceModel: 1,
+    fwVersion: "1.0",
+    strokeCount: 0,
+    uncertaintyDistance: null,
+    odometer: 0,
+    tripmeter: 0,
+    speed: null
+};
+
+describe("mock cloud", () => {
+    let cloud;
+    let ncc;
+
+    beforeEach(async () => {
+        cloud = await createMockCloud();
+        cloud.tagState = { 123: TAG };
+    });
+
+    afterEach(async () => {
+        if (ncc) await ncc.close();
+        await cloud.stop();
+        ncc = null;
+    });
+
+    test("should authenticate with client credentials", async () => {
+        ncc = await connectToMockCloud(cloud);
+
+        expect(ncc.connected).toBeTruthy();
+        expect(cloud.tokenRequestCount).toEqual(1);
+        expect(cloud.connectionCount).toEqual(1);
+    });
+
+    test("should reject invalid credentials", async () => {
+        const channel = new EventChannel(1, 1, { loggers: [] }, cloud.apiOrigin);
+        await expect(
+            channel.connect(MOCK_CLIENT_ID, "hunter2", cloud.authOrigin)
+        ).rejects.toThrow();
+        expect(channel.connected).toBeFalsy();
+    });
+
+    test("should serve MessagePack encoded initial tag state", async () => {
+        ncc = await connectToMockCloud(cloud);
+
+        const tagState = await ncc.getTagState();
+        expect(tagState[123]).toEqual(TAG);
+    });
+
+    test("should deliver pushed events to registered callbacks", async () => {
+        ncc = await connectToMockCloud(cloud);
+
+        const received = [];
+        await ncc.registerTagDiffStream((err, payload) => received.push(payload), [123]);
+        await cloud.waitForRequest("registerTagDiffStream");
+
+        cloud.pushTagDiff({ tags: { 123: { x: 5 }, 456: { x: 6 } }, removedTags: null });
+        await waitAsync(50);
+
+        expect(received).toEqual([{ tags: { 123: { x: 5 } }, removedTags: null }]);
+    });
+
+    test("should answer pings", async () => {
+        ncc = await connectToMockCloud(cloud);
+
+        cloud.ping();
+        await waitAsync(50);
+
+        expect(cloud.pongCount).toEqual(1);
+    });
+
+    test("should reject requests with failure status", async () => {
+        ncc = await connectToMockCloud(cloud);
+        cloud.failResponses("getSite", "forbidden", 1);
+
+        await expect(ncc.getSite()).rejects.toMatchObject({ name: "CloudRequestError", action: "getSite", status: "forbidden" });
+        await expect(ncc.getSite()).resolves.toBeDefined();
+    });
+
+    test("should time out dropped responses", async () => {
+        ncc = await connectToMockCloud(cloud, { requestTimeout: 100 });
+        cloud.dropResponses("getSite");
+
+        await expect(ncc.getSite()).rejects.toMatchObject({ name: "TimeoutError", code: "timeout", timeout: 100 });
+    }, 10000);
+
+    test("should reconnect and re-register events after socket is killed", async () => {
+        ncc = await connectToMockCloud(cloud);
+
+        const received = [];
+        await ncc.registerLocationUpdate((err, payload) => received.push(payload));
+
+        cloud.killSockets();
+        await waitAsync(50);
+        expect(ncc.connected).toBeFalsy();
+
+        await cloud.waitForConnections(1);
+        await waitAsync(100);
+        expect(ncc.connected).toBeTruthy();
+        expect(cloud.requests.filter((r) => r.action === "registerTagLocation").length).toEqual(2);
+
+        cloud.pushLocationUpdate({ 123: { x: 1, y: 2, timestamp: 1 } });
+        await waitAsync(50);
+        expect(received.length).toEqual(1);
+    });
+
+    test("should refresh token before it expires", async () => {
+        await cloud.stop();
+        cloud = await createMockCloud({ tokenLifetime: 2 });
+
+        ncc = await connectToMockCloud(cloud);
+        const request = await cloud.waitForRequest("refreshToken", 3000);
+
+        expect(request.payload.token).toBeDefined();
+        expect(cloud.tokenRequestCount).toEqual(2);
+        await waitAsync(50);
+        expect(ncc.connected).toBeTruthy();
+    });
+});
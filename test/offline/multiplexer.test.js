@@ -0,0 +1,112 @@
+import "regenerator-runtime/runtime";
+import { EVENT_TYPES } from "../../src/constants/constants";
+import { mergeStreamFilters } from "../../src/socket/multiplexer";
+import { createMockCloud, connectToMockCloud, waitAsync } from "../test-shared";
+
+describe("Stream multiplexing", () => {
+    let cloud;
+    let ncc;
+
+    // Cloud requests of the location stream as [action, deviceIds].
+    const streamRequests = () => cloud.requests
+        .filter((r) => /^(un)?registerTagLocation$/.test(r.action))
+        .map((r) => [r.action, r.payload.deviceIds]);
+
+    const location = (x) => ({ x, y: 0, timestamp: 1 });
+
+    beforeEach(async () => {
+        cloud = await createMockCloud();
+        ncc = await connectToMockCloud(cloud);
+    });
+
+    afterEach(async () => {
+        await ncc.close();
+        await cloud.stop();
+    });
+
+    test("should widen and narrow the shared cloud filter", async () => {
+        const first = [];
+        const second = [];
+        const uuid1 = await ncc.registerLocationUpdate((err, payload) => first.push(payload), [1]);
+        const uuid2 = await ncc.registerLocationUpdate((err, payload) => second.push(payload), [2]);
+
+        cloud.pushLocationUpdate({ 1: location(1), 2: location(2), 3: location(3) });
+        await waitAsync(50);
+        expect(first).toEqual([{ 1: location(1) }]);
+        expect(second).toEqual([{ 2: location(2) }]);
+
+        await ncc.unregister(uuid1);
+        cloud.pushLocationUpdate({ 1: location(4), 2: location(5) });
+        await waitAsync(50);
+        expect(first.length).toEqual(1);
+        expect(second).toEqual([{ 2: location(2) }, { 2: location(5) }]);
+
+        await ncc.unregister(uuid2);
+        expect(cloud.pushLocationUpdate({ 2: location(6) })).toEqual(0);
+
+        expect(streamRequests()).toEqual([
+            ["registerTagLocation", [1]],
+            ["registerTagLocation", [1, 2]],
+            ["unregisterTagLocation", [1]],
+            ["registerTagLocation", [2]],
+            ["unregisterTagLocation", [1, 2]],
+            ["unregisterTagLocation", [2]]
+        ]);
+    });
+
+    test("should share identical registrations", async () => {
+        const first = [];
+        const second = [];
+        const uuid1 = await ncc.registerLocationUpdate((err, payload) => first.push(payload));
+        await ncc.registerLocationUpdate((err, payload) => second.push(payload));
+        // All devices covers the narrower filter.
+        const uuid3 = await ncc.registerLocationUpdate(() => {}, [5]);
+        await ncc.unregister(uuid3);
+
+        // Unregistering one doesn't remove the other from the cloud.
+        await ncc.unregister(uuid1);
+        cloud.pushLocationUpdate({ 1: location(1) });
+        await waitAsync(50);
+
+        expect(first).toEqual([]);
+        expect(second).toEqual([{ 1: location(1) }]);
+        expect(streamRequests()).toEqual([["registerTagLocation", null]]);
+        expect(ncc._multiplexer.getSubscriberCount(EVENT_TYPES.LOCATION_UPDATE)).toEqual(1);
+    });
+
+    test("should keep the subscription if widening fails", async () => {
+        const received = [];
+        await ncc.registerLocationUpdate((err, payload) => received.push(payload), [1]);
+
+        cloud.failResponses("registerTagLocation", "forbidden", 1);
+        await expect(ncc.registerLocationUpdate(() => {}, [2])).rejects.toMatchObject({ status: "forbidden" });
+
+        cloud.pushLocationUpdate({ 1: location(1) });
+        await waitAsync(50);
+        expect(received).toEqual([{ 1: location(1) }]);
+        expect(ncc._multiplexer.getCloudFilter(EVENT_TYPES.LOCATION_UPDATE)).toEqual({ deviceIds: [1] });
+    });
+
+    test("should re-register the combined filter after reconnecting", async () => {
+        await ncc.registerLocationUpdate(() => {}, [1]);
+        await ncc.registerLocationUpdate(() => {}, [2]);
+        cloud.requests.length = 0;
+
+        cloud.killSockets();
+        await waitAsync(50);
+        await cloud.waitForConnections(1);
+        await waitAsync(200);
+
+        expect(streamRequests()).toEqual([
+            ["registerTagLocation", [1, 2]]
+        ]);
+    });
+
+    test("should merge the device fields of TWR filters", () => {
+        const definition = { deviceFields: ["deviceIds", "tagDeviceIds", "beaconDeviceIds"], payload: null };
+        expect(mergeStreamFilters(definition, [
+            { deviceIds: null, tagDeviceIds: [3, 1], beaconDeviceIds: [7] },
+            { deviceIds: null, tagDeviceIds: [2], beaconDeviceIds: null }
+        ])).toEqual({ deviceIds: null, tagDeviceIds: [1, 2, 3], beaconDeviceIds: null });
+    });
+});
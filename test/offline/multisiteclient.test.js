@@ -0,0 +1,157 @@
+import "regenerator-runtime/runtime";
+import { EVENT_TYPES } from "../../src/constants/constants";
+import { MultiSiteClient } from "../../src/socket/multisiteclient";
+import {
+    MOCK_CLIENT_ID,
+    MOCK_CLIENT_SECRET,
+    createMockCloud,
+    waitAsync
+} from "../test-shared";
+
+describe("multi-site client", () => {
+    let cloud;
+    let client;
+
+    async function createClient(cloudOptions = {}) {
+        cloud = await createMockCloud(cloudOptions);
+        client = new MultiSiteClient(MOCK_CLIENT_ID, MOCK_CLIENT_SECRET, {
+            httpOrigin: cloud.apiOrigin,
+            authOrigin: cloud.authOrigin,
+            channelOptions: {
+                loggers: [],
+                retryIntervalMin: 100,
+                retryIntervalIncrease: 100
+            }
+        });
+    }
+
+    afterEach(async () => {
+        await client.close();
+        await cloud.stop();
+    });
+
+    test("should share one token between sites", async () => {
+        await createClient();
+
+        await Promise.all([
+            client.openSite(1, 1),
+            client.openSite(1, 2),
+            client.openSite(2, 3)
+        ]);
+
+        expect(cloud.tokenRequestCount).toEqual(1);
+        expect(cloud.connectionCount).toEqual(3);
+        expect(client.sites.sort()).toEqual([1, 2, 3]);
+        expect(client.getChannel(2).connected).toBeTruthy();
+        expect(client.getHealth()).toMatchObject({
+            status: "healthy",
+            total: 3,
+            connected: 3
+        });
+    });
+
+    test("should tag merged events with site", async () => {
+        await createClient();
+        await client.openSite(1, 1);
+
+        const events = [];
+        const uuid = await client.register(
+            EVENT_TYPES["TAG_DIFF"],
+            { deviceIds: null },
+            (err, event) => events.push(event)
+        );
+
+        // Registered also to sites opened later.
+        await client.openSite(1, 2);
+
+        cloud.pushTagDiff({ tags: { 10: { x: 1 } }, removedTags: null }, 1);
+        cloud.pushTagDiff({ tags: { 20: { x: 2 } }, removedTags: null }, 2);
+        await waitAsync(100);
+
+        expect(events).toEqual([
+            {
+                account: 1,
+                site: 1,
+                eventType: EVENT_TYPES["TAG_DIFF"],
+                payload: { tags: { 10: { x: 1 } }, removedTags: null }
+            },
+            {
+                account: 1,
+                site: 2,
+                eventType: EVENT_TYPES["TAG_DIFF"],
+                payload: { tags: { 20: { x: 2 } }, removedTags: null }
+            }
+        ]);
+
+        expect(await client.unregister(uuid)).toBeTruthy();
+        cloud.pushTagDiff({ tags: { 10: { x: 3 } }, removedTags: null });
+        await waitAsync(100);
+        expect(events.length).toEqual(2);
+    });
+
+    test("should report aggregate health and reconnect sites", async () => {
+        await createClient();
+        await client.openSite(1, 1);
+        await client.openSite(1, 2);
+
+        const events = [];
+        await client.register(
+            EVENT_TYPES["TAG_DIFF"],
+            { deviceIds: null },
+            (err, event) => events.push(event.site)
+        );
+
+        const statuses = [];
+        client.onHealthChange((health) => statuses.push(health.status));
+
+        cloud.killSockets(false, 1001, 2);
+        await waitAsync(50);
+        expect(client.getHealth().status).toEqual("degraded");
+
+        await cloud.waitForConnections(2);
+        await waitAsync(300);
+
+        const health = client.getHealth();
+        expect(health.status).toEqual("healthy");
+        expect(health.sites.find((s) => s.site === 2).disconnects).toEqual(1);
+        expect(statuses).toEqual(["degraded", "healthy"]);
+
+        // Event was re-registered after reconnecting.
+        cloud.pushTagDiff({ tags: { 20: { x: 2 } }, removedTags: null }, 2);
+        await waitAsync(100);
+        expect(events).toEqual([2]);
+
+        // Reconnection used the shared token.
+        expect(cloud.tokenRequestCount).toEqual(1);
+    });
+
+    test("should refresh token once for all sites", async () => {
+        await createClient({ tokenLifetime: 2 });
+        await client.openSite(1, 1);
+        await client.openSite(1, 2);
+
+        await waitAsync(1500);
+
+        expect(cloud.tokenRequestCount).toEqual(2);
+        expect(
+            cloud.requests.filter((r) => r.action === "refreshToken").length
+        ).toEqual(2);
+
+        // Connections survive the expiration of the first token.
+        await waitAsync(1000);
+        expect(client.getHealth().status).toEqual("healthy");
+    });
+
+    test("should close sites", async () => {
+        await createClient();
+        await client.openSite(1, 1);
+
+        expect(await client.closeSite(1)).toBeTruthy();
+        expect(await client.closeSite(1)).toBeFalsy();
+        expect(client.getChannel(1)).toBeNull();
+        expect(client.getHealth().status).toEqual("idle");
+
+        await waitAsync(100);
+        expect(cloud.connectionCount).toEqual(0);
+    });
+});
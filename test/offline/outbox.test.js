@@ -0,0 +1,134 @@
+import "regenerator-runtime/runtime";
+import * as os from "os";
+import * as path from "path";
+import { promises as fsPromises } from "fs";
+import { connectToMockCloud, createMockCloud, waitAsync } from "../test-shared";
+import { createFileOutboxStore } from "../../src/outbox/files";
+
+function memoryStore(entries = []) {
+    const store = {
+        entries,
+        load: () => store.entries,
+        save: (saved) => { store.entries = saved; }
+    };
+    return store;
+}
+
+describe("outbox", () => {
+    let cloud;
+    let ncc;
+
+    beforeEach(async () => {
+        cloud = await createMockCloud();
+    });
+
+    afterEach(async () => {
+        await ncc?.close();
+        await cloud.stop();
+        ncc = null;
+    });
+
+    async function disconnect() {
+        cloud.killSockets();
+        await waitAsync(20);
+        expect(ncc.connected).toBeFalsy();
+    }
+
+    const commands = () => cloud.requests
+        .filter((r) => r.action === "modifyTag" || r.action === "sendSignal");
+
+    test("should queue commands while disconnected and replay them in order", async () => {
+        ncc = await connectToMockCloud(cloud, { outbox: {} });
+        await disconnect();
+
+        const results = Promise.all([
+            ncc.renameTag(1, "first", { idempotencyKey: "key-1" }),
+            ncc.sendSignal(1, [], { idempotencyKey: "key-2" }),
+            ncc.renameTag(1, "second", { idempotencyKey: "key-3" })
+        ]);
+        await waitAsync(10);
+        expect(ncc.outbox.size).toEqual(3);
+        expect(commands()).toEqual([]);
+
+        await results;
+        expect(commands().map((r) => r.uniqueId)).toEqual(["key-1", "key-2", "key-3"]);
+        expect(commands()[2].payload.newName).toEqual("second");
+        expect(ncc.outbox.size).toEqual(0);
+    });
+
+    test("should send right away when connected", async () => {
+        ncc = await connectToMockCloud(cloud, { outbox: {} });
+        await ncc.renameTag(1, "name");
+        expect(commands().length).toEqual(1);
+    });
+
+    test("should reject expired commands", async () => {
+        ncc = await connectToMockCloud(cloud, {
+            outbox: { expiry: 1000 },
+            reopenBrokenConnection: false
+        });
+        await disconnect();
+
+        const expired = [];
+        ncc.outbox.on("expired", (e) => expired.push(e.entry.action));
+
+        await expect(ncc.renameTag(1, "name", { expiry: 30 })).rejects.toThrow("expired");
+        expect(expired).toEqual(["modifyTag"]);
+        expect(ncc.outbox.size).toEqual(0);
+    });
+
+    test("should execute commands with the same idempotency key once", async () => {
+        ncc = await connectToMockCloud(cloud, { outbox: {} });
+        await disconnect();
+
+        const first = ncc.renameTag(1, "name", { idempotencyKey: "rename" });
+        const second = ncc.renameTag(1, "name", { idempotencyKey: "rename" });
+        await Promise.all([first, second]);
+        await ncc.renameTag(1, "name", { idempotencyKey: "rename" });
+
+        expect(commands().length).toEqual(1);
+    });
+
+    test("should reject when disconnected without outbox", async () => {
+        ncc = await connectToMockCloud(cloud, { reopenBrokenConnection: false });
+        await disconnect();
+        await expect(ncc.renameTag(1, "name")).rejects.toThrow("Authenticated connection does not exists");
+    });
+
+    test("should send persisted commands in the next session", async () => {
+        const store = memoryStore();
+        ncc = await connectToMockCloud(cloud, {
+            outbox: { store },
+            reopenBrokenConnection: false
+        });
+        await disconnect();
+
+        const rejected = ncc.renameTag(1, "persisted", { idempotencyKey: "persisted" });
+        await waitAsync(10);
+        expect(store.entries.map((e) => e.key)).toEqual(["persisted"]);
+        await ncc.close();
+        await expect(rejected).rejects.toThrow("closed");
+
+        ncc = await connectToMockCloud(cloud, { outbox: { store } });
+        const sent = [];
+        ncc.outbox.on("sent", (e) => sent.push(e.entry.key));
+        await waitAsync(100);
+
+        expect(sent).toEqual(["persisted"]);
+        expect(commands().map((r) => r.payload.newName)).toEqual(["persisted"]);
+        expect(store.entries).toEqual([]);
+    });
+
+    test("should persist to a file", async () => {
+        const file = path.join(os.tmpdir(), `ncc-outbox-${Date.now()}.json`);
+        const store = createFileOutboxStore(file);
+        try {
+            expect(await store.load()).toEqual([]);
+            const entry = { key: "a", action: "modifyTag", payload: { device: 1 }, queuedAt: 1, expiresAt: 2 };
+            await store.save([entry]);
+            expect(await store.load()).toEqual([entry]);
+        } finally {
+            await fsPromises.unlink(file).catch(() => {});
+        }
+    });
+});
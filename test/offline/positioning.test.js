@@ -0,0 +1,162 @@
+import "regenerator-runtime/runtime";
+import { multilaterate, solveLinear } from "../../src/positioning/multilateration";
+import { TwrPositioningEngine } from "../../src/positioning/twrpositioning";
+import { connectToMockCloud, createMockCloud, waitAsync } from "../test-shared";
+
+// Beacons at the corners of a 10x10 m room, alternating heights.
+const BEACONS = [
+    { deviceId: 1, x: 0, y: 0, z: 2500, floorId: 7 },
+    { deviceId: 2, x: 10000, y: 0, z: 3000, floorId: 7 },
+    { deviceId: 3, x: 10000, y: 10000, z: 2500, floorId: 7 },
+    { deviceId: 4, x: 0, y: 10000, z: 3000, floorId: 7 }
+];
+
+function distance(beacon, position) {
+    return Math.sqrt(
+        (beacon.x - position.x) ** 2 +
+        (beacon.y - position.y) ** 2 +
+        (beacon.z - position.z) ** 2
+    );
+}
+
+// Measurements of every beacon to a tag at the position.
+function measure(tId, position, t, error = () => 0) {
+    return BEACONS.map((b) => ({ tId, bId: b.deviceId, t, d: distance(b, position) + error(b) }));
+}
+
+describe("Multilateration", () => {
+    test("should solve linear systems", () => {
+        expect(solveLinear([[2, 1], [1, 3]], [3, 5])).toEqual([0.8, 1.4]);
+        expect(solveLinear([[1, 2], [2, 4]], [1, 2])).toBeNull();
+    });
+
+    test("should solve 2D and 3D positions", () => {
+        const position = { x: 3000, y: 7000, z: 1000 };
+        const measurements = BEACONS.map((b) => ({ ...b, distance: distance(b, position) }));
+
+        const planar = multilaterate(measurements, { dimensions: 2, z: 1000 });
+        expect(planar.x).toBeCloseTo(3000, 0);
+        expect(planar.y).toBeCloseTo(7000, 0);
+        expect(planar.z).toEqual(1000);
+        expect(planar.rms).toBeLessThan(1);
+        expect(planar.converged).toBe(true);
+
+        const spatial = multilaterate(measurements, { dimensions: 3 });
+        expect(spatial.x).toBeCloseTo(3000, 0);
+        expect(spatial.y).toBeCloseTo(7000, 0);
+        expect(spatial.z).toBeCloseTo(1000, 0);
+    });
+
+    test("should report residuals and geometry", () => {
+        const position = { x: 5000, y: 5000, z: 0 };
+        const measurements = BEACONS.map((b) => ({ ...b, distance: distance(b, position) }));
+        measurements[0].distance += 500;
+
+        const result = multilaterate(measurements);
+        expect(result.residuals.length).toEqual(4);
+        expect(result.rms).toBeGreaterThan(100);
+        expect(result.dop).toBeGreaterThan(0);
+
+        // Collinear beacons don't constrain the perpendicular axis.
+        const line = [0, 5000, 10000].map((x) => ({ x, y: 0, z: 0, distance: 1000 }));
+        expect(multilaterate(line).dop).toEqual(Infinity);
+        expect(multilaterate(line.slice(0, 1))).toBeNull();
+    });
+});
+
+describe("TWR positioning", () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new TwrPositioningEngine({ windowSize: 500, tagHeight: 1000, loggers: [] });
+        engine.setBeacons(BEACONS);
+    });
+
+    test("should solve a tag's measurements per window", () => {
+        const updates = [];
+        engine.on("locationUpdate", (payload) => updates.push(payload));
+
+        expect(engine.process(measure(5, { x: 2000, y: 3000, z: 1000 }, 1000))).toEqual([]);
+        // Measurements of the same window.
+        engine.process(measure(5, { x: 2000, y: 3000, z: 1000 }, 1400));
+        // Starts a new window and closes the first.
+        const [position] = engine.process(measure(5, { x: 4000, y: 3000, z: 1000 }, 1600));
+
+        expect(position.deviceId).toEqual(5);
+        expect(position.beaconCount).toEqual(4);
+        expect(Object.keys(position.residuals)).toEqual(["1", "2", "3", "4"]);
+        expect(position.quality).toBeGreaterThan(0.9);
+        expect(position.location.timestamp).toEqual(1400);
+        expect(position.location.x).toBeCloseTo(2000, 0);
+        expect(position.location.y).toBeCloseTo(3000, 0);
+        expect(position.location.z).toEqual(1000);
+        expect(position.location.floorId).toEqual(7);
+        expect(Object.keys(position.location).sort()).toEqual(
+            ["floorId", "timestamp", "twrTimestamp", "uncertaintyDistance", "x", "y", "z"]
+        );
+        expect(updates).toEqual([{ 5: position.location }]);
+
+        const [second] = engine.flush();
+        expect(second.location.x).toBeCloseTo(4000, 0);
+        expect(engine.flush()).toEqual([]);
+    });
+
+    test("should skip windows with too few beacons", () => {
+        engine.process(measure(5, { x: 2000, y: 3000, z: 1000 }, 1000).slice(0, 2));
+        engine.process({ tId: 5, bId: 99, t: 1000, d: 100 });
+        expect(engine.flush()).toEqual([]);
+    });
+
+    test("should lower quality with inconsistent distances", () => {
+        engine.process(measure(5, { x: 5000, y: 5000, z: 1000 }, 1000));
+        engine.process(measure(6, { x: 5000, y: 5000, z: 1000 }, 1000, (b) => b.deviceId * 400));
+
+        const [good, bad] = engine.flush();
+        expect(bad.rms).toBeGreaterThan(good.rms);
+        expect(bad.quality).toBeLessThan(good.quality);
+    });
+
+    test("should smooth positions with a Kalman filter", () => {
+        const smoothed = new TwrPositioningEngine({ windowSize: 500, tagHeight: 1000, smoothing: true, loggers: [] });
+        smoothed.setBeacons(BEACONS);
+
+        // Stationary tag with errors alternating along the x axis.
+        const positions = [];
+        for (let i = 0; i < 20; i++) {
+            const error = i % 2 ? 300 : -300;
+            const [position] = [
+                ...smoothed.process(measure(5, { x: 5000, y: 5000, z: 1000 }, i * 1000, (b) => (b.x ? error : -error))),
+                ...smoothed.flush()
+            ];
+            positions.push(position);
+        }
+
+        const last = positions[positions.length - 1];
+        expect(Math.abs(last.location.x - 5000)).toBeLessThan(Math.abs(last.raw.x - 5000));
+        expect(last.location.uncertaintyDistance).toBeLessThan(positions[0].location.uncertaintyDistance);
+    });
+
+    test("should position tags from channel's TWR stream", async () => {
+        const cloud = await createMockCloud();
+        const ncc = await connectToMockCloud(cloud);
+        const positions = [];
+        engine.on("position", (p) => positions.push(p));
+
+        try {
+            await engine.attach(ncc);
+            for (const m of measure(5, { x: 8000, y: 2000, z: 1000 }, Date.now())) {
+                cloud.pushTwrData(m);
+            }
+            // Idle window is solved after the window size.
+            await waitAsync(1200);
+
+            expect(positions.length).toEqual(1);
+            expect(positions[0].location.x).toBeCloseTo(8000, 0);
+            expect(positions[0].location.y).toBeCloseTo(2000, 0);
+        } finally {
+            await engine.detach();
+            await ncc.close();
+            await cloud.stop();
+        }
+    });
+});
@@ -0,0 +1,97 @@
+import "regenerator-runtime/runtime";
+import { EventChannel } from "../../src/socket/eventhandler";
+import { SessionRecorder, REDACTED } from "../../src/replay/recorder";
+import { ReplaySession } from "../../src/replay/replay";
+import { connectToMockCloud, createMockCloud, waitAsync } from "../test-shared";
+
+const REPLAY_ORIGIN = "http://replay.invalid";
+
+describe("record and replay", () => {
+    let cloud;
+    let recorder;
+    let recorded;
+
+    beforeEach(async () => {
+        cloud = await createMockCloud();
+        recorder = new SessionRecorder();
+        recorded = [];
+
+        // Record a session with a reconnection in the middle.
+        const ncc = await connectToMockCloud(cloud, { frameRecorder: recorder });
+        await ncc.registerTagDiffStream((err, payload) => recorded.push(payload));
+
+        cloud.pushTagDiff({ tags: { 1: { x: 1 } }, removedTags: null });
+        await waitAsync(20);
+        cloud.pushTagDiff({ tags: { 2: { x: 2 } }, removedTags: null });
+        await waitAsync(20);
+
+        cloud.killSockets();
+        await cloud.waitForConnections(1);
+        await waitAsync(100);
+
+        cloud.pushTagDiff({ tags: null, removedTags: ["1"] });
+        await waitAsync(20);
+
+        await ncc.close();
+    });
+
+    afterEach(async () => {
+        await cloud.stop();
+    });
+
+    test("should redact tokens from recording", () => {
+        const outbound = recorder.frames.filter((f) => f.d === "out");
+        expect(outbound[0].data).toEqual(REDACTED);
+        expect(recorder.toNdjson()).not.toMatch(/eyJ/);
+        expect(SessionRecorder.parse(recorder.toNdjson())).toEqual(recorder.frames);
+    });
+
+    test("should replay the same message sequence to registered callbacks", async () => {
+        expect(recorded.length).toEqual(3);
+
+        const session = new ReplaySession(
+            SessionRecorder.parse(recorder.toNdjson()),
+            { speed: Infinity, loggers: [] }
+        );
+        const ncc = new EventChannel(
+            1,
+            1,
+            {
+                loggers: [],
+                retryIntervalMin: 10,
+                ...session.channelOptions
+            },
+            REPLAY_ORIGIN
+        );
+        await ncc.connectPersistent(async () => "replay", REPLAY_ORIGIN);
+
+        const replayed = [];
+        await ncc.registerTagDiffStream((err, payload) => replayed.push(payload));
+
+        await session.finished;
+        await waitAsync(20);
+        await ncc.close();
+
+        expect(replayed).toEqual(recorded);
+    });
+
+    test("should keep recorded gaps between messages in accelerated replay", async () => {
+        const frames = recorder.frames;
+        const session = new ReplaySession(frames, { speed: 2, loggers: [] });
+        const ncc = new EventChannel(
+            1,
+            1,
+            { loggers: [], retryIntervalMin: 10, ...session.channelOptions },
+            REPLAY_ORIGIN
+        );
+
+        const start = Date.now();
+        await ncc.connectPersistent(async () => "replay", REPLAY_ORIGIN);
+        await ncc.registerTagDiffStream(() => {});
+        await session.finished;
+        await ncc.close();
+
+        // First connection lasts at least 40 ms in the recording.
+        expect(Date.now() - start).toBeGreaterThanOrEqual(20);
+    });
+});
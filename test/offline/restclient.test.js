@@ -0,0 +1,169 @@
+import "regenerator-runtime/runtime";
+import { ClientCredentialsTokenProvider } from "../../src/http/tokenprovider";
+import {
+    NccRestClient,
+    NCC_ENDPOINTS,
+    defineEndpoint,
+    parseRetryAfter
+} from "../../src/http/restclient";
+import { HttpError, RequestTimeoutError } from "../../src/utils/exceptions";
+import {
+    MOCK_CLIENT_ID,
+    MOCK_CLIENT_SECRET,
+    createMockCloud,
+    waitAsync
+} from "../test-shared";
+
+const ITEMS = Array.from({ length: 25 }, (_, i) => ({ id: i }));
+
+describe("REST client", () => {
+    let cloud;
+    let client;
+
+    beforeEach(async () => {
+        cloud = await createMockCloud();
+        const provider = new ClientCredentialsTokenProvider(MOCK_CLIENT_ID, MOCK_CLIENT_SECRET);
+        client = new NccRestClient(provider, {
+            httpOrigin: cloud.apiOrigin,
+            authOrigin: cloud.authOrigin,
+            retryDelayMin: 10,
+            retryDelayMax: 50
+        });
+    });
+
+    afterEach(async () => {
+        await cloud.stop();
+    });
+
+    // Respond with the statuses in order, then with the body.
+    function failFirst(method, path, statuses, body = { ok: true }) {
+        cloud.onHttpRequest(method, path, () => {
+            const status = statuses.shift();
+            return status ? { status, body: { error: status } } : { body };
+        });
+    }
+
+    test("should send typed requests", async () => {
+        const response = await client.request(NCC_ENDPOINTS.NODE_DOMAIN, {
+            query: { account: 1, site: 2 }
+        });
+        expect(response.domain).toBeDefined();
+
+        cloud.onHttpRequest("GET", "/tags", () => ({ body: [] }));
+        await client.request(defineEndpoint("GET", "/tags"), {
+            query: { site: 2, name: null }
+        });
+        const request = cloud.httpRequests[0];
+        expect(request.path).toEqual("/tags");
+        expect(request.query).toEqual({ site: "2" });
+        expect(request.headers.authorization).toMatch(/^Bearer /);
+    });
+
+    test("should fill path parameters and send body as JSON", async () => {
+        cloud.onHttpRequest("PUT", "/sites/3/tags/abc", (req) => ({ body: req.body }));
+        const endpoint = defineEndpoint("PUT", "/sites/{site}/tags/{tag}");
+
+        const response = await client.request(endpoint, {
+            params: { site: 3, tag: "abc" },
+            body: { name: "Tag" }
+        });
+        expect(response).toEqual({ name: "Tag" });
+        await expect(client.request(endpoint, { params: { site: 3 } })).rejects.toThrow("tag");
+    });
+
+    test("should retry server errors with backoff", async () => {
+        failFirst("GET", "/data", [503, 500]);
+
+        const response = await client.request(defineEndpoint("GET", "/data"));
+        expect(response).toEqual({ ok: true });
+        expect(cloud.httpRequests.length).toEqual(3);
+    });
+
+    test("should respect Retry-After", async () => {
+        let count = 0;
+        cloud.onHttpRequest("POST", "/data", () => (++count === 1
+            ? { status: 429, headers: { "Retry-After": "1" } }
+            : { body: { ok: true } }));
+
+        const started = Date.now();
+        await client.request(defineEndpoint("POST", "/data"), { body: {} });
+        expect(Date.now() - started).toBeGreaterThanOrEqual(900);
+        expect(count).toEqual(2);
+
+        expect(parseRetryAfter("2")).toEqual(2000);
+        expect(parseRetryAfter(new Date(10000).toUTCString(), 5000)).toEqual(5000);
+        expect(parseRetryAfter("invalid")).toBeNull();
+    });
+
+    test("should throw structured errors", async () => {
+        failFirst("POST", "/data", [500]);
+
+        const error = await client.request(defineEndpoint("POST", "/data"), { body: {} })
+            .catch((e) => e);
+        expect(error).toBeInstanceOf(HttpError);
+        expect(error.status).toEqual(500);
+        expect(error.body).toEqual({ error: 500 });
+        expect(error.method).toEqual("POST");
+        // Not retried as the server may have handled it.
+        expect(cloud.httpRequests.length).toEqual(1);
+
+        failFirst("GET", "/data", [500, 500, 500, 500, 500]);
+        await expect(client.request(defineEndpoint("GET", "/data"), { retries: 1 }))
+            .rejects.toBeInstanceOf(HttpError);
+        expect(cloud.httpRequests.length).toEqual(3);
+    });
+
+    test("should time out", async () => {
+        cloud.onHttpRequest("GET", "/slow", async () => {
+            await waitAsync(300);
+            return { body: {} };
+        });
+
+        await expect(client.request(defineEndpoint("GET", "/slow"), { timeout: 50, retries: 0 }))
+            .rejects.toBeInstanceOf(RequestTimeoutError);
+    });
+
+    test("should renew a rejected token", async () => {
+        cloud.onHttpRequest("GET", "/data", () => ({ body: { ok: true } }));
+        await client.request(defineEndpoint("GET", "/data"));
+
+        cloud.revokeTokens();
+        await client.request(defineEndpoint("GET", "/data"));
+        expect(cloud.tokenRequestCount).toEqual(2);
+    });
+
+    test("should iterate offset paged items", async () => {
+        cloud.onHttpRequest("GET", "/history", (req) => {
+            const offset = Number(req.query.offset);
+            return { body: { items: ITEMS.slice(offset, offset + Number(req.query.limit)) } };
+        });
+
+        const ids = [];
+        for await (const item of client.paginate(defineEndpoint("GET", "/history"), null, { pageSize: 10 })) {
+            ids.push(item.id);
+        }
+        expect(ids).toEqual(ITEMS.map((i) => i.id));
+        expect(cloud.httpRequests.length).toEqual(3);
+    });
+
+    test("should iterate cursor paged items", async () => {
+        cloud.onHttpRequest("GET", "/history", (req) => {
+            const start = Number(req.query.cursor || 0);
+            const end = start + Number(req.query.limit);
+            return { body: { items: ITEMS.slice(start, end), nextCursor: end < ITEMS.length ? end : null } };
+        });
+
+        const iterator = client.paginate(defineEndpoint("GET", "/history"), { query: { tag: 1 } }, {
+            pageSize: 20,
+            cursorParam: "cursor"
+        });
+        const ids = [];
+        for await (const item of iterator) ids.push(item.id);
+
+        expect(ids.length).toEqual(25);
+        expect(cloud.httpRequests.map((r) => r.query)).toEqual([
+            { tag: "1", limit: "20" },
+            { tag: "1", limit: "20", cursor: "20" }
+        ]);
+    });
+});
@@ -0,0 +1,117 @@
+import "regenerator-runtime/runtime";
+import { SiteStateStore } from "../../src/state/sitestatestore";
+import { EventChannel } from "../../src/socket/eventhandler";
+
+describe("site state store", () => {
+    let store;
+    let changes;
+
+    beforeEach(() => {
+        // Updates are passed to the handlers, the channel isn't connected.
+        store = new SiteStateStore(new EventChannel(1, 1, { loggers: [] }));
+        changes = [];
+        store.onChange(({ entity, type, id, changedFields }) => changes.push({ entity, type, id, changedFields }));
+    });
+
+    test("should load the initial state", () => {
+        const resyncs = [];
+        store.onResync((entity) => resyncs.push(entity));
+
+        store._onTagState({ 1: { name: "Forklift", x: 1, y: 2 }, 2: { name: "Worker", x: 3, y: 4 } });
+        store._onBeaconState({ 10: { online: true, charging: false, voltage: 3.9 } });
+
+        expect(store.tagCount).toEqual(2);
+        expect(store.beaconCount).toEqual(1);
+        expect(store.getTag(1)).toEqual({ name: "Forklift", x: 1, y: 2 });
+        expect(store.getBeacon(10)).toEqual({ online: true, charging: false, voltage: 3.9 });
+        expect(changes.map((c) => `${c.type} ${c.entity} ${c.id}`)).toEqual([
+            "added tag 1",
+            "added tag 2",
+            "added beacon 10"
+        ]);
+        expect(resyncs).toEqual(["tag", "beacon"]);
+    });
+
+    test("should merge diffs and emit the changed fields", () => {
+        store._onTagState({ 1: { name: "Forklift", x: 1, y: 2 }, 2: { name: "Worker", x: 3, y: 4 } });
+        store._onBeaconState({ 10: { online: true, charging: false, voltage: 3.9 } });
+        changes = [];
+
+        store._onTagDiff({ tags: { 1: { x: 5, y: 2 }, 3: { name: "New", x: 0, y: 0 } }, removedTags: null });
+        store._onBeaconDiff({ 10: { voltage: 3.8 } });
+        // Unchanged values aren't changes.
+        store._onTagDiff({ tags: { 2: { x: 3 } }, removedTags: null });
+
+        expect(changes).toEqual([
+            { entity: "tag", type: "updated", id: 1, changedFields: ["x"] },
+            { entity: "tag", type: "added", id: 3, changedFields: ["name", "x", "y"] },
+            { entity: "beacon", type: "updated", id: 10, changedFields: ["voltage"] }
+        ]);
+        expect(store.getTag(1)).toEqual({ name: "Forklift", x: 5, y: 2 });
+        expect(store.getBeacon(10)).toEqual({ online: true, charging: false, voltage: 3.8 });
+    });
+
+    test("should remove tags and alerts", () => {
+        store._onTagState({ 1: { name: "Forklift" }, 2: { name: "Worker" } });
+        store._onAlertState({ 5: { alarmId: 5, deviceId: 1 } });
+        const snapshot = store.getSnapshot();
+        const removed = [];
+        store.onChange((change) => {
+            if (change.type === "removed") removed.push(change);
+        });
+
+        store._onTagDiff({ tags: null, removedTags: [2] });
+        store._onAlertDiff({ alerts: null, removedAlerts: [5] });
+
+        expect(store.getTag(2)).toBeNull();
+        expect(store.getAlert(5)).toBeNull();
+        expect(store.tagCount).toEqual(1);
+        expect(removed).toMatchObject([
+            { entity: "tag", id: 2, previous: { name: "Worker" }, current: null },
+            { entity: "alert", id: 5, previous: { alarmId: 5 }, current: null }
+        ]);
+        // Snapshots aren't affected by later updates.
+        expect(Object.keys(snapshot.tags)).toEqual(["1", "2"]);
+        expect(Object.keys(snapshot.alerts)).toEqual(["5"]);
+    });
+
+    test("should log values thrown by listeners", () => {
+        const exceptions = [];
+        store._emitter._logger = { ...store._logger, exception: (msg, e) => exceptions.push(e) };
+        store.onChange(() => { throw "Not an error"; });
+        store.onChange(() => { throw new Error("Error"); });
+
+        store._onTagState({ 1: { name: "Forklift" } });
+
+        expect(changes.length).toEqual(1);
+        expect(exceptions).toEqual(["Not an error", "Error"]);
+    });
+
+    test("should resync from the full state", () => {
+        store._onTagState({ 1: { name: "Forklift", x: 1, y: 2 }, 2: { name: "Worker", x: 3, y: 4 } });
+        changes = [];
+
+        store._onTagState({ 1: { name: "Forklift", x: 1, y: 2 }, 4: { name: "Other", x: 0, y: 0 } });
+
+        expect(changes.map((c) => `${c.type} ${c.id}`)).toEqual([
+            "removed 2",
+            "added 4"
+        ]);
+        expect(store.getSnapshot().tags).toEqual({
+            1: { name: "Forklift", x: 1, y: 2 },
+            4: { name: "Other", x: 0, y: 0 }
+        });
+    });
+
+    test("should drop fields missing from the full state", () => {
+        store._onTagState({ 1: { name: "Forklift", x: 1, y: 2, zone: 3 } });
+        changes = [];
+
+        store._onTagState({ 1: { name: "Forklift", x: 1, y: 5 } });
+
+        expect(changes).toEqual([
+            { entity: "tag", type: "updated", id: 1, changedFields: ["y", "zone"] }
+        ]);
+        expect(store.getTag(1)).toEqual({ name: "Forklift", x: 1, y: 5 });
+    });
+});
@@ -0,0 +1,96 @@
+import "regenerator-runtime/runtime";
+import { connectToMockCloud, createMockCloud, waitAsync } from "../test-shared";
+
+describe("connection health and stats", () => {
+    let cloud;
+    let ncc;
+
+    afterEach(async () => {
+        await ncc?.close();
+        await cloud?.stop();
+        ncc = null;
+        cloud = null;
+    });
+
+    test("should track request latencies and message rates", async () => {
+        cloud = await createMockCloud();
+        ncc = await connectToMockCloud(cloud);
+
+        await ncc.registerLocationUpdate(() => {});
+        cloud.failResponses("getSite", "forbidden", 1);
+        await expect(ncc.getSite()).rejects.toBeTruthy();
+        await ncc.getSite();
+
+        cloud.pushLocationUpdate({ 1: { timestamp: 0, x: 1, y: 2, z: 0, uncertaintyDistance: null } });
+        cloud.pushLocationUpdate({ 1: { timestamp: 0, x: 2, y: 2, z: 0, uncertaintyDistance: null } });
+        await waitAsync(50);
+
+        const stats = ncc.getStats();
+        expect(stats.connected).toBeTruthy();
+        expect(stats.pendingRequests).toEqual(0);
+
+        const getSite = stats.requests.getSite;
+        expect(getSite.count).toEqual(2);
+        expect(getSite.failed).toEqual(1);
+        expect(getSite.buckets.reduce((sum, b) => sum + b.count, 0)).toEqual(2);
+        expect(getSite.min).toBeLessThanOrEqual(getSite.max);
+        expect(stats.requests.registerTagLocation.count).toEqual(1);
+
+        const locations = stats.messages.locationUpdate;
+        expect(locations.messages).toEqual(2);
+        expect(locations.bytes).toBeGreaterThan(0);
+        expect(locations.messagesPerSecond).toBeCloseTo(2 / 60);
+        expect(stats.sent.messages).toBeGreaterThanOrEqual(3);
+        expect(stats.lastMessageAt).not.toBeNull();
+    });
+
+    test("should reconnect a stale connection", async () => {
+        cloud = await createMockCloud({ pingInterval: 100 });
+        ncc = await connectToMockCloud(cloud, { livenessTimeout: 400 });
+        await ncc.registerLocationUpdate(() => {});
+
+        // Pings keep the connection alive.
+        await waitAsync(600);
+        expect(ncc.getStats().connectionEvents).toEqual([]);
+
+        cloud.freezeSockets();
+        await waitAsync(800);
+
+        expect(ncc.connected).toBeTruthy();
+        const stats = ncc.getStats();
+        expect(stats.connectionEvents.map((e) => e.type)).toEqual([
+            "stale",
+            "disconnected",
+            "reconnected"
+        ]);
+        expect(stats.reconnects).toEqual(1);
+        expect(cloud.requests.filter((r) => r.action === "registerTagLocation").length).toEqual(2);
+    });
+
+    test("should record token refreshes", async () => {
+        cloud = await createMockCloud({ tokenLifetime: 2 });
+        ncc = await connectToMockCloud(cloud);
+
+        await cloud.waitForRequest("refreshToken", 3000);
+        await waitAsync(50);
+
+        const { tokenRefresh } = ncc.getStats();
+        expect(tokenRefresh.succeeded).toEqual(1);
+        expect(tokenRefresh.failed).toEqual(0);
+        expect(tokenRefresh.history[0].ok).toBeTruthy();
+    });
+
+    test("should emit stats periodically while listened to", async () => {
+        cloud = await createMockCloud();
+        ncc = await connectToMockCloud(cloud, { statsInterval: 50 });
+
+        const received = [];
+        const uuid = ncc.onStats((stats) => received.push(stats));
+        await waitAsync(180);
+        ncc.removeListener(uuid);
+
+        expect(received.length).toBeGreaterThanOrEqual(2);
+        expect(received[0].connected).toBeTruthy();
+        expect(ncc._statsInterval).toBeNull();
+    });
+});
@@ -0,0 +1,161 @@
+import "regenerator-runtime/runtime";
+import { connectToMockCloud, createMockCloud, waitAsync } from "../test-shared";
+import { EVENT_TYPES } from "../../src/constants/constants";
+
+function location(id, x, y = 0) {
+    return { [id]: { timestamp: 1600000000000, x, y, z: 0, uncertaintyDistance: null } };
+}
+
+describe("stream throttling and batching", () => {
+    let cloud;
+    let ncc;
+
+    beforeEach(async () => {
+        cloud = await createMockCloud();
+        ncc = await connectToMockCloud(cloud);
+    });
+
+    afterEach(async () => {
+        await ncc.close();
+        await cloud.stop();
+    });
+
+    test("should rate limit per device and keep the latest", async () => {
+        const received = [];
+        await ncc.registerLocationUpdate((err, payload) => {
+            if (!err) received.push(payload);
+        }, null, { minInterval: 200 });
+
+        cloud.pushLocationUpdate(location(1, 1));
+        await waitAsync(30);
+        cloud.pushLocationUpdate(location(1, 2));
+        cloud.pushLocationUpdate(location(2, 10));
+        cloud.pushLocationUpdate(location(1, 3));
+        await waitAsync(50);
+
+        // Tag 2 is delivered immediately, tag 1 is held back.
+        expect(received.map((p) => Object.keys(p))).toEqual([["1"], ["2"]]);
+
+        await waitAsync(250);
+        expect(received.length).toEqual(3);
+        expect(received[2][1].x).toEqual(3);
+    });
+
+    test("should drop locations that haven't moved enough", async () => {
+        const received = [];
+        await ncc.registerLocationUpdate((err, payload) => {
+            if (!err) received.push(payload[1].x);
+        }, null, { minMovement: 100 });
+
+        for (const x of [0, 50, 99, 150, 200, 260]) {
+            cloud.pushLocationUpdate(location(1, x));
+        }
+        await waitAsync(100);
+
+        expect(received).toEqual([0, 150, 260]);
+    });
+
+    test("should check the movement of held back locations when delivered", async () => {
+        const received = [];
+        await ncc.registerLocationUpdate((err, payload) => {
+            if (!err) received.push(payload[1].x);
+        }, null, { minInterval: 200, minMovement: 100 });
+
+        cloud.pushLocationUpdate(location(1, 0));
+        await waitAsync(30);
+        cloud.pushLocationUpdate(location(1, 150));
+        cloud.pushLocationUpdate(location(1, 200));
+        await waitAsync(250);
+        expect(received).toEqual([0, 200]);
+
+        cloud.pushLocationUpdate(location(1, 250));
+        await waitAsync(250);
+        cloud.pushLocationUpdate(location(1, 310));
+        await waitAsync(50);
+        expect(received).toEqual([0, 200, 310]);
+    });
+
+    test("should apply minimum movement only to location updates", async () => {
+        const received = [];
+        await ncc.register(EVENT_TYPES.TAG_DIFF, { deviceIds: null }, (err, payload) => {
+            if (!err) received.push(payload.tags[1]);
+        }, null, { minMovement: 100 });
+
+        cloud.pushTagDiff({ tags: { 1: { x: 0, y: 0 } }, removedTags: null });
+        cloud.pushTagDiff({ tags: { 1: { x: 0, y: 0, batteryVoltage: 3.1 } }, removedTags: null });
+        await waitAsync(100);
+
+        expect(received).toEqual([{ x: 0, y: 0 }, { x: 0, y: 0, batteryVoltage: 3.1 }]);
+    });
+
+    test("should merge held back tag diffs and pass removals through", async () => {
+        const received = [];
+        await ncc.registerTagDiffStream((err, payload) => {
+            if (!err) received.push(payload);
+        }, null, { minInterval: 200 });
+
+        cloud.pushTagDiff({ tags: { 1: { x: 1 } }, removedTags: null });
+        await waitAsync(30);
+        cloud.pushTagDiff({ tags: { 1: { y: 2 } }, removedTags: null });
+        cloud.pushTagDiff({ tags: { 2: { x: 5 } }, removedTags: null });
+        cloud.pushTagDiff({ tags: null, removedTags: ["2"] });
+        await waitAsync(300);
+
+        expect(received).toEqual([
+            { tags: { 1: { x: 1 } }, removedTags: null },
+            { tags: { 2: { x: 5 } }, removedTags: null },
+            { tags: null, removedTags: ["2"] },
+            { tags: { 1: { y: 2 } }, removedTags: null }
+        ]);
+    });
+
+    test("should batch by count and by time", async () => {
+        const batches = [];
+        await ncc.register(EVENT_TYPES.LOCATION_UPDATE, { deviceIds: null }, (err, payload) => {
+            if (!err) batches.push(payload.map((p) => p[1].x));
+        }, null, { batchSize: 2, batchInterval: 100 });
+
+        for (const x of [1, 2, 3]) cloud.pushLocationUpdate(location(1, x));
+        await waitAsync(50);
+        expect(batches).toEqual([[1, 2]]);
+
+        await waitAsync(150);
+        expect(batches).toEqual([[1, 2], [3]]);
+    });
+
+    test("should reject invalid options", async () => {
+        await expect(ncc.registerLocationUpdate(() => {}, null, { minInterval: -1 }))
+            .rejects.toThrow("minInterval");
+        expect(Object.keys(ncc._registeredEvents)).toEqual([]);
+    });
+
+    test("should keep throttling state after re-registration", async () => {
+        const received = [];
+        const uuid = await ncc.registerLocationUpdate((err, payload) => {
+            if (!err) received.push(payload[1].x);
+        }, null, { minInterval: 200 });
+        const processor = ncc._streamProcessors[uuid];
+
+        cloud.pushLocationUpdate(location(1, 1));
+        await waitAsync(30);
+        cloud.pushLocationUpdate(location(1, 2));
+        await waitAsync(30);
+
+        // Held back update is delivered even though the socket broke.
+        cloud.killSockets();
+        await cloud.waitForConnections(1);
+        await waitAsync(500);
+
+        expect(ncc._streamProcessors[uuid]).toBe(processor);
+        expect(ncc._registeredEvents[uuid].args.streamOptions).toEqual({ minInterval: 200 });
+        expect(received).toEqual([1, 2]);
+
+        cloud.pushLocationUpdate(location(1, 3));
+        cloud.pushLocationUpdate(location(1, 4));
+        await waitAsync(50);
+        expect(received).toEqual([1, 2, 3]);
+
+        await ncc.unregister(uuid);
+        expect(ncc._streamProcessors[uuid]).toBeUndefined();
+    });
+});
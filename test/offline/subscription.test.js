@@ -0,0 +1,100 @@
+import "regenerator-runtime/runtime";
+import { connectToMockCloud, createMockCloud, waitAsync } from "../test-shared";
+
+function location(x) {
+    return { 1: { timestamp: 1600000000000, x, y: 0, z: 0, uncertaintyDistance: null } };
+}
+
+describe("subscriptions", () => {
+    let cloud;
+    let ncc;
+
+    beforeEach(async () => {
+        cloud = await createMockCloud();
+        ncc = await connectToMockCloud(cloud);
+    });
+
+    afterEach(async () => {
+        await ncc.close();
+        await cloud.stop();
+    });
+
+    test("should iterate updates and unregister on break", async () => {
+        const subscription = ncc.locationUpdates({ deviceIds: [1] });
+        await subscription.ready;
+
+        setTimeout(() => {
+            cloud.pushLocationUpdate(location(1));
+            cloud.pushLocationUpdate(location(2));
+            cloud.pushLocationUpdate(location(3));
+        }, 10);
+
+        const xs = [];
+        for await (const update of subscription) {
+            xs.push(update[1].x);
+            if (xs.length === 2) break;
+        }
+
+        expect(xs).toEqual([1, 2]);
+        expect(subscription.disposed).toBeTruthy();
+        await cloud.waitForRequest("unregisterTagLocation", 1000);
+        expect(Object.keys(ncc._registeredEvents)).toEqual([]);
+    });
+
+    test("should emit to typed listeners", async () => {
+        const subscription = ncc.tagDiffs();
+        const received = [];
+        let ended = false;
+        subscription.on("data", (payload) => received.push(payload));
+        subscription.on("end", () => (ended = true));
+        await subscription.ready;
+
+        cloud.pushTagDiff({ tags: { 1: { x: 1 } }, removedTags: null });
+        await waitAsync(50);
+        await subscription.dispose();
+        cloud.pushTagDiff({ tags: { 1: { x: 2 } }, removedTags: null });
+        await waitAsync(50);
+
+        expect(received).toEqual([{ tags: { 1: { x: 1 } }, removedTags: null }]);
+        expect(ended).toBeTruthy();
+        // Listener-only consumer doesn't buffer.
+        expect(subscription.buffered).toEqual(0);
+    });
+
+    test.each([
+        ["drop-oldest", [3, 4]],
+        ["drop-newest", [1, 2]]
+    ])("should %s when buffer is full", async (overflow, expected) => {
+        const subscription = ncc.locationUpdates(null, { bufferSize: 2, overflow });
+        const dropped = [];
+        subscription.on("drop", (payload) => dropped.push(payload[1].x));
+        await subscription.ready;
+
+        for (const x of [1, 2, 3, 4]) cloud.pushLocationUpdate(location(x));
+        await waitAsync(100);
+
+        const iterator = subscription[Symbol.asyncIterator]();
+        const xs = [];
+        for (let i = 0; i < 2; i++) {
+            xs.push((await iterator.next()).value[1].x);
+        }
+        await iterator.return();
+
+        expect(xs).toEqual(expected);
+        expect(subscription.dropped).toEqual(2);
+        expect(dropped.sort()).toEqual([1, 2, 3, 4].filter((x) => !expected.includes(x)));
+    });
+
+    test("should throw registration error from iterator", async () => {
+        cloud.failResponses("registerTagLocation", "forbidden", 1);
+        const subscription = ncc.locationUpdates();
+
+        await expect(subscription.ready).rejects.toBeTruthy();
+        const iterate = async () => {
+            for await (const update of subscription) {
+                // Never reached.
+            }
+        };
+        await expect(iterate()).rejects.toBeTruthy();
+    });
+});
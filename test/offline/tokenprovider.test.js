@@ -0,0 +1,148 @@
+import "regenerator-runtime/runtime";
+import * as os from "os";
+import { createHash } from "crypto";
+import * as path from "path";
+import { promises as fsPromises } from "fs";
+import { EventChannel } from "../../src/socket/eventhandler";
+import {
+    CallbackTokenProvider,
+    ClientCredentialsTokenProvider,
+    StaticTokenProvider
+} from "../../src/http/tokenprovider";
+import { createFileTokenStore } from "../../src/http/files";
+import { AuthenticationError } from "../../src/utils/exceptions";
+import {
+    MOCK_CLIENT_ID,
+    MOCK_CLIENT_SECRET,
+    connectToMockCloud,
+    createMockCloud,
+    waitAsync
+} from "../test-shared";
+
+function base64Url(obj) {
+    return Buffer.from(JSON.stringify(obj)).toString("base64")
+        .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function jwt(iat, exp) {
+    return `${base64Url({ alg: "none" })}.${base64Url({ iat, exp })}.signature`;
+}
+
+describe("token providers", () => {
+    let cloud;
+    let channels;
+
+    beforeEach(async () => {
+        cloud = await createMockCloud();
+        channels = [];
+    });
+
+    afterEach(async () => {
+        for (const channel of channels) await channel.close();
+        await cloud.stop();
+    });
+
+    test("should share the token between channels of the same client", async () => {
+        channels.push(await connectToMockCloud(cloud));
+        channels.push(await connectToMockCloud(cloud));
+
+        expect(channels.every((c) => c.connected)).toBeTruthy();
+        expect(cloud.tokenRequestCount).toEqual(1);
+    });
+
+    test("should not share the token with a wrong secret", async () => {
+        channels.push(await connectToMockCloud(cloud));
+
+        const channel = new EventChannel(1, 1, { loggers: [] }, cloud.apiOrigin);
+        channels.push(channel);
+        await expect(channel.connect(MOCK_CLIENT_ID, "wrong", cloud.authOrigin))
+            .rejects.toBeInstanceOf(AuthenticationError);
+        expect(cloud.tokenRequestCount).toEqual(2);
+    });
+
+    test("should fetch once for concurrent callers", async () => {
+        const provider = new ClientCredentialsTokenProvider(MOCK_CLIENT_ID, MOCK_CLIENT_SECRET);
+        const tokens = await Promise.all([1, 2, 3].map(() => provider.getToken(cloud.authOrigin)));
+
+        expect(new Set(tokens).size).toEqual(1);
+        expect(cloud.tokenRequestCount).toEqual(1);
+
+        // Replacing the token in use fetches a new one.
+        const refreshed = await provider.getToken(cloud.authOrigin, tokens[0]);
+        expect(refreshed).not.toEqual(tokens[0]);
+        expect(cloud.tokenRequestCount).toEqual(2);
+    });
+
+    test("should refresh when the configured fraction of lifetime has passed", async () => {
+        let count = 0;
+        const provider = new CallbackTokenProvider(async () => {
+            count++;
+            return { accessToken: `token-${count}`, expiresIn: 0.2 };
+        }, { refreshRatio: 0.5 });
+
+        expect(await provider.getToken(cloud.authOrigin)).toEqual("token-1");
+        expect(await provider.getToken(cloud.authOrigin)).toEqual("token-1");
+        await waitAsync(120);
+        expect(await provider.getToken(cloud.authOrigin)).toEqual("token-2");
+    });
+
+    test("should correct expiration with the issuer's clock", async () => {
+        // Issuer's clock is an hour behind.
+        const iat = Math.floor(Date.now() / 1000) - 3600;
+        const provider = new StaticTokenProvider(jwt(iat, iat + 120));
+
+        const token = await provider.getCachedToken(cloud.authOrigin);
+        expect(token.expiresAt - token.issuedAt).toBeGreaterThan(119000);
+        expect(token.expiresAt - token.issuedAt).toBeLessThanOrEqual(121000);
+    });
+
+    test("should use a valid stored token", async () => {
+        const stored = { accessToken: "stored", issuedAt: Date.now(), expiresAt: Date.now() + 60000 };
+        const saved = [];
+        const store = {
+            load: () => stored,
+            save: (key, token) => { saved.push(token); }
+        };
+        const callback = jest.fn(async () => "fetched");
+        const provider = new CallbackTokenProvider(callback, { store });
+
+        expect(await provider.getToken(cloud.authOrigin)).toEqual("stored");
+        expect(callback).not.toHaveBeenCalled();
+
+        expect(await provider.getToken(cloud.authOrigin, "stored")).toEqual("fetched");
+        expect(saved.map((t) => t.accessToken)).toEqual(["fetched"]);
+    });
+
+    test("should persist tokens to a file", async () => {
+        const file = path.join(os.tmpdir(), `ncc-tokens-${Date.now()}.json`);
+        const store = createFileTokenStore(file);
+        try {
+            expect(await store.load("a")).toBeNull();
+            const token = { accessToken: "token", issuedAt: 1, expiresAt: 2 };
+            await store.save("a", token);
+            await store.save("b", { ...token, accessToken: "other" });
+            expect(await store.load("a")).toEqual(token);
+            expect((await store.load("b")).accessToken).toEqual("other");
+            if (process.platform !== "win32") {
+                expect((await fsPromises.stat(file)).mode & 0o777).toEqual(0o600);
+            }
+        } finally {
+            await fsPromises.unlink(file).catch(() => {});
+        }
+    });
+
+    test("should connect with a provider", async () => {
+        const provider = new ClientCredentialsTokenProvider(MOCK_CLIENT_ID, MOCK_CLIENT_SECRET);
+        const channel = new EventChannel(1, 1, { loggers: [] }, cloud.apiOrigin);
+        channels.push(channel);
+
+        await channel.connectPersistent(provider, cloud.authOrigin);
+        expect(channel.connected).toBeTruthy();
+        expect(cloud.tokenRequestCount).toEqual(1);
+
+        // Stored keys hold a digest of the secret.
+        const digest = createHash("sha256").update(MOCK_CLIENT_SECRET).digest("hex");
+        expect(await provider._getCacheKey(cloud.authOrigin))
+            .toEqual(`client-credentials|${cloud.authOrigin}|${MOCK_CLIENT_ID}|${digest}`);
+    });
+});
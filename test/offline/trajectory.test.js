@@ -0,0 +1,153 @@
+import "regenerator-runtime/runtime";
+import { TrajectoryAnalytics } from "../../src/analytics/trajectory";
+import { connectToMockCloud, createMockCloud, waitAsync } from "../test-shared";
+
+const SECOND = 1000;
+
+function location(timestamp, x, y, floorId = 7) {
+    return { timestamp, x, y, z: 0, floorId, uncertaintyDistance: null };
+}
+
+// Stands still, walks 10 m in 20 seconds and stands still again.
+function addWalk(analytics, deviceId = 1) {
+    analytics.processTagDiff({
+        tags: { [deviceId]: { timestamp: 0, x: 0, y: 0, floorId: 7, areas: [10], odometer: 100 } },
+        removedTags: null
+    });
+    analytics.processLocationUpdate({ [deviceId]: location(10 * SECOND, 0, 0) });
+    analytics.processLocationUpdate({ [deviceId]: location(20 * SECOND, 5000, 0) });
+    analytics.processTagDiff({
+        tags: { [deviceId]: { timestamp: 30 * SECOND, x: 10000, y: 0, areas: [11], odometer: 110, speed: 0.6 } },
+        removedTags: null
+    });
+    analytics.processLocationUpdate({ [deviceId]: location(40 * SECOND, 10000, 0) });
+}
+
+describe("Trajectory analytics", () => {
+    let analytics;
+
+    beforeEach(() => {
+        analytics = new TrajectoryAnalytics({ maxGap: 60 * SECOND, idleSpeed: 200, loggers: [] });
+    });
+
+    test("should compute distance, activity and time per area and floor", () => {
+        addWalk(analytics);
+
+        const result = analytics.getTagAnalytics(1, { start: 0, stop: 40 * SECOND });
+        expect(result).toMatchObject({
+            deviceId: 1,
+            sampleCount: 5,
+            distance: 10000,
+            odometerDistance: 10,
+            maxSpeed: 0.6,
+            movingTime: 20 * SECOND,
+            idleTime: 20 * SECOND,
+            areas: { 10: 30 * SECOND, 11: 10 * SECOND },
+            floors: { 7: 40 * SECOND }
+        });
+        expect(result.periods).toEqual([
+            { state: "idle", start: 0, stop: 10 * SECOND, distance: 0 },
+            { state: "moving", start: 10 * SECOND, stop: 30 * SECOND, distance: 10000 },
+            { state: "idle", start: 30 * SECOND, stop: 40 * SECOND, distance: 0 }
+        ]);
+        expect(JSON.parse(JSON.stringify(result))).toEqual(result);
+    });
+
+    test("should query arbitrary time windows", () => {
+        addWalk(analytics);
+
+        const result = analytics.getTagAnalytics(1, { start: 15 * SECOND, stop: 25 * SECOND });
+        expect(result.distance).toEqual(5000);
+        expect(result.movingTime).toEqual(10 * SECOND);
+        expect(result.sampleCount).toEqual(1);
+
+        // Last sample is valid until the gap has passed.
+        expect(analytics.getTagAnalytics(1, { start: 40 * SECOND }).idleTime).toEqual(60 * SECOND);
+        expect(analytics.getTrajectory(1, { stop: 10 * SECOND }).map((s) => s.timestamp)).toEqual([0, 10 * SECOND]);
+        expect(analytics.getTagAnalytics(2)).toBeNull();
+        expect(analytics.getAnalytics({ start: 200 * SECOND })).toEqual([]);
+    });
+
+    test("should not count gaps and floor changes", () => {
+        analytics.processLocationUpdate({ 1: location(0, 0, 0) });
+        analytics.processLocationUpdate({ 1: location(10 * SECOND, 5000, 0, 8) });
+        analytics.processLocationUpdate({ 1: location(200 * SECOND, 5000, 0, 8) });
+
+        const result = analytics.getTagAnalytics(1, { stop: 200 * SECOND });
+        expect(result.distance).toEqual(0);
+        expect(result.floors).toEqual({ 7: 10 * SECOND, 8: 60 * SECOND });
+    });
+
+    test("should remove samples after retention", () => {
+        const retained = new TrajectoryAnalytics({ retention: 30 * SECOND, loggers: [] });
+        addWalk(retained);
+
+        expect(retained.getTrajectory(1).map((s) => s.timestamp)).toEqual([10, 20, 30, 40].map((t) => t * SECOND));
+
+        // Tags that went silent expire with the others.
+        retained.processLocationUpdate({ 2: location(60 * SECOND, 0, 0) });
+        retained.processLocationUpdate({ 2: location(120 * SECOND, 0, 0) });
+        expect(retained.getDeviceIds()).toEqual([2]);
+        expect(retained.getTrajectory(2).map((s) => s.timestamp)).toEqual([120 * SECOND]);
+    });
+
+    test("should produce occupancy heatmaps", () => {
+        addWalk(analytics, 1);
+        addWalk(analytics, 2);
+
+        const heatmap = analytics.getHeatmap(7, { start: 0, stop: 40 * SECOND }, { cellSize: 5000 });
+        expect(heatmap).toMatchObject({
+            floorId: 7,
+            originX: 0,
+            originY: 0,
+            columns: 3,
+            rows: 1,
+            cells: [40 * SECOND, 20 * SECOND, 20 * SECOND],
+            maxValue: 40 * SECOND
+        });
+
+        const bounded = analytics.getHeatmap(7, { stop: 40 * SECOND }, {
+            cellSize: 2500,
+            bounds: { minX: 2500, minY: -2500, maxX: 7499, maxY: 2499 },
+            deviceIds: [1]
+        });
+        // Position (5000, 0) is on the second row and column.
+        expect(bounded.cells).toEqual([0, 0, 0, 10 * SECOND]);
+        expect(analytics.getHeatmap(8).cells).toEqual([]);
+    });
+
+    test("should compute heatmaps of many samples", () => {
+        const updates = 80000;
+        for (let i = 0; i < updates; i++) {
+            const x = (i % 100) * 100;
+            analytics.processLocationUpdate({ 1: location(i * 100, x, 0), 2: location(i * 100, x, 10), 3: location(i * 100, x, 20) });
+        }
+
+        // Every sample lasts until the next, the last one for maxGap.
+        const heatmap = analytics.getHeatmap(7, null, { cellSize: 10000 });
+        expect(heatmap).toMatchObject({ originX: 0, columns: 1, rows: 1 });
+        expect(heatmap.cells[0]).toEqual(3 * ((updates - 1) * 100 + 60 * SECOND));
+    });
+
+    test("should track tags from channel's streams", async () => {
+        const cloud = await createMockCloud();
+        const ncc = await connectToMockCloud(cloud);
+
+        try {
+            await analytics.attach(ncc);
+            const now = Date.now();
+            cloud.pushLocationUpdate({ 5: location(now - 2 * SECOND, 0, 0) });
+            cloud.pushTagDiff({ tags: { 5: { timestamp: now - SECOND, x: 1000, y: 0, areas: [3] } }, removedTags: null });
+            await waitAsync(100);
+
+            const [sample, last] = analytics.getTrajectory(5);
+            expect(sample).toMatchObject({ x: 0, floorId: 7, areas: [] });
+            expect(last).toMatchObject({ x: 1000, floorId: 7, areas: [3] });
+            expect(analytics.getTagAnalytics(5).distance).toEqual(1000);
+        } finally {
+            await analytics.detach();
+            await ncc.close();
+            await cloud.stop();
+        }
+    });
+});
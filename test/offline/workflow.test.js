@@ -0,0 +1,151 @@
+import "regenerator-runtime/runtime";
+import { WorkflowGraph, getStepActions } from "../../src/workflow/workflowgraph";
+import { analyzeWorkflowResults, getDurationStats } from "../../src/workflow/workflowanalytics";
+
+function conditionStep(id, name) {
+    return { id, name, left: 0, top: 0, type: 0, step: { condition: 0 }, action: null };
+}
+
+function actionStep(id, name, action) {
+    return { id, name, left: 0, top: 0, type: 1, step: null, action: { type: 0, ...action } };
+}
+
+function workflow(steps, links) {
+    return {
+        id: 1,
+        name: "Flow",
+        removed: false,
+        flow: {
+            steps,
+            links: links.map(([from, to]) => ({ from, to, fromConnector: "out" })),
+            tags: { allTags: true, tagGroups: null, deviceIds: null },
+            allowOverlapping: false,
+            manuallyStartable: false,
+            isMultiTag: false,
+            disableAutoStepStart: false
+        }
+    };
+}
+
+// Enter area, then either alert or wait and send SMS.
+const FLOW = workflow([
+    conditionStep(1, "Enter"),
+    conditionStep(2, "Stay"),
+    actionStep(3, "Alert", { customAlert: { alertType: 1, message: "Stayed" } }),
+    actionStep(4, "Notify", { sms: { recipients: "+358", message: "Hi" }, sleep: { seconds: 5 } })
+], [[1, 2], [2, 3], [1, 4]]);
+
+describe("Workflow graph", () => {
+    test("should navigate steps with typed actions", () => {
+        const graph = new WorkflowGraph(FLOW);
+
+        expect(graph.getEntrySteps().map((n) => n.id)).toEqual([1]);
+        expect(graph.getFinalSteps().map((n) => n.id)).toEqual([3, 4]);
+        expect(graph.getSuccessors(1).map((n) => n.id)).toEqual([2, 4]);
+        expect(graph.getPredecessors(3).map((n) => n.id)).toEqual([2]);
+        expect(graph.getStep(4).kind).toEqual("action");
+        expect(graph.getStep(4).actions).toEqual([
+            { kind: "sms", action: { recipients: "+358", message: "Hi" } },
+            { kind: "sleep", action: { seconds: 5 } }
+        ]);
+        expect(getStepActions(FLOW.flow.steps[0])).toEqual([]);
+        expect(graph.validate()).toEqual([]);
+    });
+
+    test("should detect dangling links and missing steps", () => {
+        const graph = new WorkflowGraph(workflow([
+            conditionStep(1, "Enter"),
+            actionStep(2, "Restart", { startStep: { stepName: "Missing" } })
+        ], [[1, 2], [2, 9]]));
+
+        expect(graph.validate().map((i) => [i.type, i.severity, i.stepIds])).toEqual([
+            ["dangling-link", "error", [2]],
+            ["missing-step", "error", [2]]
+        ]);
+    });
+
+    test("should detect unreachable steps and cycles", () => {
+        const graph = new WorkflowGraph(workflow([
+            conditionStep(1, "Enter"),
+            conditionStep(2, "Stay"),
+            actionStep(3, "Repeat", { startStep: { stepName: "Stay" } }),
+            actionStep(4, "Orphan", { sleep: { seconds: 1 } })
+        ], [[1, 2], [2, 3]]));
+
+        expect(graph.getSuccessors(3).map((n) => n.id)).toEqual([2]);
+        expect(graph.validate().map((i) => [i.type, i.severity, i.stepIds])).toEqual([
+            ["unreachable", "warning", [4]],
+            ["cycle", "warning", [2, 3]]
+        ]);
+
+        const loop = new WorkflowGraph(workflow([conditionStep(1, "A"), conditionStep(2, "B")], [[1, 2], [2, 1]]));
+        expect(loop.validate().map((i) => i.type)).toEqual(["no-entry", "cycle"]);
+    });
+});
+
+describe("Workflow analytics", () => {
+    const RESULTS = [
+        {
+            ts: 1000,
+            tags: [10],
+            tagNames: ["Tag 10"],
+            areaId: null,
+            guid: "a",
+            steps: [
+                { id: 1, name: "Enter", ts: 1000, stopTs: 2000, ep: null, condition: 0, area: 5 },
+                { id: 2, name: "Stay", ts: 2000, stopTs: 5000, ep: null, condition: 0, area: 5 },
+                { id: 3, name: "Alert", ts: 5000, stopTs: 5000, ep: null, condition: 0, area: null }
+            ]
+        },
+        {
+            ts: 10000,
+            tags: [10, 11],
+            tagNames: ["Tag 10", "Tag 11"],
+            areaId: null,
+            guid: "b",
+            steps: [
+                { id: 2, name: "Stay", ts: 12000, stopTs: null, ep: null, condition: 0, area: 5 },
+                { id: 1, name: "Enter", ts: 10000, stopTs: 12000, ep: null, condition: 0, area: 5 }
+            ]
+        }
+    ];
+
+    test("should compute duration statistics", () => {
+        expect(getDurationStats([4, 1, 3, 2])).toEqual({ count: 4, min: 1, max: 4, mean: 2.5, median: 2.5, p90: 3.7 });
+        expect(getDurationStats([])).toBeNull();
+    });
+
+    test("should analyse step statistics and completion", () => {
+        const analytics = analyzeWorkflowResults(RESULTS, new WorkflowGraph(FLOW));
+
+        expect(analytics.runCount).toEqual(2);
+        expect(analytics.completedRuns).toEqual(1);
+        expect(analytics.completionRate).toEqual(0.5);
+        expect(analytics.runDuration).toMatchObject({ min: 2000, max: 4000 });
+
+        expect(analytics.steps.map((s) => [s.stepId, s.count, s.completed, s.reachRate])).toEqual([
+            [1, 2, 2, 1],
+            [2, 2, 1, 1],
+            [3, 1, 1, 0.5],
+            [4, 0, 0, 0]
+        ]);
+        expect(analytics.steps[0].duration).toMatchObject({ count: 2, min: 1000, max: 2000, mean: 1500 });
+        expect(analytics.steps[3].duration).toBeNull();
+
+        // Without the graph completion is unknown.
+        expect(analyzeWorkflowResults(RESULTS).completionRate).toBeNull();
+    });
+
+    test("should build per-tag timelines", () => {
+        const { tags } = analyzeWorkflowResults(RESULTS);
+
+        expect(tags.map((t) => [t.deviceId, t.name, t.runs])).toEqual([[10, "Tag 10", 2], [11, "Tag 11", 1]]);
+        expect(tags[0].entries.map((e) => [e.guid, e.stepName, e.start, e.duration])).toEqual([
+            ["a", "Enter", 1000, 1000],
+            ["a", "Stay", 2000, 3000],
+            ["a", "Alert", 5000, 0],
+            ["b", "Enter", 10000, 2000],
+            ["b", "Stay", 12000, null]
+        ]);
+    });
+});
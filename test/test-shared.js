@@ -1,3 +1,6 @@
+import { EventChannel } from "../src/socket/eventhandler";
+import { MockCloudServer } from "../src/testing/mockcloud";
+
 export const DEV_AUTH_DOMAIN = "http://auth.samuel.noccela.xyz";
 export const DEV_API_DOMAIN = "ws://api.samuel.noccela.xyz";
 
@@ -9,3 +12,53 @@ export async function waitAsync(ms) {
         setTimeout(res, ms);
     });
 }
+
+export const MOCK_CLIENT_ID = 1234;
+export const MOCK_CLIENT_SECRET = "secret";
+
+// Start a local mock cloud that accepts the mock client credentials.
+export async function createMockCloud(options = {}) {
+    const cloud = new MockCloudServer(options);
+    cloud.addClient(MOCK_CLIENT_ID, MOCK_CLIENT_SECRET);
+    await cloud.start();
+    return cloud;
+}
+
+// Connect a channel for account 1 and site 1 to the mock cloud.
+export async function connectToMockCloud(cloud, options = {}) {
+    const channel = new EventChannel(
+        1,
+        1,
+        {
+            loggers: [],
+            retryIntervalMin: 100,
+            retryIntervalIncrease: 100,
+            ...options
+        },
+        cloud.apiOrigin
+    );
+    await channel.connect(MOCK_CLIENT_ID, MOCK_CLIENT_SECRET, cloud.authOrigin);
+    return channel;
+}
+
+// AbortController for the tests, Jest's environment doesn't have one. With a
+// timeout the signal is aborted like the one of AbortSignal.timeout().
+export function createAbortController(timeout = null) {
+    const listeners = new Set();
+    const signal = {
+        aborted: false,
+        reason: undefined,
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener)
+    };
+    const abort = (reason = { name: "AbortError", message: "Aborted" }) => {
+        if (signal.aborted) return;
+        signal.aborted = true;
+        signal.reason = reason;
+        for (const listener of [...listeners]) listener();
+    };
+    if (timeout !== null) {
+        setTimeout(() => abort({ name: "TimeoutError", message: "Timed out" }), timeout);
+    }
+    return { signal, abort };
+}